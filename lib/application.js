@@ -6,28 +6,67 @@ const EventEmitter = require('events').EventEmitter
 
 const assertArgs = require('assert-args')
 const co = require('co')
+const clone = require('101/clone')
 const defaults = require('101/defaults')
 const exists = require('101/exists')
 const isEmpty = require('101/is-empty')
+const isFunction = require('101/is-function')
 const isObject = require('101/is-object')
-const isGeneratorFunction = require('is-generator').fn
-const koaCompose = require('koa-compose')
+const isNumber = require('101/is-number')
+const isString = require('101/is-string')
 const noop = require('101/noop')
 
 const assertAndConsumeAppQueue = require('./rabbit-utils/assert-and-consume-app-queue.js')
-const assertGeneratorFunctions = require('./utils/assert-generator-functions.js')
+const assertAppTopology = require('./rabbit-utils/assert-app-topology.js')
+const assertMiddlewares = require('./utils/assert-middlewares.js')
 const callbackOrPromise = require('./utils/cb-or-promise.js')
+const Client = require('./client.js')
+const clusterIpc = require('./utils/cluster-ipc.js')
 const ClusterManager = require('./cluster-manager.js')
+const composeMiddlewares = require('./utils/compose-middlewares.js')
 const Context = require('./context.js')
 const createAppConnection = require('./rabbit-utils/create-app-connection.js')
 const createAppChannel = require('./rabbit-utils/create-app-channel.js')
 const debug = require('./utils/debug')()
+const DecodeError = require('./decode-error.js')
+const decodeMessage = require('./utils/decode-message.js')
+const dedupe = require('./dedupe.js')
+const encodeContent = require('./utils/encode-content.js')
 const getEnv = require('./utils/get-env.js')
+const handleError = require('./rabbit-utils/app-handle-error.js')
+const HandlerTimeoutError = require('./handler-timeout-error.js')
+const InMemoryExporter = require('./tracing/memory-exporter.js')
+const Metrics = require('./metrics/metrics.js')
 const NoAckError = require('./no-ack-error.js')
+const NoopTracer = require('./tracing/noop-tracer.js')
+const prometheus = require('./metrics/prometheus.js')
+const promiseTimeout = require('./utils/promise-timeout.js')
+const reconnectApp = require('./rabbit-utils/reconnect-app.js')
 const respond = require('./rabbit-utils/app-respond.js')
+const Router = require('./router.js')
+const RpcClient = require('./rpc-client.js')
+const RpcTimeoutError = require('./rpc-timeout-error.js')
+const serveHttp = require('./utils/serve-http.js')
+const spans = require('./tracing/spans.js')
+const Tracer = require('./tracing/tracer.js')
+const validate = require('./validate.js')
+const ValidationError = require('./validation-error.js')
+
+const errorActions = ['nack', 'reject', 'requeue', 'none']
 
 module.exports = Application
 module.exports.NoAckError = NoAckError
+module.exports.DecodeError = DecodeError
+module.exports.RpcTimeoutError = RpcTimeoutError
+module.exports.HandlerTimeoutError = HandlerTimeoutError
+module.exports.Client = Client
+module.exports.Router = Router
+module.exports.dedupe = dedupe
+module.exports.validate = validate
+module.exports.ValidationError = ValidationError
+module.exports.Tracer = Tracer
+module.exports.InMemoryExporter = InMemoryExporter
+module.exports.Metrics = Metrics
 
 /**
  * Initialize a new `Application` inherits from EventEmitter
@@ -36,6 +75,36 @@ module.exports.NoAckError = NoAckError
  * @param  {RabbitSchema} [options.schema] a RabbitMQ schema created by https://npmjs.com/rabbitmq-schema, optional
  * @param  {Boolean} [options.cluster] whether to use clustering or not
  * @param  {String} [options.queueName] queue name which this application is consuming
+ * @param  {Number} [options.prefetch] default prefetch count for queue consumers, default: no limit
+ * @param  {Boolean} [options.prefetchGlobal] apply prefetch per channel instead of per consumer, default: false
+ * @param  {Boolean} [options.publisherConfirms] use a confirm channel for publishing, context publish methods will return promises, default: false
+ * @param  {Number} [options.publishHighWaterMark] enables awaitable publishing, context publish methods will return promises
+ *                                                 that wait for "drain" when the publisher channel's buffer is full.
+ *                                                 while waiting, up to `publishHighWaterMark` messages are written
+ * @param  {String} [options.onErrorAction] how unacked messages are settled after an "error" event:
+ *                                         "nack" (w/out requeue), "reject", "requeue" (nack w/ requeue) or "none", default: "none"
+ * @param  {Number} [options.requestTimeout] default reply timeout in ms for `context.request`, default: no timeout
+ * @param  {Number} [options.closeTimeout] maximum time to wait for in-flight messages in ms,
+ *                                       when a worker closes on SIGINT, default: 10000
+ * @param  {String} [options.appId] "appId" property of messages published by contexts, default: not set
+ * @param  {Object} [options.tracer] OpenTelemetry style tracer w/ `startSpan(name, { kind, attributes, parent })`,
+ *                                  spans messages handled and published, see "Tracing", default: no-op tracer
+ * @param  {Boolean|Object} [options.metrics] record metrics, see "Metrics", default: false
+ * @param  {Number} [options.metrics.port] serve metrics in prometheus' text format over http on this port,
+ *                                        from the master process in cluster mode, default: not served
+ * @param  {String} [options.metrics.path] metrics http path, default: "/metrics"
+ * @param  {Array} [options.metrics.buckets] histogram buckets in seconds, default: prometheus' default buckets
+ * @param  {Object} [options.health] serve liveness and readiness probes over http, see "Health checks", default: not served
+ * @param  {Number} options.health.port http port, the master process serves probes in cluster mode
+ * @param  {String} [options.health.livenessPath] liveness probe http path, default: "/live"
+ * @param  {String} [options.health.readinessPath] readiness probe http path, default: "/ready"
+ * @param  {String} [options.topologyAssertedBy] in cluster mode, which process asserts exchanges and bindings: "workers" or "master", default: "workers"
+ * @param  {Boolean|Object} [options.reconnect] reconnect to RabbitMQ when the connection is lost, default: false
+ * @param  {Number} [options.reconnect.maxAttempts] maximum reconnect attempts, default: 10
+ * @param  {Number} [options.reconnect.minTimeout] delay before the first attempt in ms, default: 1000
+ * @param  {Number} [options.reconnect.maxTimeout] maximum delay between attempts in ms, default: 30000
+ * @param  {Number} [options.reconnect.factor] exponential backoff factor, default: 2
+ * @param  {Number} [options.reconnect.jitter] delay randomization factor between 0 and 1, default: 0.5
  * @api public
  */
 function Application (options) {
@@ -44,21 +113,91 @@ function Application (options) {
   // options defaults
   const env = getEnv()
   const COWORKERS_CLUSTER = env.COWORKERS_CLUSTER
+  const COWORKERS_PREFETCH = env.COWORKERS_PREFETCH
   const COWORKERS_QUEUE = env.COWORKERS_QUEUE
   const COWORKERS_QUEUE_WORKER_NUM = env.COWORKERS_QUEUE_WORKER_NUM || 1
   options = options || {}
   defaults(options, {
     cluster: COWORKERS_CLUSTER,
+    prefetch: COWORKERS_PREFETCH,
     queueName: COWORKERS_QUEUE,
     queueWorkerNum: COWORKERS_QUEUE_WORKER_NUM
   })
   defaults(options, {
-    cluster: true
+    cluster: true,
+    prefetchGlobal: false,
+    onErrorAction: 'none',
+    publisherConfirms: false,
+    topologyAssertedBy: 'workers',
+    closeTimeout: 10000
   })
   // set options on app
   this.schema = options.schema
   this.queueName = options.queueName
   this.queueWorkerNum = options.queueWorkerNum
+  this.prefetch = options.prefetch
+  this.prefetchGlobal = options.prefetchGlobal
+  this.publisherConfirms = options.publisherConfirms
+  this.publishHighWaterMark = options.publishHighWaterMark
+  if (exists(options.publishHighWaterMark)) {
+    assert(isNumber(options.publishHighWaterMark), '"publishHighWaterMark" must be a number')
+  }
+  this.onErrorAction = options.onErrorAction
+  assert(~errorActions.indexOf(this.onErrorAction),
+    '"onErrorAction" must be "nack", "reject", "requeue" or "none"')
+  this.requestTimeout = options.requestTimeout
+  if (exists(options.requestTimeout)) {
+    assert(isNumber(options.requestTimeout), '"requestTimeout" must be a number')
+  }
+  this.closeTimeout = options.closeTimeout
+  assert(isNumber(this.closeTimeout), '"closeTimeout" must be a number')
+  this.appId = options.appId
+  if (exists(options.appId)) {
+    assert(isString(options.appId), '"appId" must be a string')
+  }
+  this.tracer = options.tracer || new NoopTracer()
+  assert(isFunction(this.tracer.startSpan), '"tracer" must have a "startSpan" method')
+  if (options.metrics) {
+    this.metricsOpts = defaults(isObject(options.metrics) ? clone(options.metrics) : {}, {
+      path: '/metrics'
+    })
+    if (exists(this.metricsOpts.port)) {
+      assert(isNumber(this.metricsOpts.port), '"metrics.port" must be a number')
+    }
+    assert(isString(this.metricsOpts.path), '"metrics.path" must be a string')
+  }
+  this.metrics = new Metrics({
+    enabled: Boolean(this.metricsOpts),
+    buckets: this.metricsOpts && this.metricsOpts.buckets
+  })
+  if (exists(options.health)) {
+    assert(isObject(options.health), '"health" must be an object')
+    this.healthOpts = defaults(clone(options.health), {
+      livenessPath: '/live',
+      readinessPath: '/ready'
+    })
+    assert(isNumber(this.healthOpts.port), '"health.port" must be a number')
+    assert(isString(this.healthOpts.livenessPath), '"health.livenessPath" must be a string')
+    assert(isString(this.healthOpts.readinessPath), '"health.readinessPath" must be a string')
+  }
+  this.topologyAssertedBy = options.topologyAssertedBy
+  assert(~['workers', 'master'].indexOf(this.topologyAssertedBy),
+    '"topologyAssertedBy" must be "workers" or "master"')
+  if (exists(options.prefetch)) {
+    assert(isNumber(options.prefetch), '"prefetch" must be a number')
+  }
+  if (options.reconnect) {
+    this.reconnectOpts = defaults(isObject(options.reconnect) ? clone(options.reconnect) : {}, {
+      maxAttempts: 10,
+      minTimeout: 1000,
+      maxTimeout: 30000,
+      factor: 2,
+      jitter: 0.5
+    })
+    assert(isNumber(this.reconnectOpts.maxAttempts), '"reconnect.maxAttempts" must be a number')
+    assert(this.reconnectOpts.jitter >= 0 && this.reconnectOpts.jitter <= 1,
+      '"reconnect.jitter" must be between 0 and 1')
+  }
   // validate options
   if (options.cluster && cluster.isMaster) {
     this.clusterManager = new ClusterManager(this)
@@ -74,16 +213,43 @@ function Application (options) {
   this.queueMiddlewares = {
     // <queueName>: [middlewares...]
   }
+  this.exchanges = {
+    // <exchangeName>: { type, opts }
+  }
+  this.bindings = [
+    // { queue, exchange, routingKey, args }
+  ]
+  this.decoders = Object.assign({
+    // <contentType>: decoder(content, message)
+  }, decodeMessage.defaultDecoders)
+  this.encoders = Object.assign({
+    // <contentType>: encoder(content, options)
+  }, encodeContent.defaultEncoders)
+  this.errorHandlers = [
+    // handler(err, context), see `app.onError`
+  ]
+  this.pendingHandlers = new Set() // in-flight messageHandler promises
+  this.rpcClient = new RpcClient(this) // shared by context.request
   Object.defineProperty(this, 'queueNames', {
     get () {
       return Object.keys(this.queueMiddlewares)
     }
   })
+  Object.defineProperty(this, 'inFlight', {
+    // contexts of the consumer channel's unsettled messages, in delivery order
+    get () {
+      const channel = this.consumerChannel
+      return channel && channel.deliveryTracker
+        ? channel.deliveryTracker.contexts()
+        : []
+    }
+  })
   /*
   this.connection = <amqplibConnection>
   this.consumerChannel = <amqplibChannel>
   this.publisherChannel = <amqplibChannel>
   this.consumerTags = [...]
+  this.lastMessageAt = <Date>
   */
 }
 
@@ -95,11 +261,12 @@ Object.setPrototypeOf(Application.prototype, EventEmitter.prototype)
 Object.assign(Application.prototype, {
   /**
    * Use the given middleware for all queue consumers
-   * @param  {GeneratorFunction} middleware
+   *   middlewares can be generator functions, `function * (next)`, or async functions, `async function (context, next)`
+   * @param  {GeneratorFunction|Function} middleware
    * @return {Application} self
    */
   use (middleware) {
-    assert(isGeneratorFunction(middleware), 'app.use() requires all middlewares to be generators')
+    assert(isFunction(middleware), 'app.use() requires all middlewares to be generator or async functions')
     debug('use %s', middleware.name || '-')
 
     this.middlewares.push(middleware)
@@ -112,12 +279,22 @@ Object.assign(Application.prototype, {
    * @param  {String} queueName queue name for which the middleware will be used
    * @param  {Object} [queueOpts] queue options, not required if rabbit-schema is being used
    * @param  {Object} [consumeOpts] consume options
-   * @param  {GeneratorFunction} ...middlewares one middleware is required
+   * @param  {Number} [consumeOpts.prefetch] prefetch count for the queue consumer, default: app.prefetch
+   * @param  {Boolean} [consumeOpts.prefetchGlobal] apply prefetch per channel instead of per consumer, default: app.prefetchGlobal
+   * @param  {Object} [consumeOpts.retry] default options for `context.retry`: delay, maxAttempts, and deadLetterQueue
+   * @param  {Function} [consumeOpts.onError] queue error handler, invoked before the app's `onError` handlers (see `app.onError`)
+   * @param  {String} [consumeOpts.onErrorAction] how unacked messages are settled after an "error" event, default: app.onErrorAction
+   * @param  {Number} [consumeOpts.handlerTimeout] maximum time to handle a message in ms, aborts the context and emits
+   *                                               a HandlerTimeoutError and nacks the message (see `onErrorAction`), default: no timeout
+   * @param  {Object} [consumeOpts.messageSchema] JSON schema to validate message bodies w/, invalid messages are rejected
+   *                                              w/ a ValidationError, default: the queue's rabbitmq-schema `messageSchema`
+   * @param  {GeneratorFunction|Function} ...middlewares one middleware is required, generator or async functions (see `use`)
    * @return {Application} self
    */
   queue (queueName, queueOpts, consumeOpts /*, ...middlewares */) {
     let middlewares
     let args
+    let messageSchema
 
     if (this.schema) {
       // queueOpts should not be passed if this.schema exists
@@ -125,21 +302,22 @@ Object.assign(Application.prototype, {
       args = assertArgs(arguments, {
         'queueName': 'string',
         '[consumeOpts]': 'object',
-        '...middlewares': assertGeneratorFunctions
+        '...middlewares': assertMiddlewares
       })
       queueName = args.queueName
-      consumeOpts = args.consumeOpts
+      consumeOpts = args.consumeOpts || {}
       middlewares = args.middlewares
 
       let queueSchema = this.schema.getQueueByName(queueName)
       assert(queueSchema, `app.consume() requires "${queueName}" queue to exist in schema`)
       queueOpts = queueSchema.options
+      messageSchema = queueSchema.messageSchema
     } else {
       args = assertArgs(arguments, {
         'queueName': 'string',
         '[queueOpts]': 'object',
         '[consumeOpts]': 'object',
-        '...middlewares': assertGeneratorFunctions
+        '...middlewares': assertMiddlewares
       })
       queueName = args.queueName
       queueOpts = args.queueOpts || {}
@@ -152,8 +330,26 @@ Object.assign(Application.prototype, {
           : middlewares.length + ' middlewares')
     }
 
+    if (exists(consumeOpts.onError)) {
+      assert(isFunction(consumeOpts.onError), '"consumeOpts.onError" must be a function')
+    }
+    if (exists(consumeOpts.onErrorAction)) {
+      assert(~errorActions.indexOf(consumeOpts.onErrorAction),
+        '"consumeOpts.onErrorAction" must be "nack", "reject", "requeue" or "none"')
+    }
+    if (exists(consumeOpts.handlerTimeout)) {
+      assert(isNumber(consumeOpts.handlerTimeout), '"consumeOpts.handlerTimeout" must be a number')
+    }
+    if (exists(consumeOpts.messageSchema)) {
+      assert(isObject(consumeOpts.messageSchema), '"consumeOpts.messageSchema" must be an object')
+      messageSchema = consumeOpts.messageSchema
+    }
     assert(!this.queueMiddlewares[queueName], `"${queueName}" already exists`)
     this.queueMiddlewares[queueName] = []
+    if (messageSchema && !isEmpty(messageSchema)) {
+      // validate messages before the queue's middlewares
+      this.queueMiddlewares[queueName].push(validate(messageSchema))
+    }
     this.queueMiddlewares[queueName] = this.queueMiddlewares[queueName].concat(middlewares)
 
     this.queueMiddlewares[queueName].queueOpts = queueOpts
@@ -161,11 +357,118 @@ Object.assign(Application.prototype, {
 
     return this
   },
+  /**
+   * Setup exchange assertion, `connect` will assert the exchange before consuming queues
+   * @param  {String} exchangeName exchange name
+   * @param  {String} type exchange type: direct, topic, headers, or fanout
+   * @param  {Object} [opts] assert exchange options
+   * @return {Application} self
+   */
+  exchange (exchangeName, type, opts) {
+    const args = assertArgs(arguments, {
+      'exchangeName': 'string',
+      'type': 'string',
+      '[opts]': 'object'
+    })
+    exchangeName = args.exchangeName
+    type = args.type
+    opts = args.opts || {}
+    debug('exchange %s, %s, %o', exchangeName, type, opts)
+
+    assert(!this.exchanges[exchangeName], `"${exchangeName}" exchange already exists`)
+    this.exchanges[exchangeName] = { type: type, opts: opts }
+
+    return this
+  },
+  /**
+   * Setup queue binding, `connect` will bind the queue to the exchange before consuming queues
+   *   the queue must be declared using `app.queue`
+   * @param  {String} queueName queue name
+   * @param  {String} exchangeName exchange name
+   * @param  {String} routingKey binding routing key (pattern)
+   * @param  {Object} [bindArgs] binding arguments
+   * @return {Application} self
+   */
+  bind (queueName, exchangeName, routingKey, bindArgs) {
+    const args = assertArgs(arguments, {
+      'queueName': 'string',
+      'exchangeName': 'string',
+      'routingKey': 'string',
+      '[bindArgs]': 'object'
+    })
+    debug('bind %s, %s, %s, %o', args.queueName, args.exchangeName, args.routingKey, args.bindArgs)
+
+    this.bindings.push({
+      queue: args.queueName,
+      exchange: args.exchangeName,
+      routingKey: args.routingKey,
+      args: args.bindArgs || {}
+    })
+
+    return this
+  },
+  /**
+   * Register a decoder for a message content type, used by `context.body`
+   *   "application/json" and "text/*" decoders are registered by default
+   * @param  {String} contentType content type, ex: "application/msgpack", or wildcard, ex: "text/*"
+   * @param  {Function} decoder decoder(content, message), returns the decoded content
+   *                            content is decompressed before it is decoded (see "contentEncoding")
+   * @return {Application} self
+   */
+  decoder (contentType, decoder) {
+    const args = assertArgs(arguments, {
+      'contentType': 'string',
+      'decoder': 'function'
+    })
+    debug('decoder %s', args.contentType)
+
+    this.decoders[args.contentType.toLowerCase()] = args.decoder
+
+    return this
+  },
+  /**
+   * Register an encoder for a message content type, used by `context.publish`, `sendToQueue`, `reply` and `request`
+   *   "application/json", "application/octet-stream" and "text/*" encoders are registered by default
+   * @param  {String} contentType content type, ex: "application/msgpack", or wildcard, ex: "text/*"
+   * @param  {Function} encoder encoder(content, options), returns the encoded content (buffer or string)
+   *                            encoded content is compressed after it is encoded (see "contentEncoding")
+   * @return {Application} self
+   */
+  encoder (contentType, encoder) {
+    const args = assertArgs(arguments, {
+      'contentType': 'string',
+      'encoder': 'function'
+    })
+    debug('encoder %s', args.contentType)
+
+    this.encoders[args.contentType.toLowerCase()] = args.encoder
+
+    return this
+  },
+  /**
+   * Register an error handler, invoked w/ middleware errors (and NoAckErrors) after the queue's `consumeOpts.onError`
+   *   handlers are invoked in order until one settles the message using an ack shortcut (ex: `this.nack = true`).
+   *   if no handler settles the message, the app emits "error" (see `Context.onerror`)
+   * @param  {Function} handler handler(err, context), invoked w/ the context as `this`,
+   *                            may return a promise or be a generator function
+   * @return {Application} self
+   */
+  onError (handler) {
+    const args = assertArgs(arguments, {
+      'handler': 'function'
+    })
+    debug('onError %s', args.handler.name || '-')
+
+    this.errorHandlers.push(args.handler)
+
+    return this
+  },
   /**
    * Connect to RabbitMQ
    * 1) Creates a connection to rabbitmq - http://www.squaremobius.net/amqp.node/channel_api.html#connect
    * 2) Creates a consumer channel and publisher channel - http://www.squaremobius.net/amqp.node/channel_api.html#model_createChannel
-   * 3) Begins consuming queues
+   * 3) Asserts exchanges and bindings
+   * 4) Begins consuming queues
    * @param {String} [url] rabbitmq connection url, default: 'amqp://127.0.0.1:5672'
    * @param {Object} [socketOpts] socket options
    * @param {Function} [cb] callback, not required if using promises
@@ -185,6 +488,9 @@ Object.assign(Application.prototype, {
     url = args.url || getEnv().COWORKERS_RABBITMQ_URL
     socketOpts = args.socketOpts
     cb = args.cb
+    // save connect args for reconnects
+    this.url = url
+    this.socketOpts = socketOpts
     // check for pending connect
     if (this.connectingPromise) {
       return callbackOrPromise(this.connectingPromise, cb)
@@ -210,13 +516,34 @@ Object.assign(Application.prototype, {
     this.connectingPromise = co(function * () {
       if (self.clusterManager) {
         // clusterManager is only initialized for cluster.isMaster
+        if (self.topologyAssertedBy === 'master' && self.hasTopology()) {
+          // assert topology once, before workers are started
+          yield assertAppTopology.withConnection(self, url, socketOpts)
+        }
         // start cluster manager, idempotent
         yield self.clusterManager.start()
+        // serve workers' metrics and health, idempotent
+        yield self.serveMetrics()
+        yield self.serveHealth()
         // return!
         return
       }
       assert(self.queueName in self.queueMiddlewares,
         '"app.queueName" must match a queue being consumed')
+      if (cluster.isWorker && (self.metrics.enabled || self.healthOpts) && !self.ipcHandler) {
+        // reply to the master's requests for metrics and health, while connecting too
+        self.ipcHandler = function (message) {
+          clusterIpc.respond({
+            health: function () {
+              return self.processHealth()
+            },
+            metrics: function () {
+              return self.metrics.snapshot()
+            }
+          }, message, process.send.bind(process))
+        }
+        process.on('message', self.ipcHandler)
+      }
       if (!self.connection) {
         // app.connection
         yield createAppConnection(self, url, socketOpts)
@@ -230,14 +557,22 @@ Object.assign(Application.prototype, {
         yield createAppChannel(self, 'publisherChannel') // uses: self.connection
       }
       if (!exists(self.consumerTag)) {
+        if (self.hasTopology() && !(cluster.isWorker && self.topologyAssertedBy === 'master')) {
+          yield assertAppTopology(self, self.consumerChannel)
+        }
         self.consumerTag = yield assertAndConsumeAppQueue(self, self.queueName)
       }
+      if (!cluster.isWorker) {
+        // clustering is disabled, serve metrics and health, idempotent
+        yield self.serveMetrics()
+        yield self.serveHealth()
+      }
       if (cluster.isWorker && !self.sigintHandler) {
         // handle worker messages
         // if message === coworkers:shutdown, close worker
         self.sigintHandler = function () {
           debug('recieved SIGINT, exit gracefully')
-          self.close()
+          self.close({ timeout: self.closeTimeout })
         }
         process.on('SIGINT', self.sigintHandler)
       }
@@ -250,8 +585,8 @@ Object.assign(Application.prototype, {
       // delete connecting-promise ref
       delete self.connectingPromise
       debug('connect errored -> close to cleanup')
-      // close will clean up hanging refs
-      return self.close()
+      // close will clean up hanging refs, w/out cancelling a pending reconnect (see reconnect-app.js)
+      return self.close({ cleanup: true })
         .catch(noop) // ignore close error
         .then(function () {
           throw connectErr
@@ -260,6 +595,118 @@ Object.assign(Application.prototype, {
 
     return callbackOrPromise(this.connectingPromise, cb)
   },
+  /**
+   * Check if the app has exchanges or bindings to assert
+   * @return {Boolean} true if the app has topology
+   */
+  hasTopology () {
+    return !isEmpty(this.exchanges) || !isEmpty(this.bindings)
+  },
+  /**
+   * Get metrics in prometheus' text format
+   *   in cluster mode, the master aggregates its workers' metrics (see `ClusterManager`)
+   * @return {Promise} metrics text promise
+   */
+  getMetrics () {
+    const snapshot = this.clusterManager
+      ? this.clusterManager.collectMetrics()
+      : Promise.resolve(this.metrics.snapshot())
+
+    return snapshot.then(prometheus)
+  },
+  /**
+   * Serve metrics over http, if `metrics.port` is set, idempotent
+   * @return {Promise} serve promise
+   */
+  serveMetrics () {
+    const self = this
+    const opts = this.metricsOpts
+    if (!opts || !exists(opts.port) || this.metricsServer) {
+      return Promise.resolve()
+    }
+    const routes = {}
+    routes[opts.path] = function () {
+      return self.getMetrics().then(function (body) {
+        return { contentType: prometheus.contentType, body: body }
+      })
+    }
+
+    return serveHttp(opts.port, routes).then(function (server) {
+      self.metricsServer = server
+    })
+  },
+  /**
+   * Get this consumer process's health
+   * @return {Object} health { queue, queueWorkerNum, pid, connection, ready, lastMessageAt }
+   */
+  processHealth () {
+    let connection = 'disconnected'
+    if (this.connection) {
+      connection = 'connected'
+    } else if (this.reconnecting) {
+      connection = 'reconnecting'
+    } else if (this.connectingPromise) {
+      connection = 'connecting'
+    }
+
+    return {
+      queue: this.queueName,
+      queueWorkerNum: Number(this.queueWorkerNum),
+      pid: process.pid,
+      connection: connection,
+      // consuming and able to publish
+      ready: Boolean(this.connection && this.consumerChannel && this.publisherChannel && exists(this.consumerTag)),
+      lastMessageAt: this.lastMessageAt ? this.lastMessageAt.toISOString() : null
+    }
+  },
+  /**
+   * Get the app's health
+   *   in cluster mode, the master collects its workers' health (see `ClusterManager`)
+   *   and is ready only if every worker is ready
+   * @return {Promise} health promise, { live, ready, pid, workers: [processHealth] }
+   */
+  getHealth () {
+    const workers = this.clusterManager
+      ? this.clusterManager.collectHealth()
+      : Promise.resolve([this.processHealth()])
+
+    return workers.then(function (workers) {
+      return {
+        // responding, so live
+        live: true,
+        ready: workers.length > 0 && workers.every((worker) => worker.ready),
+        pid: process.pid,
+        workers: workers
+      }
+    })
+  },
+  /**
+   * Serve liveness and readiness probes over http, if `health` is set, idempotent
+   *   the liveness probe responds 200 w/ { live, pid } as json, w/out waiting on workers,
+   *   the readiness probe responds 200 if ready, 503 otherwise, w/ the app's health as json
+   * @return {Promise} serve promise
+   */
+  serveHealth () {
+    const self = this
+    const opts = this.healthOpts
+    if (!opts || this.healthServer) {
+      return Promise.resolve()
+    }
+    const routes = {}
+    routes[opts.livenessPath] = function () {
+      // the process is responding, a stuck worker must not fail the master's liveness
+      return healthResponse({ live: true, pid: process.pid }, true)
+    }
+    routes[opts.readinessPath] = function () {
+      return self.getHealth().then(function (health) {
+        return healthResponse(health, health.ready)
+      })
+    }
+
+    return serveHttp(opts.port, routes).then(function (server) {
+      self.healthServer = server
+    })
+  },
   /**
    * Message handler attached to all queues
    * @param  {String} queueName name of queue that is the message's source
@@ -269,28 +716,95 @@ Object.assign(Application.prototype, {
   messageHandler (queueName) {
     const self = this
     const middlewares = this.middlewares.concat(this.queueMiddlewares[queueName])
-    const mwPromise = co.wrap(koaCompose(middlewares))
+    const handle = composeMiddlewares(middlewares)
 
     return function (message) {
       const context = new Context(self, queueName, message)
-
-      return mwPromise.call(context).then(function () {
-        respond.call(context)
+      const span = context.span = spans.startMessageSpan(self.tracer, queueName, message)
+      const labels = { queue: queueName }
+      const endTimer = self.metrics.startTimer('coworkers_handler_duration_seconds', labels)
+      self.metrics.inc('coworkers_messages_received_total', labels)
+      self.metrics.inc('coworkers_messages_in_flight', labels)
+      self.lastMessageAt = new Date()
+      const tracker = context.consumerChannel && context.consumerChannel.deliveryTracker
+      if (tracker && !context.consumeOpts.noAck) {
+        // track unsettled deliveries, see `app.inFlight`
+        tracker.track(context)
+      }
+      const handlerTimeout = context.consumeOpts.handlerTimeout
+      const handled = handle(context).then(function () {
+        if (context.aborted) {
+          // timed out, ignore late ack shortcuts
+          debug('handler finished after timeout %s %s', queueName, context.deliveryTag)
+          return
+        }
+        spans.setOutcome(span, context)
+        return respond.call(context)
       }).catch(function (err) {
-        Context.onerror(context, err)
+        if (context.aborted) {
+          debug('handler errored after timeout %s %s', queueName, context.deliveryTag, err)
+          return
+        }
+        spans.setMessageError(span, err)
+        self.metrics.inc('coworkers_messages_errored_total', labels)
+        return handleError(context, err)
+      })
+      const promise = promiseTimeout(handled, handlerTimeout).then(function (settled) {
+        if (!settled) {
+          // hung middleware, free the message's prefetch slot
+          context.aborted = true
+          const message = `"${queueName}" message handler timed out after ${handlerTimeout}ms`
+          const err = new HandlerTimeoutError(message, queueName, handlerTimeout)
+          spans.setMessageError(span, err)
+          self.metrics.inc('coworkers_messages_errored_total', labels)
+          handleError.fallback(context, err)
+        }
+        span.end()
+        endTimer()
+        self.metrics.dec('coworkers_messages_in_flight', labels)
+        self.pendingHandlers.delete(promise)
       })
+      // track in-flight messages, so that close can drain them
+      self.pendingHandlers.add(promise)
+
+      return promise
     }
   },
   /**
    * Disconnect from RabbitMQ, idempotent
+   * 1) Cancels the queue consumer, so that no new messages are delivered
+   * 2) Waits for in-flight messages to finish their middlewares (up to `opts.timeout`)
+   * 3) Closes the channels and connection
+   * @param  {Object} [opts] close options
+   * @param  {Number} [opts.timeout] maximum time to wait for in-flight messages in ms,
+   *                                  default: no limit, close can wait indefinitely for a hung middleware
+   * @param  {Boolean} [opts.cleanup] private, cleans up after a failed connect: does not cancel a pending reconnect,
+   *                                  and keeps serving metrics and health probes (and replying to the master's requests)
    * @param  {Function} [cb] callback, not required if using promises
    * @return {Promise}  promise, if no callback is supplied
    */
-  close (cb) {
+  close (opts, cb) {
     debug('close')
     const self = this
+    const args = assertArgs(arguments, {
+      '[opts]': 'object',
+      '[cb]': 'function'
+    })
+    opts = args.opts || {}
+    cb = args.cb
+    if (!opts.cleanup) {
+      // cancel pending reconnect, if one exists
+      reconnectApp.cancel(this)
+    }
     // check for pending close
     if (this.closingPromise) {
+      if (this.closingPromise.cleanup && !opts.cleanup) {
+        // a failed connect's cleanup does not stop serving, close again once it finishes
+        const promise = this.closingPromise.catch(noop).then(function () {
+          return self.close(opts)
+        })
+        return callbackOrPromise(promise, cb)
+      }
       return callbackOrPromise(this.closingPromise, cb)
     }
     // check for pending connect
@@ -306,12 +820,24 @@ Object.assign(Application.prototype, {
         .then(function () {
           // delete closing promise, new closing promise will be created in close
           delete self.closingPromise
-          return self.close()
+          return self.close(opts)
         })
       return callbackOrPromise(this.closingPromise, cb)
     }
     // close channel and connection to rabbitmq
     this.closingPromise = co(function * () {
+      if (self.metricsServer && !opts.cleanup) {
+        // stop serving metrics
+        const server = self.metricsServer
+        delete self.metricsServer
+        yield serveHttp.close(server)
+      }
+      if (self.healthServer && !opts.cleanup) {
+        // stop serving health probes
+        const server = self.healthServer
+        delete self.healthServer
+        yield serveHttp.close(server)
+      }
       if (self.clusterManager) {
         // clusterManager is only initialized for cluster.isMaster
         // stop clusterManager, idempotent
@@ -319,17 +845,32 @@ Object.assign(Application.prototype, {
         // return!
         return
       }
-      if (self.consumerChannel) {
-        // close consumer channel
-        yield self.consumerChannel.close()
-      }
       if (exists(self.consumerTag)) {
+        if (self.consumerChannel) {
+          // cancel consumer, stop recieving new messages
+          yield self.consumerChannel.cancel(self.consumerTag)
+        }
         // delete consumer tags
         delete self.consumerTag
       }
-      if (self.producerChannel) {
-        // close producer channel
-        yield self.producerChannel.close()
+      if (self.pendingHandlers.size) {
+        // wait for in-flight messages to finish
+        debug(`close: draining ${self.pendingHandlers.size} message(s)`)
+        self.emit('close:draining', self.pendingHandlers.size)
+        const drained = yield promiseTimeout(Promise.all(Array.from(self.pendingHandlers)), opts.timeout)
+        if (!drained) {
+          debug(`close: drain timed out w/ ${self.pendingHandlers.size} message(s) pending`)
+        }
+      }
+      // reject pending rpc requests, and close the rpc channel
+      yield self.rpcClient.close()
+      if (self.consumerChannel) {
+        // close consumer channel
+        yield self.consumerChannel.close()
+      }
+      if (self.publisherChannel) {
+        // close publisher channel
+        yield self.publisherChannel.close()
       }
       if (self.connection) {
         // close connection
@@ -341,6 +882,10 @@ Object.assign(Application.prototype, {
         process.removeListener('SIGINT', self.sigintHandler)
         delete self.sigintHandler
       }
+      if (self.ipcHandler && !opts.cleanup) {
+        process.removeListener('message', self.ipcHandler)
+        delete self.ipcHandler
+      }
       // delete closing-promise ref
       delete self.closingPromise
       debug('close success')
@@ -350,7 +895,22 @@ Object.assign(Application.prototype, {
       delete self.closingPromise
       throw closeErr
     })
+    this.closingPromise.cleanup = opts.cleanup
 
     return callbackOrPromise(this.closingPromise, cb)
   }
 })
+
+/**
+ * Health probe http response
+ * @param  {Object} health app health, see `app.getHealth`
+ * @param  {Boolean} ok whether the probe succeeds
+ * @return {Object} http response { statusCode, contentType, body }
+ */
+function healthResponse (health, ok) {
+  return {
+    statusCode: ok ? 200 : 503,
+    contentType: 'application/json',
+    body: JSON.stringify(health)
+  }
+}
@@ -0,0 +1,194 @@
+'use strict'
+
+const assert = require('assert')
+const EventEmitter = require('events').EventEmitter
+
+const assertArgs = require('assert-args')
+const co = require('co')
+const exists = require('101/exists')
+const isNumber = require('101/is-number')
+
+const appPublish = require('./rabbit-utils/app-publish.js')
+const callbackOrPromise = require('./utils/cb-or-promise.js')
+const createAppChannel = require('./rabbit-utils/create-app-channel.js')
+const createAppConnection = require('./rabbit-utils/create-app-connection.js')
+const debug = require('./utils/debug')()
+const encodeContent = require('./utils/encode-content.js')
+const getEnv = require('./utils/get-env.js')
+const RpcClient = require('./rpc-client.js')
+
+/**
+ * Standalone client, publishes messages and makes rpc requests outside of a message context
+ *   (ex: from an http server). unlike an app, it has no consumers, only a connection and a publisher channel.
+ *   publish, sendToQueue and request have the same semantics as their context equivalents
+ * @param  {Object} [options] client options
+ * @param  {Boolean} [options.publisherConfirms] use a confirm channel for publishing, publish methods will return promises, default: false
+ * @param  {Number} [options.publishHighWaterMark] enables awaitable publishing, see Application
+ * @param  {Number} [options.requestTimeout] default reply timeout in ms for `request`, default: no timeout
+ * @api public
+ */
+module.exports = class Client extends EventEmitter {
+  constructor (options) {
+    super()
+    options = options || {}
+    if (exists(options.publishHighWaterMark)) {
+      assert(isNumber(options.publishHighWaterMark), '"publishHighWaterMark" must be a number')
+    }
+    if (exists(options.requestTimeout)) {
+      assert(isNumber(options.requestTimeout), '"requestTimeout" must be a number')
+    }
+    this.publisherConfirms = Boolean(options.publisherConfirms)
+    this.publishHighWaterMark = options.publishHighWaterMark
+    this.requestTimeout = options.requestTimeout
+    this.encoders = Object.assign({
+      // <contentType>: encoder(content, options)
+    }, encodeContent.defaultEncoders)
+    this.rpcClient = new RpcClient(this)
+  }
+  /**
+   * Register an encoder for a message content type, see `app.encoder`
+   * @param  {String} contentType content type, ex: "application/msgpack", or wildcard, ex: "text/*"
+   * @param  {Function} encoder encoder(content, options), returns the encoded content (buffer or string)
+   * @return {Client} self
+   */
+  encoder (contentType, encoder) {
+    const args = assertArgs(arguments, {
+      'contentType': 'string',
+      'encoder': 'function'
+    })
+    debug('client encoder %s', args.contentType)
+
+    this.encoders[args.contentType.toLowerCase()] = args.encoder
+
+    return this
+  }
+  /**
+   * Connect to RabbitMQ, creates a connection and a publisher channel
+   * @param {String} [url] rabbitmq connection url, default: 'amqp://127.0.0.1:5672'
+   * @param {Object} [socketOpts] socket options
+   * @param {Function} [cb] callback, not required if using promises
+   * @return {Promise} promise, if no callback is supplied
+   */
+  connect (url, socketOpts, cb) {
+    debug('client connect')
+    const self = this
+    const args = assertArgs(arguments, {
+      '[url]': 'string',
+      '[socketOpts]': 'object',
+      '[cb]': 'function'
+    })
+    url = args.url || getEnv().COWORKERS_RABBITMQ_URL
+    socketOpts = args.socketOpts
+    cb = args.cb
+    // check for pending connect
+    if (!this.connectingPromise) {
+      this.connectingPromise = co(function * () {
+        if (!self.connection) {
+          yield createAppConnection(self, url, socketOpts)
+        }
+        if (!self.publisherChannel) {
+          yield createAppChannel(self, 'publisherChannel')
+        }
+      }).then(function () {
+        delete self.connectingPromise
+        debug('client connect success')
+      }, function (err) {
+        delete self.connectingPromise
+        debug('client connect errored', err)
+        throw err
+      })
+    }
+
+    return callbackOrPromise(this.connectingPromise, cb)
+  }
+  /**
+   * Close the connection to RabbitMQ, rejects pending requests
+   * @param {Function} [cb] callback, not required if using promises
+   * @return {Promise} promise, if no callback is supplied
+   */
+  close (cb) {
+    debug('client close')
+    const self = this
+    const promise = co(function * () {
+      yield self.rpcClient.close()
+      if (self.publisherChannel) {
+        yield self.publisherChannel.close()
+      }
+      if (self.connection) {
+        yield self.connection.close()
+      }
+    })
+
+    return callbackOrPromise(promise, cb)
+  }
+  /**
+   * Publish a message to an exchange, see `context.publish`
+   * @param  {String} exchange   exchange name to publish to
+   * @param  {String} routingKey message routing key
+   * @param  {Buffer|Object|Array|String} content    message content, encoded using `options.contentType`'s encoder
+   * @param  {Object} [options]    publish options, `contentType` defaults by content type (see `app.encoder`)
+   * @return {Boolean|Promise} channel write result, or promise if `publisherConfirms` or `publishHighWaterMark`
+   */
+  publish (exchange, routingKey, content, options) {
+    const args = assertArgs(arguments, {
+      'exchange': 'string',
+      'routingKey': 'string',
+      'content': ['object', 'string', Buffer],
+      '[options]': 'object'
+    })
+    const encoded = encodeContent(this.encoders, args.content, args.options)
+
+    return appPublish(this, this.getPublisherChannel(), 'publish',
+      [args.exchange, args.routingKey, encoded.content, encoded.options])
+  }
+  /**
+   * Publish a message directly to a queue, see `context.sendToQueue`
+   * @param  {String} queue   queue name to publish to
+   * @param  {Buffer|Object|Array|String} content message content, encoded using `options.contentType`'s encoder
+   * @param  {Object} [options] publish options, `contentType` defaults by content type (see `app.encoder`)
+   * @return {Boolean|Promise} channel write result, or promise if `publisherConfirms` or `publishHighWaterMark`
+   */
+  sendToQueue (queue, content, options) {
+    const args = assertArgs(arguments, {
+      'queue': 'string',
+      'content': ['object', 'string', Buffer],
+      '[options]': 'object'
+    })
+    const encoded = encodeContent(this.encoders, args.content, args.options)
+
+    return appPublish(this, this.getPublisherChannel(), 'sendToQueue',
+      [args.queue, encoded.content, encoded.options])
+  }
+  /**
+   * Make an rpc request, see `context.request`
+   * @param  {String}   queue     name of rpc-queue to send the message to
+   * @param  {Buffer|Object|String} content message content, encoded using `sendOpts.contentType`'s encoder
+   * @param  {Object}   [sendOpts]  sendToQueue options
+   * @param  {Number}   [sendOpts.timeout]  reply timeout in ms, rejects w/ a RpcTimeoutError, default: client.requestTimeout
+   * @return {Promise}  reply message promise
+   */
+  request (queue, content, sendOpts) {
+    const args = assertArgs(arguments, {
+      'queue': 'string',
+      'content': ['object', 'string', Buffer],
+      '[sendOpts]': 'object'
+    })
+    assert(this.connection, 'Client is not connected, please use "connect" before making requests')
+    const encoded = encodeContent(this.encoders, args.content, args.sendOpts)
+    sendOpts = encoded.options
+    // timeout is not a message property
+    const timeout = exists(sendOpts.timeout) ? sendOpts.timeout : this.requestTimeout
+    delete sendOpts.timeout
+
+    return this.rpcClient.request(args.queue, encoded.content, sendOpts, timeout)
+  }
+  /**
+   * Get the publisher channel, throws if the client is not connected
+   * @return {Channel} publisher channel
+   */
+  getPublisherChannel () {
+    assert(this.publisherChannel, 'Client is not connected, please use "connect" before publishing')
+
+    return this.publisherChannel
+  }
+}
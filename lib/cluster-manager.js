@@ -8,8 +8,13 @@ const exists = require('101/exists')
 const first = require('ee-first')
 const times = require('times-loop')
 
+const clusterIpc = require('./utils/cluster-ipc.js')
 const debug = require('./utils/debug.js')()
 const getEnv = require('./utils/get-env.js')
+const Metrics = require('./metrics/metrics.js')
+
+// maximum time to wait for a worker's ipc reply in ms
+const ipcTimeout = 1000
 
 class QueueWorkerCounter {
   constructor () {
@@ -30,6 +35,11 @@ class QueueWorkerCounter {
 // Singleton queue worker counter helper
 const queueWorkerCounter = new QueueWorkerCounter()
 
+// cluster workers as an array
+function clusterWorkers () {
+  return Object.keys(cluster.workers).map((id) => cluster.workers[id])
+}
+
 // Cluster Manager Class
 
 module.exports = class ClusterManager {
@@ -174,6 +184,51 @@ module.exports = class ClusterManager {
 
     return this.startingPromise
   }
+  /**
+   * request a value from all workers over ipc, see cluster-ipc.js
+   * @param  {String} method request method, ex: "metrics"
+   * @return {Promise} replies promise, [{ worker, result }], workers that do not reply in time are omitted
+   */
+  requestWorkers (method) {
+    return clusterIpc.request(clusterWorkers(), method, ipcTimeout)
+  }
+  /**
+   * collect and aggregate workers' metrics
+   *   counters of a replaced (respawned) worker start from zero
+   * @return {Promise} merged metrics snapshot promise
+   */
+  collectMetrics () {
+    const self = this
+
+    return this.requestWorkers('metrics').then(function (replies) {
+      const snapshots = replies.map((reply) => reply.result)
+      // the master's metrics are empty, but define all metrics
+      return Metrics.merge([self.app.metrics.snapshot()].concat(snapshots))
+    })
+  }
+  /**
+   * collect workers' health, see `app.processHealth`
+   *   workers that do not reply in time are reported as "unresponsive" and not ready
+   * @return {Promise} workers' health promise, [{ queue, queueWorkerNum, pid, connection, ready, lastMessageAt }]
+   */
+  collectHealth () {
+    const workers = clusterWorkers()
+
+    return clusterIpc.request(workers, 'health', ipcTimeout).then(function (replies) {
+      return workers.map(function (worker) {
+        const reply = replies.find((reply) => reply.worker === worker)
+
+        return reply ? reply.result : {
+          queue: worker.__queueName,
+          queueWorkerNum: worker.__queueWorkerNum,
+          pid: worker.process.pid,
+          connection: 'unresponsive',
+          ready: false,
+          lastMessageAt: null
+        }
+      })
+    })
+  }
   /**
    * stop cluster manager, exit all worker processes, and allow master process to stop
    * @param  {String} signal signal to cause
@@ -2,19 +2,19 @@
 const assert = require('assert')
 
 const assertArgs = require('assert-args')
-const assign = require('101/assign')
-const co = require('co')
 const clone = require('101/clone')
 const defaults = require('101/defaults')
 const exists = require('101/exists')
-const first = require('ee-first')
 const isObject = require('101/is-object')
 const pick = require('101/pick')
-const uuid = require('uuid')
-const values = require('object-values')
 
-const castToBuffer = require('./utils/cast-to-buffer.js')
+const appPublish = require('./rabbit-utils/app-publish.js')
+const decodeMessage = require('./utils/decode-message.js')
 const defineProperties = require('./utils/define-properties.js')
+const encodeContent = require('./utils/encode-content.js')
+const messageProperties = require('./utils/message-properties.js')
+const SpanKind = require('./tracing/tracer.js').SpanKind
+const tracePublish = require('./tracing/spans.js').tracePublish
 
 module.exports = class Context {
   constructor (app, queueName, message) {
@@ -33,6 +33,8 @@ module.exports = class Context {
     this.queueOpts = clone(queue.queueOpts)
     this.consumeOpts = clone(queue.consumeOpts)
     this.messageAcked // set by create-app-channel.js
+    this.aborted = false // set by app.messageHandler, if `consumeOpts.handlerTimeout` elapses
+    this.span // set by app.messageHandler, message's tracing span
     this.state = {}
     // defined properties
     // * special behavior, not enumerable, not writable
@@ -42,6 +44,7 @@ module.exports = class Context {
     Object.defineProperty(this, 'ackAll', channelActionProperty('ackAll', []))
     Object.defineProperty(this, 'nackAll', channelActionProperty('nackAll', ['requeue'])) // defaults: requeue=true
     Object.defineProperty(this, 'reject', channelActionProperty('reject', ['requeue'])) // defaults: requeue=false
+    Object.defineProperty(this, 'retry', channelActionProperty('retry', ['delay', 'maxAttempts', 'deadLetterQueue'])) // defaults: consumeOpts.retry
     function channelActionProperty (method, argNames) {
       return {
         configurable: true,
@@ -69,6 +72,25 @@ module.exports = class Context {
         }
       }
     }
+    // * message body, decoded lazily using the message's contentType and contentEncoding
+    let body
+    let bodyDecoded = false
+    Object.defineProperty(this, 'body', {
+      configurable: true,
+      get () {
+        if (!bodyDecoded) {
+          // throws a DecodeError, which is handled by Context.onerror
+          body = decodeMessage(app.decoders, message)
+          bodyDecoded = true
+        }
+
+        return body
+      },
+      set (value) {
+        body = value
+        bodyDecoded = true
+      }
+    })
     // last, inherit properties from app.context
     defaults(this, app.context)
   }
@@ -78,7 +100,8 @@ module.exports = class Context {
       'nack',
       'ackAll',
       'nackAll',
-      'reject'
+      'reject',
+      'retry'
     ]
     defineProperties(context, acks, {
       get: throwUseChannelErr,
@@ -96,49 +119,79 @@ module.exports = class Context {
    *   publish a message to an exchange
    * @param  {String} exchange   exchange name to publish to
    * @param  {String} routingKey message routing key
-   * @param  {Buffer|Object|Array|String} content    message content
-   * @param  {Object} [options]    publish options
+   * @param  {Buffer|Object|Array|String} content    message content, encoded using `options.contentType`'s encoder
+   * @param  {Object} [options]    publish options, `contentType` defaults by content type (see `app.encoder`),
+   *                               messageId, timestamp, appId and trace headers are set by default (see "Message properties" and "Tracing")
+   * @return {Boolean|Promise} channel write result, or promise if `app.publisherConfirms` or `app.publishHighWaterMark`
    */
   publish (exchange, routingKey, content, options) {
-    const publisherChannel = this.publisherChannel
-    let args = assertArgs(arguments, {
+    const args = assertArgs(arguments, {
       'exchange': 'string',
       'routingKey': 'string',
       'content': ['object', 'array', 'string', Buffer],
       '[options]': 'object'
     })
-    // array args
-    args = values(args).filter(exists)
-    // cast content to buffer
-    args[2] = castToBuffer(args[2])
+    // encode content, and set contentType
+    const encoded = encodeContent(this.app.encoders, args.content, args.options)
+    content = encoded.content
+    // set messageId, timestamp, appId and trace headers
+    options = messageProperties(this.app, encoded.options, this.message)
+    const app = this.app
+    const channel = this.publisherChannel
+    app.metrics.inc('coworkers_messages_published_total', { queue: this.queueName, method: 'publish' })
 
-    return publisherChannel.publish.apply(publisherChannel, args)
+    return tracePublish(this, {
+      name: `${args.exchange || '(default)'} send`,
+      kind: SpanKind.PRODUCER,
+      attributes: {
+        'messaging.destination': args.exchange,
+        'messaging.rabbitmq.routing_key': args.routingKey
+      }
+    }, options, function () {
+      return appPublish(app, channel, 'publish',
+        [args.exchange, args.routingKey, content, options])
+    })
   }
   /**
    * Proxy method to publisherChannel.sendToQueue
    *   publish a message directly to a queue
    * @param  {String} queue   queue name to publish to
-   * @param  {Buffer|Object|Array|String} content message content
-   * @param  {Object} [options] publish options
+   * @param  {Buffer|Object|Array|String} content message content, encoded using `options.contentType`'s encoder
+   * @param  {Object} [options] publish options, `contentType` defaults by content type (see `app.encoder`)
+   * @return {Boolean|Promise} channel write result, or promise if `app.publisherConfirms` or `app.publishHighWaterMark`
    */
   sendToQueue (queue, content, options) {
-    const publisherChannel = this.publisherChannel
-    let args = assertArgs(arguments, {
+    const args = assertArgs(arguments, {
       'queue': 'string',
       'content': ['object', 'array', 'string', Buffer],
       '[options]': 'object'
     })
-    // array args
-    args = values(args).filter(exists)
-    // cast content to buffer
-    args[1] = castToBuffer(args[1])
+    // encode content, and set contentType
+    const encoded = encodeContent(this.app.encoders, args.content, args.options)
+    content = encoded.content
+    // set messageId, timestamp, appId and trace headers
+    options = messageProperties(this.app, encoded.options, this.message)
+    const app = this.app
+    const channel = this.publisherChannel
+    app.metrics.inc('coworkers_messages_published_total', { queue: this.queueName, method: 'sendToQueue' })
 
-    return publisherChannel.sendToQueue.apply(publisherChannel, args)
+    return tracePublish(this, {
+      name: `${args.queue} send`,
+      kind: SpanKind.PRODUCER,
+      attributes: {
+        'messaging.destination': args.queue,
+        'messaging.destination_kind': 'queue'
+      }
+    }, options, function () {
+      return appPublish(app, channel, 'sendToQueue',
+        [args.queue, content, options])
+    })
   }
   /**
    * Reply to an rpc request, publish a message to replyTo queue
-   * @param  {Buffer|Object|Array|String} content message content
-   * @param  {Object} options publish options
+   * @param  {Buffer|Object|Array|String} content message content, encoded using `options.contentType`'s encoder
+   * @param  {Object} [options] publish options, `contentType` defaults by content type (see `app.encoder`)
+   * @return {Boolean|Promise} channel write result, or promise if `app.publisherConfirms` or `app.publishHighWaterMark`
    */
   reply (content, options) {
     const replyTo = this.message.properties.replyTo
@@ -151,101 +204,74 @@ module.exports = class Context {
       'content': ['object', 'array', 'string', Buffer],
       '[options]': 'object'
     })
-    defaults(args, {
-      options: {}
-    })
-    // cast content to a buffer
-    content = castToBuffer(args.content)
-    options = args.options
+    // encode content, and set contentType
+    const encoded = encodeContent(this.app.encoders, args.content, args.options)
+    content = encoded.content
+    // set messageId, timestamp, appId and trace headers
+    options = messageProperties(this.app, encoded.options, this.message)
     // set correlation id for the reply message
     options.correlationId = correlationId
+    const app = this.app
+    const channel = this.publisherChannel
+    app.metrics.inc('coworkers_messages_published_total', { queue: this.queueName, method: 'reply' })
 
-    return this.publisherChannel.sendToQueue(replyTo, content, options)
+    return tracePublish(this, {
+      name: `${replyTo} send`,
+      kind: SpanKind.PRODUCER,
+      attributes: {
+        'messaging.destination': replyTo,
+        'messaging.destination_kind': 'queue',
+        'messaging.conversation_id': correlationId
+      }
+    }, options, function () {
+      return appPublish(app, channel, 'sendToQueue',
+        [replyTo, content, options])
+    })
   }
   /**
    * Make an rpc request, publish a message to an rpc queue
+   *   requests share the app's rpc channel, and replies are recieved using direct reply-to (see `RpcClient`)
    * @param  {String}   queue     name of rpc-queue to send the message to
-   * @param  {Buffer}   content   message content
+   * @param  {Buffer|Object|String} content message content, encoded using `sendOpts.contentType`'s encoder
    * @param  {Object}   [sendOpts]  sendToQueue options
-   * @param  {Object}   [queueOpts] assertQueue options for replyTo queue, queueOpts.exclusive defaults to true
-   * @param  {Object}   [consumeOpts] consume options for replyTo queue, consumeOpts defaults to true
-   * @return {Promise}  returns a promise
+   * @param  {Number}   [sendOpts.timeout]  reply timeout in ms, rejects w/ a RpcTimeoutError, default: app.requestTimeout
+   * @return {Promise}  reply message promise
    */
-  request (queue, content, sendOpts, queueOpts, consumeOpts) {
-    const self = this
+  request (queue, content, sendOpts) {
     const args = assertArgs(arguments, {
       'queue': 'string',
       'content': ['object', 'string', Buffer],
-      '[sendOpts]': 'object',
-      '[queueOpts]': 'object',
-      '[consumeOpts]': 'object',
-      '[cb]': 'function'
+      '[sendOpts]': 'object'
     })
-    defaults(args, {
-      sendOpts: {},
-      queueOpts: {},
-      consumeOpts: {}
+    // encode content, and set contentType
+    const encoded = encodeContent(this.app.encoders, args.content, args.sendOpts)
+    // set messageId, timestamp, appId and trace headers
+    sendOpts = messageProperties(this.app, encoded.options, this.message)
+    // timeout is not a message property
+    const timeout = exists(sendOpts.timeout) ? sendOpts.timeout : this.app.requestTimeout
+    delete sendOpts.timeout
+    const rpcClient = this.app.rpcClient
+    const endTimer = this.app.metrics.startTimer('coworkers_rpc_duration_seconds', {
+      queue: this.queueName,
+      rpc_queue: args.queue
     })
-    defaults(args.queueOpts, { exclusive: true }) // default exclusive queue. scopes queue to the connection
-    defaults(args.consumeOpts, { noAck: true }) // default no ack required for replyTo
-    queue = args.queue
-    content = castToBuffer(args.content)
-    sendOpts = args.sendOpts
-    queueOpts = args.queueOpts
-    consumeOpts = args.consumeOpts
-
-    const promise = co(function * () {
-      const channel = yield self.connection.createChannel()
-      // set channel type
-      self.app.emit('channel:create', channel, 'rpc')
-
-      return yield co(function * () {
-        // create a queue w/ a random name
-        const q = yield channel.assertQueue('', queueOpts)
-        const corrId = uuid.v4()
-        const messagePromise = new Promise(function (resolve, reject) {
-          const thunk = first([[channel, 'error', 'exit']], exitHandler)
-          channel
-            .consume(q.queue, messageHandler, consumeOpts)
-            .catch(reject) // if consume attach fails
-          function messageHandler (message) {
-            if (message.properties.correlationId === corrId) {
-              thunk.cancel() // remove 'error' and 'exit' event handler
-              resolve(message)
-            }
-          }
-          function exitHandler (err) {
-            channel.___closed = true
-            if (err) { return reject(err) }
-            reject(new Error('rpc channel exited before recieving reply message'))
-          }
-        })
-        // assign correlationId and replyTo
-        assign(sendOpts, { correlationId: corrId, replyTo: q.queue })
-        channel.sendToQueue(queue, content, sendOpts)
-        // > `finally`
-        const message = yield messagePromise
-        // close channel, don't yield
-        closeChannel(channel)
 
-        return message
-      }).catch(function (err) {
-        // close channel, don't yield
-        closeChannel(channel)
+    // the span ends when the reply is received (or the request times out)
+    return tracePublish(this, {
+      name: `${args.queue} request`,
+      kind: SpanKind.CLIENT,
+      attributes: {
+        'messaging.destination': args.queue,
+        'messaging.destination_kind': 'queue'
+      }
+    }, sendOpts, function () {
+      return rpcClient.request(args.queue, encoded.content, sendOpts, timeout).then(function (reply) {
+        endTimer({ status: 'success' })
+        return reply
+      }, function (err) {
+        endTimer({ status: 'error' })
         throw err
       })
     })
-    function closeChannel (channel) {
-      if (channel.___closed) return
-      channel.close()
-        .then(function () {
-          self.app.emit('channel:close', channel, 'rpc')
-        })
-        .catch(function (err) {
-          self.app.emit('channel:close:error', err, channel, 'rpc')
-        })
-    }
-
-    return promise
   }
 }
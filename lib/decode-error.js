@@ -0,0 +1,8 @@
+'use strict'
+
+module.exports = class DecodeError extends Error {
+  constructor (message, cause) {
+    super(message)
+    this.cause = cause
+  }
+}
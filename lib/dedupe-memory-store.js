@@ -0,0 +1,59 @@
+'use strict'
+
+const assert = require('assert')
+
+const defaults = require('101/defaults')
+const isNumber = require('101/is-number')
+
+/**
+ * In-memory LRU+TTL store for `dedupe`, keys are evicted when they expire,
+ *   or when the store is full (least recently used first). not shared between processes
+ * @param  {Object} [opts] store options
+ * @param  {Number} [opts.max] maximum number of keys, default: 10000
+ * @param  {Number} [opts.ttl] time to remember a key in ms, default: 1 hour
+ * @api public
+ */
+module.exports = class MemoryStore {
+  constructor (opts) {
+    opts = defaults(opts || {}, {
+      max: 10000,
+      ttl: 60 * 60 * 1000
+    })
+    assert(isNumber(opts.max), '"max" must be a number')
+    assert(isNumber(opts.ttl), '"ttl" must be a number')
+    this.max = opts.max
+    this.ttl = opts.ttl
+    this.keys = new Map() // key: expiresAt, in least recently used order
+  }
+  /**
+   * Check if a key has been processed
+   * @param  {String} key message key
+   * @return {Boolean} true if the key exists and has not expired
+   */
+  has (key) {
+    const expiresAt = this.keys.get(key)
+    if (!expiresAt) {
+      return false
+    }
+    this.keys.delete(key)
+    if (expiresAt <= Date.now()) {
+      return false
+    }
+    // most recently used
+    this.keys.set(key, expiresAt)
+
+    return true
+  }
+  /**
+   * Mark a key as processed
+   * @param  {String} key message key
+   */
+  add (key) {
+    this.keys.delete(key)
+    this.keys.set(key, Date.now() + this.ttl)
+    while (this.keys.size > this.max) {
+      // evict least recently used
+      this.keys.delete(this.keys.keys().next().value)
+    }
+  }
+}
@@ -0,0 +1,66 @@
+'use strict'
+
+const assert = require('assert')
+
+const defaults = require('101/defaults')
+const exists = require('101/exists')
+const isFunction = require('101/is-function')
+
+const debug = require('./utils/debug')()
+const MemoryStore = require('./dedupe-memory-store.js')
+
+module.exports = dedupe
+module.exports.MemoryStore = MemoryStore
+
+/**
+ * Create a deduplication middleware, RabbitMQ delivers messages at-least-once.
+ *   messages w/ a key that has already been processed are acked, w/out invoking downstream middlewares.
+ *   a message's key is stored once downstream middlewares ack it (`context.ack` or `context.ackAll`).
+ *   messages w/out a key are not deduplicated
+ * @param  {Object} [opts] dedupe options
+ * @param  {Function} [opts.key] key(context), returns the message's key, default: `message.properties.messageId`
+ * @param  {Object} [opts.store] processed keys store, w/ `has(key)` and `add(key)` methods that may return promises,
+ *                               default: MemoryStore (in-memory LRU+TTL store)
+ * @param  {Boolean} [opts.redeliveredOnly] only lookup redelivered messages (`message.fields.redelivered`), skipping the
+ *                                          store lookup on first delivery, default: true.
+ *                                          disable it to dedupe messages that were published more than once
+ * @return {Function} middleware(context, next)
+ * @api public
+ */
+function dedupe (opts) {
+  opts = defaults(opts || {}, {
+    key: messageId,
+    redeliveredOnly: true
+  })
+  assert(isFunction(opts.key), '"key" must be a function')
+  const store = opts.store || new MemoryStore()
+  assert(isFunction(store.has) && isFunction(store.add), '"store" must have "has" and "add" methods')
+
+  return function dedupeMessage (context, next) {
+    const key = opts.key(context)
+    if (!exists(key)) {
+      return next()
+    }
+    const lookup = opts.redeliveredOnly && !context.message.fields.redelivered
+      ? false
+      : store.has(key)
+
+    return Promise.resolve(lookup).then(function (processed) {
+      if (processed) {
+        debug('message %s already processed %s, ack', context.deliveryTag, key)
+        context.ack = true
+        return
+      }
+
+      return next().then(function () {
+        if (!context.aborted && (context.ack || context.ackAll)) {
+          return store.add(key)
+        }
+      })
+    })
+  }
+}
+
+function messageId (context) {
+  return context.message.properties.messageId
+}
@@ -0,0 +1,79 @@
+'use strict'
+
+/**
+ * Tracks a consumer channel's outstanding (unsettled) deliveries by deliveryTag,
+ *   and marks their contexts settled (`context.messageAcked`) when the channel acks, nacks or rejects them,
+ *   including messages implicitly settled by `allUpTo`, `ackAll` and `nackAll`.
+ *   delivery tags are scoped to a channel, so each consumer channel has its own tracker (see create-app-channel.js)
+ */
+module.exports = class DeliveryTracker {
+  constructor () {
+    this.deliveries = new Map() // deliveryTag: context
+  }
+  /**
+   * Number of unsettled deliveries
+   * @return {Number} size
+   */
+  get size () {
+    return this.deliveries.size
+  }
+  /**
+   * Track a delivered message's context, until it is settled
+   * @param  {Context} context message context
+   */
+  track (context) {
+    this.deliveries.set(context.deliveryTag, context)
+  }
+  /**
+   * Settle a message, invoked by the consumer channel's ack, nack and reject
+   * @param  {Object} message amqplib message (w/ `context`)
+   * @param  {Boolean} [allUpTo] also settle all outstanding messages up to and including this message
+   * @return {Array} settled contexts
+   */
+  settle (message, allUpTo) {
+    const contexts = []
+    if (allUpTo) {
+      const deliveryTag = message.fields.deliveryTag
+      this.deliveries.forEach(function (context, tag) {
+        if (tag <= deliveryTag && context !== message.context) {
+          contexts.push(context)
+        }
+      })
+    }
+    contexts.push(message.context)
+    contexts.forEach(this.settled, this)
+
+    return contexts
+  }
+  /**
+   * Settle all outstanding messages, invoked by the consumer channel's ackAll and nackAll
+   * @return {Array} settled contexts
+   */
+  settleAll () {
+    const contexts = this.contexts()
+    contexts.forEach(this.settled, this)
+
+    return contexts
+  }
+  /**
+   * Mark a context as settled, and stop tracking it
+   * @param  {Context} context message context
+   */
+  settled (context) {
+    context.messageAcked = true
+    this.deliveries.delete(context.deliveryTag)
+  }
+  /**
+   * Stop tracking all deliveries, invoked when the channel closes (unsettled messages are requeued by RabbitMQ)
+   */
+  clear () {
+    this.deliveries.clear()
+  }
+  /**
+   * Get the contexts of all unsettled deliveries, in delivery order
+   * @return {Array} contexts
+   */
+  contexts () {
+    return Array.from(this.deliveries.values())
+  }
+}
@@ -0,0 +1,9 @@
+'use strict'
+
+module.exports = class HandlerTimeoutError extends Error {
+  constructor (message, queue, timeout) {
+    super(message)
+    this.queue = queue
+    this.timeout = timeout
+  }
+}
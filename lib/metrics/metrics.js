@@ -0,0 +1,229 @@
+'use strict'
+
+const assert = require('assert')
+
+const defaults = require('101/defaults')
+const exists = require('101/exists')
+const noop = require('101/noop')
+
+const types = ['counter', 'gauge', 'histogram']
+// prometheus' default buckets, in seconds
+const defaultBuckets = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+// metrics recorded by coworkers
+const appMetrics = [
+  ['counter', 'coworkers_messages_received_total', 'Messages received, by queue'],
+  ['counter', 'coworkers_messages_acked_total', 'Messages acked, by queue'],
+  ['counter', 'coworkers_messages_nacked_total', 'Messages nacked, by queue'],
+  ['counter', 'coworkers_messages_rejected_total', 'Messages rejected, by queue'],
+  ['counter', 'coworkers_messages_retried_total', 'Messages retried, by queue'],
+  ['counter', 'coworkers_messages_errored_total', 'Messages whose middlewares errored or timed out, by queue'],
+  ['gauge', 'coworkers_messages_in_flight', 'Messages being handled, by queue'],
+  ['histogram', 'coworkers_handler_duration_seconds', 'Message handling duration in seconds, by queue'],
+  ['counter', 'coworkers_messages_published_total', 'Messages published by contexts, by queue and method'],
+  ['histogram', 'coworkers_rpc_duration_seconds', 'Rpc request duration in seconds, by queue, rpc queue and status']
+]
+
+/**
+ * Metrics registry, records counters, gauges and histograms by labels (ex: { queue: 'foo-queue' }).
+ *   coworkers' metrics are defined by default, see "Metrics". disabled metrics do not record anything (the app's default)
+ * @param  {Object} [opts] metrics options
+ * @param  {Boolean} [opts.enabled] record metrics, default: true
+ * @param  {Array} [opts.buckets] default histogram buckets in seconds, default: prometheus' default buckets
+ * @api public
+ */
+module.exports = class Metrics {
+  constructor (opts) {
+    opts = defaults(opts || {}, {
+      enabled: true,
+      buckets: defaultBuckets
+    })
+    assert(Array.isArray(opts.buckets), '"buckets" must be an array')
+    this.enabled = opts.enabled
+    this.buckets = opts.buckets
+    this.metrics = {
+      // <name>: { type, help, [buckets], values: { <label key>: value } }
+    }
+    appMetrics.forEach(function (metric) {
+      this.define.apply(this, metric)
+    }, this)
+  }
+  /**
+   * Define a metric
+   * @param  {String} type "counter", "gauge" or "histogram"
+   * @param  {String} name metric name, ex: "myapp_users_created_total"
+   * @param  {String} help metric description
+   * @param  {Array} [buckets] histogram buckets, default: metrics' buckets
+   * @return {Metrics} self
+   */
+  define (type, name, help, buckets) {
+    assert(~types.indexOf(type), '"type" must be "counter", "gauge" or "histogram"')
+    assert(!this.metrics[name], `metric "${name}" is already defined`)
+    const metric = this.metrics[name] = {
+      type: type,
+      help: help,
+      values: {}
+    }
+    if (type === 'histogram') {
+      metric.buckets = (buckets || this.buckets).slice().sort(function (a, b) {
+        return a - b
+      })
+    }
+
+    return this
+  }
+  /**
+   * Increment a counter or gauge
+   * @param  {String} name metric name
+   * @param  {Object} [labels] metric labels
+   * @param  {Number} [value] increment, default: 1
+   */
+  inc (name, labels, value) {
+    value = exists(value) ? value : 1
+    if (!this.enabled) {
+      return
+    }
+    const metric = this.get(name, ['counter', 'gauge'])
+    assert(metric.type === 'gauge' || value >= 0, 'counters cannot be decremented')
+    const key = labelKey(labels)
+    metric.values[key] = (metric.values[key] || 0) + value
+  }
+  /**
+   * Decrement a gauge
+   * @param  {String} name metric name
+   * @param  {Object} [labels] metric labels
+   * @param  {Number} [value] decrement, default: 1
+   */
+  dec (name, labels, value) {
+    this.get(name, ['gauge'])
+    this.inc(name, labels, -(exists(value) ? value : 1))
+  }
+  /**
+   * Set a gauge
+   * @param  {String} name metric name
+   * @param  {Object} [labels] metric labels
+   * @param  {Number} value value
+   */
+  set (name, labels, value) {
+    if (!this.enabled) {
+      return
+    }
+    this.get(name, ['gauge']).values[labelKey(labels)] = value
+  }
+  /**
+   * Observe a histogram value
+   * @param  {String} name metric name
+   * @param  {Object} [labels] metric labels
+   * @param  {Number} value value, ex: a duration in seconds
+   */
+  observe (name, labels, value) {
+    if (!this.enabled) {
+      return
+    }
+    const metric = this.get(name, ['histogram'])
+    const key = labelKey(labels)
+    const histogram = metric.values[key] = metric.values[key] || {
+      buckets: metric.buckets.map(function () { return 0 }), // cumulative counts
+      sum: 0,
+      count: 0
+    }
+    metric.buckets.forEach(function (le, i) {
+      if (value <= le) {
+        histogram.buckets[i]++
+      }
+    })
+    histogram.sum += value
+    histogram.count++
+  }
+  /**
+   * Start a histogram timer
+   * @param  {String} name histogram name
+   * @param  {Object} [labels] metric labels
+   * @return {Function} end([labels]), observes the duration in seconds, w/ additional labels
+   */
+  startTimer (name, labels) {
+    if (!this.enabled) {
+      return noop
+    }
+    const self = this
+    const start = process.hrtime()
+
+    return function end (endLabels) {
+      const diff = process.hrtime(start)
+      self.observe(name, Object.assign({}, labels, endLabels), diff[0] + diff[1] / 1e9)
+    }
+  }
+  /**
+   * Get a metric definition w/ values
+   * @param  {String} name metric name
+   * @param  {Array} [types] expected metric types
+   * @return {Object} metric
+   */
+  get (name, types) {
+    const metric = this.metrics[name]
+    assert(metric, `metric "${name}" is not defined`)
+    if (types) {
+      assert(~types.indexOf(metric.type), `metric "${name}" is not a ${types.join(' or ')}`)
+    }
+    return metric
+  }
+  /**
+   * Get a serializable copy of all metrics, ex: to send to the cluster master
+   * @return {Object} snapshot
+   */
+  snapshot () {
+    return JSON.parse(JSON.stringify(this.metrics))
+  }
+  /**
+   * Merge snapshots (ex: of cluster workers), counters, gauges and histograms are summed
+   * @param  {Array} snapshots metrics snapshots
+   * @return {Object} merged snapshot
+   */
+  static merge (snapshots) {
+    const merged = {}
+    snapshots.forEach(function (snapshot) {
+      Object.keys(snapshot).forEach(function (name) {
+        const metric = snapshot[name]
+        const mergedMetric = merged[name] = merged[name] || Object.assign({}, metric, { values: {} })
+        Object.keys(metric.values).forEach(function (key) {
+          mergedMetric.values[key] = sum(mergedMetric.values[key], metric.values[key])
+        })
+      })
+    })
+
+    return merged
+  }
+}
+
+/**
+ * format labels as a prometheus label string, ex: 'method="publish",queue="foo-queue"'
+ */
+function labelKey (labels) {
+  labels = labels || {}
+  return Object.keys(labels).sort().map(function (name) {
+    const value = String(labels[name])
+      .replace(/\\/g, '\\\\')
+      .replace(/\n/g, '\\n')
+      .replace(/"/g, '\\"')
+    return `${name}="${value}"`
+  }).join(',')
+}
+
+/**
+ * sum two metric values (numbers or histograms)
+ */
+function sum (a, b) {
+  if (!exists(a)) {
+    return b
+  }
+  if (typeof b === 'number') {
+    return a + b
+  }
+
+  return {
+    buckets: b.buckets.map(function (count, i) {
+      return a.buckets[i] + count
+    }),
+    sum: a.sum + b.sum,
+    count: a.count + b.count
+  }
+}
@@ -0,0 +1,43 @@
+'use strict'
+
+module.exports = formatPrometheus
+module.exports.contentType = 'text/plain; version=0.0.4; charset=utf-8'
+
+/**
+ * Format a metrics snapshot in prometheus' text exposition format
+ * @param  {Object} snapshot metrics snapshot, see `Metrics`
+ * @return {String} metrics text
+ */
+function formatPrometheus (snapshot) {
+  return Object.keys(snapshot).map(function (name) {
+    const metric = snapshot[name]
+    const help = metric.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')
+    const lines = [
+      `# HELP ${name} ${help}`,
+      `# TYPE ${name} ${metric.type}`
+    ]
+    Object.keys(metric.values).forEach(function (key) {
+      const value = metric.values[key]
+      if (metric.type !== 'histogram') {
+        lines.push(`${name}${braces(key)} ${value}`)
+        return
+      }
+      metric.buckets.forEach(function (le, i) {
+        lines.push(`${name}_bucket${braces(join(key, `le="${le}"`))} ${value.buckets[i]}`)
+      })
+      lines.push(`${name}_bucket${braces(join(key, 'le="+Inf"'))} ${value.count}`)
+      lines.push(`${name}_sum${braces(key)} ${value.sum}`)
+      lines.push(`${name}_count${braces(key)} ${value.count}`)
+    })
+
+    return lines.join('\n') + '\n'
+  }).join('')
+}
+
+function braces (labels) {
+  return labels ? `{${labels}}` : ''
+}
+
+function join (labels, label) {
+  return labels ? `${labels},${label}` : label
+}
@@ -0,0 +1,100 @@
+'use strict'
+
+const co = require('co')
+const isGeneratorFunction = require('is-generator').fn
+
+const Context = require('../context.js')
+const debug = require('../utils/debug.js')()
+const HandlerTimeoutError = require('../handler-timeout-error.js')
+const respond = require('./app-respond.js')
+const ValidationError = require('../validation-error.js')
+
+module.exports = handleError
+module.exports.fallback = fallback
+
+const ackMethods = ['ack', 'nack', 'ackAll', 'nackAll', 'reject', 'retry']
+
+/**
+ * Error handling utility, handles middleware and respond errors
+ *   invokes the queue's `consumeOpts.onError` handler, then the app's `onError` handlers, in order,
+ *   until one of them settles the message using an ack shortcut (ex: `context.nack = true`), which is then responded to.
+ *   if no handler settles the message (or a handler errors), the error is handled by `Context.onerror`,
+ *   which emits the app "error" event, and then `onErrorAction` is applied
+ * @param  {Context} context message context
+ * @param  {Error} err middleware or respond error
+ * @return {Promise} error handling promise, never rejects
+ */
+function handleError (context, err) {
+  const handlers = [context.consumeOpts.onError]
+    .concat(context.app.errorHandlers)
+    .filter(Boolean)
+
+  if (!handlers.length) {
+    fallback(context, err)
+    return Promise.resolve()
+  }
+  // ack shortcuts set before the error are ignored, handlers decide how the message is settled
+  ackMethods.forEach(function (method) {
+    context[method] = false
+  })
+
+  return co(function * () {
+    for (let i = 0; i < handlers.length; i++) {
+      const handler = handlers[i]
+      yield isGeneratorFunction(handler)
+        ? co.call(context, handler, err, context)
+        : Promise.resolve(handler.call(context, err, context))
+      if (isSettled(context)) {
+        debug('error handled by onError handler %s', handler.name || '-')
+        yield Promise.resolve(respond.call(context))
+        return
+      }
+    }
+    // no handler settled the message, fallback to the app "error" event
+    fallback(context, err)
+  }).catch(function (handlerErr) {
+    fallback(context, handlerErr)
+  })
+}
+
+/**
+ * Emit the error on the app (see `Context.onerror`), then apply the queue's (or app's) `onErrorAction`
+ *   if the "error" listener did not ack, nack or reject the message (`context.messageAcked`).
+ *   messages that failed validation (ValidationError) are always rejected,
+ *   and timed out messages (HandlerTimeoutError) are nacked if the action is "none"
+ */
+function fallback (context, err) {
+  Context.onerror(context, err)
+  // invalid messages are rejected, requeueing them would redeliver them forever
+  let action = err instanceof ValidationError
+    ? 'reject'
+    : context.consumeOpts.onErrorAction || context.app.onErrorAction
+  if (action === 'none' && err instanceof HandlerTimeoutError) {
+    // free the hung message's prefetch slot
+    action = 'nack'
+  }
+  const channel = context.consumerChannel
+  if (action === 'none' || context.consumeOpts.noAck || context.messageAcked || !channel) {
+    return
+  }
+  debug('apply onErrorAction %s', action)
+  try {
+    if (action === 'reject') {
+      channel.reject(context.message, false)
+    } else {
+      channel.nack(context.message, false, action === 'requeue')
+    }
+  } catch (actionErr) {
+    // channel closed, the message will be redelivered
+    debug('onErrorAction %s failed', action, actionErr)
+  }
+}
+
+/**
+ * check if an ack shortcut has been set
+ */
+function isSettled (context) {
+  return ackMethods.some(function (method) {
+    return context[method]
+  })
+}
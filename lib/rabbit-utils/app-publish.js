@@ -0,0 +1,116 @@
+'use strict'
+
+const exists = require('101/exists')
+const first = require('ee-first')
+
+const debug = require('../utils/debug.js')()
+
+module.exports = appPublish
+
+/**
+ * Publish utility, used by context's publish methods
+ *   if `app.publisherConfirms` is enabled the channel is a confirm channel,
+ *   and a promise is returned which resolves when the broker acks the message
+ *   if `app.publishHighWaterMark` is set, a promise is returned which resolves
+ *   when the message has been written (waits for "drain" if the channel's buffer is full)
+ * @param  {Application} app coworkers application
+ * @param  {Channel} channel amqplib publisher channel
+ * @param  {String} method channel method: 'publish' or 'sendToQueue'
+ * @param  {Array} args channel method args, content must be a buffer and options is required
+ * @return {Boolean|Promise} channel write result, or promise if `app.publisherConfirms` or `app.publishHighWaterMark`
+ */
+function appPublish (app, channel, method, args) {
+  if (!exists(app.publishHighWaterMark)) {
+    return write(app, channel, method, args).result
+  }
+  const state = getDrainState(channel)
+
+  if (!hasCapacity(state, app.publishHighWaterMark)) {
+    // wait for drain, then try again
+    return state.drainPromise.then(function () {
+      return appPublish(app, channel, method, args)
+    })
+  }
+  const written = write(app, channel, method, args)
+
+  if (!written.ok && !state.blocked) {
+    block(app, channel, state)
+  }
+  const drainPromise = state.blocked
+    ? state.drainPromise
+    : Promise.resolve()
+
+  return Promise.all([drainPromise, written.result]).then(function () {})
+}
+
+/**
+ * write to the channel
+ * @return {Object} { ok: channel write result, result: write result or confirm promise }
+ */
+function write (app, channel, method, args) {
+  if (!app.publisherConfirms) {
+    const ok = channel[method].apply(channel, args)
+    return { ok: ok, result: ok }
+  }
+  let ok
+  const promise = new Promise(function (resolve, reject) {
+    ok = channel[method].apply(channel, args.concat(function (err) {
+      if (err) {
+        // broker nacked the message
+        return reject(err)
+      }
+      resolve()
+    }))
+  })
+
+  return { ok: ok, result: promise }
+}
+
+/**
+ * get channel's drain state, create it if it does not exist
+ */
+function getDrainState (channel) {
+  channel.__drainState = channel.__drainState || {
+    blocked: false,
+    pending: 0 // messages written while blocked
+  }
+
+  return channel.__drainState
+}
+
+/**
+ * check if the channel can be written to
+ *   while blocked, up to `highWaterMark` messages can be written before publishes wait for drain
+ */
+function hasCapacity (state, highWaterMark) {
+  if (!state.blocked) {
+    return true
+  }
+  if (state.pending < highWaterMark) {
+    state.pending++
+    return true
+  }
+
+  return false
+}
+
+/**
+ * mark the channel as blocked until it emits "drain"
+ */
+function block (app, channel, state) {
+  debug('publisher channel buffer is full, wait for drain')
+  state.blocked = true
+  state.pending = 0
+  state.drainPromise = new Promise(function (resolve, reject) {
+    first([[channel, 'drain', 'close', 'error']], function (err, ee, event) {
+      state.blocked = false
+      if (event === 'drain') {
+        debug('publisher channel drained')
+        app.emit('publisher:drain', channel)
+        return resolve()
+      }
+      reject(err || new Error('Publisher channel closed before drain'))
+    })
+  })
+  app.emit('publisher:backpressure', channel)
+}
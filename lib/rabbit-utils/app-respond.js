@@ -1,15 +1,27 @@
 'use strict'
 
-const pick = require('101/pick')
-const values = require('object-values')
-
-const Context = require('../context.js')
 const NoAckError = require('../no-ack-error.js')
+const retry = require('./app-retry.js')
 
 module.exports = respond
 
+// channel method args, in order
+const methodArgs = {
+  ack: ['message', 'allUpTo'],
+  nack: ['message', 'allUpTo', 'requeue'],
+  ackAll: [],
+  nackAll: ['requeue'],
+  reject: ['message', 'requeue']
+}
+// ack property defaults, that differ from amqplib's defaults
+const methodDefaults = {
+  reject: { requeue: false }
+}
+
 /**
  * Respond utility
+ *   throws a NoAckError if the message was not acked (and the queue is not `noAck`)
+ * @return {Promise|undefined} retry promise, if the message is being retried
  */
 function respond () {
   const context = this
@@ -17,23 +29,25 @@ function respond () {
   const channel = context.consumerChannel
   let method
   let args
-  const methods = ['ack', 'nack', 'ackAll', 'nackAll', 'reject']
+  const methods = ['ack', 'nack', 'ackAll', 'nackAll', 'reject', 'retry']
   method = methods.find(function (method) {
     if (context[method]) {
       args = context[method]
       return true
     }
   })
-  if (method) {
-    args = values(pick(args, ['allUpTo', 'requeue']))
-    if (method === 'ack' || method === 'nack') {
-      args.unshift(context.message)
-    }
+  if (method === 'retry') {
+    // acks, nacks and rejects are counted by the consumer channel, see create-app-channel.js
+    context.app.metrics.inc('coworkers_messages_retried_total', { queue: context.queueName })
+    return retry(context, args)
+  } else if (method) {
+    args = Object.assign({}, methodDefaults[method], args, { message: context.message })
+    args = methodArgs[method].map(function (name) {
+      return args[name]
+    })
     channel[method].apply(channel, args)
   } else if (!consumeOpts.noAck) {
-    // if queue is expecting an acknowledgement emit err
-    let err = new NoAckError('Message completed middlewares w/out any acknowledgement')
-
-    Context.onerror(context, err)
+    // if queue is expecting an acknowledgement throw err, handled by app-handle-error.js
+    throw new NoAckError('Message completed middlewares w/out any acknowledgement')
   }
 }
@@ -0,0 +1,71 @@
+'use strict'
+
+const assign = require('101/assign')
+const co = require('co')
+const defaults = require('101/defaults')
+
+const appPublish = require('./app-publish.js')
+const debug = require('../utils/debug.js')()
+
+module.exports = retry
+
+/**
+ * Retry utility, republishes a message to a delay queue which dead-letters back to the original queue
+ *   the delay queue is named "<queueName>.retry.<delay>" and expires messages after `delay` ms
+ *   the "x-retry-count" header tracks the number of retries, and the first retry stores the message's original
+ *   exchange and routing key in the "x-original-exchange" and "x-original-routing-key" headers
+ *   (redelivered messages are routed to the queue by name, see Router)
+ * @param  {Context} context message context
+ * @param  {Object} [opts] retry options, defaults to `context.consumeOpts.retry`
+ * @param  {Number} [opts.delay] delay before the message is redelivered in ms, default: 1000
+ * @param  {Number} [opts.maxAttempts] maximum number of retries, default: 5
+ * @param  {String} [opts.deadLetterQueue] queue to send the message to when retries are exhausted,
+ *                                         if not specified the message is rejected
+ * @return {Promise} retry promise, the original message is acked once it is republished
+ *                   (confirmed by the broker if `app.publisherConfirms` is enabled)
+ */
+function retry (context, opts) {
+  opts = defaults(assign({}, opts), context.consumeOpts.retry)
+  defaults(opts, {
+    delay: 1000,
+    maxAttempts: 5
+  })
+  const queueName = context.queueName
+  const message = context.message
+  const consumerChannel = context.consumerChannel
+  const publisherChannel = context.publisherChannel
+  const headers = message.properties.headers || {}
+  const retryCount = (headers['x-retry-count'] || 0) + 1
+
+  return co(function * () {
+    if (retryCount > opts.maxAttempts) {
+      if (!opts.deadLetterQueue) {
+        debug(`retries exhausted for "${queueName}", reject`)
+        consumerChannel.reject(message, false)
+        return
+      }
+      debug(`retries exhausted for "${queueName}", send to "${opts.deadLetterQueue}"`)
+      yield publisherChannel.assertQueue(opts.deadLetterQueue)
+      yield Promise.resolve(appPublish(context.app, publisherChannel, 'sendToQueue',
+        [opts.deadLetterQueue, message.content, message.properties]))
+    } else {
+      const delayQueue = `${queueName}.retry.${opts.delay}`
+      debug(`retry ${retryCount} for "${queueName}" using "${delayQueue}"`)
+      yield publisherChannel.assertQueue(delayQueue, {
+        messageTtl: opts.delay,
+        deadLetterExchange: '', // default exchange routes to queues by name
+        deadLetterRoutingKey: queueName
+      })
+      const props = assign({}, message.properties, {
+        headers: defaults(assign({}, headers, { 'x-retry-count': retryCount }), {
+          'x-original-exchange': message.fields.exchange,
+          'x-original-routing-key': message.fields.routingKey
+        })
+      })
+      yield Promise.resolve(appPublish(context.app, publisherChannel, 'sendToQueue',
+        [delayQueue, message.content, props]))
+    }
+    // message was republished, ack the original
+    consumerChannel.ack(message)
+  })
+}
@@ -1,11 +1,14 @@
 'use strict'
 
 const co = require('co')
+const exists = require('101/exists')
+const omit = require('101/omit')
 
 module.exports = assertAndConsumeAppQueue
 
 /**
  * Start consuming message from app's queues
+ *   applies the queue's prefetch (or app's prefetch) to the consumer channel before consuming
  * @param  {Application} app coworkers instance
  * @param  {String} queueName app queue's name
  * @return {Promise} consume promise (yields consumer tag)
@@ -14,11 +17,24 @@ function assertAndConsumeAppQueue (app, queueName) {
   return co(function * () {
     const queue = app.queueMiddlewares[queueName]
     const queueOpts = queue.queueOpts
-    const consumeOpts = queue.consumeOpts
+    const consumeOpts = omit(queue.consumeOpts, ['prefetch', 'prefetchGlobal'])
+    const prefetch = exists(queue.consumeOpts.prefetch)
+      ? queue.consumeOpts.prefetch
+      : app.prefetch
+    const prefetchGlobal = exists(queue.consumeOpts.prefetchGlobal)
+      ? queue.consumeOpts.prefetchGlobal
+      : app.prefetchGlobal
     const handler = app.messageHandler(queueName)
 
     yield app.consumerChannel.assertQueue(queueName, queueOpts)
 
-    return yield app.consumerChannel.consume(queueName, handler, consumeOpts)
+    if (exists(prefetch)) {
+      // global=false limits unacked messages per consumer, global=true per channel
+      yield app.consumerChannel.prefetch(prefetch, prefetchGlobal)
+    }
+
+    const consumeReply = yield app.consumerChannel.consume(queueName, handler, consumeOpts)
+
+    return consumeReply.consumerTag
   })
 }
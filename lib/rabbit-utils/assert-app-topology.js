@@ -0,0 +1,67 @@
+'use strict'
+
+const assert = require('assert')
+
+const amqplib = require('amqplib')
+const co = require('co')
+
+const debug = require('../utils/debug.js')()
+
+module.exports = assertAppTopology
+module.exports.withConnection = assertAppTopologyWithConnection
+
+/**
+ * Assert app's exchanges and bindings (declared using `app.exchange` and `app.bind`)
+ *   in dependency order: 1) exchanges, 2) bound queues, 3) bindings
+ * @param  {Application} app coworkers application
+ * @param  {Channel} channel amqplib channel used to assert the topology
+ * @return {Promise} assert promise
+ */
+function assertAppTopology (app, channel) {
+  return co(function * () {
+    const exchangeNames = Object.keys(app.exchanges)
+    const boundQueueNames = app.bindings
+      .map((binding) => binding.queue)
+      .filter((queueName, i, queueNames) => queueNames.indexOf(queueName) === i)
+
+    boundQueueNames.forEach(function (queueName) {
+      assert(app.queueMiddlewares[queueName],
+        `app.bind() requires "${queueName}" queue to be declared using app.queue()`)
+    })
+
+    debug('assert exchanges %o', exchangeNames)
+    yield exchangeNames.map(function (exchangeName) {
+      const exchange = app.exchanges[exchangeName]
+
+      return channel.assertExchange(exchangeName, exchange.type, exchange.opts)
+    })
+    debug('assert bound queues %o', boundQueueNames)
+    yield boundQueueNames.map(function (queueName) {
+      return channel.assertQueue(queueName, app.queueMiddlewares[queueName].queueOpts)
+    })
+    debug('assert bindings')
+    yield app.bindings.map(function (binding) {
+      return channel.bindQueue(binding.queue, binding.exchange, binding.routingKey, binding.args)
+    })
+  })
+}
+
+/**
+ * Assert app's topology using a temporary connection (used by the cluster master)
+ * @param  {Application} app coworkers application
+ * @param  {String} url connection url
+ * @param  {Object} [socketOptions] connection socket options
+ * @return {Promise} assert promise
+ */
+function assertAppTopologyWithConnection (app, url, socketOptions) {
+  return co(function * () {
+    const conn = yield amqplib.connect(url, socketOptions)
+
+    try {
+      const channel = yield conn.createChannel()
+      yield module.exports(app, channel)
+    } finally {
+      yield conn.close()
+    }
+  })
+}
@@ -4,6 +4,8 @@ const assert = require('assert')
 
 const co = require('co')
 
+const debug = require('../utils/debug.js')()
+const DeliveryTracker = require('../delivery-tracker.js')
 const wrap = require('../utils/wrap-func.js')
 
 module.exports = createAppChannel
@@ -11,8 +13,18 @@ module.exports = createAppChannel
 module.exports.closeHandler = closeHandler
 module.exports.errorHandler = errorHandler
 
+// counter metric by channel settle method, see "Metrics"
+const settleMetrics = {
+  ack: 'coworkers_messages_acked_total',
+  nack: 'coworkers_messages_nacked_total',
+  ackAll: 'coworkers_messages_acked_total',
+  nackAll: 'coworkers_messages_nacked_total',
+  reject: 'coworkers_messages_rejected_total'
+}
+
 /**
  * Create consumer or publisher RabbitMQ channel
+ *   publisher channel is a confirm channel if `app.publisherConfirms` is enabled
  * @param {String} key channel key {consumer, publisher}
  * @return {Promise} channel promise
  */
@@ -25,30 +37,67 @@ function createAppChannel (app, key) {
   return co(function * () {
     const channel =
       app[key] =
-        yield app.connection.createChannel()
+        (key === 'publisherChannel' && app.publisherConfirms)
+          ? yield app.connection.createConfirmChannel()
+          : yield app.connection.createChannel()
 
     channel.once('close', module.exports.closeHandler.bind(null, app, key))
     channel.once('error', module.exports.errorHandler.bind(null, app, key))
     app.emit('channel:create', channel)
 
-    // attach special event to determine if a message has been confirmed
-    // this event is handled in context.js
+    // track unsettled deliveries and whether a message has been acked, nacked or rejected (`context.messageAcked`)
+    // used by context.js, `app.inFlight` and the `onErrorAction` fallback in app-handle-error.js
+    // settled messages are counted here, so that every settlement is counted (respond, onErrorAction, middlewares)
     if (key === 'consumerChannel') {
-      wrap(channel, ['ack', 'nack'], function (fn, args) {
-        const message = args[0]
-        const context = message.context
-        assert(!context.messageAcked, 'Messages cannot be acked/nacked more than once (will close channel)')
-
+      const tracker = channel.deliveryTracker = new DeliveryTracker()
+      wrap(channel, ['ack', 'nack'], function (fn, args, method) {
+        return settleMessage(app, tracker, method, fn, this, args, args[1])
+      })
+      // reject does not have an allUpTo argument
+      wrap(channel, ['reject'], function (fn, args, method) {
+        return settleMessage(app, tracker, method, fn, this, args, false)
+      })
+      wrap(channel, ['ackAll', 'nackAll'], function (fn, args, method) {
         const ret = fn.apply(this, args)
-        context.messageAcked = true
+        countSettled(app, method, tracker.settleAll())
         return ret
       })
+      // unsettled messages are requeued when the channel closes
+      channel.once('close', function () {
+        tracker.clear()
+      })
     }
 
     return channel
   })
 }
 
+/**
+ * ack, nack or reject a message, and mark it (and all messages up to it, if allUpTo) as settled
+ */
+function settleMessage (app, tracker, method, fn, channel, args, allUpTo) {
+  const message = args[0]
+  if (message.context.aborted && message.context.messageAcked) {
+    // late ack from a timed out handler, the message was settled by its `onErrorAction`
+    debug('ignored %s of aborted message %s', fn.name, message.fields.deliveryTag)
+    return
+  }
+  assert(!message.context.messageAcked, 'Messages cannot be acked/nacked/rejected more than once (will close channel)')
+
+  const ret = fn.apply(channel, args)
+  countSettled(app, method, tracker.settle(message, allUpTo))
+  return ret
+}
+
+/**
+ * count settled messages, by queue
+ */
+function countSettled (app, method, contexts) {
+  contexts.forEach(function (context) {
+    app.metrics.inc(settleMetrics[method], { queue: context.queueName })
+  })
+}
+
 /**
  * channel close handler
  */
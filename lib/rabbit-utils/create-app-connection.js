@@ -5,6 +5,8 @@ const assert = require('assert')
 const amqplib = require('amqplib')
 const co = require('co')
 
+const reconnectApp = require('./reconnect-app.js')
+
 module.exports = createAppConnection
 // exports handlers for testing
 module.exports.closeHandler = closeHandler
@@ -12,6 +14,7 @@ module.exports.errorHandler = errorHandler
 
 /**
  * Create a RabbitMQ connection
+ *   connects using `app.amqplib` if it is set (ex: the in-memory broker used by coworkers/test)
  * @param  {Application} app        coworkers application
  * @param  {String} url             connection url
  * @param  {Object} [socketOptions] connection socket options
@@ -23,7 +26,7 @@ function createAppConnection (app, url, socketOptions) {
   return co(function * () {
     const conn =
       app.connection =
-        yield amqplib.connect(url, socketOptions)
+        yield (app.amqplib || amqplib).connect(url, socketOptions)
 
     conn.once('close', module.exports.closeHandler.bind(null, app))
     conn.once('error', module.exports.errorHandler.bind(null, app))
@@ -40,6 +43,7 @@ function closeHandler (app, conn) {
   delete app.connection
 
   app.emit('connection:close', conn)
+  reconnectIfEnabled(app)
 }
 /**
  * connection error handler
@@ -48,4 +52,13 @@ function errorHandler (app, err, conn) {
   delete app.connection
 
   app.emit('connection:error', err, conn)
+  reconnectIfEnabled(app)
+}
+/**
+ * reconnect if app has reconnect enabled and the connection was not closed by `app.close`
+ */
+function reconnectIfEnabled (app) {
+  if (app.reconnectOpts && !app.closingPromise) {
+    reconnectApp(app)
+  }
 }
@@ -0,0 +1,85 @@
+'use strict'
+
+const co = require('co')
+
+const backoffDelay = require('../utils/backoff-delay.js')
+const debug = require('../utils/debug.js')()
+
+module.exports = reconnectApp
+module.exports.cancel = cancelReconnect
+
+/**
+ * Reconnect app to RabbitMQ w/ exponential backoff, idempotent
+ *   `app.connect` recreates the connection, channels, and consumer
+ * @param  {Application} app coworkers application
+ * @return {Promise} reconnect promise, never rejects (see "reconnect:failed" event)
+ */
+function reconnectApp (app) {
+  if (app.reconnecting) {
+    return app.reconnecting.promise
+  }
+  const opts = app.reconnectOpts
+  const reconnecting = app.reconnecting = {}
+
+  reconnecting.promise = co(function * () {
+    let attempt = 0
+    let lastErr
+
+    while (attempt < opts.maxAttempts) {
+      attempt++
+      const delay = backoffDelay(attempt, opts)
+      debug(`reconnect attempt ${attempt} in ${delay}ms`)
+      app.emit('reconnect:attempt', attempt, delay)
+      // wait for delay, or until reconnect is cancelled
+      yield new Promise(function (resolve) {
+        reconnecting.resolveWait = resolve
+        reconnecting.timer = setTimeout(resolve, delay)
+      })
+      if (reconnecting.cancelled) {
+        debug('reconnect cancelled')
+        return
+      }
+      // consumer was lost w/ the connection
+      delete app.consumerTag
+      reconnecting.attempting = true
+      try {
+        yield app.connect(app.url, app.socketOpts)
+        debug(`reconnect success after ${attempt} attempt(s)`)
+        app.emit('reconnect:success', attempt)
+        return
+      } catch (err) {
+        debug(`reconnect attempt ${attempt} errored`, err)
+        lastErr = err
+      }
+      reconnecting.attempting = false
+      if (reconnecting.cancelled) {
+        debug('reconnect cancelled during attempt')
+        return
+      }
+    }
+
+    debug(`reconnect failed after ${attempt} attempt(s)`)
+    app.emit('reconnect:failed', lastErr, attempt)
+  }).then(function () {
+    delete app.reconnecting
+  })
+
+  return reconnecting.promise
+}
+
+/**
+ * Cancel a pending reconnect, an attempt in progress is not interrupted,
+ *   but no attempts are made after it
+ * @param  {Application} app coworkers application
+ */
+function cancelReconnect (app) {
+  const reconnecting = app.reconnecting
+
+  if (!reconnecting) return
+
+  reconnecting.cancelled = true
+  if (reconnecting.attempting) return
+
+  clearTimeout(reconnecting.timer)
+  reconnecting.resolveWait()
+}
@@ -0,0 +1,131 @@
+'use strict'
+
+const assert = require('assert')
+
+const assertArgs = require('assert-args')
+const defaults = require('101/defaults')
+const exists = require('101/exists')
+const isObject = require('101/is-object')
+const isString = require('101/is-string')
+
+const assertMiddlewares = require('./utils/assert-middlewares.js')
+const composeMiddlewares = require('./utils/compose-middlewares.js')
+const debug = require('./utils/debug')()
+const matchHeaders = require('./utils/match-headers.js')
+const matchTopic = require('./utils/match-topic.js')
+
+const defaultActions = ['next', 'ack', 'nack', 'reject', 'requeue']
+
+/**
+ * Router, dispatches a queue's messages to middlewares by routing key and/or headers.
+ *   mount it in a queue using `app.queue(queueName, router.middleware())`.
+ *   routes are matched in the order they were added, only the first matching route's middlewares are invoked,
+ *   and the route's last middleware can `yield next` (or `await next()`) to continue to the queue's downstream middlewares
+ * @param  {Object} [opts] router options
+ * @param  {String} [opts.defaultAction] action for unmatched messages: "next" (continue to downstream middlewares),
+ *                                       "ack", "nack" (w/out requeue), "reject" or "requeue" (nack w/ requeue), default: "next"
+ * @api public
+ */
+module.exports = class Router {
+  constructor (opts) {
+    opts = defaults(opts || {}, {
+      defaultAction: 'next'
+    })
+    assert(~defaultActions.indexOf(opts.defaultAction),
+      '"defaultAction" must be "next", "ack", "nack", "reject" or "requeue"')
+    this.defaultAction = opts.defaultAction
+    this.routes = [
+      // { pattern, match(message), handle(context, next) }
+    ]
+  }
+  /**
+   * Add a route
+   * @param  {String|Object} pattern routing key topic pattern, ex: "user.*.created" ("*" matches one word, "#" zero or more),
+   *                                 or an object w/ `routingKey` (topic pattern) and/or `headers` (headers exchange arguments,
+   *                                 ex: { type: 'created', 'x-match': 'any' }), both must match
+   * @param  {GeneratorFunction|Function} ...middlewares one middleware is required, generator or async functions
+   * @return {Router} self
+   */
+  route (pattern /*, ...middlewares */) {
+    const args = assertArgs(arguments, {
+      'pattern': ['string', 'object'],
+      '...middlewares': assertMiddlewares
+    })
+    pattern = isString(args.pattern)
+      ? { routingKey: args.pattern }
+      : args.pattern
+    assert(exists(pattern.routingKey) || exists(pattern.headers),
+      '"pattern" must have a "routingKey" or "headers"')
+    if (exists(pattern.routingKey)) {
+      assert(isString(pattern.routingKey), '"pattern.routingKey" must be a string')
+    }
+    if (exists(pattern.headers)) {
+      assert(isObject(pattern.headers), '"pattern.headers" must be an object')
+    }
+    debug('route %o, %s middlewares', pattern, args.middlewares.length)
+
+    this.routes.push({
+      pattern: pattern,
+      match: function (message) {
+        const routingKeyMatch = !exists(pattern.routingKey) ||
+          matchTopic(pattern.routingKey, getRoutingKey(message))
+        const headersMatch = !exists(pattern.headers) ||
+          matchHeaders(pattern.headers, message.properties.headers)
+
+        return routingKeyMatch && headersMatch
+      },
+      handle: composeMiddlewares(args.middlewares)
+    })
+
+    return this
+  }
+  /**
+   * Find the first route that matches a message
+   * @param  {Object} message amqplib message
+   * @return {Object} route, or undefined if no route matches
+   */
+  match (message) {
+    return this.routes.find(function (route) {
+      return route.match(message)
+    })
+  }
+  /**
+   * Create a middleware that dispatches messages to the router's routes
+   * @return {Function} middleware(context, next)
+   */
+  middleware () {
+    const self = this
+
+    return function router (context, next) {
+      const route = self.match(context.message)
+      if (route) {
+        debug('message %s matched route %o', context.deliveryTag, route.pattern)
+        return route.handle(context, next)
+      }
+      debug('message %s matched no routes, %s', context.deliveryTag, self.defaultAction)
+      if (self.defaultAction === 'next') {
+        return next()
+      }
+      if (self.defaultAction === 'requeue') {
+        context.nack = { requeue: true }
+      } else if (self.defaultAction === 'nack') {
+        context.nack = { requeue: false }
+      } else {
+        context[self.defaultAction] = true
+      }
+    }
+  }
+}
+
+/**
+ * get a message's routing key, retried messages are routed to their queue by name,
+ *   so their original routing key is used (see app-retry.js)
+ * @param  {Object} message amqplib message
+ * @return {String} routing key
+ */
+function getRoutingKey (message) {
+  const headers = message.properties.headers || {}
+  return exists(headers['x-original-routing-key'])
+    ? headers['x-original-routing-key']
+    : message.fields.routingKey
+}
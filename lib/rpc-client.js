@@ -0,0 +1,160 @@
+'use strict'
+
+const assign = require('101/assign')
+const co = require('co')
+const exists = require('101/exists')
+const uuid = require('uuid')
+
+const debug = require('./utils/debug')()
+const RpcTimeoutError = require('./rpc-timeout-error.js')
+
+const DIRECT_REPLY_TO = 'amq.rabbitmq.reply-to'
+
+/**
+ * Shared rpc client, used by `context.request`
+ *   requests are published on a single long-lived "rpc" channel, which consumes replies from
+ *   direct reply-to (amq.rabbitmq.reply-to). replies are dispatched to pending requests by correlationId.
+ *   the channel is created on the first request, and recreated after it closes
+ */
+module.exports = class RpcClient {
+  constructor (app) {
+    this.app = app
+    this.channel = null
+    this.channelPromise = null
+    this.pending = new Map() // correlationId -> { channel, resolve, reject, timer }
+  }
+  /**
+   * Publish a request to an rpc queue, and wait for its reply
+   * @param  {String} queue rpc queue name
+   * @param  {Buffer} content message content
+   * @param  {Object} [sendOpts] sendToQueue options, correlationId and replyTo are set by the client
+   * @param  {Number} [timeout] reply timeout in ms, rejects w/ a RpcTimeoutError
+   * @return {Promise} reply message promise
+   */
+  request (queue, content, sendOpts, timeout) {
+    const self = this
+    return co(function * () {
+      const channel = yield self.getChannel()
+      const correlationId = uuid.v4()
+      const replyPromise = new Promise(function (resolve, reject) {
+        const timer = exists(timeout) && setTimeout(function () {
+          self.pending.delete(correlationId)
+          reject(new RpcTimeoutError(`rpc request to "${queue}" timed out after ${timeout}ms`, queue, timeout))
+        }, timeout)
+        self.pending.set(correlationId, {
+          channel: channel,
+          resolve: resolve,
+          reject: reject,
+          timer: timer
+        })
+      })
+      try {
+        channel.sendToQueue(queue, content, assign({}, sendOpts, {
+          correlationId: correlationId,
+          replyTo: DIRECT_REPLY_TO
+        }))
+      } catch (err) {
+        self.settle(correlationId, err)
+      }
+
+      return yield replyPromise
+    })
+  }
+  /**
+   * Get the rpc channel, creates it if it does not exist
+   * @return {Promise} channel promise
+   */
+  getChannel () {
+    const self = this
+    if (this.channelPromise) {
+      return this.channelPromise
+    }
+    const channelPromise = this.channelPromise = co(function * () {
+      const channel = self.channel = yield self.app.connection.createChannel()
+      channel.once('error', function (err) {
+        debug('rpc channel error', err)
+        self.app.emit('channel:error', err, channel, 'rpc')
+        self.reset(channel, err)
+      })
+      channel.once('close', function () {
+        debug('rpc channel close')
+        self.app.emit('channel:close', channel, 'rpc')
+        self.reset(channel, new Error('rpc channel closed before recieving reply message'))
+      })
+      self.app.emit('channel:create', channel, 'rpc')
+      // direct reply-to requires noAck
+      yield channel.consume(DIRECT_REPLY_TO, function (message) {
+        if (message) {
+          self.settle(message.properties.correlationId, null, message)
+        }
+      }, { noAck: true })
+
+      return channel
+    }).catch(function (err) {
+      if (self.channelPromise === channelPromise) {
+        self.channel = null
+        self.channelPromise = null
+      }
+      throw err
+    })
+
+    return channelPromise
+  }
+  /**
+   * Resolve or reject a pending request, replies w/ unknown correlationIds (ex: timed out) are ignored
+   * @param  {String} correlationId request correlationId
+   * @param  {Error} [err] request error
+   * @param  {Object} [message] reply message
+   */
+  settle (correlationId, err, message) {
+    const request = this.pending.get(correlationId)
+    if (!request) {
+      debug('rpc reply ignored, unknown correlationId %s', correlationId)
+      return
+    }
+    this.pending.delete(correlationId)
+    clearTimeout(request.timer)
+    if (err) {
+      request.reject(err)
+    } else {
+      request.resolve(message)
+    }
+  }
+  /**
+   * Forget a closed channel, and reject its pending requests
+   * @param  {Channel} channel closed channel
+   * @param  {Error} err rejection error
+   */
+  reset (channel, err) {
+    const self = this
+    if (this.channel === channel) {
+      this.channel = null
+      this.channelPromise = null
+    }
+    this.pending.forEach(function (request, correlationId) {
+      if (request.channel === channel) {
+        self.settle(correlationId, err)
+      }
+    })
+  }
+  /**
+   * Reject pending requests, and close the rpc channel
+   * @return {Promise} close promise
+   */
+  close () {
+    const self = this
+    const channelPromise = this.channelPromise
+    if (!channelPromise) {
+      return Promise.resolve()
+    }
+
+    return channelPromise.then(function (channel) {
+      self.reset(channel, new Error('rpc client closed before recieving reply message'))
+      return channel.close().catch(function (err) {
+        self.app.emit('channel:close:error', err, channel, 'rpc')
+      })
+    }, function () {
+      // channel was not created, nothing to close
+    })
+  }
+}
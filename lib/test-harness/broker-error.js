@@ -0,0 +1,16 @@
+'use strict'
+
+module.exports = brokerError
+
+/**
+ * Create an amqplib-like channel error, as if the server closed the channel
+ * @param  {Number} code AMQP reply code
+ * @param  {String} message reply text
+ * @return {Error} channel error
+ */
+function brokerError (code, message) {
+  const err = new Error(`Channel closed by server: ${code} (${message})`)
+  err.code = code
+
+  return err
+}
@@ -0,0 +1,464 @@
+'use strict'
+
+const EventEmitter = require('events').EventEmitter
+
+const assign = require('101/assign')
+const exists = require('101/exists')
+const uuid = require('uuid')
+
+const brokerError = require('./broker-error.js')
+const matchHeaders = require('../utils/match-headers.js')
+const matchTopic = require('../utils/match-topic.js')
+const MemoryConnection = require('./memory-connection.js')
+
+const PROPERTY_KEYS = [
+  'contentType',
+  'contentEncoding',
+  'headers',
+  'deliveryMode',
+  'priority',
+  'correlationId',
+  'replyTo',
+  'expiration',
+  'messageId',
+  'timestamp',
+  'type',
+  'userId',
+  'appId',
+  'clusterId'
+]
+
+/**
+ * In-memory RabbitMQ broker stand-in, implements `amqplib.connect`
+ *   supports direct, fanout, topic and headers exchanges, acks, requeues,
+ *   message ttls, dead-lettering, exclusive queues and direct reply-to (see MemoryChannel)
+ *   not supported: mandatory/immediate publishing, priorities, queue length limits
+ */
+module.exports = class MemoryBroker extends EventEmitter {
+  constructor () {
+    super()
+    this.exchanges = {
+      // <exchangeName>: { name, type, opts }
+    }
+    this.queues = {
+      // <queueName>: { name, opts, messages, consumers, owner }
+    }
+    this.bindings = [
+      // { queue, exchange, pattern, args }
+    ]
+    this.published = [
+      // { exchange, routingKey, content, properties }
+    ]
+    // default exchanges
+    this.assertExchange('', 'direct')
+    this.assertExchange('amq.direct', 'direct')
+    this.assertExchange('amq.fanout', 'fanout')
+    this.assertExchange('amq.headers', 'headers')
+    this.assertExchange('amq.topic', 'topic')
+  }
+  /**
+   * Create a connection, same signature as `amqplib.connect`
+   * @return {Promise} connection promise
+   */
+  connect (url, socketOptions) {
+    return Promise.resolve(new MemoryConnection(this))
+  }
+  /**
+   * Assert an exchange exists
+   * @param  {String} name exchange name
+   * @param  {String} type exchange type: direct, fanout, topic or headers
+   * @param  {Object} [opts] exchange options
+   * @return {Object} { exchange }
+   */
+  assertExchange (name, type, opts) {
+    const exchange = this.exchanges[name]
+    if (exchange) {
+      if (exchange.type !== type) {
+        throw brokerError(406, `PRECONDITION_FAILED - inequivalent arg 'type' for exchange '${name}'`)
+      }
+    } else {
+      if (!~['direct', 'fanout', 'headers', 'topic'].indexOf(type)) {
+        throw brokerError(503, `COMMAND_INVALID - unknown exchange type '${type}'`)
+      }
+      this.exchanges[name] = { name: name, type: type, opts: opts || {} }
+    }
+
+    return { exchange: name }
+  }
+  /**
+   * Assert a queue exists, an empty name creates a queue w/ a random name
+   * @param  {String} name queue name
+   * @param  {Object} [opts] queue options
+   * @param  {MemoryConnection} [conn] connection asserting the queue, owns exclusive queues
+   * @return {Object} { queue, messageCount, consumerCount }
+   */
+  assertQueue (name, opts, conn) {
+    opts = opts || {}
+    name = name || 'amq.gen-' + uuid.v4()
+    let queue = this.queues[name]
+    if (queue) {
+      this.assertQueueAccess(queue, conn)
+    } else {
+      queue = this.queues[name] = {
+        name: name,
+        opts: opts,
+        messages: [],
+        consumers: [],
+        owner: opts.exclusive ? conn : null
+      }
+    }
+
+    return this.checkQueue(name, conn)
+  }
+  /**
+   * Check a queue exists
+   * @param  {String} name queue name
+   * @param  {MemoryConnection} [conn] connection checking the queue
+   * @return {Object} { queue, messageCount, consumerCount }
+   */
+  checkQueue (name, conn) {
+    const queue = this.getQueue(name)
+    this.assertQueueAccess(queue, conn)
+
+    return {
+      queue: name,
+      messageCount: queue.messages.length,
+      consumerCount: queue.consumers.length
+    }
+  }
+  /**
+   * Delete a queue, and its bindings
+   * @param  {String} name queue name
+   * @return {Object} { messageCount }
+   */
+  deleteQueue (name) {
+    const queue = this.queues[name]
+    if (!queue) {
+      return { messageCount: 0 }
+    }
+    queue.messages.forEach(clearExpiration)
+    queue.consumers.forEach(function (consumer) {
+      consumer.channel.consumers.delete(consumer.consumerTag)
+    })
+    delete this.queues[name]
+    this.bindings = this.bindings.filter(function (binding) {
+      return binding.queue !== name
+    })
+
+    return { messageCount: queue.messages.length }
+  }
+  /**
+   * Bind a queue to an exchange
+   * @param  {String} queueName queue name
+   * @param  {String} exchangeName exchange name
+   * @param  {String} pattern routing pattern
+   * @param  {Object} [args] binding arguments, used by headers exchanges
+   */
+  bindQueue (queueName, exchangeName, pattern, args) {
+    this.getQueue(queueName)
+    this.getExchange(exchangeName)
+    const bound = this.bindings.some(function (binding) {
+      return binding.queue === queueName &&
+        binding.exchange === exchangeName &&
+        binding.pattern === pattern
+    })
+    if (!bound) {
+      this.bindings.push({
+        queue: queueName,
+        exchange: exchangeName,
+        pattern: pattern,
+        args: args || {}
+      })
+    }
+
+    return {}
+  }
+  /**
+   * Publish a message to an exchange, publishes are recorded in `broker.published`
+   * @param  {String} exchangeName exchange name, '' is the default exchange
+   * @param  {String} routingKey message routing key
+   * @param  {Buffer} content message content
+   * @param  {Object} [opts] publish options
+   * @return {Array} envelopes of messages that were enqueued
+   */
+  publish (exchangeName, routingKey, content, opts) {
+    const properties = toProperties(opts)
+    this.getExchange(exchangeName)
+    const published = {
+      exchange: exchangeName,
+      routingKey: routingKey,
+      content: content,
+      properties: properties
+    }
+    this.published.push(published)
+    this.emit('publish', published)
+
+    return this.route(exchangeName, routingKey, content, properties)
+  }
+  /**
+   * Route a message to its exchange's bound queues
+   * @return {Array} envelopes of messages that were enqueued
+   */
+  route (exchangeName, routingKey, content, properties) {
+    const self = this
+    const exchange = this.getExchange(exchangeName)
+    const queueNames = exchangeName === ''
+      ? (this.queues[routingKey] ? [routingKey] : [])
+      : this.bindings
+        .filter(function (binding) {
+          return binding.exchange === exchangeName &&
+            matchBinding(exchange.type, binding, routingKey, properties.headers)
+        })
+        .map(function (binding) {
+          return binding.queue
+        })
+        // a message is enqueued to a queue once, even if it matches multiple bindings
+        .filter(function (queueName, i, queueNames) {
+          return queueNames.indexOf(queueName) === i
+        })
+
+    return queueNames.map(function (queueName) {
+      return self.enqueue(self.queues[queueName], {
+        content: content,
+        properties: assign({}, properties),
+        exchange: exchangeName,
+        routingKey: routingKey,
+        redelivered: false
+      })
+    })
+  }
+  /**
+   * Add a message envelope to a queue, and schedule delivery
+   * @param  {Object} queue queue
+   * @param  {Object} envelope message envelope
+   * @return {Object} envelope
+   */
+  enqueue (queue, envelope) {
+    const self = this
+    envelope.queue = queue.name
+    // resolves when the first consumer that recieves the message has handled it
+    envelope.handled = new Promise(function (resolve) {
+      envelope.resolveHandled = resolve
+    })
+    queue.messages.push(envelope)
+    const ttl = exists(envelope.properties.expiration)
+      ? parseInt(envelope.properties.expiration, 10)
+      : getQueueArg(queue, 'messageTtl')
+    if (exists(ttl)) {
+      envelope.expirationTimer = setTimeout(function () {
+        queue.messages.splice(queue.messages.indexOf(envelope), 1)
+        self.deadLetter(queue, envelope, 'expired')
+      }, ttl)
+      envelope.expirationTimer.unref()
+    }
+    this.scheduleDispatch(queue)
+
+    return envelope
+  }
+  /**
+   * Return an unacked message to the front of its queue
+   * @param  {Object} queue queue
+   * @param  {Object} envelope message envelope
+   */
+  requeue (queue, envelope) {
+    envelope.redelivered = true
+    queue.messages.unshift(envelope)
+    this.scheduleDispatch(queue)
+  }
+  /**
+   * Dead-letter a rejected or expired message, if its queue has a dead letter exchange
+   *   otherwise the message is dropped
+   * @param  {Object} queue queue
+   * @param  {Object} envelope message envelope
+   * @param  {String} reason 'rejected' or 'expired'
+   */
+  deadLetter (queue, envelope, reason) {
+    const deadLetterExchange = getQueueArg(queue, 'deadLetterExchange')
+    if (!exists(deadLetterExchange) || !this.exchanges[deadLetterExchange]) {
+      return
+    }
+    const routingKey = getQueueArg(queue, 'deadLetterRoutingKey') || envelope.routingKey
+    const headers = assign({}, envelope.properties.headers)
+    headers['x-death'] = [{
+      count: 1,
+      reason: reason,
+      queue: queue.name,
+      exchange: envelope.exchange,
+      'routing-keys': [envelope.routingKey]
+    }].concat(headers['x-death'] || [])
+    const properties = assign({}, envelope.properties, { headers: headers })
+    delete properties.expiration
+
+    this.route(deadLetterExchange, routingKey, envelope.content, properties)
+  }
+  /**
+   * Deliver queued messages to consumers on next tick
+   * @param  {Object} queue queue
+   */
+  scheduleDispatch (queue) {
+    const self = this
+    if (queue.dispatchScheduled) {
+      return
+    }
+    queue.dispatchScheduled = true
+    setImmediate(function () {
+      queue.dispatchScheduled = false
+      if (self.queues[queue.name] === queue) {
+        // queue was not deleted
+        self.dispatch(queue)
+      }
+    })
+  }
+  /**
+   * Deliver queued messages round-robin to consumers that have capacity (prefetch)
+   * @param  {Object} queue queue
+   */
+  dispatch (queue) {
+    while (queue.messages.length) {
+      const consumer = nextConsumer(queue)
+      if (!consumer) {
+        break
+      }
+      const envelope = queue.messages.shift()
+      clearExpiration(envelope)
+      consumer.channel.deliver(consumer, queue, envelope)
+    }
+  }
+  /**
+   * Add a queue consumer
+   * @param  {Object} consumer { consumerTag, queue, channel, fn, noAck }
+   */
+  addConsumer (consumer) {
+    const queue = this.getQueue(consumer.queue)
+    this.assertQueueAccess(queue, consumer.channel.connection)
+    if (consumer.exclusive && queue.consumers.length) {
+      throw brokerError(403, `ACCESS_REFUSED - queue '${queue.name}' in use`)
+    }
+    queue.consumers.push(consumer)
+    this.scheduleDispatch(queue)
+  }
+  /**
+   * Remove a queue consumer
+   * @param  {Object} consumer consumer
+   */
+  removeConsumer (consumer) {
+    const queue = this.queues[consumer.queue]
+    if (queue) {
+      queue.consumers.splice(queue.consumers.indexOf(consumer), 1)
+      if (queue.opts.autoDelete && !queue.consumers.length) {
+        this.deleteQueue(queue.name)
+      }
+    }
+  }
+  /**
+   * Delete a closed connection's exclusive queues
+   * @param  {MemoryConnection} conn closed connection
+   */
+  removeConnection (conn) {
+    const self = this
+    Object.keys(this.queues).forEach(function (name) {
+      if (self.queues[name].owner === conn) {
+        self.deleteQueue(name)
+      }
+    })
+  }
+  /**
+   * Get a queue, throws a channel error if it does not exist
+   */
+  getQueue (name) {
+    const queue = this.queues[name]
+    if (!queue) {
+      throw brokerError(404, `NOT_FOUND - no queue '${name}'`)
+    }
+
+    return queue
+  }
+  /**
+   * Get an exchange, throws a channel error if it does not exist
+   */
+  getExchange (name) {
+    const exchange = this.exchanges[name]
+    if (!exchange) {
+      throw brokerError(404, `NOT_FOUND - no exchange '${name}'`)
+    }
+
+    return exchange
+  }
+  /**
+   * Exclusive queues can only be used by the connection that declared them
+   */
+  assertQueueAccess (queue, conn) {
+    if (queue.owner && queue.owner !== conn) {
+      throw brokerError(405, `RESOURCE_LOCKED - cannot obtain exclusive access to locked queue '${queue.name}'`)
+    }
+  }
+}
+
+module.exports.toProperties = toProperties
+
+/**
+ * convert publish options to message properties
+ */
+function toProperties (opts) {
+  opts = opts || {}
+  const properties = {}
+  PROPERTY_KEYS.forEach(function (key) {
+    properties[key] = opts[key]
+  })
+  properties.headers = assign({}, opts.headers)
+  if (opts.persistent) {
+    properties.deliveryMode = 2
+  }
+
+  return properties
+}
+
+/**
+ * get a queue option set by name (ex: messageTtl) or by argument (ex: x-message-ttl)
+ */
+function getQueueArg (queue, key) {
+  const args = queue.opts.arguments || {}
+  const argKey = 'x-' + key.replace(/[A-Z]/g, function (c) {
+    return '-' + c.toLowerCase()
+  })
+
+  return exists(queue.opts[key]) ? queue.opts[key] : args[argKey]
+}
+
+/**
+ * check if a binding matches a message
+ */
+function matchBinding (type, binding, routingKey, headers) {
+  if (type === 'fanout') {
+    return true
+  }
+  if (type === 'topic') {
+    return matchTopic(binding.pattern, routingKey)
+  }
+  if (type === 'headers') {
+    return matchHeaders(binding.args, headers)
+  }
+  // direct
+  return binding.pattern === routingKey
+}
+
+/**
+ * get the next consumer (round-robin) that can recieve a message
+ */
+function nextConsumer (queue) {
+  for (let i = 0; i < queue.consumers.length; i++) {
+    const consumer = queue.consumers.shift()
+    queue.consumers.push(consumer)
+    if (consumer.channel.hasCapacity(consumer)) {
+      return consumer
+    }
+  }
+}
+
+/**
+ * clear a message's ttl timer
+ */
+function clearExpiration (envelope) {
+  clearTimeout(envelope.expirationTimer)
+  delete envelope.expirationTimer
+}
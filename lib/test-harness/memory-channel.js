@@ -0,0 +1,321 @@
+'use strict'
+
+const EventEmitter = require('events').EventEmitter
+
+const noop = require('101/noop')
+const uuid = require('uuid')
+
+const brokerError = require('./broker-error.js')
+
+const DIRECT_REPLY_TO = 'amq.rabbitmq.reply-to'
+
+/**
+ * In-memory channel, implements the amqplib channel api used by coworkers
+ *   like amqplib, broker errors (ex: unknown queue or delivery tag) close the channel
+ *   and emit "error" and "close"
+ *   prefetch is applied per channel, regardless of `global`
+ *   direct reply-to is emulated w/ a hidden exclusive queue per channel, named "amq.rabbitmq.reply-to.<id>"
+ */
+module.exports = class MemoryChannel extends EventEmitter {
+  constructor (connection, confirm) {
+    super()
+    this.connection = connection
+    this.broker = connection.broker
+    this.confirm = confirm
+    this.consumers = new Map() // consumerTag -> consumer
+    this.unacked = new Map() // deliveryTag -> { message, queue, envelope }
+    this.nextDeliveryTag = 1
+    this.prefetchCount = 0
+    this.replyToQueue = null // direct reply-to queue name
+    this.closed = false
+  }
+  assertQueue (queue, opts) {
+    return this.rpc(function () {
+      return this.broker.assertQueue(queue, opts, this.connection)
+    })
+  }
+  checkQueue (queue) {
+    return this.rpc(function () {
+      return this.broker.checkQueue(queue, this.connection)
+    })
+  }
+  deleteQueue (queue) {
+    return this.rpc(function () {
+      return this.broker.deleteQueue(queue)
+    })
+  }
+  assertExchange (exchange, type, opts) {
+    return this.rpc(function () {
+      return this.broker.assertExchange(exchange, type, opts)
+    })
+  }
+  bindQueue (queue, source, pattern, args) {
+    return this.rpc(function () {
+      return this.broker.bindQueue(queue, source, pattern, args)
+    })
+  }
+  prefetch (count, isGlobal) {
+    return this.rpc(function () {
+      this.prefetchCount = count
+
+      return {}
+    })
+  }
+  consume (queue, fn, opts) {
+    opts = opts || {}
+    return this.rpc(function () {
+      const consumer = {
+        consumerTag: opts.consumerTag || 'amq.ctag-' + uuid.v4(),
+        queue: queue === DIRECT_REPLY_TO ? this.assertReplyToQueue(opts) : queue,
+        channel: this,
+        fn: fn,
+        noAck: Boolean(opts.noAck),
+        exclusive: Boolean(opts.exclusive)
+      }
+      this.broker.addConsumer(consumer)
+      this.consumers.set(consumer.consumerTag, consumer)
+
+      return { consumerTag: consumer.consumerTag }
+    })
+  }
+  cancel (consumerTag) {
+    return this.rpc(function () {
+      const consumer = this.consumers.get(consumerTag)
+      if (consumer) {
+        this.consumers.delete(consumerTag)
+        this.broker.removeConsumer(consumer)
+      }
+
+      return { consumerTag: consumerTag }
+    })
+  }
+  publish (exchange, routingKey, content, opts, cb) {
+    this.assertOpen()
+    let err = null
+    try {
+      if (opts && opts.replyTo === DIRECT_REPLY_TO) {
+        opts = Object.assign({}, opts, { replyTo: this.getReplyToQueue() })
+      }
+      this.broker.publish(exchange, routingKey, content, opts)
+    } catch (publishErr) {
+      err = publishErr
+      this.fail(err)
+    }
+    if (this.confirm && cb) {
+      setImmediate(function () {
+        cb(err)
+      })
+    }
+    // in-memory channels never fill up, "drain" is never emitted
+    return true
+  }
+  sendToQueue (queue, content, opts, cb) {
+    return this.publish('', queue, content, opts, cb)
+  }
+  ack (message, allUpTo) {
+    this.settle(message, allUpTo, 'ack', false)
+  }
+  nack (message, allUpTo, requeue) {
+    this.settle(message, allUpTo, 'nack', requeue !== false)
+  }
+  reject (message, requeue) {
+    this.settle(message, false, 'reject', requeue !== false)
+  }
+  ackAll () {
+    this.assertOpen()
+    this.settleTags(Array.from(this.unacked.keys()), 'ackAll', false)
+  }
+  nackAll (requeue) {
+    this.assertOpen()
+    this.settleTags(Array.from(this.unacked.keys()), 'nackAll', requeue !== false)
+  }
+  close () {
+    if (this.closed) {
+      return Promise.reject(new Error('Channel closed'))
+    }
+    this.shutdown()
+    this.emit('close')
+
+    return Promise.resolve()
+  }
+  /**
+   * Create this channel's direct reply-to queue, replies must be consumed w/ noAck
+   * @param  {Object} opts consume options
+   * @return {String} reply-to queue name
+   */
+  assertReplyToQueue (opts) {
+    if (!opts.noAck) {
+      throw brokerError(406, 'PRECONDITION_FAILED - reply consumer cannot acknowledge')
+    }
+    const name = `${DIRECT_REPLY_TO}.${uuid.v4()}`
+    this.broker.assertQueue(name, { exclusive: true, autoDelete: true }, this.connection)
+    this.replyToQueue = name
+
+    return name
+  }
+  /**
+   * Get this channel's direct reply-to queue name, requests must be published
+   *   on the channel that consumes their replies
+   * @return {String} reply-to queue name
+   */
+  getReplyToQueue () {
+    if (!this.replyToQueue || !this.broker.queues[this.replyToQueue]) {
+      throw brokerError(406, 'PRECONDITION_FAILED - fast reply consumer does not exist')
+    }
+
+    return this.replyToQueue
+  }
+  /**
+   * Deliver a message to one of this channel's consumers, invoked by the broker
+   * @param  {Object} consumer consumer
+   * @param  {Object} queue queue the message is delivered from
+   * @param  {Object} envelope message envelope
+   */
+  deliver (consumer, queue, envelope) {
+    const deliveryTag = this.nextDeliveryTag++
+    const message = {
+      content: envelope.content,
+      fields: {
+        consumerTag: consumer.consumerTag,
+        deliveryTag: deliveryTag,
+        redelivered: envelope.redelivered,
+        exchange: envelope.exchange,
+        routingKey: envelope.routingKey
+      },
+      properties: Object.assign({}, envelope.properties)
+    }
+    if (!consumer.noAck) {
+      this.unacked.set(deliveryTag, {
+        message: message,
+        queue: queue,
+        envelope: envelope
+      })
+    }
+    Promise.resolve(consumer.fn(message))
+      .catch(noop)
+      .then(function () {
+        envelope.resolveHandled()
+      })
+  }
+  /**
+   * Check if a consumer can recieve another message (prefetch)
+   * @param  {Object} consumer consumer
+   * @return {Boolean} true if the consumer can recieve a message
+   */
+  hasCapacity (consumer) {
+    return consumer.noAck ||
+      !this.prefetchCount ||
+      this.unacked.size < this.prefetchCount
+  }
+  /**
+   * Close the channel because the connection closed
+   */
+  destroy () {
+    if (this.closed) {
+      return
+    }
+    this.shutdown()
+    this.emit('close')
+  }
+  /**
+   * Close the channel because of a broker error, emits "error" and "close" on next tick
+   * @param  {Error} err broker error
+   */
+  fail (err) {
+    const self = this
+    if (this.closed) {
+      return
+    }
+    this.shutdown()
+    setImmediate(function () {
+      self.emit('error', err)
+      self.emit('close')
+    })
+  }
+  /**
+   * Remove consumers and requeue unacked messages
+   */
+  shutdown () {
+    const self = this
+    this.closed = true
+    this.connection.channels.delete(this)
+    this.consumers.forEach(function (consumer) {
+      self.broker.removeConsumer(consumer)
+    })
+    this.consumers.clear()
+    // requeue in reverse order, so that messages keep their order at the front of the queue
+    Array.from(this.unacked.values()).reverse().forEach(function (delivery) {
+      self.broker.requeue(delivery.queue, delivery.envelope)
+    })
+    this.unacked.clear()
+  }
+  /**
+   * Invoke a broker operation, errors close the channel
+   * @param  {Function} fn operation, invoked w/ the channel as `this`
+   * @return {Promise} operation result promise
+   */
+  rpc (fn) {
+    if (this.closed) {
+      return Promise.reject(new Error('Channel closed'))
+    }
+    try {
+      return Promise.resolve(fn.call(this))
+    } catch (err) {
+      this.fail(err)
+      return Promise.reject(err)
+    }
+  }
+  /**
+   * Ack, nack or reject a message
+   */
+  settle (message, allUpTo, action, requeue) {
+    const deliveryTag = message.fields.deliveryTag
+    this.assertOpen()
+    if (!this.unacked.has(deliveryTag)) {
+      this.fail(brokerError(406, `PRECONDITION_FAILED - unknown delivery tag ${deliveryTag}`))
+      return
+    }
+    const deliveryTags = allUpTo
+      ? Array.from(this.unacked.keys()).filter(function (tag) {
+        return tag <= deliveryTag
+      })
+      : [deliveryTag]
+
+    this.settleTags(deliveryTags, action, requeue, allUpTo)
+  }
+  /**
+   * Settle unacked messages by delivery tag, the first settlement of a message is recorded on its envelope
+   */
+  settleTags (deliveryTags, action, requeue, allUpTo) {
+    const self = this
+    const isAck = action === 'ack' || action === 'ackAll'
+    // requeue in reverse order, so that messages keep their order at the front of the queue
+    deliveryTags.reverse().forEach(function (deliveryTag) {
+      const delivery = self.unacked.get(deliveryTag)
+      const envelope = delivery.envelope
+      self.unacked.delete(deliveryTag)
+      envelope.settlement = envelope.settlement || {
+        action: action,
+        allUpTo: Boolean(allUpTo),
+        requeue: requeue
+      }
+      if (isAck) {
+        return
+      }
+      if (requeue) {
+        self.broker.requeue(delivery.queue, envelope)
+      } else {
+        self.broker.deadLetter(delivery.queue, envelope, 'rejected')
+      }
+    })
+    // free prefetch capacity
+    this.consumers.forEach(function (consumer) {
+      self.broker.scheduleDispatch(self.broker.queues[consumer.queue])
+    })
+  }
+  assertOpen () {
+    if (this.closed) {
+      throw new Error('Channel closed')
+    }
+  }
+}
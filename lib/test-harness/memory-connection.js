@@ -0,0 +1,57 @@
+'use strict'
+
+const EventEmitter = require('events').EventEmitter
+
+const MemoryChannel = require('./memory-channel.js')
+
+/**
+ * In-memory connection, implements the amqplib connection api used by coworkers
+ */
+module.exports = class MemoryConnection extends EventEmitter {
+  constructor (broker) {
+    super()
+    this.broker = broker
+    this.channels = new Set()
+    this.closed = false
+  }
+  /**
+   * Create a channel
+   * @return {Promise} channel promise
+   */
+  createChannel () {
+    return this.openChannel(false)
+  }
+  /**
+   * Create a confirm channel, publish callbacks are invoked on the next tick
+   * @return {Promise} channel promise
+   */
+  createConfirmChannel () {
+    return this.openChannel(true)
+  }
+  openChannel (confirm) {
+    if (this.closed) {
+      return Promise.reject(new Error('Connection closed'))
+    }
+    const channel = new MemoryChannel(this, confirm)
+    this.channels.add(channel)
+
+    return Promise.resolve(channel)
+  }
+  /**
+   * Close the connection, its channels, and delete its exclusive queues
+   * @return {Promise} close promise
+   */
+  close () {
+    if (this.closed) {
+      return Promise.reject(new Error('Connection closed'))
+    }
+    this.closed = true
+    this.channels.forEach(function (channel) {
+      channel.destroy()
+    })
+    this.broker.removeConnection(this)
+    this.emit('close')
+
+    return Promise.resolve()
+  }
+}
@@ -0,0 +1,118 @@
+'use strict'
+
+const assert = require('assert')
+
+const co = require('co')
+
+const castToBuffer = require('../utils/cast-to-buffer.js')
+const encodeContent = require('../utils/encode-content.js')
+const MemoryBroker = require('./memory-broker.js')
+
+module.exports = createTestHarness
+module.exports.TestHarness = TestHarness
+module.exports.MemoryBroker = MemoryBroker
+
+/**
+ * Create a test harness for a coworkers app, the app will connect to an in-memory broker
+ * @param  {Application} app coworkers application, clustering must be disabled
+ * @return {TestHarness} test harness
+ */
+function createTestHarness (app) {
+  return new TestHarness(app)
+}
+
+/**
+ * Test harness, connects an app to an in-memory broker and delivers messages to it
+ * @constructor
+ * @param  {Application} app coworkers application, clustering must be disabled
+ */
+function TestHarness (app) {
+  assert(app && app.queueMiddlewares, 'TestHarness requires a coworkers app')
+  assert(!app.clusterManager, 'TestHarness requires an app w/ clustering disabled ({ cluster: false })')
+  this.app = app
+  this.broker = new MemoryBroker()
+  this.responders = [] // connections used by `reply`
+  // app will connect to the in-memory broker, see create-app-connection.js
+  app.amqplib = this.broker
+}
+
+Object.assign(TestHarness.prototype, {
+  /**
+   * Connect the app to the in-memory broker
+   * @return {Promise} connect promise
+   */
+  connect () {
+    return this.app.connect()
+  },
+  /**
+   * Close the app and `reply` consumers
+   * @param  {Object} [opts] app.close options
+   * @return {Promise} close promise
+   */
+  close (opts) {
+    const self = this
+    return co(function * () {
+      yield self.app.close(opts)
+      const responders = self.responders
+      self.responders = []
+      yield responders.map(function (conn) {
+        return conn.close()
+      })
+    })
+  },
+  /**
+   * Deliver a message to one of the app's queues, and wait for the app to handle it
+   *   resolves w/ { action, allUpTo, requeue, published }
+   *   action is the first channel method that settled the message ('ack', 'nack', 'reject', 'ackAll' or 'nackAll'),
+   *   or null if the message was not settled. published is the list of messages published while the message was handled
+   * @param  {String} queueName name of the queue to deliver the message to
+   * @param  {Buffer|Object|Array|String} content message content, encoded using the app's encoders
+   * @param  {Object} [props] message properties (publish options)
+   * @return {Promise} delivery result promise
+   */
+  deliver (queueName, content, props) {
+    const broker = this.broker
+    const publishedIndex = broker.published.length
+    assert(broker.queues[queueName], `Queue "${queueName}" does not exist, connect the app before delivering messages`)
+    const encoded = encodeContent(this.app.encoders, content, props)
+    const envelope = broker.route('', queueName, encoded.content, MemoryBroker.toProperties(encoded.options))[0]
+
+    return envelope.handled.then(function () {
+      const settlement = envelope.settlement || {
+        action: null,
+        allUpTo: false,
+        requeue: false
+      }
+
+      return {
+        action: settlement.action,
+        allUpTo: settlement.allUpTo,
+        requeue: settlement.requeue,
+        published: broker.published.slice(publishedIndex)
+      }
+    })
+  },
+  /**
+   * Respond to rpc requests sent to a queue (ex: by `context.request`)
+   *   replies are sent to the request's "replyTo" queue w/ its "correlationId"
+   * @param  {String} queueName rpc queue name
+   * @param  {Function} handler handler(message), returns reply content or a promise
+   * @return {Promise} consume promise
+   */
+  reply (queueName, handler) {
+    const self = this
+    return co(function * () {
+      const conn = yield self.broker.connect()
+      self.responders.push(conn)
+      const channel = yield conn.createChannel()
+      yield channel.assertQueue(queueName)
+      yield channel.consume(queueName, function (message) {
+        return Promise.resolve(handler(message)).then(function (content) {
+          const props = { correlationId: message.properties.correlationId }
+          // replies are sent by another "service", so they are not recorded in `broker.published`
+          self.broker.route('', message.properties.replyTo, castToBuffer(content), MemoryBroker.toProperties(props))
+        })
+      }, { noAck: true })
+    })
+  }
+})
@@ -0,0 +1,36 @@
+'use strict'
+
+/**
+ * In-memory span exporter, collects finished spans, for tests
+ *   ex: `new coworkers.Tracer({ exporter: new coworkers.InMemoryExporter() })`
+ * @api public
+ */
+module.exports = class InMemoryExporter {
+  constructor () {
+    this.spans = []
+  }
+  /**
+   * Export finished spans, invoked by the tracer
+   * @param  {Array} spans finished spans
+   * @param  {Function} [cb] result callback
+   */
+  export (spans, cb) {
+    this.spans.push.apply(this.spans, spans)
+    if (cb) {
+      cb({ code: 0 }) // success
+    }
+  }
+  /**
+   * Get the finished spans, in the order they ended
+   * @return {Array} spans
+   */
+  getFinishedSpans () {
+    return this.spans.slice()
+  }
+  /**
+   * Forget all finished spans
+   */
+  reset () {
+    this.spans = []
+  }
+}
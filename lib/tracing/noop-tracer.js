@@ -0,0 +1,50 @@
+'use strict'
+
+const invalidSpanContext = {
+  traceId: '00000000000000000000000000000000',
+  spanId: '0000000000000000',
+  traceFlags: 0
+}
+
+/**
+ * No-op tracer, the app's default `tracer`. spans are not recorded,
+ *   but a span's context is its parent's, so incoming "traceparent" headers are still propagated
+ * @api public
+ */
+module.exports = class NoopTracer {
+  /**
+   * Start a no-op span
+   * @param  {String} name span name
+   * @param  {Object} [opts] span options, see `Tracer`
+   * @return {NoopSpan} span
+   */
+  startSpan (name, opts) {
+    return new NoopSpan((opts && opts.parent) || invalidSpanContext)
+  }
+}
+
+class NoopSpan {
+  constructor (spanContext) {
+    this._spanContext = spanContext
+  }
+  spanContext () {
+    return this._spanContext
+  }
+  setAttribute () {
+    return this
+  }
+  setAttributes () {
+    return this
+  }
+  addEvent () {
+    return this
+  }
+  setStatus () {
+    return this
+  }
+  recordException () {}
+  isRecording () {
+    return false
+  }
+  end () {}
+}
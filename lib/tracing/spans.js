@@ -0,0 +1,132 @@
+'use strict'
+
+const assign = require('101/assign')
+const exists = require('101/exists')
+const isFunction = require('101/is-function')
+
+const SpanKind = require('./tracer.js').SpanKind
+const SpanStatusCode = require('./tracer.js').SpanStatusCode
+const traceparent = require('./traceparent.js')
+
+module.exports.startMessageSpan = startMessageSpan
+module.exports.setOutcome = setOutcome
+module.exports.setMessageError = setMessageError
+module.exports.tracePublish = tracePublish
+
+const ackMethods = ['ack', 'nack', 'ackAll', 'nackAll', 'reject', 'retry']
+
+/**
+ * Start a consumer span for a message, used by `app.messageHandler`
+ *   the span is a child of the message's "traceparent" header, if it has one
+ * @param  {Object} tracer app's tracer
+ * @param  {String} queueName queue the message was consumed from
+ * @param  {Object} message amqplib message
+ * @return {Span} span
+ */
+function startMessageSpan (tracer, queueName, message) {
+  const headers = message.properties.headers || {}
+
+  return tracer.startSpan(`${queueName} process`, {
+    kind: SpanKind.CONSUMER,
+    parent: traceparent.parse(headers.traceparent) || undefined,
+    attributes: compact({
+      'messaging.system': 'rabbitmq',
+      'messaging.operation': 'process',
+      'messaging.destination': queueName,
+      'messaging.message_id': message.properties.messageId,
+      'messaging.rabbitmq.exchange': message.fields.exchange,
+      'messaging.rabbitmq.routing_key': message.fields.routingKey,
+      'messaging.rabbitmq.redelivered': message.fields.redelivered
+    })
+  })
+}
+
+/**
+ * Set a message span's outcome from the context's ack shortcut, ex: "ack", or "none"
+ *   invoked before the context responds, `setMessageError` overrides it if responding fails
+ * @param  {Span} span message span
+ * @param  {Context} context message context
+ */
+function setOutcome (span, context) {
+  const outcome = ackMethods.find(function (method) {
+    return context[method]
+  })
+  span.setAttribute('coworkers.outcome', outcome || 'none')
+}
+
+/**
+ * Record a middleware, respond or timeout error on a message span, and set its outcome to "error"
+ * @param  {Span} span message span
+ * @param  {Error} err error
+ */
+function setMessageError (span, err) {
+  setError(span, err)
+  span.setAttribute('coworkers.outcome', 'error')
+}
+
+/**
+ * Trace a publish (or request) in a child span of the context's message span,
+ *   and propagate the span's context in the message's "traceparent" header (unless it is specified)
+ * @param  {Context} context message context
+ * @param  {Object} spanOpts span options: { name, kind, attributes }
+ * @param  {Object} options publish options, w/ headers
+ * @param  {Function} publish publishes the message, returns the channel write result or a promise
+ * @return {*} publish result, the span ends when it is returned (or when the promise settles)
+ */
+function tracePublish (context, spanOpts, options, publish) {
+  const parent = context.span && context.span.spanContext()
+  const span = context.app.tracer.startSpan(spanOpts.name, {
+    kind: spanOpts.kind,
+    parent: traceparent.isValid(parent) ? parent : undefined,
+    attributes: compact(assign({
+      'messaging.system': 'rabbitmq',
+      'messaging.message_id': options.messageId
+    }, spanOpts.attributes))
+  })
+  const spanContext = span.spanContext()
+  if (traceparent.isValid(spanContext) && !exists(options.headers.traceparent)) {
+    options.headers.traceparent = traceparent.format(spanContext)
+  }
+  let result
+  try {
+    result = publish()
+  } catch (err) {
+    setError(span, err)
+    span.end()
+    throw err
+  }
+  if (!result || !isFunction(result.then)) {
+    span.end()
+    return result
+  }
+
+  return result.then(function (val) {
+    span.end()
+    return val
+  }, function (err) {
+    setError(span, err)
+    span.end()
+    throw err
+  })
+}
+
+/**
+ * record an error on a span
+ */
+function setError (span, err) {
+  span.recordException(err)
+  span.setStatus({ code: SpanStatusCode.ERROR, message: err.message })
+}
+
+/**
+ * remove attributes w/out a value
+ */
+function compact (attributes) {
+  Object.keys(attributes).forEach(function (key) {
+    if (!exists(attributes[key])) {
+      delete attributes[key]
+    }
+  })
+
+  return attributes
+}
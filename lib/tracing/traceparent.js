@@ -0,0 +1,54 @@
+'use strict'
+
+const isString = require('101/is-string')
+
+module.exports.format = format
+module.exports.parse = parse
+module.exports.isValid = isValid
+
+const traceparentRegExp = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})(-.*)?$/
+const invalidTraceId = '00000000000000000000000000000000'
+const invalidSpanId = '0000000000000000'
+
+/**
+ * Format a span context as a W3C "traceparent" header, ex: "00-<trace id>-<span id>-01"
+ * @param  {Object} spanContext { traceId, spanId, traceFlags }
+ * @return {String} traceparent header
+ */
+function format (spanContext) {
+  const flags = ('0' + (spanContext.traceFlags & 0xff).toString(16)).slice(-2)
+
+  return `00-${spanContext.traceId}-${spanContext.spanId}-${flags}`
+}
+
+/**
+ * Parse a W3C "traceparent" header
+ * @param  {String} header traceparent header
+ * @return {Object} remote span context { traceId, spanId, traceFlags, isRemote }, or null if the header is invalid
+ */
+function parse (header) {
+  const match = isString(header) && traceparentRegExp.exec(header.trim())
+  // version "ff" is invalid, and version "00" does not allow extra fields
+  if (!match || match[1] === 'ff' || (match[1] === '00' && match[5])) {
+    return null
+  }
+  const spanContext = {
+    traceId: match[2],
+    spanId: match[3],
+    traceFlags: parseInt(match[4], 16),
+    isRemote: true
+  }
+
+  return isValid(spanContext) ? spanContext : null
+}
+
+/**
+ * Check if a span context is valid (non-zero trace and span ids), no-op spans w/out a parent are not
+ * @param  {Object} spanContext { traceId, spanId }
+ * @return {Boolean} true if valid
+ */
+function isValid (spanContext) {
+  return Boolean(spanContext) &&
+    spanContext.traceId !== invalidTraceId &&
+    spanContext.spanId !== invalidSpanId
+}
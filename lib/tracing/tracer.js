@@ -0,0 +1,115 @@
+'use strict'
+
+const crypto = require('crypto')
+
+const assign = require('101/assign')
+const noop = require('101/noop')
+
+// OpenTelemetry span kinds and status codes
+const SpanKind = {
+  INTERNAL: 0,
+  SERVER: 1,
+  CLIENT: 2,
+  PRODUCER: 3,
+  CONSUMER: 4
+}
+const SpanStatusCode = {
+  UNSET: 0,
+  OK: 1,
+  ERROR: 2
+}
+
+/**
+ * Recording tracer, spans are passed to the exporter when they end.
+ *   implements the subset of OpenTelemetry's tracer and span api used by coworkers,
+ *   so it can be used in tests w/ an `InMemoryExporter`, w/out a collector
+ * @param  {Object} [opts] tracer options
+ * @param  {Object} [opts.exporter] span exporter, w/ an OpenTelemetry style `export(spans, callback)` method
+ * @api public
+ */
+module.exports = class Tracer {
+  constructor (opts) {
+    opts = opts || {}
+    this.exporter = opts.exporter
+  }
+  /**
+   * Start a span
+   * @param  {String} name span name
+   * @param  {Object} [opts] span options
+   * @param  {Number} [opts.kind] span kind, see `Tracer.SpanKind`, default: INTERNAL
+   * @param  {Object} [opts.attributes] span attributes
+   * @param  {Object} [opts.parent] parent span context { traceId, spanId, traceFlags }, default: starts a new trace
+   * @return {Span} span
+   */
+  startSpan (name, opts) {
+    return new Span(this, name, opts || {})
+  }
+}
+module.exports.SpanKind = SpanKind
+module.exports.SpanStatusCode = SpanStatusCode
+
+class Span {
+  constructor (tracer, name, opts) {
+    const parent = opts.parent
+    this.tracer = tracer
+    this.name = name
+    this.kind = opts.kind || SpanKind.INTERNAL
+    this.attributes = assign({}, opts.attributes)
+    this.parentSpanId = parent ? parent.spanId : undefined
+    this._spanContext = {
+      traceId: parent ? parent.traceId : randomId(16),
+      spanId: randomId(8),
+      traceFlags: parent ? parent.traceFlags : 1 // sampled
+    }
+    this.status = { code: SpanStatusCode.UNSET }
+    this.events = []
+    this.startTime = Date.now()
+    this.endTime = undefined
+    this.duration = undefined // ms
+    this.ended = false
+  }
+  spanContext () {
+    return this._spanContext
+  }
+  setAttribute (key, value) {
+    this.attributes[key] = value
+    return this
+  }
+  setAttributes (attributes) {
+    assign(this.attributes, attributes)
+    return this
+  }
+  addEvent (name, attributes) {
+    this.events.push({ name: name, attributes: attributes || {}, time: Date.now() })
+    return this
+  }
+  setStatus (status) {
+    this.status = status
+    return this
+  }
+  recordException (err) {
+    this.addEvent('exception', {
+      'exception.type': err.name,
+      'exception.message': err.message,
+      'exception.stacktrace': err.stack
+    })
+  }
+  isRecording () {
+    return !this.ended
+  }
+  end () {
+    if (this.ended) {
+      return
+    }
+    this.ended = true
+    this.endTime = Date.now()
+    this.duration = this.endTime - this.startTime
+    if (this.tracer.exporter) {
+      this.tracer.exporter.export([this], noop)
+    }
+  }
+}
+
+function randomId (bytes) {
+  return crypto.randomBytes(bytes).toString('hex')
+}
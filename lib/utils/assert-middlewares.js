@@ -0,0 +1,14 @@
+'use strict'
+
+const assert = require('assert')
+
+const isFunction = require('101/is-function')
+
+module.exports = assertMiddlewares
+
+/**
+ * assert-args validator for middlewares, generator functions or (async) functions
+ */
+function assertMiddlewares (fn) {
+  assert(isFunction(fn), 'must be generator or async functions')
+}
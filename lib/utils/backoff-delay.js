@@ -0,0 +1,23 @@
+'use strict'
+
+module.exports = backoffDelay
+
+/**
+ * calculate an exponential backoff delay w/ jitter
+ * @param  {Number} attempt attempt number, starts at 1
+ * @param  {Object} opts backoff options
+ * @param  {Number} opts.minTimeout delay of the first attempt in ms
+ * @param  {Number} opts.maxTimeout maximum delay in ms
+ * @param  {Number} opts.factor exponential factor
+ * @param  {Number} opts.jitter randomization factor between 0 and 1, 0 disables jitter
+ * @return {Number} delay in ms
+ */
+function backoffDelay (attempt, opts) {
+  let delay = opts.minTimeout * Math.pow(opts.factor, attempt - 1)
+
+  delay = Math.min(delay, opts.maxTimeout)
+  // randomly reduce the delay by up to `jitter` percent
+  delay = delay * (1 - opts.jitter * Math.random())
+
+  return Math.round(delay)
+}
@@ -0,0 +1,82 @@
+'use strict'
+
+const debug = require('./debug.js')()
+
+module.exports.request = request
+module.exports.respond = respond
+
+const requestType = 'coworkers:request'
+const replyType = 'coworkers:reply'
+let requestId = 0
+
+/**
+ * Request a value from cluster workers over IPC, used by the cluster master (ex: workers' metrics)
+ *   workers that do not reply before the timeout (or cannot be sent messages) are omitted
+ * @param  {Array} workers cluster workers
+ * @param  {String} method request method, ex: "metrics", see `respond`
+ * @param  {Number} timeout maximum time to wait for a worker's reply in ms
+ * @return {Promise} replies promise, [{ worker, result }]
+ */
+function request (workers, method, timeout) {
+  return Promise.all(workers.map(function (worker) {
+    return requestWorker(worker, method, timeout)
+  })).then(function (replies) {
+    return replies.filter(Boolean)
+  })
+}
+
+function requestWorker (worker, method, timeout) {
+  const id = ++requestId
+
+  return new Promise(function (resolve) {
+    const timer = setTimeout(function () {
+      debug('ipc request %s timed out for worker %s', method, worker.id)
+      finish()
+    }, timeout)
+    worker.on('message', onMessage)
+    worker.send({ type: requestType, id: id, method: method }, function (err) {
+      if (err) {
+        debug('ipc request %s failed for worker %s', method, worker.id, err)
+        finish()
+      }
+    })
+    function onMessage (message) {
+      if (message && message.type === replyType && message.id === id) {
+        finish(message.error
+          ? null
+          : { worker: worker, result: message.result })
+      }
+    }
+    function finish (reply) {
+      clearTimeout(timer)
+      worker.removeListener('message', onMessage)
+      resolve(reply || null)
+    }
+  })
+}
+
+/**
+ * Reply to an IPC request from the cluster master, used by cluster workers
+ * @param  {Object} methods request methods, { <method>: handler() }, handlers may return promises
+ * @param  {Object} message IPC message, other messages are ignored
+ * @param  {Function} send process.send
+ */
+function respond (methods, message, send) {
+  if (!message || message.type !== requestType) {
+    return
+  }
+  const id = message.id
+  const handler = methods[message.method]
+
+  new Promise(function (resolve) {
+    if (!handler) {
+      throw new Error(`unknown ipc method "${message.method}"`)
+    }
+    resolve(handler())
+  }).then(function (result) {
+    send({ type: replyType, id: id, result: result })
+  }, function (err) {
+    debug('ipc request %s errored', message.method, err)
+    send({ type: replyType, id: id, error: err.message })
+  })
+}
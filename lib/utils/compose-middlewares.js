@@ -0,0 +1,66 @@
+'use strict'
+
+const co = require('co')
+const isGeneratorFunction = require('is-generator').fn
+
+module.exports = composeMiddlewares
+module.exports.convert = convert
+
+/**
+ * Compose generator and async (promise-returning) middlewares into a single message handler
+ *   async middlewares are invoked Koa 2 style, as `middleware(context, next)`, w/ the context as `this`,
+ *   `next()` returns a promise that resolves when downstream middlewares are finished.
+ *   generator middlewares are invoked Koa 1 style, as `middleware(next)` w/ the context as `this`, using co
+ * @param  {Array} middlewares generator functions and/or functions
+ * @return {Function} handler(context, [downstream]), returns a promise.
+ *                    `downstream` (ex: a router's outer `next`) is invoked when the last middleware calls next
+ */
+function composeMiddlewares (middlewares) {
+  middlewares = middlewares.map(convert)
+
+  return function (context, downstream) {
+    let index = -1
+
+    return dispatch(0)
+
+    function dispatch (i) {
+      if (i <= index) {
+        return Promise.reject(new Error('next() called multiple times'))
+      }
+      index = i
+      const middleware = i === middlewares.length
+        ? downstream
+        : middlewares[i]
+      if (!middleware) {
+        return Promise.resolve()
+      }
+      try {
+        return Promise.resolve(middleware.call(context, context, function next () {
+          return dispatch(i + 1)
+        }))
+      } catch (err) {
+        return Promise.reject(err)
+      }
+    }
+  }
+}
+
+/**
+ * Convert a generator middleware to an async middleware, other functions are returned as is
+ * @param  {Function|GeneratorFunction} middleware middleware
+ * @return {Function} middleware(context, next)
+ */
+function convert (middleware) {
+  if (!isGeneratorFunction(middleware)) {
+    return middleware
+  }
+
+  return function (context, next) {
+    // `yield next` and `yield* next` both delegate to the downstream middlewares
+    return co.call(context, middleware, createGenerator(next))
+  }
+}
+
+function * createGenerator (next) {
+  return yield next()
+}
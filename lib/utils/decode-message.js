@@ -0,0 +1,61 @@
+'use strict'
+
+const zlib = require('zlib')
+
+const DecodeError = require('../decode-error.js')
+const parseContentType = require('./parse-content-type.js')
+
+module.exports = decodeMessage
+module.exports.defaultDecoders = {
+  'application/json': decodeJSON,
+  'text/*': decodeText
+}
+
+const decompressors = {
+  identity: function (content) {
+    return content
+  },
+  gzip: zlib.gunzipSync,
+  deflate: zlib.inflateSync
+}
+
+/**
+ * Decode a message's content using its "contentType" and "contentEncoding" properties
+ *   decoders are looked up by content type ("type/subtype"), then by wildcard ("type/*"),
+ *   messages w/out a matching decoder decode to their (decompressed) content buffer
+ * @param  {Object} decoders content type decoders, see `app.decoder`
+ * @param  {Object} message amqplib message
+ * @return {*} decoded message content
+ * @throws {DecodeError} if the content cannot be decompressed or decoded
+ */
+function decodeMessage (decoders, message) {
+  const contentType = parseContentType(message.properties.contentType)
+  const contentEncoding = (message.properties.contentEncoding || 'identity').toLowerCase()
+
+  try {
+    const decompress = decompressors[contentEncoding]
+    if (!decompress) {
+      throw new Error(`unsupported content encoding "${contentEncoding}"`)
+    }
+    const content = decompress(message.content)
+    const decoder = decoders[contentType.type] || decoders[contentType.wildcard]
+
+    return decoder
+      ? decoder(content, message)
+      : content
+  } catch (err) {
+    const decodeErr = new DecodeError(`Message content could not be decoded: ${err.message}`, err)
+    decodeErr.contentType = message.properties.contentType
+    decodeErr.contentEncoding = message.properties.contentEncoding
+
+    throw decodeErr
+  }
+}
+
+function decodeText (content, message) {
+  return content.toString(parseContentType(message.properties.contentType).charset)
+}
+
+function decodeJSON (content, message) {
+  return JSON.parse(decodeText(content, message))
+}
@@ -0,0 +1,74 @@
+'use strict'
+
+const assert = require('assert')
+const zlib = require('zlib')
+
+const assign = require('101/assign')
+const isString = require('101/is-string')
+
+const castToBuffer = require('./cast-to-buffer.js')
+const parseContentType = require('./parse-content-type.js')
+
+module.exports = encodeContent
+module.exports.defaultEncoders = {
+  'application/json': castToBuffer,
+  'application/octet-stream': castToBuffer,
+  'text/*': encodeText
+}
+
+const compressors = {
+  identity: function (content) {
+    return content
+  },
+  gzip: zlib.gzipSync,
+  deflate: zlib.deflateSync
+}
+
+/**
+ * Encode message content for publishing, sets the "contentType" publish option if it is not specified
+ *   default content types: buffers "application/octet-stream", strings "text/plain", objects and arrays "application/json"
+ *   encoders are looked up by content type ("type/subtype"), then by wildcard ("type/*"),
+ *   buffers w/out a matching encoder are published as is
+ *   content is compressed if the "contentEncoding" option is "gzip" or "deflate"
+ * @param  {Object} encoders content type encoders, see `app.encoder`
+ * @param  {Buffer|Object|Array|String} content message content
+ * @param  {Object} [options] publish options, not modified
+ * @return {Object} { content: encoded content buffer, options: publish options w/ contentType }
+ */
+function encodeContent (encoders, content, options) {
+  options = assign({}, options)
+  options.contentType = options.contentType || defaultContentType(content)
+  const contentType = parseContentType(options.contentType)
+  const contentEncoding = (options.contentEncoding || 'identity').toLowerCase()
+  const compress = compressors[contentEncoding]
+  const encoder = encoders[contentType.type] || encoders[contentType.wildcard]
+
+  assert(compress, `Unsupported content encoding "${options.contentEncoding}"`)
+  assert(encoder || Buffer.isBuffer(content),
+    `No encoder for content type "${options.contentType}", please register one using "app.encoder"`)
+
+  const encoded = encoder
+    ? castToBuffer(encoder(content, options))
+    : content
+
+  return {
+    content: compress(encoded),
+    options: options
+  }
+}
+
+function defaultContentType (content) {
+  if (Buffer.isBuffer(content)) {
+    return 'application/octet-stream'
+  }
+
+  return isString(content)
+    ? 'text/plain'
+    : 'application/json'
+}
+
+function encodeText (content, options) {
+  return isString(content)
+    ? new Buffer(content, parseContentType(options.contentType).charset)
+    : castToBuffer(content)
+}
@@ -9,6 +9,7 @@ module.exports = getEnv
 
 function getEnv () {
   let COWORKERS_CLUSTER = process.env.COWORKERS_CLUSTER
+  let COWORKERS_PREFETCH = process.env.COWORKERS_PREFETCH
   let COWORKERS_QUEUE = process.env.COWORKERS_QUEUE
   let COWORKERS_QUEUE_WORKER_NUM = process.env.COWORKERS_QUEUE_WORKER_NUM
   let COWORKERS_RABBITMQ_URL = process.env.COWORKERS_RABBITMQ_URL
@@ -37,10 +38,17 @@ function getEnv () {
     assert(isNumber(COWORKERS_WORKERS_PER_QUEUE),
       '"COWORKERS_WORKERS_PER_QUEUE" must be an integer')
   }
+  // assert COWORKERS_PREFETCH is a number
+  if (exists(COWORKERS_PREFETCH)) {
+    COWORKERS_PREFETCH = parseInt(COWORKERS_PREFETCH, 10)
+    assert(isNumber(COWORKERS_PREFETCH),
+      '"COWORKERS_PREFETCH" must be an integer')
+  }
   // amqplib will validate COWORKERS_RABBITMQ_URL
 
   return {
     COWORKERS_CLUSTER,
+    COWORKERS_PREFETCH,
     COWORKERS_QUEUE,
     COWORKERS_QUEUE_WORKER_NUM,
     COWORKERS_RABBITMQ_URL,
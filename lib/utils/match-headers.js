@@ -0,0 +1,24 @@
+'use strict'
+
+module.exports = matchHeaders
+
+/**
+ * check if message headers match AMQP headers exchange binding arguments
+ *   all arguments must match, unless `args["x-match"]` is "any". "x-" arguments are not matched
+ * @param  {Object} args binding arguments, ex: { type: 'created', 'x-match': 'all' }
+ * @param  {Object} [headers] message headers
+ * @return {Boolean} true if the headers match
+ */
+function matchHeaders (args, headers) {
+  headers = headers || {}
+  const keys = Object.keys(args).filter(function (key) {
+    return !/^x-/.test(key)
+  })
+  const matches = function (key) {
+    return headers[key] === args[key]
+  }
+
+  return args['x-match'] === 'any'
+    ? keys.some(matches)
+    : keys.every(matches)
+}
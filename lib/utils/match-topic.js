@@ -0,0 +1,34 @@
+'use strict'
+
+module.exports = matchTopic
+
+/**
+ * check if a routing key matches an AMQP topic pattern
+ *   "*" matches exactly one word, "#" matches zero or more words
+ * @param  {String} pattern topic pattern, ex: "user.*.created"
+ * @param  {String} routingKey message routing key, ex: "user.1.created"
+ * @return {Boolean} true if the routing key matches
+ */
+function matchTopic (pattern, routingKey) {
+  return matchWords(pattern.split('.'), 0, routingKey.split('.'), 0)
+}
+
+function matchWords (patternWords, i, keyWords, j) {
+  if (i === patternWords.length) {
+    return j === keyWords.length
+  }
+  const word = patternWords[i]
+  if (word === '#') {
+    // match zero words, or consume one word and try again
+    return matchWords(patternWords, i + 1, keyWords, j) ||
+      (j < keyWords.length && matchWords(patternWords, i, keyWords, j + 1))
+  }
+  if (j === keyWords.length) {
+    return false
+  }
+  if (word === '*' || word === keyWords[j]) {
+    return matchWords(patternWords, i + 1, keyWords, j + 1)
+  }
+
+  return false
+}
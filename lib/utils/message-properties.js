@@ -0,0 +1,45 @@
+'use strict'
+
+const assign = require('101/assign')
+const exists = require('101/exists')
+const uuid = require('uuid')
+
+module.exports = messageProperties
+
+/**
+ * Set default properties of a message published while handling a message (the "cause")
+ *   messageId (uuid), timestamp (seconds) and appId (if `app.appId` is set),
+ *   and trace the event chain using headers: "x-correlation-id" (the chain's first messageId, propagated)
+ *   and "x-causation-id" (the cause's messageId). properties that are specified are not overridden
+ * @param  {Application} app coworkers application
+ * @param  {Object} options publish options, modified
+ * @param  {Object} cause amqplib message being handled
+ * @return {Object} publish options
+ */
+function messageProperties (app, options, cause) {
+  if (!exists(options.messageId)) {
+    options.messageId = uuid.v4()
+  }
+  if (!exists(options.timestamp)) {
+    // amqp timestamps are in seconds
+    options.timestamp = Math.floor(Date.now() / 1000)
+  }
+  if (!exists(options.appId) && exists(app.appId)) {
+    options.appId = app.appId
+  }
+  const causeProps = cause.properties
+  const causeHeaders = causeProps.headers || {}
+  const correlationId = exists(causeHeaders['x-correlation-id'])
+    ? causeHeaders['x-correlation-id']
+    : causeProps.messageId
+  const headers = {}
+  if (exists(correlationId)) {
+    headers['x-correlation-id'] = correlationId
+  }
+  if (exists(causeProps.messageId)) {
+    headers['x-causation-id'] = causeProps.messageId
+  }
+  options.headers = assign(headers, options.headers)
+
+  return options
+}
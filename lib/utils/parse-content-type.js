@@ -0,0 +1,24 @@
+'use strict'
+
+module.exports = parseContentType
+
+/**
+ * parse a content type, ex: "text/plain; charset=utf-8"
+ * @param  {String} [contentType] content type
+ * @return {Object} { type, wildcard, charset }, ex: { type: 'text/plain', wildcard: 'text/*', charset: 'utf-8' }
+ *                  charset defaults to 'utf8', if it is unspecified or not supported by Buffer
+ */
+function parseContentType (contentType) {
+  const parts = (contentType || '').toLowerCase().split(';')
+  const type = parts[0].trim()
+  const charset = parts.slice(1).reduce(function (charset, param) {
+    const match = /^\s*charset=["']?([^"']+)/.exec(param)
+    return match ? match[1] : charset
+  }, 'utf8')
+
+  return {
+    type: type,
+    wildcard: type.replace(/\/.*$/, '/*'),
+    charset: Buffer.isEncoding(charset) ? charset : 'utf8'
+  }
+}
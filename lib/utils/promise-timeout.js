@@ -0,0 +1,33 @@
+'use strict'
+
+const exists = require('101/exists')
+
+module.exports = promiseTimeout
+
+/**
+ * wait for a promise to settle, or until timeout
+ * @param  {Promise} promise promise to wait for
+ * @param  {Number} [timeout] timeout in ms, waits indefinitely if not specified
+ * @return {Promise} yields true if the promise settled, false if it timed out
+ */
+function promiseTimeout (promise, timeout) {
+  const settled = promise.then(returnTrue, returnTrue)
+
+  if (!exists(timeout)) {
+    return settled
+  }
+
+  return new Promise(function (resolve) {
+    const timer = setTimeout(function () {
+      resolve(false)
+    }, timeout)
+    settled.then(function () {
+      clearTimeout(timer)
+      resolve(true)
+    })
+  })
+}
+
+function returnTrue () {
+  return true
+}
@@ -0,0 +1,66 @@
+'use strict'
+
+const http = require('http')
+const url = require('url')
+
+const debug = require('./debug.js')()
+
+module.exports = serveHttp
+module.exports.close = close
+
+/**
+ * Serve http GET endpoints, ex: metrics
+ * @param  {Number} port port to listen on
+ * @param  {Object} routes { <path>: handler() }, handlers return a promise of { [statusCode], contentType, body }
+ * @return {Promise} http server promise, resolves when it is listening
+ */
+function serveHttp (port, routes) {
+  const server = http.createServer(function (req, res) {
+    const handler = routes[url.parse(req.url).pathname]
+    if (!handler) {
+      return send(res, 404, 'text/plain', 'Not Found')
+    }
+    if (req.method !== 'GET') {
+      return send(res, 405, 'text/plain', 'Method Not Allowed')
+    }
+    Promise.resolve().then(handler).then(function (response) {
+      send(res, response.statusCode || 200, response.contentType, response.body)
+    }).catch(function (err) {
+      debug('http %s errored', req.url, err)
+      send(res, 500, 'text/plain', 'Internal Server Error')
+    })
+  })
+
+  return new Promise(function (resolve, reject) {
+    server.once('error', reject)
+    server.listen(port, function () {
+      server.removeListener('error', reject)
+      debug('http server listening on %s', port)
+      resolve(server)
+    })
+  })
+}
+
+/**
+ * Close an http server
+ * @param  {http.Server} server http server
+ * @return {Promise} close promise
+ */
+function close (server) {
+  return new Promise(function (resolve, reject) {
+    server.close(function (err) {
+      if (err) {
+        return reject(err)
+      }
+      resolve()
+    })
+  })
+}
+
+function send (res, statusCode, contentType, body) {
+  res.writeHead(statusCode, {
+    'Content-Type': contentType,
+    'Content-Length': Buffer.byteLength(body)
+  })
+  res.end(body)
+}
@@ -11,7 +11,7 @@ function wrap (obj, methods, proxyFn) {
     const orig = obj[method]
     assert(isFunction(orig), `"${method}" must be a function`)
     obj[method] = function () {
-      return proxyFn.call(this, orig, arguments)
+      return proxyFn.call(this, orig, arguments, method)
     }
   })
 }
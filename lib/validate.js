@@ -0,0 +1,51 @@
+'use strict'
+
+const Ajv = require('ajv')
+
+const debug = require('./utils/debug')()
+const ValidationError = require('./validation-error.js')
+
+const ajv = new Ajv({ allErrors: true })
+
+module.exports = validate
+
+/**
+ * Create a middleware that validates the message body (`context.body`) w/ a JSON schema
+ *   invalid messages throw a ValidationError w/ the failing paths, and are rejected (see app-handle-error.js).
+ *   used for `consumeOpts.messageSchema`, and can be used in routes for per routing key schemas
+ * @param  {Object} schema JSON schema (draft-04), compiled immediately (throws if invalid)
+ * @return {Function} middleware(context, next)
+ * @api public
+ */
+function validate (schema) {
+  const validator = ajv.compile(schema)
+
+  return function validateMessage (context, next) {
+    if (!validator(context.body)) {
+      const errors = validator.errors
+      const paths = errors
+        .map(errorPath)
+        .filter(function (path, i, paths) {
+          return paths.indexOf(path) === i
+        })
+      debug('message %s failed validation %o', context.deliveryTag, paths)
+      throw new ValidationError(
+        'Message failed schema validation: ' + ajv.errorsText(errors, { dataVar: 'body' }),
+        paths,
+        errors)
+    }
+
+    return next()
+  }
+}
+
+/**
+ * get the path of an ajv error, ex: "foo.bar[0]", or "" for the body itself
+ */
+function errorPath (err) {
+  const path = err.keyword === 'required'
+    ? err.dataPath + '.' + err.params.missingProperty
+    : err.dataPath
+
+  return path.replace(/^\./, '')
+}
@@ -0,0 +1,9 @@
+'use strict'
+
+module.exports = class ValidationError extends Error {
+  constructor (message, paths, errors) {
+    super(message)
+    this.paths = paths
+    this.errors = errors
+  }
+}
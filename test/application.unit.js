@@ -1,6 +1,7 @@
 'use strict'
 
 const cluster = require('cluster')
+const http = require('http')
 
 const Code = require('code')
 const Lab = require('lab')
@@ -17,6 +18,8 @@ const afterEach = lab.afterEach
 const expect = Code.expect
 
 const Application = require('../lib/application.js')
+const DeliveryTracker = require('../lib/delivery-tracker.js')
+const NoopTracer = require('../lib/tracing/noop-tracer.js')
 
 describe('Application', function () {
   let ctx
@@ -105,6 +108,250 @@ describe('Application', function () {
         })
       })
 
+      describe('options.prefetch', function () {
+        it('should set prefetch options on app', function (done) {
+          const app = new Application({ prefetch: 10, prefetchGlobal: true })
+          expect(app.prefetch).to.equal(10)
+          expect(app.prefetchGlobal).to.be.true()
+          done()
+        })
+
+        it('should default prefetchGlobal to false', function (done) {
+          const app = new Application()
+          expect(app.prefetch).to.not.exist()
+          expect(app.prefetchGlobal).to.be.false()
+          done()
+        })
+
+        it('should error if prefetch is not a number', function (done) {
+          expect(function () {
+            Application({ prefetch: 'foo' })
+          }).to.throw(/prefetch.*number/)
+          done()
+        })
+
+        describe('COWORKERS_PREFETCH', function () {
+          beforeEach(function (done) {
+            process.env.COWORKERS_PREFETCH = '20'
+            done()
+          })
+          afterEach(function (done) {
+            delete process.env.COWORKERS_PREFETCH
+            done()
+          })
+
+          it('should default to process.env.COWORKERS_PREFETCH', function (done) {
+            const app = new Application()
+            expect(app.prefetch).to.equal(20)
+            done()
+          })
+        })
+      })
+
+      describe('options.publishHighWaterMark', function () {
+        it('should set publishHighWaterMark on app', function (done) {
+          const app = new Application({ publishHighWaterMark: 0 })
+          expect(app.publishHighWaterMark).to.equal(0)
+          done()
+        })
+
+        it('should error if publishHighWaterMark is not a number', function (done) {
+          expect(function () {
+            Application({ publishHighWaterMark: 'foo' })
+          }).to.throw(/publishHighWaterMark.*number/)
+          done()
+        })
+      })
+
+      describe('options.requestTimeout', function () {
+        it('should set requestTimeout on app', function (done) {
+          const app = new Application({ requestTimeout: 1000 })
+          expect(app.requestTimeout).to.equal(1000)
+          done()
+        })
+
+        it('should error if requestTimeout is not a number', function (done) {
+          expect(function () {
+            Application({ requestTimeout: 'foo' })
+          }).to.throw(/requestTimeout.*number/)
+          done()
+        })
+      })
+
+      describe('options.closeTimeout', function () {
+        it('should default closeTimeout to 10000', function (done) {
+          const app = new Application()
+          expect(app.closeTimeout).to.equal(10000)
+          done()
+        })
+
+        it('should set closeTimeout on app', function (done) {
+          const app = new Application({ closeTimeout: 1000 })
+          expect(app.closeTimeout).to.equal(1000)
+          done()
+        })
+
+        it('should error if closeTimeout is not a number', function (done) {
+          expect(function () {
+            Application({ closeTimeout: 'foo' })
+          }).to.throw(/closeTimeout.*number/)
+          done()
+        })
+      })
+
+      describe('options.onErrorAction', function () {
+        it('should default to none', function (done) {
+          const app = new Application()
+          expect(app.onErrorAction).to.equal('none')
+          done()
+        })
+
+        it('should error if not a valid action', function (done) {
+          expect(function () {
+            Application({ onErrorAction: 'foo' })
+          }).to.throw(/onErrorAction.*nack.*reject.*requeue.*none/)
+          done()
+        })
+      })
+
+      describe('options.tracer', function () {
+        it('should default to a no-op tracer', function (done) {
+          const app = new Application()
+          expect(app.tracer).to.be.an.instanceOf(NoopTracer)
+          done()
+        })
+
+        it('should set tracer', function (done) {
+          const tracer = new Application.Tracer()
+          expect(new Application({ tracer: tracer }).tracer).to.equal(tracer)
+          done()
+        })
+
+        it('should error if tracer does not have a startSpan method', function (done) {
+          expect(function () {
+            Application({ tracer: {} })
+          }).to.throw(/tracer.*startSpan/)
+          done()
+        })
+      })
+
+      describe('options.metrics', function () {
+        it('should disable metrics by default', function (done) {
+          const app = new Application()
+          expect(app.metricsOpts).to.not.exist()
+          expect(app.metrics).to.be.an.instanceOf(Application.Metrics)
+          expect(app.metrics.enabled).to.be.false()
+          done()
+        })
+
+        it('should enable metrics', function (done) {
+          const app = new Application({ metrics: true })
+          expect(app.metricsOpts).to.deep.equal({ path: '/metrics' })
+          expect(app.metrics.enabled).to.be.true()
+          done()
+        })
+
+        it('should set metrics options', function (done) {
+          const opts = { port: 9100, path: '/foo', buckets: [1, 2] }
+          const app = new Application({ metrics: opts })
+          expect(app.metricsOpts).to.deep.equal(opts)
+          expect(app.metricsOpts).to.not.equal(opts)
+          expect(app.metrics.enabled).to.be.true()
+          expect(app.metrics.buckets).to.deep.equal([1, 2])
+          done()
+        })
+
+        it('should error if port is not a number', function (done) {
+          expect(function () {
+            Application({ metrics: { port: '9100' } })
+          }).to.throw(/metrics\.port.*number/)
+          done()
+        })
+
+        it('should error if path is not a string', function (done) {
+          expect(function () {
+            Application({ metrics: { path: 1 } })
+          }).to.throw(/metrics\.path.*string/)
+          done()
+        })
+      })
+
+      describe('options.health', function () {
+        it('should not serve health probes by default', function (done) {
+          const app = new Application()
+          expect(app.healthOpts).to.not.exist()
+          done()
+        })
+
+        it('should default probe paths', function (done) {
+          const opts = { port: 8080 }
+          const app = new Application({ health: opts })
+          expect(app.healthOpts).to.deep.equal({ port: 8080, livenessPath: '/live', readinessPath: '/ready' })
+          expect(opts).to.deep.equal({ port: 8080 })
+          done()
+        })
+
+        it('should set probe paths', function (done) {
+          const opts = { port: 8080, livenessPath: '/healthz', readinessPath: '/readyz' }
+          const app = new Application({ health: opts })
+          expect(app.healthOpts).to.deep.equal(opts)
+          done()
+        })
+
+        it('should error if health is not an object', function (done) {
+          expect(function () {
+            Application({ health: true })
+          }).to.throw(/health.*object/)
+          done()
+        })
+
+        it('should error if port is not a number', function (done) {
+          expect(function () {
+            Application({ health: {} })
+          }).to.throw(/health\.port.*number/)
+          done()
+        })
+
+        it('should error if paths are not strings', function (done) {
+          expect(function () {
+            Application({ health: { port: 8080, livenessPath: 1 } })
+          }).to.throw(/health\.livenessPath.*string/)
+          expect(function () {
+            Application({ health: { port: 8080, readinessPath: 1 } })
+          }).to.throw(/health\.readinessPath.*string/)
+          done()
+        })
+      })
+
+      describe('options.appId', function () {
+        it('should set appId', function (done) {
+          expect(new Application({ appId: 'app-id' }).appId).to.equal('app-id')
+          done()
+        })
+
+        it('should error if appId is not a string', function (done) {
+          expect(function () {
+            Application({ appId: 1 })
+          }).to.throw(/appId.*string/)
+          done()
+        })
+      })
+
+      describe('options.topologyAssertedBy', function () {
+        it('should default to workers', function (done) {
+          const app = new Application()
+          expect(app.topologyAssertedBy).to.equal('workers')
+          done()
+        })
+
+        it('should error if not workers or master', function (done) {
+          expect(function () {
+            Application({ topologyAssertedBy: 'foo' })
+          }).to.throw(/topologyAssertedBy.*workers.*master/)
+          done()
+        })
+      })
+
       describe('options.queueName', function () {
         it('should require queueName if clustering is disabled', function (done) {
           expect(function () {
@@ -145,10 +392,10 @@ describe('Application', function () {
     })
 
     describe('use', function () {
-      it('should error if not passed a generator', function (done) {
+      it('should error if not passed a function', function (done) {
         expect(function () {
           ctx.app.use(1)
-        }).to.throw(/generator/)
+        }).to.throw(/generator or async functions/)
         done()
       })
 
@@ -157,6 +404,14 @@ describe('Application', function () {
         ctx.app.use(function * foo () {})
         done()
       })
+
+      it('should accept an async function', function (done) {
+        ctx.app.use(function (context, next) {
+          return next()
+        })
+        expect(ctx.app.middlewares).to.have.length(1)
+        done()
+      })
     })
 
     describe('queue', function () {
@@ -190,6 +445,28 @@ describe('Application', function () {
           expect(ctx.app.queueNames).deep.equal(['queue-name'])
           done()
         })
+        it('should default consumeOpts to an empty object', function (done) {
+          ctx.app.queue('queue-name', function * () {})
+          expect(ctx.app.queueMiddlewares['queue-name'].consumeOpts).to.deep.equal({})
+          // empty messageSchema is not validated
+          expect(ctx.app.queueMiddlewares['queue-name']).to.have.length(1)
+          done()
+        })
+        it('should validate messages w/ the queue\'s messageSchema', function (done) {
+          ctx.app = new Application({
+            schema: new RabbitSchema({
+              queue: 'queue-name',
+              messageSchema: { type: 'object' }
+            })
+          })
+          const middleware = function * () {}
+          ctx.app.queue('queue-name', middleware)
+          const middlewares = ctx.app.queueMiddlewares['queue-name']
+          expect(middlewares).to.have.length(2)
+          expect(middlewares[0].name).to.equal('validateMessage')
+          expect(middlewares[1]).to.equal(middleware)
+          done()
+        })
       })
 
       describe('app w/out schema', function () {
@@ -211,22 +488,51 @@ describe('Application', function () {
           }).to.throw(/consumeOpts.*object/)
           done()
         })
+        it('should error if consumeOpts.onError is not a function', function (done) {
+          expect(function () {
+            ctx.app.queue('queue', {}, { onError: 1 }, function * () {})
+          }).to.throw(/onError.*function/)
+          done()
+        })
+        it('should error if consumeOpts.onErrorAction is not a valid action', function (done) {
+          expect(function () {
+            ctx.app.queue('queue', {}, { onErrorAction: 'foo' }, function * () {})
+          }).to.throw(/consumeOpts.onErrorAction.*nack/)
+          done()
+        })
+        it('should error if consumeOpts.messageSchema is not an object', function (done) {
+          expect(function () {
+            ctx.app.queue('queue', {}, { messageSchema: 'foo' }, function * () {})
+          }).to.throw(/messageSchema.*object/)
+          done()
+        })
+        it('should validate messages w/ consumeOpts.messageSchema', function (done) {
+          ctx.app.queue('queue', {}, { messageSchema: { type: 'object' } }, function * () {})
+          expect(ctx.app.queueMiddlewares.queue[0].name).to.equal('validateMessage')
+          done()
+        })
+        it('should error if consumeOpts.handlerTimeout is not a number', function (done) {
+          expect(function () {
+            ctx.app.queue('queue', {}, { handlerTimeout: 'foo' }, function * () {})
+          }).to.throw(/handlerTimeout.*number/)
+          done()
+        })
         it('should error if not passed any middlewares', function (done) {
           expect(function () {
             ctx.app.queue('queue', {})
           }).to.throw(/middlewares.*required/)
           done()
         })
-        it('should error if pass non-generator middleware', function (done) {
+        it('should error if pass non-function middleware', function (done) {
           expect(function () {
-            ctx.app.queue('queue', {}, function () {})
-          }).to.throw(/middlewares.*generator/)
+            ctx.app.queue('queue', {}, {}, 1)
+          }).to.throw(/middlewares.*generator or async functions/)
           done()
         })
-        it('should error if pass non-generator middleware 2', function (done) {
+        it('should error if pass non-function middleware 2', function (done) {
           expect(function () {
-            ctx.app.queue('queue', {}, function * () {}, function () {})
-          }).to.throw(/middlewares.*generator/)
+            ctx.app.queue('queue', {}, function * () {}, 'foo')
+          }).to.throw(/middlewares.*generator or async functions/)
           done()
         })
         it('should error if called w/ same queue more than once', function (done) {
@@ -263,14 +569,120 @@ describe('Application', function () {
       })
     })
 
+    describe('exchange', function () {
+      it('should error if not passed a string exchangeName', function (done) {
+        expect(function () {
+          ctx.app.exchange(1, 'topic')
+        }).to.throw(/exchangeName.*string/)
+        done()
+      })
+      it('should error if not passed a string type', function (done) {
+        expect(function () {
+          ctx.app.exchange('exchange-name')
+        }).to.throw(/type.*required/)
+        done()
+      })
+      it('should error if called w/ same exchange more than once', function (done) {
+        expect(function () {
+          ctx.app.exchange('exchange-name', 'topic')
+          ctx.app.exchange('exchange-name', 'direct')
+        }).to.throw(/exchange-name.*already exists/)
+        done()
+      })
+      it('should setup exchange for assertion', function (done) {
+        ctx.app.exchange('exchange-name', 'topic')
+        ctx.app.exchange('exchange-name2', 'fanout', { durable: false })
+        expect(ctx.app.exchanges).to.deep.equal({
+          'exchange-name': { type: 'topic', opts: {} },
+          'exchange-name2': { type: 'fanout', opts: { durable: false } }
+        })
+        expect(ctx.app.hasTopology()).to.be.true()
+        done()
+      })
+    })
+
+    describe('bind', function () {
+      it('should error if not passed a routingKey', function (done) {
+        expect(function () {
+          ctx.app.bind('queue-name', 'exchange-name')
+        }).to.throw(/routingKey.*required/)
+        done()
+      })
+      it('should setup binding for assertion', function (done) {
+        expect(ctx.app.hasTopology()).to.be.false()
+        ctx.app.bind('queue-name', 'exchange-name', 'foo.*')
+        ctx.app.bind('queue-name', 'exchange-name', 'bar.*', { foo: 1 })
+        expect(ctx.app.bindings).to.deep.equal([
+          { queue: 'queue-name', exchange: 'exchange-name', routingKey: 'foo.*', args: {} },
+          { queue: 'queue-name', exchange: 'exchange-name', routingKey: 'bar.*', args: { foo: 1 } }
+        ])
+        expect(ctx.app.hasTopology()).to.be.true()
+        done()
+      })
+    })
+
+    describe('decoder', function () {
+      it('should have default json and text decoders', function (done) {
+        expect(ctx.app.decoders).to.only.include(['application/json', 'text/*'])
+        done()
+      })
+      it('should error if not passed a decoder function', function (done) {
+        expect(function () {
+          ctx.app.decoder('application/msgpack')
+        }).to.throw(/decoder.*required/)
+        done()
+      })
+      it('should register a decoder', function (done) {
+        ctx.decoder = function () {}
+        expect(ctx.app.decoder('Application/MsgPack', ctx.decoder)).to.equal(ctx.app)
+        expect(ctx.app.decoders['application/msgpack']).to.equal(ctx.decoder)
+        done()
+      })
+    })
+
+    describe('onError', function () {
+      it('should error if not passed a handler function', function (done) {
+        expect(function () {
+          ctx.app.onError()
+        }).to.throw(/handler.*required/)
+        done()
+      })
+      it('should register an error handler', function (done) {
+        ctx.handler = function () {}
+        expect(ctx.app.onError(ctx.handler)).to.equal(ctx.app)
+        expect(ctx.app.errorHandlers).to.deep.equal([ctx.handler])
+        done()
+      })
+    })
+
+    describe('encoder', function () {
+      it('should have default json, binary and text encoders', function (done) {
+        expect(ctx.app.encoders).to.only.include(['application/json', 'application/octet-stream', 'text/*'])
+        done()
+      })
+      it('should error if not passed an encoder function', function (done) {
+        expect(function () {
+          ctx.app.encoder('application/msgpack')
+        }).to.throw(/encoder.*required/)
+        done()
+      })
+      it('should register an encoder', function (done) {
+        ctx.encoder = function () {}
+        expect(ctx.app.encoder('Application/MsgPack', ctx.encoder)).to.equal(ctx.app)
+        expect(ctx.app.encoders['application/msgpack']).to.equal(ctx.encoder)
+        done()
+      })
+    })
+
     describe('messageHandler', function () {
       beforeEach(function (done) {
-        ctx.context = { state: {} }
+        ctx.context = { state: {}, consumeOpts: {} }
         ctx.Context = sinon.stub().returns(ctx.context)
         ctx.queueName = 'queue-name'
         ctx.message = {
           content: new Buffer('message'),
-          fields: {}
+          fields: {},
+          properties: {}
         }
         done()
       })
@@ -343,15 +755,275 @@ describe('Application', function () {
         })
       })
 
+      describe('delivery tracking', function () {
+        beforeEach(function (done) {
+          ctx.app = new Application()
+          ctx.app.consumerChannel = {
+            ack: sinon.spy(function (message) {
+              ctx.app.consumerChannel.deliveryTracker.settle(message)
+            }),
+            deliveryTracker: new DeliveryTracker()
+          }
+          ctx.message.fields.deliveryTag = 1
+          done()
+        })
+
+        it('should track the message until it is settled', function (done) {
+          expect(ctx.app.inFlight).to.deep.equal([])
+          ctx.app.queue(ctx.queueName, function * () {
+            expect(ctx.app.inFlight).to.deep.equal([this])
+            this.ack = true
+          })
+          ctx.app.messageHandler(ctx.queueName)(ctx.message).then(function () {
+            sinon.assert.calledOnce(ctx.app.consumerChannel.ack)
+            expect(ctx.app.inFlight).to.deep.equal([])
+            done()
+          }).catch(done)
+        })
+
+        it('should not track noAck messages', function (done) {
+          ctx.app.queue(ctx.queueName, {}, { noAck: true }, function * () {
+            expect(ctx.app.inFlight).to.deep.equal([])
+          })
+          ctx.app.messageHandler(ctx.queueName)(ctx.message).then(function () {
+            done()
+          }).catch(done)
+        })
+      })
+
+      describe('tracing', function () {
+        beforeEach(function (done) {
+          ctx.exporter = new Application.InMemoryExporter()
+          ctx.app = new Application({
+            tracer: new Application.Tracer({ exporter: ctx.exporter }),
+            onErrorAction: 'nack'
+          })
+          ctx.app.consumerChannel = {
+            ack: sinon.stub(),
+            nack: sinon.stub()
+          }
+          sinon.stub(ctx.app, 'emit')
+          ctx.message.fields = { deliveryTag: 1, routingKey: 'routing.key', redelivered: true }
+          done()
+        })
+
+        it('should span the message handler w/ its outcome', function (done) {
+          ctx.app.queue(ctx.queueName, function * () {
+            ctx.context = this
+            expect(this.span.isRecording()).to.be.true()
+            this.ack = true
+          })
+          ctx.app.messageHandler(ctx.queueName)(ctx.message).then(function () {
+            const spans = ctx.exporter.getFinishedSpans()
+            expect(spans.length).to.equal(1)
+            expect(spans[0]).to.equal(ctx.context.span)
+            expect(spans[0].name).to.equal(ctx.queueName + ' process')
+            expect(spans[0].kind).to.equal(Application.Tracer.SpanKind.CONSUMER)
+            expect(spans[0].attributes).to.deep.equal({
+              'messaging.system': 'rabbitmq',
+              'messaging.operation': 'process',
+              'messaging.destination': ctx.queueName,
+              'messaging.rabbitmq.routing_key': 'routing.key',
+              'messaging.rabbitmq.redelivered': true,
+              'coworkers.outcome': 'ack'
+            })
+            done()
+          }).catch(done)
+        })
+
+        it('should set the span\'s outcome to error if a middleware errors', function (done) {
+          ctx.err = new Error('boom')
+          ctx.app.queue(ctx.queueName, function * () {
+            throw ctx.err
+          })
+          ctx.app.messageHandler(ctx.queueName)(ctx.message).then(function () {
+            const span = ctx.exporter.getFinishedSpans()[0]
+            expect(span.attributes['coworkers.outcome']).to.equal('error')
+            expect(span.status).to.deep.equal({ code: Application.Tracer.SpanStatusCode.ERROR, message: 'boom' })
+            expect(span.events[0].attributes['exception.message']).to.equal('boom')
+            sinon.assert.calledWith(ctx.app.emit, 'error', ctx.err)
+            done()
+          }).catch(done)
+        })
+
+        it('should end the span when the handler times out', function (done) {
+          ctx.app.queue(ctx.queueName, {}, { handlerTimeout: 5 }, function * () {
+            yield new Promise(function (resolve) {
+              setTimeout(resolve, 20)
+            })
+            this.ack = true
+          })
+          ctx.app.messageHandler(ctx.queueName)(ctx.message).then(function () {
+            const spans = ctx.exporter.getFinishedSpans()
+            expect(spans.length).to.equal(1)
+            expect(spans[0].attributes['coworkers.outcome']).to.equal('error')
+            expect(spans[0].status.message).to.match(/timed out after 5ms/)
+            done()
+          }).catch(done)
+        })
+      })
+
+      describe('metrics', function () {
+        beforeEach(function (done) {
+          ctx.app = new Application({ metrics: true })
+          ctx.app.consumerChannel = {
+            ack: sinon.stub()
+          }
+          sinon.stub(ctx.app, 'emit')
+          ctx.message.fields.deliveryTag = 1
+          // acks, nacks and rejects are counted by the consumer channel, see create-app-channel.unit.js
+          ctx.values = function (name) {
+            return ctx.app.metrics.get(name).values
+          }
+          done()
+        })
+
+        it('should count received messages and time the handler', function (done) {
+          ctx.app.queue(ctx.queueName, function * () {
+            expect(ctx.values('coworkers_messages_in_flight')).to.deep.equal({ 'queue="queue-name"': 1 })
+            this.ack = true
+          })
+          ctx.app.messageHandler(ctx.queueName)(ctx.message).then(function () {
+            expect(ctx.values('coworkers_messages_received_total')).to.deep.equal({ 'queue="queue-name"': 1 })
+            expect(ctx.values('coworkers_messages_in_flight')).to.deep.equal({ 'queue="queue-name"': 0 })
+            expect(ctx.values('coworkers_messages_errored_total')).to.deep.equal({})
+            expect(ctx.values('coworkers_handler_duration_seconds')['queue="queue-name"'].count).to.equal(1)
+            done()
+          }).catch(done)
+        })
+
+        it('should set the last message time', function (done) {
+          ctx.app.queue(ctx.queueName, function * () {
+            this.ack = true
+          })
+          const before = Date.now()
+          ctx.app.messageHandler(ctx.queueName)(ctx.message).then(function () {
+            expect(ctx.app.lastMessageAt).to.be.an.instanceOf(Date)
+            expect(ctx.app.lastMessageAt.getTime()).to.be.at.least(before)
+            done()
+          }).catch(done)
+        })
+
+        it('should count errored messages', function (done) {
+          ctx.app.queue(ctx.queueName, function * () {
+            throw new Error('boom')
+          })
+          ctx.app.messageHandler(ctx.queueName)(ctx.message).then(function () {
+            expect(ctx.values('coworkers_messages_errored_total')).to.deep.equal({ 'queue="queue-name"': 1 })
+            expect(ctx.values('coworkers_messages_in_flight')).to.deep.equal({ 'queue="queue-name"': 0 })
+            done()
+          }).catch(done)
+        })
+
+        it('should count timed out messages as errored', function (done) {
+          ctx.app.queue(ctx.queueName, {}, { handlerTimeout: 5 }, function * () {
+            yield new Promise(function (resolve) {
+              setTimeout(resolve, 20)
+            })
+          })
+          ctx.app.messageHandler(ctx.queueName)(ctx.message).then(function () {
+            expect(ctx.values('coworkers_messages_errored_total')).to.deep.equal({ 'queue="queue-name"': 1 })
+            expect(ctx.values('coworkers_handler_duration_seconds')['queue="queue-name"'].count).to.equal(1)
+            done()
+          }).catch(done)
+        })
+      })
+
+      describe('handlerTimeout', function () {
+        beforeEach(function (done) {
+          ctx.app = new Application({ onErrorAction: 'nack' })
+          ctx.app.consumerChannel = {
+            ack: sinon.stub(),
+            nack: sinon.spy(function (message) {
+              message.context.messageAcked = true
+            })
+          }
+          sinon.stub(ctx.app, 'emit')
+          ctx.message.fields.deliveryTag = 1
+          ctx.wait = function (ms) {
+            return new Promise(function (resolve) {
+              setTimeout(resolve, ms)
+            })
+          }
+          done()
+        })
+
+        it('should abort the context and emit a HandlerTimeoutError', function (done) {
+          ctx.app.queue(ctx.queueName, {}, { handlerTimeout: 5 }, function * () {
+            ctx.context = this
+            yield ctx.wait(20)
+            // late completion is ignored (no NoAckError)
+            ctx.finished = true
+          })
+          ctx.app.messageHandler(ctx.queueName)(ctx.message).then(function () {
+            expect(ctx.context.aborted).to.be.true()
+            sinon.assert.calledOnce(ctx.app.emit)
+            const err = ctx.app.emit.firstCall.args[1]
+            expect(err).to.be.an.instanceOf(Application.HandlerTimeoutError)
+            expect(err.message).to.match(/timed out after 5ms/)
+            expect(err.queue).to.equal(ctx.queueName)
+            expect(err.timeout).to.equal(5)
+            // onErrorAction
+            sinon.assert.calledOnce(ctx.app.consumerChannel.nack)
+            sinon.assert.calledWith(ctx.app.consumerChannel.nack, ctx.message, false, false)
+            expect(ctx.app.pendingHandlers.size).to.equal(0)
+            return ctx.wait(30)
+          }).then(function () {
+            expect(ctx.finished).to.be.true()
+            sinon.assert.notCalled(ctx.app.consumerChannel.ack)
+            sinon.assert.calledOnce(ctx.app.emit)
+            done()
+          }).catch(done)
+        })
+
+        it('should nack timed out messages w/ the default onErrorAction', function (done) {
+          ctx.app.onErrorAction = 'none' // default
+          ctx.app.queue(ctx.queueName, {}, { handlerTimeout: 5 }, function * () {
+            yield ctx.wait(20)
+          })
+          ctx.app.messageHandler(ctx.queueName)(ctx.message).then(function () {
+            sinon.assert.calledOnce(ctx.app.emit)
+            sinon.assert.calledOnce(ctx.app.consumerChannel.nack)
+            sinon.assert.calledWith(ctx.app.consumerChannel.nack, ctx.message, false, false)
+            done()
+          }).catch(done)
+        })
+
+        it('should ignore late middleware errors', function (done) {
+          ctx.app.queue(ctx.queueName, {}, { handlerTimeout: 5 }, function * () {
+            yield ctx.wait(20)
+            throw new Error('late error')
+          })
+          ctx.app.messageHandler(ctx.queueName)(ctx.message).then(function () {
+            return ctx.wait(30)
+          }).then(function () {
+            sinon.assert.calledOnce(ctx.app.emit)
+            expect(ctx.app.emit.firstCall.args[1]).to.be.an.instanceOf(Application.HandlerTimeoutError)
+            done()
+          }).catch(done)
+        })
+
+        it('should not abort the context if the handler finishes in time', function (done) {
+          ctx.app.queue(ctx.queueName, {}, { handlerTimeout: 100 }, function * () {
+            ctx.context = this
+            this.ack = true
+          })
+          ctx.app.messageHandler(ctx.queueName)(ctx.message).then(function () {
+            expect(ctx.context.aborted).to.be.false()
+            sinon.assert.calledOnce(ctx.app.consumerChannel.ack)
+            sinon.assert.notCalled(ctx.app.emit)
+            done()
+          }).catch(done)
+        })
+      })
+
       describe('middleware error', function () {
         beforeEach(function (done) {
           ctx.err = new Error('boom')
           ctx.mwPromise = sinon.stub().rejects(ctx.err)
           var Application = proxyquire('../lib/application.js', {
             './context.js': ctx.Context,
-            'co': {
-              wrap: sinon.stub().returns(ctx.mwPromise)
-            }
+            './utils/compose-middlewares.js': sinon.stub().returns(ctx.mwPromise)
           })
           ctx.app = new Application()
           ctx.context.app = ctx.app
@@ -375,6 +1047,276 @@ describe('Application', function () {
             .catch(done)
         })
       })
+
+      describe('decode error', function () {
+        beforeEach(function (done) {
+          ctx.app = new Application()
+          ctx.app.queue(ctx.queueName, function * () {
+            this.ack = this.body
+          })
+          ctx.message.properties = { contentType: 'application/json' }
+          sinon.stub(ctx.app, 'emit')
+          done()
+        })
+
+        it('should app.emit the DecodeError', function (done) {
+          const handler = ctx.app.messageHandler(ctx.queueName)
+          handler(ctx.message)
+            .then(function () {
+              sinon.assert.calledOnce(ctx.app.emit)
+              sinon.assert.calledWith(ctx.app.emit, 'error', sinon.match.instanceOf(Application.DecodeError))
+              done()
+            })
+            .catch(done)
+        })
+      })
+    })
+
+    describe('getMetrics', function () {
+      it('should get the app\'s metrics in prometheus text format', function (done) {
+        ctx.app = new Application({ cluster: false, queueName: 'queue-name', metrics: true })
+        ctx.app.metrics.inc('coworkers_messages_received_total', { queue: 'foo' })
+        ctx.app.getMetrics().then(function (text) {
+          expect(text).to.contain('# TYPE coworkers_messages_received_total counter\n')
+          expect(text).to.contain('coworkers_messages_received_total{queue="foo"} 1\n')
+          done()
+        }).catch(done)
+      })
+
+      it('should get workers\' metrics in cluster mode', function (done) {
+        ctx.app = new Application({ metrics: true })
+        const workerMetrics = new Application.Metrics()
+        workerMetrics.inc('coworkers_messages_received_total', { queue: 'bar' })
+        ctx.app.clusterManager = {
+          collectMetrics: sinon.stub().resolves(workerMetrics.snapshot())
+        }
+        ctx.app.getMetrics().then(function (text) {
+          sinon.assert.calledOnce(ctx.app.clusterManager.collectMetrics)
+          expect(text).to.contain('coworkers_messages_received_total{queue="bar"} 1\n')
+          done()
+        }).catch(done)
+      })
+    })
+
+    describe('serveMetrics', function () {
+      afterEach(function (done) {
+        if (!ctx.app.metricsServer) {
+          return done()
+        }
+        ctx.app.metricsServer.close(function () {
+          done()
+        })
+      })
+
+      it('should not serve metrics if metrics are disabled or w/out a port', function (done) {
+        ctx.app = new Application()
+        ctx.app.serveMetrics().then(function () {
+          expect(ctx.app.metricsServer).to.not.exist()
+          ctx.app = new Application({ metrics: true })
+          return ctx.app.serveMetrics()
+        }).then(function () {
+          expect(ctx.app.metricsServer).to.not.exist()
+          done()
+        }).catch(done)
+      })
+
+      it('should serve metrics over http, once', function (done) {
+        ctx.app = new Application({ metrics: { port: 0, path: '/prometheus' } })
+        ctx.app.metrics.inc('coworkers_messages_received_total', { queue: 'foo' })
+        ctx.app.serveMetrics().then(function () {
+          const server = ctx.app.metricsServer
+          expect(server).to.exist()
+          return ctx.app.serveMetrics().then(function () {
+            expect(ctx.app.metricsServer).to.equal(server)
+          })
+        }).then(function () {
+          return new Promise(function (resolve, reject) {
+            const port = ctx.app.metricsServer.address().port
+            http.get({ port: port, path: '/prometheus' }, function (res) {
+              let body = ''
+              res.on('data', function (chunk) {
+                body += chunk
+              })
+              res.on('end', function () {
+                resolve({ res: res, body: body })
+              })
+            }).on('error', reject)
+          })
+        }).then(function (response) {
+          expect(response.res.statusCode).to.equal(200)
+          expect(response.res.headers['content-type']).to.equal('text/plain; version=0.0.4; charset=utf-8')
+          expect(response.body).to.contain('coworkers_messages_received_total{queue="foo"} 1\n')
+          done()
+        }).catch(done)
+      })
+    })
+
+    describe('processHealth', function () {
+      beforeEach(function (done) {
+        ctx.app = new Application({ cluster: false, queueName: 'queue-name', queueWorkerNum: '2' })
+        done()
+      })
+
+      it('should report a disconnected process', function (done) {
+        expect(ctx.app.processHealth()).to.deep.equal({
+          queue: 'queue-name',
+          queueWorkerNum: 2,
+          pid: process.pid,
+          connection: 'disconnected',
+          ready: false,
+          lastMessageAt: null
+        })
+        done()
+      })
+
+      it('should report a connecting or reconnecting process', function (done) {
+        ctx.app.connectingPromise = Promise.resolve()
+        expect(ctx.app.processHealth().connection).to.equal('connecting')
+        ctx.app.reconnecting = {}
+        expect(ctx.app.processHealth().connection).to.equal('reconnecting')
+        done()
+      })
+
+      it('should report a ready process', function (done) {
+        ctx.app.connection = {}
+        ctx.app.consumerChannel = {}
+        ctx.app.publisherChannel = {}
+        ctx.app.consumerTag = 'consumer-tag'
+        ctx.app.lastMessageAt = new Date(0)
+        const health = ctx.app.processHealth()
+        expect(health.connection).to.equal('connected')
+        expect(health.ready).to.be.true()
+        expect(health.lastMessageAt).to.equal('1970-01-01T00:00:00.000Z')
+        // consumer or channels lost
+        delete ctx.app.consumerTag
+        expect(ctx.app.processHealth().ready).to.be.false()
+        ctx.app.consumerTag = 'consumer-tag'
+        delete ctx.app.publisherChannel
+        expect(ctx.app.processHealth().ready).to.be.false()
+        delete ctx.app.consumerChannel
+        expect(ctx.app.processHealth().ready).to.be.false()
+        done()
+      })
+    })
+
+    describe('getHealth', function () {
+      it('should get the process\'s health', function (done) {
+        ctx.app = new Application({ cluster: false, queueName: 'queue-name' })
+        ctx.app.getHealth().then(function (health) {
+          expect(health).to.deep.equal({
+            live: true,
+            ready: false,
+            pid: process.pid,
+            workers: [ctx.app.processHealth()]
+          })
+          done()
+        }).catch(done)
+      })
+
+      it('should get workers\' health in cluster mode', function (done) {
+        ctx.app = new Application()
+        ctx.workerHealth = { queue: 'queue-name', ready: true }
+        ctx.app.clusterManager = {
+          collectHealth: sinon.stub().resolves([ctx.workerHealth, ctx.workerHealth])
+        }
+        ctx.app.getHealth().then(function (health) {
+          sinon.assert.calledOnce(ctx.app.clusterManager.collectHealth)
+          expect(health.ready).to.be.true()
+          expect(health.workers).to.deep.equal([ctx.workerHealth, ctx.workerHealth])
+          // not ready if any worker is not ready
+          ctx.app.clusterManager.collectHealth.resolves([ctx.workerHealth, { ready: false }])
+          return ctx.app.getHealth()
+        }).then(function (health) {
+          expect(health.live).to.be.true()
+          expect(health.ready).to.be.false()
+          // not ready w/out workers
+          ctx.app.clusterManager.collectHealth.resolves([])
+          return ctx.app.getHealth()
+        }).then(function (health) {
+          expect(health.ready).to.be.false()
+          done()
+        }).catch(done)
+      })
+    })
+
+    describe('serveHealth', function () {
+      afterEach(function (done) {
+        if (!ctx.app.healthServer) {
+          return done()
+        }
+        ctx.app.healthServer.close(function () {
+          done()
+        })
+      })
+
+      it('should not serve health probes by default', function (done) {
+        ctx.app = new Application()
+        ctx.app.serveHealth().then(function () {
+          expect(ctx.app.healthServer).to.not.exist()
+          done()
+        }).catch(done)
+      })
+
+      it('should serve liveness and readiness probes over http, once', function (done) {
+        ctx.app = new Application({ cluster: false, queueName: 'queue-name', health: { port: 0 } })
+        ctx.get = function (path) {
+          return new Promise(function (resolve, reject) {
+            const port = ctx.app.healthServer.address().port
+            http.get({ port: port, path: path }, function (res) {
+              let body = ''
+              res.on('data', function (chunk) {
+                body += chunk
+              })
+              res.on('end', function () {
+                expect(res.headers['content-type']).to.equal('application/json')
+                resolve({ statusCode: res.statusCode, body: JSON.parse(body) })
+              })
+            }).on('error', reject)
+          })
+        }
+        ctx.app.serveHealth().then(function () {
+          const server = ctx.app.healthServer
+          expect(server).to.exist()
+          return ctx.app.serveHealth().then(function () {
+            expect(ctx.app.healthServer).to.equal(server)
+          })
+        }).then(function () {
+          return Promise.all([ctx.get('/live'), ctx.get('/ready')])
+        }).then(function (responses) {
+          expect(responses[0].statusCode).to.equal(200)
+          expect(responses[0].body).to.deep.equal({ live: true, pid: process.pid })
+          expect(responses[1].statusCode).to.equal(503)
+          expect(responses[1].body.workers).to.deep.equal([ctx.app.processHealth()])
+          // ready
+          ctx.app.connection = {}
+          ctx.app.consumerChannel = {}
+          ctx.app.publisherChannel = {}
+          ctx.app.consumerTag = 'consumer-tag'
+          return ctx.get('/ready')
+        }).then(function (response) {
+          expect(response.statusCode).to.equal(200)
+          expect(response.body.ready).to.be.true()
+          done()
+        }).catch(done)
+      })
+
+      it('should respond to the liveness probe w/out collecting workers\' health', function (done) {
+        ctx.app = new Application({ health: { port: 0 } })
+        sinon.stub(ctx.app, 'getHealth').returns(new Promise(function () {})) // stuck worker
+        ctx.app.serveHealth().then(function () {
+          return new Promise(function (resolve, reject) {
+            const port = ctx.app.healthServer.address().port
+            http.get({ port: port, path: '/live' }, function (res) {
+              res.resume()
+              resolve(res)
+            }).on('error', reject)
+          })
+        }).then(function (res) {
+          expect(res.statusCode).to.equal(200)
+          sinon.assert.notCalled(ctx.app.getHealth)
+          done()
+        }).catch(done)
+      })
     })
 
     describe('connect', function () {
@@ -458,6 +1400,55 @@ describe('Application', function () {
             })
           })
 
+          describe('w/ metrics', function () {
+            it('should serve metrics and health after starting workers', function (done) {
+              sinon.stub(ctx.app, 'serveMetrics').resolves()
+              sinon.stub(ctx.app, 'serveHealth').resolves()
+              ctx.app.connect(ctx.url, ctx.socketOptions).then(function () {
+                sinon.assert.calledOnce(ctx.app.serveMetrics)
+                sinon.assert.calledOnce(ctx.app.serveHealth)
+                sinon.assert.callOrder(ctx.clusterManager.start, ctx.app.serveMetrics, ctx.app.serveHealth)
+                done()
+              }).catch(done)
+            })
+          })
+
+          describe('topologyAssertedBy master', function () {
+            beforeEach(function (done) {
+              ctx.assertAppTopology = sinon.stub()
+              ctx.assertAppTopology.withConnection = sinon.stub().resolves()
+              const Application = proxyquire('../lib/application.js', {
+                './cluster-manager.js': ctx.ClusterManager,
+                './rabbit-utils/assert-app-topology.js': ctx.assertAppTopology
+              })
+              ctx.app = new Application({ topologyAssertedBy: 'master' })
+              ctx.app.on('error', function () {})
+              ctx.app.queue(ctx.queueName, function * () {})
+              done()
+            })
+
+            it('should assert topology before starting workers', function (done) {
+              ctx.app.exchange('exchange-name', 'topic')
+              ctx.app.connect(ctx.url, ctx.socketOptions).then(function () {
+                sinon.assert.calledOnce(ctx.assertAppTopology.withConnection)
+                sinon.assert.calledWith(ctx.assertAppTopology.withConnection,
+                  ctx.app, ctx.url, ctx.socketOptions)
+                sinon.assert.callOrder(
+                  ctx.assertAppTopology.withConnection,
+                  ctx.clusterManager.start)
+                done()
+              }).catch(done)
+            })
+
+            it('should not assert topology if there is none', function (done) {
+              ctx.app.connect(ctx.url, ctx.socketOptions).then(function () {
+                sinon.assert.notCalled(ctx.assertAppTopology.withConnection)
+                sinon.assert.calledOnce(ctx.clusterManager.start)
+                done()
+              }).catch(done)
+            })
+          })
+
           describe('while already connected', function () {
             beforeEach(function (done) {
               ctx.app.connection = {}
@@ -486,13 +1477,15 @@ describe('Application', function () {
             ctx.createAppConnectionStub = sinonPromiseStub()
             ctx.createAppChannelStub = sinonPromiseStub()
             ctx.assertAndConsumeAppQueue = sinonPromiseStub()
-            const Application = proxyquire('../lib/application.js', {
+            ctx.assertAppTopology = sinon.stub().resolves()
+            ctx.Application = proxyquire('../lib/application.js', {
               './cluster-manager.js': ctx.ClusterManager,
               './rabbit-utils/create-app-connection.js': ctx.createAppConnectionStub,
               './rabbit-utils/create-app-channel.js': ctx.createAppChannelStub,
-              './rabbit-utils/assert-and-consume-app-queue.js': ctx.assertAndConsumeAppQueue
+              './rabbit-utils/assert-and-consume-app-queue.js': ctx.assertAndConsumeAppQueue,
+              './rabbit-utils/assert-app-topology.js': ctx.assertAppTopology
             })
-            ctx.app = new Application({ cluster: true, queueName: ctx.queueName })
+            ctx.app = new ctx.Application({ cluster: true, queueName: ctx.queueName })
             ctx.app.on('error', function () {})
             ctx.app.queue(ctx.queueName, function * () {})
             sinon.stub(ctx.app, 'close')
@@ -522,6 +1515,7 @@ describe('Application', function () {
                 sinon.assert.notCalled(ctx.app.close)
                 ctx.app.sigintHandler()
                 sinon.assert.calledOnce(ctx.app.close)
+                sinon.assert.calledWith(ctx.app.close, { timeout: ctx.app.closeTimeout })
                 done()
               }).catch(done)
               // resolve all connect's promises
@@ -530,6 +1524,113 @@ describe('Application', function () {
               ctx.assertAndConsumeAppQueue.resolve()
             })
 
+            describe('w/ metrics', function () {
+              beforeEach(function (done) {
+                ctx.app = new ctx.Application({ cluster: true, queueName: ctx.queueName, metrics: { port: 0 } })
+                ctx.app.on('error', function () {})
+                ctx.app.queue(ctx.queueName, function * () {})
+                sinon.stub(ctx.app, 'serveMetrics').resolves()
+                ctx.app.metrics.inc('coworkers_messages_received_total', { queue: ctx.queueName })
+                process.send = sinon.stub()
+                done()
+              })
+              afterEach(function (done) {
+                delete process.send
+                done()
+              })
+
+              it('should reply to the master\'s metrics requests, and not serve metrics', function (done) {
+                ctx.app.connect(ctx.url, ctx.socketOptions).then(function () {
+                  sinon.assert.notCalled(ctx.app.serveMetrics)
+                  sinon.assert.calledWith(process.on, 'message', ctx.app.ipcHandler)
+                  ctx.app.ipcHandler({ type: 'coworkers:request', id: 1, method: 'metrics' })
+                  return new Promise(function (resolve) {
+                    setImmediate(resolve)
+                  })
+                }).then(function () {
+                  sinon.assert.calledOnce(process.send)
+                  sinon.assert.calledWith(process.send, {
+                    type: 'coworkers:reply',
+                    id: 1,
+                    result: ctx.app.metrics.snapshot()
+                  })
+                  done()
+                }).catch(done)
+                // resolve all connect's promises
+                ctx.createAppConnectionStub.resolve()
+                ctx.createAppChannelStub.resolve()
+                ctx.assertAndConsumeAppQueue.resolve()
+              })
+            })
+
+            describe('w/ health', function () {
+              beforeEach(function (done) {
+                ctx.app = new ctx.Application({ cluster: true, queueName: ctx.queueName, health: { port: 0 } })
+                ctx.app.on('error', function () {})
+                ctx.app.queue(ctx.queueName, function * () {})
+                sinon.stub(ctx.app, 'serveHealth').resolves()
+                process.send = sinon.stub()
+                done()
+              })
+              afterEach(function (done) {
+                delete process.send
+                done()
+              })
+
+              it('should reply to the master\'s health requests while connecting, and not serve health', function (done) {
+                ctx.app.connect(ctx.url, ctx.socketOptions).then(function () {
+                  sinon.assert.notCalled(ctx.app.serveHealth)
+                  done()
+                }).catch(done)
+                sinon.assert.calledWith(process.on, 'message', ctx.app.ipcHandler)
+                ctx.app.ipcHandler({ type: 'coworkers:request', id: 1, method: 'health' })
+                setImmediate(function () {
+                  sinon.assert.calledOnce(process.send)
+                  sinon.assert.calledWith(process.send, {
+                    type: 'coworkers:reply',
+                    id: 1,
+                    result: sinon.match({ queue: ctx.queueName, connection: 'connecting', ready: false })
+                  })
+                  // resolve all connect's promises
+                  ctx.createAppConnectionStub.resolve()
+                  ctx.createAppChannelStub.resolve()
+                  ctx.assertAndConsumeAppQueue.resolve()
+                })
+              })
+            })
+
+            describe('w/ topology', function () {
+              it('should assert topology before consuming', function (done) {
+                ctx.app.exchange('exchange-name', 'topic')
+                ctx.app.connect(ctx.url, ctx.socketOptions).then(function () {
+                  sinon.assert.calledOnce(ctx.assertAppTopology)
+                  sinon.assert.calledWith(ctx.assertAppTopology, ctx.app, ctx.app.consumerChannel)
+                  sinon.assert.callOrder(ctx.assertAppTopology, ctx.assertAndConsumeAppQueue)
+                  done()
+                }).catch(done)
+                // resolve all connect's promises
+                ctx.createAppConnectionStub.resolve()
+                ctx.createAppChannelStub.resolve()
+                ctx.assertAndConsumeAppQueue.resolve()
+              })
+
+              it('should not assert topology if asserted by master', function (done) {
+                ctx.app = new ctx.Application({ cluster: true, queueName: ctx.queueName, topologyAssertedBy: 'master' })
+                ctx.app.on('error', function () {})
+                ctx.app.queue(ctx.queueName, function * () {})
+                ctx.app.exchange('exchange-name', 'topic')
+                ctx.app.connect(ctx.url, ctx.socketOptions).then(function () {
+                  sinon.assert.notCalled(ctx.assertAppTopology)
+                  sinon.assert.calledOnce(ctx.assertAndConsumeAppQueue)
+                  done()
+                }).catch(done)
+                // resolve all connect's promises
+                ctx.createAppConnectionStub.resolve()
+                ctx.createAppChannelStub.resolve()
+                ctx.assertAndConsumeAppQueue.resolve()
+              })
+            })
+
             describe('COWORKERS_RABBITMQ_URL', function () {
               beforeEach(function (done) {
                 ctx.url = process.env.COWORKERS_RABBITMQ_URL = 'amqp://foobar:8080'
@@ -586,13 +1687,15 @@ describe('Application', function () {
           ctx.createAppConnectionStub = sinonPromiseStub()
           ctx.createAppChannelStub = sinonPromiseStub()
           ctx.assertAndConsumeAppQueue = sinonPromiseStub()
+          ctx.assertAppTopology = sinon.stub().resolves()
           const Application = proxyquire('../lib/application.js', {
             './cluster-manager.js': ctx.ClusterManager,
             './rabbit-utils/create-app-connection.js': ctx.createAppConnectionStub,
             './rabbit-utils/create-app-channel.js': ctx.createAppChannelStub,
-            './rabbit-utils/assert-and-consume-app-queue.js': ctx.assertAndConsumeAppQueue
+            './rabbit-utils/assert-and-consume-app-queue.js': ctx.assertAndConsumeAppQueue,
+            './rabbit-utils/assert-app-topology.js': ctx.assertAppTopology
           })
-          ctx.app = new Application({ cluster: false, queueName: ctx.queueName })
+          ctx.app = new Application({ cluster: false, queueName: ctx.queueName, topologyAssertedBy: 'master' })
           ctx.app.on('error', function () {})
           ctx.app.queue(ctx.queueName, function * () {})
           done()
@@ -612,6 +1715,33 @@ describe('Application', function () {
             ctx.assertAndConsumeAppQueue.resolve()
           })
 
+          it('should serve metrics and health', function (done) {
+            sinon.stub(ctx.app, 'serveMetrics').resolves()
+            sinon.stub(ctx.app, 'serveHealth').resolves()
+            ctx.app.connect(ctx.url, ctx.socketOptions).then(function () {
+              sinon.assert.calledOnce(ctx.app.serveMetrics)
+              sinon.assert.calledOnce(ctx.app.serveHealth)
+              sinon.assert.callOrder(ctx.assertAndConsumeAppQueue, ctx.app.serveMetrics, ctx.app.serveHealth)
+              done()
+            }).catch(done)
+            // resolve all connect's promises
+            ctx.createAppConnectionStub.resolve()
+            ctx.createAppChannelStub.resolve()
+            ctx.assertAndConsumeAppQueue.resolve()
+          })
+
+          it('should assert topology regardless of topologyAssertedBy', function (done) {
+            ctx.app.bind(ctx.queueName, 'exchange-name', 'foo.*')
+            ctx.app.connect(ctx.url, ctx.socketOptions).then(function () {
+              sinon.assert.calledOnce(ctx.assertAppTopology)
+              done()
+            }).catch(done)
+            // resolve all connect's promises
+            ctx.createAppConnectionStub.resolve()
+            ctx.createAppChannelStub.resolve()
+            ctx.assertAndConsumeAppQueue.resolve()
+          })
+
           describe('connect errors', function () {
             it('should call close if connect fails', function (done) {
               const err = new Error('boom')
@@ -621,6 +1751,7 @@ describe('Application', function () {
               promise.catch(function (connErr) {
                 expect(ctx.app.connectingPromise).to.not.exist()
                 sinon.assert.calledOnce(ctx.app.close)
+                sinon.assert.calledWith(ctx.app.close, { cleanup: true })
                 expect(connErr).to.equal(err)
                 done()
               })
@@ -764,9 +1895,9 @@ describe('Application', function () {
 
         describe('while connected', function () {
           beforeEach(function (done) {
-            ctx.app.consumerChannel = { close: sinon.stub() }
+            ctx.app.consumerChannel = { cancel: sinon.stub().resolves(), close: sinon.stub() }
             ctx.app.consumerTag = 0
-            ctx.app.producerChannel = { close: sinon.stub() }
+            ctx.app.publisherChannel = { close: sinon.stub() }
             ctx.app.connection = { close: sinon.stub() }
             ctx.sigintHandler = function () {}
             ctx.app.sigintHandler = ctx.sigintHandler
@@ -775,14 +1906,25 @@ describe('Application', function () {
 
           it('should close connection and channels', function (done) {
             ctx.app.consumerChannel.close.resolves()
-            ctx.app.producerChannel.close.resolves()
+            ctx.app.publisherChannel.close.resolves()
             ctx.app.connection.close.resolves()
+            sinon.spy(ctx.app.rpcClient, 'close')
             const promise = ctx.app.close()
             expect(promise).to.equal(ctx.app.closingPromise)
             promise.then(function () {
               expect(ctx.app.closingPromise).to.not.exist()
+              expect(ctx.app.consumerTag).to.not.exist()
+              sinon.assert.calledOnce(ctx.app.consumerChannel.cancel)
+              sinon.assert.calledWith(ctx.app.consumerChannel.cancel, 0)
+              sinon.assert.calledOnce(ctx.app.rpcClient.close)
               sinon.assert.calledOnce(ctx.app.consumerChannel.close)
-              sinon.assert.calledOnce(ctx.app.producerChannel.close)
+              sinon.assert.calledOnce(ctx.app.publisherChannel.close)
+              sinon.assert.callOrder(
+                ctx.app.consumerChannel.cancel,
+                ctx.app.rpcClient.close,
+                ctx.app.consumerChannel.close,
+                ctx.app.publisherChannel.close,
+                ctx.app.connection.close)
               sinon.assert.calledOnce(ctx.app.connection.close)
               sinon.assert.calledOnce(process.removeListener)
               sinon.assert.calledWith(process.removeListener, 'SIGINT', ctx.sigintHandler)
@@ -790,6 +1932,122 @@ describe('Application', function () {
             }).catch(done)
           })
 
+          it('should stop serving metrics and health, and remove the ipc handler', function (done) {
+            ctx.app.consumerChannel.close.resolves()
+            ctx.app.publisherChannel.close.resolves()
+            ctx.app.connection.close.resolves()
+            ctx.server = { close: sinon.stub().yieldsAsync() }
+            ctx.healthServer = { close: sinon.stub().yieldsAsync() }
+            ctx.app.metricsServer = ctx.server
+            ctx.app.healthServer = ctx.healthServer
+            ctx.ipcHandler = function () {}
+            ctx.app.ipcHandler = ctx.ipcHandler
+            ctx.app.close().then(function () {
+              sinon.assert.calledOnce(ctx.server.close)
+              expect(ctx.app.metricsServer).to.not.exist()
+              sinon.assert.calledOnce(ctx.healthServer.close)
+              expect(ctx.app.healthServer).to.not.exist()
+              sinon.assert.calledWith(process.removeListener, 'message', ctx.ipcHandler)
+              expect(ctx.app.ipcHandler).to.not.exist()
+              done()
+            }).catch(done)
+          })
+
+          describe('cleanup after a failed connect', function () {
+            beforeEach(function (done) {
+              ctx.app.consumerChannel.close.resolves()
+              ctx.app.publisherChannel.close.resolves()
+              ctx.app.connection.close.resolves()
+              ctx.server = { close: sinon.stub().yieldsAsync() }
+              ctx.healthServer = { close: sinon.stub().yieldsAsync() }
+              ctx.app.metricsServer = ctx.server
+              ctx.app.healthServer = ctx.healthServer
+              ctx.ipcHandler = function () {}
+              ctx.app.ipcHandler = ctx.ipcHandler
+              done()
+            })
+
+            it('should keep serving metrics and health, and replying to the master', function (done) {
+              ctx.app.close({ cleanup: true }).then(function () {
+                sinon.assert.calledOnce(ctx.app.connection.close)
+                sinon.assert.notCalled(ctx.server.close)
+                expect(ctx.app.metricsServer).to.equal(ctx.server)
+                sinon.assert.notCalled(ctx.healthServer.close)
+                expect(ctx.app.healthServer).to.equal(ctx.healthServer)
+                sinon.assert.neverCalledWith(process.removeListener, 'message')
+                expect(ctx.app.ipcHandler).to.equal(ctx.ipcHandler)
+                done()
+              }).catch(done)
+            })
+
+            it('should stop serving after the cleanup, if the app is closed during it', function (done) {
+              const cleanup = ctx.app.close({ cleanup: true })
+              const close = ctx.app.close()
+              expect(close).to.not.equal(cleanup)
+              // joins a pending cleanup
+              expect(ctx.app.close({ cleanup: true })).to.equal(cleanup)
+              close.then(function () {
+                sinon.assert.calledOnce(ctx.server.close)
+                sinon.assert.calledOnce(ctx.healthServer.close)
+                sinon.assert.calledWith(process.removeListener, 'message', ctx.ipcHandler)
+                expect(ctx.app.closingPromise).to.not.exist()
+                done()
+              }).catch(done)
+            })
+          })
+
+          it('should not cancel the consumer if the consumer channel is closed', function (done) {
+            delete ctx.app.consumerChannel
+            ctx.app.publisherChannel.close.resolves()
+            ctx.app.connection.close.resolves()
+            ctx.app.close().then(function () {
+              expect(ctx.app.consumerTag).to.not.exist()
+              sinon.assert.calledOnce(ctx.app.connection.close)
+              done()
+            }).catch(done)
+          })
+
+          describe('w/ in-flight messages', function () {
+            beforeEach(function (done) {
+              ctx.app.consumerChannel.close.resolves()
+              ctx.app.publisherChannel.close.resolves()
+              ctx.app.connection.close.resolves()
+              ctx.pending = {}
+              ctx.pending.promise = new Promise(function (resolve) {
+                ctx.pending.resolve = resolve
+              })
+              ctx.app.pendingHandlers.add(ctx.pending.promise)
+              sinon.spy(ctx.app, 'emit')
+              done()
+            })
+
+            it('should wait for in-flight messages before closing channels', function (done) {
+              let pendingFinished = false
+              ctx.app.close().then(function () {
+                expect(pendingFinished).to.be.true()
+                sinon.assert.calledWith(ctx.app.emit, 'close:draining', 1)
+                sinon.assert.calledOnce(ctx.app.consumerChannel.close)
+                done()
+              }).catch(done)
+              setTimeout(function () {
+                sinon.assert.calledOnce(ctx.app.consumerChannel.cancel)
+                sinon.assert.notCalled(ctx.app.consumerChannel.close)
+                pendingFinished = true
+                ctx.pending.resolve()
+              }, 10)
+            })
+
+            it('should stop waiting for in-flight messages after timeout', function (done) {
+              ctx.app.close({ timeout: 10 }, function (err) {
+                if (err) { return done(err) }
+                sinon.assert.calledWith(ctx.app.emit, 'close:draining', 1)
+                sinon.assert.calledOnce(ctx.app.consumerChannel.close)
+                sinon.assert.calledOnce(ctx.app.connection.close)
+                done()
+              })
+            })
+          })
+
           it('should throw error if close fails', function (done) {
             ctx.err = new Error('boom')
             ctx.app.consumerChannel.close.rejects(ctx.err)
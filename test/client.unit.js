@@ -0,0 +1,187 @@
+'use strict'
+
+const Code = require('code')
+const Lab = require('lab')
+const sinon = require('sinon')
+require('sinon-as-promised')
+
+const lab = exports.lab = Lab.script()
+const describe = lab.describe
+const it = lab.it
+const beforeEach = lab.beforeEach
+const afterEach = lab.afterEach
+const expect = Code.expect
+
+const Application = require('../lib/application.js')
+const Client = require('../lib/client.js')
+const MemoryBroker = require('../lib/test-harness/memory-broker.js')
+const RpcTimeoutError = require('../lib/rpc-timeout-error.js')
+
+describe('Client', function () {
+  let ctx
+
+  beforeEach(function (done) {
+    ctx = {}
+    ctx.broker = new MemoryBroker()
+    ctx.broker.assertQueue('queue-name', {})
+    ctx.client = new Client()
+    ctx.client.amqplib = ctx.broker
+    done()
+  })
+
+  it('should be exported by the application', function (done) {
+    expect(Application.Client).to.equal(Client)
+    done()
+  })
+
+  describe('constructor', function () {
+    it('should set options on the client', function (done) {
+      const client = new Client({ publisherConfirms: true, publishHighWaterMark: 10, requestTimeout: 100 })
+      expect(client.publisherConfirms).to.be.true()
+      expect(client.publishHighWaterMark).to.equal(10)
+      expect(client.requestTimeout).to.equal(100)
+      expect(client.encoders).to.only.include(['application/json', 'application/octet-stream', 'text/*'])
+      done()
+    })
+
+    it('should error if numeric options are not numbers', function (done) {
+      expect(function () {
+        return new Client({ publishHighWaterMark: 'foo' })
+      }).to.throw(/publishHighWaterMark.*number/)
+      expect(function () {
+        return new Client({ requestTimeout: 'foo' })
+      }).to.throw(/requestTimeout.*number/)
+      done()
+    })
+  })
+
+  describe('encoder', function () {
+    it('should register an encoder', function (done) {
+      ctx.encoder = function () {}
+      expect(ctx.client.encoder('Application/MsgPack', ctx.encoder)).to.equal(ctx.client)
+      expect(ctx.client.encoders['application/msgpack']).to.equal(ctx.encoder)
+      done()
+    })
+  })
+
+  describe('not connected', function () {
+    it('should throw if publishing', function (done) {
+      expect(function () {
+        ctx.client.publish('amq.topic', 'foo', 'content')
+      }).to.throw(/not connected/)
+      expect(function () {
+        ctx.client.sendToQueue('queue-name', 'content')
+      }).to.throw(/not connected/)
+      expect(function () {
+        ctx.client.request('queue-name', 'content')
+      }).to.throw(/not connected/)
+      done()
+    })
+
+    it('should close', function (done) {
+      ctx.client.close(done)
+    })
+  })
+
+  describe('connected', function () {
+    beforeEach(function (done) {
+      ctx.client.connect(done)
+    })
+    afterEach(function (done) {
+      ctx.client.close().then(function () {
+        done()
+      }).catch(done)
+    })
+
+    it('should create a connection and publisher channel', function (done) {
+      expect(ctx.client.connection).to.exist()
+      expect(ctx.client.publisherChannel).to.exist()
+      // connect is idempotent
+      const promise = ctx.client.connect()
+      expect(ctx.client.connect()).to.equal(promise)
+      promise.then(function () {
+        expect(ctx.broker.published).to.have.length(0)
+        done()
+      }).catch(done)
+    })
+
+    it('should publish and sendToQueue', function (done) {
+      expect(ctx.client.publish('amq.topic', 'foo', { foo: 1 })).to.be.true()
+      expect(ctx.client.sendToQueue('queue-name', 'content', { persistent: true })).to.be.true()
+      const published = ctx.broker.published
+      expect(published).to.have.length(2)
+      expect(published[0].exchange).to.equal('amq.topic')
+      expect(published[0].routingKey).to.equal('foo')
+      expect(published[0].content.toString()).to.equal('{"foo":1}')
+      expect(published[0].properties.contentType).to.equal('application/json')
+      expect(published[1].routingKey).to.equal('queue-name')
+      expect(published[1].properties.contentType).to.equal('text/plain')
+      expect(published[1].properties.deliveryMode).to.equal(2)
+      done()
+    })
+
+    describe('request', function () {
+      beforeEach(function (done) {
+        ctx.handler = sinon.spy(function (message) {
+          const props = { correlationId: message.properties.correlationId }
+          ctx.broker.route('', message.properties.replyTo, new Buffer('reply'), MemoryBroker.toProperties(props))
+        })
+        ctx.broker.connect().then(function (conn) {
+          ctx.conn = conn
+          return conn.createChannel()
+        }).then(function (channel) {
+          return channel.consume('queue-name', ctx.handler, { noAck: true })
+        }).then(function () {
+          done()
+        }).catch(done)
+      })
+      afterEach(function (done) {
+        ctx.conn.close().then(function () {
+          done()
+        }).catch(done)
+      })
+
+      it('should make an rpc request', function (done) {
+        ctx.client.request('queue-name', { foo: 1 }).then(function (message) {
+          expect(message.content.toString()).to.equal('reply')
+          sinon.assert.calledOnce(ctx.handler)
+          expect(ctx.handler.firstCall.args[0].properties.contentType).to.equal('application/json')
+          done()
+        }).catch(done)
+      })
+
+      it('should time out', function (done) {
+        ctx.client.requestTimeout = 10
+        ctx.client.request('rpc-queue', 'content').then(function () {
+          done(new Error('expected an error'))
+        }).catch(function (err) {
+          expect(err).to.be.an.instanceOf(RpcTimeoutError)
+          expect(err.timeout).to.equal(10)
+          return ctx.client.request('rpc-queue', 'content', { timeout: 5 })
+        }).then(function () {
+          done(new Error('expected an error'))
+        }).catch(function (err) {
+          expect(err.timeout).to.equal(5)
+          // timeout is not a message property
+          expect(ctx.broker.published[1].properties).to.not.include('timeout')
+          done()
+        }).catch(done)
+      })
+    })
+  })
+
+  describe('connect errors', function () {
+    it('should reject if the connection fails', function (done) {
+      ctx.err = new Error('connect error')
+      ctx.client.amqplib = { connect: sinon.stub().rejects(ctx.err) }
+      ctx.client.connect('amqp://localhost:5672', {}).then(function () {
+        done(new Error('expected an error'))
+      }).catch(function (err) {
+        expect(err).to.equal(ctx.err)
+        sinon.assert.calledWith(ctx.client.amqplib.connect, 'amqp://localhost:5672', {})
+        expect(ctx.client.connectingPromise).to.not.exist()
+        done()
+      }).catch(done)
+    })
+  })
+})
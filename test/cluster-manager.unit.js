@@ -8,6 +8,8 @@ const proxyquire = require('proxyquire')
 const sinon = require('sinon')
 require('sinon-as-promised')
 
+const Metrics = require('../lib/metrics/metrics.js')
+
 const lab = exports.lab = Lab.script()
 const describe = lab.describe
 const it = lab.it
@@ -404,5 +406,92 @@ describe('ClusterManager', function () {
         })
       })
     })
+
+    describe('requestWorkers', function () {
+      beforeEach(function (done) {
+        ctx.clusterIpc = {
+          request: sinon.stub().resolves([])
+        }
+        ctx.ClusterManager = proxyquire('../lib/cluster-manager.js', {
+          cluster: ctx.cluster,
+          './utils/cluster-ipc.js': ctx.clusterIpc
+        })
+        ctx.clusterManager = new ctx.ClusterManager(ctx.app)
+        ctx.worker = {}
+        ctx.cluster.workers = { 1: ctx.worker }
+        done()
+      })
+
+      it('should request a value from all workers', function (done) {
+        ctx.clusterManager.requestWorkers('metrics').then(function (replies) {
+          expect(replies).to.deep.equal([])
+          sinon.assert.calledOnce(ctx.clusterIpc.request)
+          sinon.assert.calledWith(ctx.clusterIpc.request, [ctx.worker], 'metrics', 1000)
+          done()
+        }).catch(done)
+      })
+    })
+
+    describe('collectMetrics', function () {
+      beforeEach(function (done) {
+        ctx.app = {
+          metrics: new Metrics({ enabled: false })
+        }
+        ctx.clusterManager = new ctx.ClusterManager(ctx.app)
+        ctx.workerMetrics = new Metrics()
+        ctx.workerMetrics.inc('coworkers_messages_received_total', { queue: 'foo' })
+        sinon.stub(ctx.clusterManager, 'requestWorkers').resolves([
+          { worker: {}, result: ctx.workerMetrics.snapshot() },
+          { worker: {}, result: ctx.workerMetrics.snapshot() }
+        ])
+        done()
+      })
+
+      it('should aggregate the workers\' metrics', function (done) {
+        ctx.clusterManager.collectMetrics().then(function (snapshot) {
+          sinon.assert.calledWith(ctx.clusterManager.requestWorkers, 'metrics')
+          expect(snapshot.coworkers_messages_received_total.values).to.deep.equal({ 'queue="foo"': 2 })
+          expect(snapshot.coworkers_messages_acked_total.values).to.deep.equal({})
+          done()
+        }).catch(done)
+      })
+    })
+
+    describe('collectHealth', function () {
+      beforeEach(function (done) {
+        ctx.health = { queue: 'foo', queueWorkerNum: 1, pid: 1, connection: 'connected', ready: true, lastMessageAt: null }
+        ctx.worker1 = { __queueName: 'foo', __queueWorkerNum: 1, process: { pid: 1 } }
+        ctx.worker2 = { __queueName: 'foo', __queueWorkerNum: 2, process: { pid: 2 } }
+        ctx.cluster.workers = { 1: ctx.worker1, 2: ctx.worker2 }
+        ctx.clusterIpc = {
+          request: sinon.stub().resolves([{ worker: ctx.worker1, result: ctx.health }])
+        }
+        ctx.ClusterManager = proxyquire('../lib/cluster-manager.js', {
+          cluster: ctx.cluster,
+          './utils/cluster-ipc.js': ctx.clusterIpc
+        })
+        ctx.clusterManager = new ctx.ClusterManager(ctx.app)
+        done()
+      })
+
+      it('should collect the workers\' health, and report unresponsive workers', function (done) {
+        ctx.clusterManager.collectHealth().then(function (workers) {
+          sinon.assert.calledOnce(ctx.clusterIpc.request)
+          sinon.assert.calledWith(ctx.clusterIpc.request, [ctx.worker1, ctx.worker2], 'health', 1000)
+          expect(workers).to.deep.equal([
+            ctx.health,
+            {
+              queue: 'foo',
+              queueWorkerNum: 2,
+              pid: 2,
+              connection: 'unresponsive',
+              ready: false,
+              lastMessageAt: null
+            }
+          ])
+          done()
+        }).catch(done)
+      })
+    })
   })
 })
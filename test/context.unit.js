@@ -1,12 +1,8 @@
 'use strict'
 
-const EventEmitter = require('events').EventEmitter
-
-const assign = require('101/assign')
 const Code = require('code')
 const Lab = require('lab')
 const put = require('101/put')
-const proxyquire = require('proxyquire')
 const sinon = require('sinon')
 require('sinon-as-promised')
 
@@ -34,6 +30,9 @@ describe('Context', function () {
       ctx.message = {
         fields: {
           deliveryTag: 1
+        },
+        properties: {
+          messageId: 'message-id'
         }
       }
       ctx.app = new Application()
@@ -65,6 +64,7 @@ describe('Context', function () {
       expect(context.queueOpts).to.contain(ctx.queueOpts)
       expect(context.consumeOpts).to.contain(ctx.consumeOpts)
       expect(context.state).to.deep.equal({})
+      expect(context.aborted).to.be.false()
       // ack, nack, ackAll, nackAll tested below
       done()
     })
@@ -76,6 +76,9 @@ describe('Context', function () {
       ctx.message = {
         fields: {
           deliveryTag: 1
+        },
+        properties: {
+          messageId: 'message-id'
         }
       }
       ctx.app = new Application()
@@ -87,11 +90,7 @@ describe('Context', function () {
       ctx.consumeOpts = { noAck: true }
       ctx.app.queue(ctx.queueName, ctx.queueOpts, ctx.consumeOpts, function * () {})
       // create context
-      ctx.first = sinon.stub()
-      ctx.Context = proxyquire('../lib/context.js', {
-        'ee-first': ctx.first
-      })
-      ctx.context = new ctx.Context(ctx.app, ctx.queueName, ctx.message)
+      ctx.context = new Context(ctx.app, ctx.queueName, ctx.message)
       done()
     })
 
@@ -130,6 +129,15 @@ describe('Context', function () {
           expect(ctx.context.ack).to.not.exist()
           expect(ctx.context.ackAll).to.not.exist()
           expect(ctx.context.nack).to.not.exist()
+          val = {
+            delay: 100,
+            maxAttempts: 2,
+            deadLetterQueue: 'dead-queue'
+          }
+          ctx.context.retry = val
+          expect(ctx.context.retry).to.deep.equal(val)
+          expect(ctx.context.nackAll).to.not.exist()
+          ctx.context.nackAll = { requeue: true }
           // unset w/ falsey
           ctx.context.nackAll = false
           expect(ctx.context.nackAll).to.not.exist()
@@ -142,7 +150,7 @@ describe('Context', function () {
       describe('after onerror', function () {
         beforeEach(function (done) {
           sinon.stub(ctx.app, 'emit')
-          ctx.Context.onerror(ctx.context)
+          Context.onerror(ctx.context)
           done()
         })
 
@@ -155,6 +163,38 @@ describe('Context', function () {
       })
     })
 
+    describe('body', function () {
+      beforeEach(function (done) {
+        ctx.message.content = new Buffer('{"foo":1}')
+        ctx.message.properties = { contentType: 'application/json' }
+        ctx.context = new Context(ctx.app, ctx.queueName, ctx.message)
+        done()
+      })
+
+      it('should lazily decode the message content', function (done) {
+        sinon.spy(ctx.app.decoders, 'application/json')
+        sinon.assert.notCalled(ctx.app.decoders['application/json'])
+        expect(ctx.context.body).to.deep.equal({ foo: 1 })
+        expect(ctx.context.body).to.equal(ctx.context.body)
+        sinon.assert.calledOnce(ctx.app.decoders['application/json'])
+        done()
+      })
+
+      it('should be settable', function (done) {
+        ctx.context.body = { bar: 1 }
+        expect(ctx.context.body).to.deep.equal({ bar: 1 })
+        done()
+      })
+
+      it('should throw a DecodeError if the content cannot be decoded', function (done) {
+        ctx.message.content = new Buffer('{')
+        expect(function () {
+          return ctx.context.body
+        }).to.throw(Application.DecodeError)
+        done()
+      })
+    })
+
     describe('publish', function () {
       beforeEach(function (done) {
         ctx.exchange = 'exchange'
@@ -170,11 +210,107 @@ describe('Context', function () {
         sinon.assert.calledOnce(ctx.context.publisherChannel.publish)
         sinon.assert.calledWith(
           ctx.context.publisherChannel.publish,
-          ctx.exchange, ctx.routingKey, new Buffer(ctx.content), ctx.options)
+          ctx.exchange, ctx.routingKey, new Buffer(ctx.content), sinon.match(put(ctx.options, { contentType: 'text/plain' })))
+        done()
+      })
+    })
+
+    describe('publish message properties', function () {
+      beforeEach(function (done) {
+        ctx.context.publisherChannel.publish = sinon.stub()
+        done()
+      })
+
+      it('should set messageId, timestamp and trace headers', function (done) {
+        ctx.context.publish('exchange', 'routingKey', 'content')
+        const options = ctx.context.publisherChannel.publish.firstCall.args[3]
+        expect(options.messageId).to.match(/^[0-9a-f-]{36}$/)
+        expect(options.timestamp).to.be.about(Date.now() / 1000, 2)
+        expect(options.appId).to.not.exist()
+        expect(options.headers).to.deep.equal({
+          'x-correlation-id': 'message-id',
+          'x-causation-id': 'message-id'
+        })
+        done()
+      })
+
+      it('should propagate the correlation id and set appId', function (done) {
+        ctx.app.appId = 'app-id'
+        ctx.message.properties.headers = { 'x-correlation-id': 'first-message-id' }
+        ctx.context.publish('exchange', 'routingKey', 'content')
+        const options = ctx.context.publisherChannel.publish.firstCall.args[3]
+        expect(options.appId).to.equal('app-id')
+        expect(options.headers).to.deep.equal({
+          'x-correlation-id': 'first-message-id',
+          'x-causation-id': 'message-id'
+        })
+        done()
+      })
+
+      it('should not override specified properties', function (done) {
+        ctx.app.appId = 'app-id'
+        ctx.context.publish('exchange', 'routingKey', 'content', {
+          messageId: 'id',
+          timestamp: 1,
+          appId: 'other-app-id',
+          headers: { 'x-correlation-id': 'correlation-id', foo: 1 }
+        })
+        const options = ctx.context.publisherChannel.publish.firstCall.args[3]
+        expect(options.messageId).to.equal('id')
+        expect(options.timestamp).to.equal(1)
+        expect(options.appId).to.equal('other-app-id')
+        expect(options.headers).to.deep.equal({
+          'x-correlation-id': 'correlation-id',
+          'x-causation-id': 'message-id',
+          foo: 1
+        })
+        done()
+      })
+
+      it('should not set trace headers if the message has no messageId', function (done) {
+        delete ctx.message.properties.messageId
+        ctx.context.publish('exchange', 'routingKey', 'content')
+        expect(ctx.context.publisherChannel.publish.firstCall.args[3].headers).to.deep.equal({})
+        done()
+      })
+    })
+
+    describe('publish w/out options', function () {
+      beforeEach(function (done) {
+        ctx.context.publisherChannel.publish = sinon.stub()
+        done()
+      })
+
+      it('should publish w/ empty options', function (done) {
+        ctx.context.publish('exchange', 'routingKey', 'content')
+        sinon.assert.calledWith(
+          ctx.context.publisherChannel.publish,
+          'exchange', 'routingKey', new Buffer('content'), sinon.match({ contentType: 'text/plain' }))
         done()
       })
     })
 
+    describe('publish w/ publisherConfirms', function () {
+      beforeEach(function (done) {
+        ctx.app.publisherConfirms = true
+        ctx.context.publisherChannel.publish = sinon.stub().yieldsAsync(null)
+        ctx.context.publisherChannel.sendToQueue = sinon.stub().yieldsAsync(null)
+        done()
+      })
+
+      it('should return a promise', function (done) {
+        const promise = ctx.context.publish('exchange', 'routingKey', 'content')
+        expect(promise).to.be.an.instanceOf(Promise)
+        promise.then(function () {
+          sinon.assert.calledOnce(ctx.context.publisherChannel.publish)
+          return ctx.context.sendToQueue('queue', 'content')
+        }).then(function () {
+          sinon.assert.calledOnce(ctx.context.publisherChannel.sendToQueue)
+          done()
+        }).catch(done)
+      })
+    })
+
     describe('sendToQueue', function () {
       beforeEach(function (done) {
         ctx.content = {foo: 1}
@@ -188,7 +324,7 @@ describe('Context', function () {
         sinon.assert.calledOnce(ctx.context.publisherChannel.sendToQueue)
         sinon.assert.calledWith(
           ctx.context.publisherChannel.sendToQueue,
-          ctx.queueName, new Buffer(JSON.stringify(ctx.content)), ctx.options)
+          ctx.queueName, new Buffer(JSON.stringify(ctx.content)), sinon.match(put(ctx.options, { contentType: 'application/json' })))
         done()
       })
     })
@@ -199,10 +335,8 @@ describe('Context', function () {
         ctx.options = {}
         ctx.replyTo = 'reply-queue'
         ctx.correlationId = '12345'
-        ctx.context.message.properties = {
-          replyTo: ctx.replyTo,
-          correlationId: ctx.correlationId
-        }
+        ctx.context.message.properties.replyTo = ctx.replyTo
+        ctx.context.message.properties.correlationId = ctx.correlationId
         // replies must be made on same channel which message was recieved
         ctx.context.publisherChannel.sendToQueue = sinon.stub()
         done()
@@ -212,11 +346,12 @@ describe('Context', function () {
         ctx.context.reply(ctx.content, ctx.options)
         sinon.assert.calledOnce(ctx.context.publisherChannel.sendToQueue)
         const expectedOptions = put(ctx.options, {
+          contentType: 'text/plain',
           correlationId: ctx.correlationId
         })
         sinon.assert.calledWith(
           ctx.context.publisherChannel.sendToQueue,
-          ctx.replyTo, new Buffer(ctx.content), expectedOptions)
+          ctx.replyTo, new Buffer(ctx.content), sinon.match(expectedOptions))
         done()
       })
     })
@@ -225,195 +360,150 @@ describe('Context', function () {
       beforeEach(function (done) {
         ctx.content = 'content'
         ctx.sendOpts = {}
-        ctx.queueOpts = {}
-        ctx.consumeOpts = {}
+        ctx.replyMessage = {}
+        ctx.app.rpcClient.request = sinon.stub().resolves(ctx.replyMessage)
         done()
       })
+
+      it('should make a request using the app rpcClient', function (done) {
+        ctx.context.request(ctx.queueName, ctx.content, ctx.sendOpts).then(function (message) {
+          expect(message).to.equal(ctx.replyMessage)
+          sinon.assert.calledOnce(ctx.app.rpcClient.request)
+          sinon.assert.calledWith(ctx.app.rpcClient.request,
+            ctx.queueName, new Buffer(ctx.content), sinon.match({ contentType: 'text/plain' }), undefined)
+          // sendOpts are not modified
+          expect(ctx.sendOpts).to.deep.equal({})
+          done()
+        }).catch(done)
+      })
+
+      it('should pass sendOpts.timeout to the rpcClient', function (done) {
+        ctx.sendOpts.timeout = 10
+        ctx.context.request(ctx.queueName, { foo: 1 }, ctx.sendOpts).then(function () {
+          sinon.assert.calledWith(ctx.app.rpcClient.request,
+            ctx.queueName, new Buffer('{"foo":1}'), sinon.match({ contentType: 'application/json' }), 10)
+          done()
+        }).catch(done)
+      })
+
+      it('should default timeout to app.requestTimeout', function (done) {
+        ctx.app.requestTimeout = 20
+        ctx.context.request(ctx.queueName, ctx.content).then(function () {
+          sinon.assert.calledWith(ctx.app.rpcClient.request,
+            ctx.queueName, new Buffer(ctx.content), sinon.match({ contentType: 'text/plain' }), 20)
+          done()
+        }).catch(done)
+      })
+    })
+
+    describe('metrics', function () {
       beforeEach(function (done) {
-        ctx.replyQueue = 'reply-queue'
-        ctx.replyContent = 'reply-content'
-        ctx.replyChannel = assign(new EventEmitter(), {
-          assertQueue: sinon.stub().resolves({
-            queue: ctx.replyQueue
-          }),
-          consume: mockConsume,
-          sendToQueue: mockSendToQueue,
-          close: sinon.stub()
-        })
-        ctx.thunk = { cancel: sinon.stub() }
-        ctx.first.returns(ctx.thunk)
-        ctx.context.connection.createChannel = sinon.stub().resolves(ctx.replyChannel)
-        ctx.consumeSpy = sinon.spy(ctx.replyChannel, 'consume')
-        ctx.sendToQueueSpy = sinon.spy(ctx.replyChannel, 'sendToQueue')
-        // mockConsume and mockSend
-        function mockConsume (replyQueue, handler) {
-          ctx.consumeMsgHandler = handler
-          return new Promise(function (r) { r() })
-        }
-        function mockSendToQueue (queue, content, opts) {
-          process.nextTick(function () {
-            const noiseMessage = {
-              content: 'hai', properties: {}
-            }
-            ctx.consumeMsgHandler(noiseMessage)
-            const replyMessage = {
-              content: ctx.replyContent,
-              properties: {
-                correlationId: opts.correlationId
-              }
-            }
-            ctx.consumeMsgHandler(replyMessage)
-          })
+        ctx.app.metrics = new Application.Metrics()
+        ctx.context.publisherChannel.publish = sinon.stub().returns(true)
+        ctx.context.publisherChannel.sendToQueue = sinon.stub().returns(true)
+        ctx.app.rpcClient.request = sinon.stub().resolves({})
+        ctx.values = function (name) {
+          return ctx.app.metrics.get(name).values
         }
         done()
       })
 
-      describe('success req and reply', function () {
-        beforeEach(function (done) {
-          ctx.replyChannel.close.resolves()
-          done()
-        })
-
-        it('should make a request to an rpc queue', function (done) {
-          var channelCreatedHandler = sinon.stub()
-          var channelClosedHandler = sinon.stub()
-          ctx.app.once('channel:create', channelCreatedHandler)
-          ctx.app.once('channel:close', channelClosedHandler)
-          ctx.context.request(
-            ctx.queueName, ctx.content,
-            ctx.sendOpts, ctx.queueOpts, ctx.consumeOpts
-          ).then(success).catch(done)
-          function success () {
-            // assert connection creation
-            sinon.assert.calledOnce(ctx.context.connection.createChannel)
-            sinon.assert.calledOnce(channelCreatedHandler)
-            sinon.assert.calledWith(
-              channelCreatedHandler, ctx.replyChannel, 'rpc')
-            // assert channel creation
-            sinon.assert.calledOnce(ctx.replyChannel.assertQueue)
-            sinon.assert.calledWith(
-              ctx.replyChannel.assertQueue, '', ctx.queueOpts)
-            // setup reply consumer
-            sinon.assert.calledOnce(ctx.consumeSpy)
-            sinon.assert.calledWith(
-              ctx.consumeSpy, ctx.replyQueue, sinon.match.func, ctx.consumeOpts)
-            // assert message send
-            sinon.assert.calledOnce(ctx.sendToQueueSpy)
-            sinon.assert.calledWith(
-              ctx.sendToQueueSpy,
-              ctx.queueName, new Buffer(ctx.content), ctx.sendOpts)
-            // assert channel handler detach
-            sinon.assert.calledOnce(ctx.thunk.cancel)
-            // channel close
-            sinon.assert.calledOnce(ctx.replyChannel.close)
-            sinon.assert.calledOnce(channelClosedHandler)
-            sinon.assert.calledWith(channelClosedHandler, ctx.replyChannel, 'rpc')
-            done()
-          }
+      it('should count published messages by method', function (done) {
+        ctx.context.publish('exchange', 'routing.key', 'content')
+        ctx.context.sendToQueue('queue', 'content')
+        ctx.context.sendToQueue('queue', 'content')
+        ctx.context.message.properties.replyTo = 'reply-queue'
+        ctx.context.message.properties.correlationId = 'correlation-id'
+        ctx.context.reply('content')
+        expect(ctx.values('coworkers_messages_published_total')).to.deep.equal({
+          'method="publish",queue="queue-name"': 1,
+          'method="sendToQueue",queue="queue-name"': 2,
+          'method="reply",queue="queue-name"': 1
         })
+        done()
       })
 
-      describe('channel errors before reply', function () {
-        beforeEach(function (done) {
-          ctx.replyChannel.close.resolves()
-          ctx.thunk = { cancel: sinon.stub() }
-          ctx.err = new Error('channel errored')
-          ctx.first.callsArgWith(1, ctx.err)
+      it('should time successful requests', function (done) {
+        ctx.context.request('rpc-queue', 'content').then(function () {
+          const values = ctx.values('coworkers_rpc_duration_seconds')
+          expect(Object.keys(values)).to.deep.equal(['queue="queue-name",rpc_queue="rpc-queue",status="success"'])
+          expect(values['queue="queue-name",rpc_queue="rpc-queue",status="success"'].count).to.equal(1)
           done()
-        })
-
-        it('should catch the error', function (done) {
-          var channelCreatedHandler = sinon.stub()
-          var channelClosedHandler = sinon.stub()
-          ctx.app.once('channel:create', channelCreatedHandler)
-          ctx.app.once('channel:close', channelClosedHandler)
-          ctx.context.request(
-            ctx.queueName, ctx.content,
-            ctx.sendOpts, ctx.queueOpts, ctx.consumeOpts
-          ).then(function () {
-            done(new Error('expected an error'))
-          }).catch(function (err) {
-            expect(err).to.equal(err)
-            sinon.assert.notCalled(ctx.replyChannel.close)
-            done()
-          })
-        })
+        }).catch(done)
       })
 
-      describe('channel exists before reply', function () {
-        beforeEach(function (done) {
-          ctx.replyChannel.close.resolves()
-          ctx.thunk = { cancel: sinon.stub() }
-          ctx.first.callsArgWith(1)
+      it('should time failed requests', function (done) {
+        const err = new Error('timed out')
+        ctx.app.rpcClient.request.rejects(err)
+        ctx.context.request('rpc-queue', 'content').then(function () {
+          done(new Error('expected an error'))
+        }).catch(function (e) {
+          expect(e).to.equal(err)
+          const values = ctx.values('coworkers_rpc_duration_seconds')
+          expect(Object.keys(values)).to.deep.equal(['queue="queue-name",rpc_queue="rpc-queue",status="error"'])
           done()
-        })
+        }).catch(done)
+      })
+    })
 
-        it('should catch the error', function (done) {
-          var channelCreatedHandler = sinon.stub()
-          var channelClosedHandler = sinon.stub()
-          ctx.app.once('channel:create', channelCreatedHandler)
-          ctx.app.once('channel:close', channelClosedHandler)
-          ctx.context.request(
-            ctx.queueName, ctx.content,
-            ctx.sendOpts, ctx.queueOpts, ctx.consumeOpts
-          ).then(function () {
-            done(new Error('expected an error'))
-          }).catch(function (err) {
-            expect(err).to.exist()
-            expect(err.message).to.match(/channel exited/)
-            sinon.assert.notCalled(ctx.replyChannel.close)
-            done()
-          })
-        })
+    describe('tracing', function () {
+      beforeEach(function (done) {
+        ctx.exporter = new Application.InMemoryExporter()
+        ctx.app.tracer = new Application.Tracer({ exporter: ctx.exporter })
+        ctx.context.span = ctx.app.tracer.startSpan('queue-name process')
+        ctx.context.publisherChannel.publish = sinon.stub().returns(true)
+        ctx.context.publisherChannel.sendToQueue = sinon.stub().returns(true)
+        ctx.app.rpcClient.request = sinon.stub().resolves({})
+        ctx.expectChildSpan = function (name, kind, headers) {
+          const spans = ctx.exporter.getFinishedSpans()
+          expect(spans.length).to.equal(1)
+          expect(spans[0].name).to.equal(name)
+          expect(spans[0].kind).to.equal(kind)
+          expect(spans[0].parentSpanId).to.equal(ctx.context.span.spanContext().spanId)
+          expect(headers.traceparent).to.equal(
+            `00-${spans[0].spanContext().traceId}-${spans[0].spanContext().spanId}-01`)
+          return spans[0]
+        }
+        done()
       })
 
-      describe('channel close error', function () {
-        beforeEach(function (done) {
-          ctx.closeErr = new Error('close error')
-          ctx.replyChannel.close.rejects(ctx.closeErr)
-          done()
+      it('should span publish', function (done) {
+        ctx.context.publish('', 'routing.key', 'content')
+        const options = ctx.context.publisherChannel.publish.firstCall.args[3]
+        const span = ctx.expectChildSpan('(default) send', Application.Tracer.SpanKind.PRODUCER, options.headers)
+        expect(span.attributes).to.deep.equal({
+          'messaging.system': 'rabbitmq',
+          'messaging.message_id': options.messageId,
+          'messaging.destination': '',
+          'messaging.rabbitmq.routing_key': 'routing.key'
         })
+        done()
+      })
 
-        it('should emit "channel:close:error"', function (done) {
-          var channelCloseErroredHandler = sinon.stub()
-          ctx.app.once('channel:close:error', channelCloseErroredHandler)
-          ctx.context.request(
-            ctx.queueName, ctx.content,
-            ctx.sendOpts, ctx.queueOpts, ctx.consumeOpts
-          ).then(success).catch(done)
-          function success () {
-            sinon.assert.calledOnce(ctx.replyChannel.close)
-            process.nextTick(function () {
-              sinon.assert.calledOnce(ctx.replyChannel.close)
-              sinon.assert.calledOnce(channelCloseErroredHandler)
-              sinon.assert.calledWith(
-                channelCloseErroredHandler,
-                ctx.closeErr, ctx.replyChannel, 'rpc')
-              done()
-            })
-          }
-        })
+      it('should span sendToQueue', function (done) {
+        ctx.context.sendToQueue('queue', 'content')
+        const options = ctx.context.publisherChannel.sendToQueue.firstCall.args[2]
+        const span = ctx.expectChildSpan('queue send', Application.Tracer.SpanKind.PRODUCER, options.headers)
+        expect(span.attributes['messaging.destination']).to.equal('queue')
+        done()
       })
 
-      describe('create channel err', function () {
-        beforeEach(function (done) {
-          ctx.channelErr = new Error('channel create err')
-          ctx.replyChannel.assertQueue = sinon.stub().rejects(ctx.channelErr)
-          ctx.replyChannel.close.resolves()
-          done()
-        })
+      it('should span reply', function (done) {
+        ctx.message.properties.replyTo = 'reply-queue'
+        ctx.message.properties.correlationId = 'correlation-id'
+        ctx.context.reply('content')
+        const options = ctx.context.publisherChannel.sendToQueue.firstCall.args[2]
+        const span = ctx.expectChildSpan('reply-queue send', Application.Tracer.SpanKind.PRODUCER, options.headers)
+        expect(span.attributes['messaging.conversation_id']).to.equal('correlation-id')
+        done()
+      })
 
-        it('should callback the error', function (done) {
-          ctx.context.request(
-            ctx.queueName, ctx.content,
-            ctx.sendOpts, ctx.queueOpts, ctx.consumeOpts
-          ).then(function () {
-            done(new Error('expected an error'))
-          }).catch(function (err) {
-            expect(err).to.equal(ctx.channelErr)
-            done()
-          })
-        })
+      it('should span request until the reply is received', function (done) {
+        ctx.context.request('rpc-queue', 'content').then(function () {
+          const sendOpts = ctx.app.rpcClient.request.firstCall.args[2]
+          ctx.expectChildSpan('rpc-queue request', Application.Tracer.SpanKind.CLIENT, sendOpts.headers)
+          done()
+        }).catch(done)
       })
     })
   })
@@ -0,0 +1,68 @@
+'use strict'
+
+const Code = require('code')
+const Lab = require('lab')
+const sinon = require('sinon')
+
+const lab = exports.lab = Lab.script()
+const describe = lab.describe
+const it = lab.it
+const beforeEach = lab.beforeEach
+const afterEach = lab.afterEach
+const expect = Code.expect
+
+const MemoryStore = require('../lib/dedupe-memory-store.js')
+
+describe('MemoryStore', function () {
+  let ctx
+
+  beforeEach(function (done) {
+    ctx = {}
+    ctx.clock = sinon.useFakeTimers()
+    ctx.store = new MemoryStore({ max: 2, ttl: 100 })
+    done()
+  })
+  afterEach(function (done) {
+    ctx.clock.restore()
+    done()
+  })
+
+  it('should default options', function (done) {
+    const store = new MemoryStore()
+    expect(store.max).to.equal(10000)
+    expect(store.ttl).to.equal(3600000)
+    done()
+  })
+
+  it('should error if options are not numbers', function (done) {
+    expect(function () {
+      return new MemoryStore({ max: 'foo' })
+    }).to.throw(/max.*number/)
+    expect(function () {
+      return new MemoryStore({ ttl: 'foo' })
+    }).to.throw(/ttl.*number/)
+    done()
+  })
+
+  it('should remember keys until they expire', function (done) {
+    expect(ctx.store.has('foo')).to.be.false()
+    ctx.store.add('foo')
+    expect(ctx.store.has('foo')).to.be.true()
+    ctx.clock.tick(100)
+    expect(ctx.store.has('foo')).to.be.false()
+    expect(ctx.store.keys.size).to.equal(0)
+    done()
+  })
+
+  it('should evict least recently used keys', function (done) {
+    ctx.store.add('foo')
+    ctx.store.add('bar')
+    // foo is most recently used
+    expect(ctx.store.has('foo')).to.be.true()
+    ctx.store.add('baz')
+    expect(ctx.store.has('bar')).to.be.false()
+    expect(ctx.store.has('foo')).to.be.true()
+    expect(ctx.store.has('baz')).to.be.true()
+    done()
+  })
+})
@@ -0,0 +1,172 @@
+'use strict'
+
+const Code = require('code')
+const Lab = require('lab')
+const sinon = require('sinon')
+require('sinon-as-promised')
+
+const lab = exports.lab = Lab.script()
+const describe = lab.describe
+const it = lab.it
+const beforeEach = lab.beforeEach
+const afterEach = lab.afterEach
+const expect = Code.expect
+
+const Application = require('../lib/application.js')
+const createTestHarness = require('../test.js')
+const dedupe = require('../lib/dedupe.js')
+
+describe('dedupe', function () {
+  let ctx
+
+  beforeEach(function (done) {
+    ctx = {}
+    ctx.store = {
+      has: sinon.stub().resolves(false),
+      add: sinon.stub().resolves()
+    }
+    ctx.context = {
+      deliveryTag: 1,
+      message: {
+        fields: { redelivered: true },
+        properties: { messageId: 'message-id' }
+      }
+    }
+    ctx.next = sinon.spy(function () {
+      ctx.context.ack = true
+      return Promise.resolve()
+    })
+    ctx.middleware = dedupe({ store: ctx.store })
+    done()
+  })
+
+  it('should be exported by the application', function (done) {
+    expect(Application.dedupe).to.equal(dedupe)
+    expect(dedupe.MemoryStore).to.be.a.function()
+    expect(dedupe()).to.be.a.function()
+    done()
+  })
+
+  it('should error if options are invalid', function (done) {
+    expect(function () {
+      dedupe({ key: 'foo' })
+    }).to.throw(/key.*function/)
+    expect(function () {
+      dedupe({ store: {} })
+    }).to.throw(/store.*has.*add/)
+    done()
+  })
+
+  it('should store the key of acked messages', function (done) {
+    ctx.middleware(ctx.context, ctx.next).then(function () {
+      sinon.assert.calledOnce(ctx.store.has)
+      sinon.assert.calledWith(ctx.store.has, 'message-id')
+      sinon.assert.calledOnce(ctx.next)
+      sinon.assert.calledOnce(ctx.store.add)
+      sinon.assert.calledWith(ctx.store.add, 'message-id')
+      done()
+    }).catch(done)
+  })
+
+  it('should ack messages that were already processed', function (done) {
+    ctx.store.has.resolves(true)
+    ctx.middleware(ctx.context, ctx.next).then(function () {
+      expect(ctx.context.ack).to.be.true()
+      sinon.assert.notCalled(ctx.next)
+      sinon.assert.notCalled(ctx.store.add)
+      done()
+    }).catch(done)
+  })
+
+  it('should not store the key of messages that were not acked', function (done) {
+    ctx.next = sinon.stub().resolves()
+    ctx.context.nack = true
+    ctx.middleware(ctx.context, ctx.next).then(function () {
+      sinon.assert.notCalled(ctx.store.add)
+      ctx.context.aborted = true
+      ctx.context.ack = true
+      return ctx.middleware(ctx.context, ctx.next)
+    }).then(function () {
+      // timed out handlers are not stored
+      sinon.assert.notCalled(ctx.store.add)
+      done()
+    }).catch(done)
+  })
+
+  it('should store the key of messages acked w/ ackAll', function (done) {
+    ctx.next = sinon.spy(function () {
+      ctx.context.ackAll = true
+      return Promise.resolve()
+    })
+    ctx.middleware(ctx.context, ctx.next).then(function () {
+      sinon.assert.calledOnce(ctx.store.add)
+      done()
+    }).catch(done)
+  })
+
+  it('should skip the lookup on first delivery', function (done) {
+    ctx.context.message.fields.redelivered = false
+    ctx.middleware(ctx.context, ctx.next).then(function () {
+      sinon.assert.notCalled(ctx.store.has)
+      sinon.assert.calledOnce(ctx.next)
+      sinon.assert.calledOnce(ctx.store.add)
+      done()
+    }).catch(done)
+  })
+
+  it('should not dedupe messages w/out a key', function (done) {
+    delete ctx.context.message.properties.messageId
+    ctx.middleware(ctx.context, ctx.next).then(function () {
+      sinon.assert.notCalled(ctx.store.has)
+      sinon.assert.notCalled(ctx.store.add)
+      sinon.assert.calledOnce(ctx.next)
+      done()
+    }).catch(done)
+  })
+
+  it('should use a custom key', function (done) {
+    ctx.middleware = dedupe({
+      store: ctx.store,
+      key: function (context) {
+        return context.deliveryTag
+      }
+    })
+    ctx.middleware(ctx.context, ctx.next).then(function () {
+      sinon.assert.calledWith(ctx.store.has, 1)
+      sinon.assert.calledWith(ctx.store.add, 1)
+      done()
+    }).catch(done)
+  })
+
+  describe('app', function () {
+    beforeEach(function (done) {
+      ctx.app = new Application({ cluster: false, queueName: 'queue-name' })
+      ctx.app.on('error', done)
+      ctx.handler = sinon.spy(function (context) {
+        context.ack = true
+      })
+      ctx.app.queue('queue-name', dedupe({ redeliveredOnly: false }), ctx.handler)
+      ctx.harness = createTestHarness(ctx.app)
+      ctx.harness.connect().then(function () {
+        done()
+      }).catch(done)
+    })
+    afterEach(function (done) {
+      ctx.harness.close().then(function () {
+        done()
+      }).catch(done)
+    })
+
+    it('should ack duplicate messages w/ the default store', function (done) {
+      const props = { messageId: 'message-id' }
+      ctx.harness.deliver('queue-name', 'content', props).then(function (result) {
+        expect(result.action).to.equal('ack')
+        return ctx.harness.deliver('queue-name', 'content', props)
+      }).then(function (result) {
+        expect(result.action).to.equal('ack')
+        sinon.assert.calledOnce(ctx.handler)
+        done()
+      }).catch(done)
+    })
+  })
+})
@@ -0,0 +1,73 @@
+'use strict'
+
+const Code = require('code')
+const Lab = require('lab')
+
+const lab = exports.lab = Lab.script()
+const describe = lab.describe
+const it = lab.it
+const beforeEach = lab.beforeEach
+const expect = Code.expect
+
+const DeliveryTracker = require('../lib/delivery-tracker.js')
+
+describe('DeliveryTracker', function () {
+  let ctx
+
+  beforeEach(function (done) {
+    ctx = {}
+    ctx.tracker = new DeliveryTracker()
+    ctx.contexts = [1, 2, 3].map(function (deliveryTag) {
+      const context = { deliveryTag: deliveryTag }
+      context.message = { context: context, fields: { deliveryTag: deliveryTag } }
+      ctx.tracker.track(context)
+      return context
+    })
+    done()
+  })
+
+  it('should track contexts in delivery order', function (done) {
+    expect(ctx.tracker.size).to.equal(3)
+    expect(ctx.tracker.contexts()).to.deep.equal(ctx.contexts)
+    done()
+  })
+
+  describe('settle', function () {
+    it('should settle a message', function (done) {
+      expect(ctx.tracker.settle(ctx.contexts[1].message)).to.deep.equal([ctx.contexts[1]])
+      expect(ctx.contexts[1].messageAcked).to.be.true()
+      expect(ctx.contexts[0].messageAcked).to.not.exist()
+      expect(ctx.tracker.contexts()).to.deep.equal([ctx.contexts[0], ctx.contexts[2]])
+      done()
+    })
+
+    it('should settle all messages up to a message', function (done) {
+      expect(ctx.tracker.settle(ctx.contexts[1].message, true)).to.deep.equal([ctx.contexts[0], ctx.contexts[1]])
+      expect(ctx.contexts[0].messageAcked).to.be.true()
+      expect(ctx.contexts[1].messageAcked).to.be.true()
+      expect(ctx.contexts[2].messageAcked).to.not.exist()
+      expect(ctx.tracker.contexts()).to.deep.equal([ctx.contexts[2]])
+      done()
+    })
+  })
+
+  describe('settleAll', function () {
+    it('should settle all messages', function (done) {
+      expect(ctx.tracker.settleAll()).to.deep.equal(ctx.contexts)
+      ctx.contexts.forEach(function (context) {
+        expect(context.messageAcked).to.be.true()
+      })
+      expect(ctx.tracker.size).to.equal(0)
+      done()
+    })
+  })
+
+  describe('clear', function () {
+    it('should stop tracking all messages', function (done) {
+      ctx.tracker.clear()
+      expect(ctx.tracker.size).to.equal(0)
+      expect(ctx.contexts[0].messageAcked).to.not.exist()
+      done()
+    })
+  })
+})
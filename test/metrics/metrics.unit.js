@@ -0,0 +1,231 @@
+'use strict'
+
+const Code = require('code')
+const Lab = require('lab')
+const sinon = require('sinon')
+
+const lab = exports.lab = Lab.script()
+const describe = lab.describe
+const it = lab.it
+const beforeEach = lab.beforeEach
+const afterEach = lab.afterEach
+const expect = Code.expect
+
+const Metrics = require('../../lib/metrics/metrics.js')
+
+describe('Metrics', function () {
+  let ctx
+
+  beforeEach(function (done) {
+    ctx = {}
+    ctx.metrics = new Metrics({ buckets: [1, 0.1] })
+    ctx.metrics.define('counter', 'counter', 'counter help')
+    ctx.metrics.define('gauge', 'gauge', 'gauge help')
+    ctx.metrics.define('histogram', 'histogram', 'histogram help')
+    done()
+  })
+
+  describe('constructor', function () {
+    it('should define coworkers metrics w/ default options', function (done) {
+      const metrics = new Metrics()
+      expect(metrics.enabled).to.be.true()
+      expect(metrics.buckets).to.deep.equal([0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10])
+      expect(Object.keys(metrics.metrics)).to.include([
+        'coworkers_messages_received_total',
+        'coworkers_messages_acked_total',
+        'coworkers_messages_nacked_total',
+        'coworkers_messages_rejected_total',
+        'coworkers_messages_retried_total',
+        'coworkers_messages_errored_total',
+        'coworkers_messages_in_flight',
+        'coworkers_handler_duration_seconds',
+        'coworkers_messages_published_total',
+        'coworkers_rpc_duration_seconds'
+      ])
+      done()
+    })
+
+    it('should error if buckets is not an array', function (done) {
+      expect(function () {
+        return new Metrics({ buckets: 1 })
+      }).to.throw(/buckets.*array/)
+      done()
+    })
+  })
+
+  describe('define', function () {
+    it('should sort histogram buckets', function (done) {
+      expect(ctx.metrics.get('histogram').buckets).to.deep.equal([0.1, 1])
+      ctx.metrics.define('histogram', 'custom_buckets', 'help', [5, 2])
+      expect(ctx.metrics.get('custom_buckets').buckets).to.deep.equal([2, 5])
+      done()
+    })
+
+    it('should error if the type is invalid', function (done) {
+      expect(function () {
+        ctx.metrics.define('summary', 'summary', 'help')
+      }).to.throw(/type.*counter.*gauge.*histogram/)
+      done()
+    })
+
+    it('should error if the metric is already defined', function (done) {
+      expect(function () {
+        ctx.metrics.define('counter', 'counter', 'help')
+      }).to.throw(/"counter" is already defined/)
+      done()
+    })
+  })
+
+  describe('inc, dec and set', function () {
+    it('should increment counters by labels', function (done) {
+      ctx.metrics.inc('counter', { queue: 'foo', method: 'publish' })
+      ctx.metrics.inc('counter', { method: 'publish', queue: 'foo' }, 2)
+      ctx.metrics.inc('counter')
+      expect(ctx.metrics.get('counter').values).to.deep.equal({
+        'method="publish",queue="foo"': 3,
+        '': 1
+      })
+      done()
+    })
+
+    it('should escape label values', function (done) {
+      ctx.metrics.inc('counter', { queue: 'a"b\\c\nd' })
+      expect(ctx.metrics.get('counter').values).to.deep.equal({
+        'queue="a\\"b\\\\c\\nd"': 1
+      })
+      done()
+    })
+
+    it('should not decrement counters', function (done) {
+      expect(function () {
+        ctx.metrics.inc('counter', {}, -1)
+      }).to.throw(/counters cannot be decremented/)
+      expect(function () {
+        ctx.metrics.dec('counter')
+      }).to.throw(/"counter" is not a gauge/)
+      done()
+    })
+
+    it('should increment, decrement and set gauges', function (done) {
+      ctx.metrics.inc('gauge', { queue: 'foo' })
+      ctx.metrics.inc('gauge', { queue: 'foo' })
+      ctx.metrics.dec('gauge', { queue: 'foo' })
+      ctx.metrics.dec('gauge', { queue: 'bar' }, 2)
+      ctx.metrics.set('gauge', { queue: 'baz' }, 10)
+      expect(ctx.metrics.get('gauge').values).to.deep.equal({
+        'queue="foo"': 1,
+        'queue="bar"': -2,
+        'queue="baz"': 10
+      })
+      done()
+    })
+
+    it('should error if the metric is not defined', function (done) {
+      expect(function () {
+        ctx.metrics.inc('unknown')
+      }).to.throw(/"unknown" is not defined/)
+      done()
+    })
+  })
+
+  describe('observe', function () {
+    it('should observe histogram values', function (done) {
+      ctx.metrics.observe('histogram', { queue: 'foo' }, 0.0625)
+      ctx.metrics.observe('histogram', { queue: 'foo' }, 0.5)
+      ctx.metrics.observe('histogram', { queue: 'foo' }, 5)
+      expect(ctx.metrics.get('histogram').values).to.deep.equal({
+        'queue="foo"': {
+          buckets: [1, 2], // cumulative
+          sum: 5.5625,
+          count: 3
+        }
+      })
+      done()
+    })
+
+    it('should error if the metric is not a histogram', function (done) {
+      expect(function () {
+        ctx.metrics.observe('counter', {}, 1)
+      }).to.throw(/"counter" is not a histogram/)
+      done()
+    })
+  })
+
+  describe('startTimer', function () {
+    beforeEach(function (done) {
+      sinon.stub(process, 'hrtime')
+      process.hrtime.onFirstCall().returns([1, 0])
+      process.hrtime.onSecondCall().returns([0, 500000000])
+      done()
+    })
+    afterEach(function (done) {
+      process.hrtime.restore()
+      done()
+    })
+
+    it('should observe the duration in seconds w/ labels', function (done) {
+      const end = ctx.metrics.startTimer('histogram', { queue: 'foo' })
+      end({ status: 'success' })
+      sinon.assert.calledWith(process.hrtime, [1, 0])
+      expect(ctx.metrics.get('histogram').values).to.deep.equal({
+        'queue="foo",status="success"': { buckets: [0, 1], sum: 0.5, count: 1 }
+      })
+      done()
+    })
+  })
+
+  describe('disabled', function () {
+    it('should not record metrics', function (done) {
+      const metrics = new Metrics({ enabled: false })
+      metrics.inc('coworkers_messages_received_total')
+      metrics.dec('coworkers_messages_in_flight')
+      metrics.set('coworkers_messages_in_flight', {}, 1)
+      metrics.observe('coworkers_handler_duration_seconds', {}, 1)
+      metrics.startTimer('coworkers_handler_duration_seconds')()
+      Object.keys(metrics.metrics).forEach(function (name) {
+        expect(metrics.get(name).values).to.deep.equal({})
+      })
+      done()
+    })
+  })
+
+  describe('snapshot and merge', function () {
+    it('should snapshot metrics', function (done) {
+      ctx.metrics.inc('counter', { queue: 'foo' })
+      const snapshot = ctx.metrics.snapshot()
+      expect(snapshot.counter).to.deep.equal({
+        type: 'counter',
+        help: 'counter help',
+        values: { 'queue="foo"': 1 }
+      })
+      // copy
+      ctx.metrics.inc('counter', { queue: 'foo' })
+      expect(snapshot.counter.values['queue="foo"']).to.equal(1)
+      done()
+    })
+
+    it('should sum snapshots', function (done) {
+      ctx.metrics.inc('counter', { queue: 'foo' })
+      ctx.metrics.inc('gauge', { queue: 'foo' })
+      ctx.metrics.observe('histogram', { queue: 'foo' }, 0.0625)
+      const snapshot1 = ctx.metrics.snapshot()
+      ctx.metrics.inc('counter', { queue: 'bar' })
+      ctx.metrics.observe('histogram', { queue: 'foo' }, 0.5)
+      const snapshot2 = ctx.metrics.snapshot()
+      const merged = Metrics.merge([snapshot1, snapshot2])
+      expect(merged.counter.values).to.deep.equal({ 'queue="foo"': 2, 'queue="bar"': 1 })
+      expect(merged.gauge.values).to.deep.equal({ 'queue="foo"': 2 })
+      expect(merged.histogram).to.deep.equal({
+        type: 'histogram',
+        help: 'histogram help',
+        buckets: [0.1, 1],
+        values: {
+          'queue="foo"': { buckets: [2, 3], sum: 0.625, count: 3 }
+        }
+      })
+      // snapshots are not modified
+      expect(snapshot1.counter.values).to.deep.equal({ 'queue="foo"': 1 })
+      done()
+    })
+  })
+})
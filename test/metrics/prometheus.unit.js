@@ -0,0 +1,64 @@
+'use strict'
+
+const Code = require('code')
+const Lab = require('lab')
+
+const lab = exports.lab = Lab.script()
+const describe = lab.describe
+const it = lab.it
+const expect = Code.expect
+
+const formatPrometheus = require('../../lib/metrics/prometheus.js')
+
+describe('prometheus', function () {
+  it('should format counters, gauges and histograms', function (done) {
+    const text = formatPrometheus({
+      messages_total: {
+        type: 'counter',
+        help: 'Messages\\n "help"\nline',
+        values: { 'queue="foo"': 2, '': 1 }
+      },
+      in_flight: {
+        type: 'gauge',
+        help: 'In flight',
+        values: {}
+      },
+      duration_seconds: {
+        type: 'histogram',
+        help: 'Duration',
+        buckets: [0.1, 1],
+        values: {
+          'queue="foo"': { buckets: [1, 2], sum: 0.55, count: 3 },
+          '': { buckets: [0, 0], sum: 5, count: 1 }
+        }
+      }
+    })
+    expect(text).to.equal([
+      '# HELP messages_total Messages\\\\n "help"\\nline',
+      '# TYPE messages_total counter',
+      'messages_total{queue="foo"} 2',
+      'messages_total 1',
+      '# HELP in_flight In flight',
+      '# TYPE in_flight gauge',
+      '# HELP duration_seconds Duration',
+      '# TYPE duration_seconds histogram',
+      'duration_seconds_bucket{queue="foo",le="0.1"} 1',
+      'duration_seconds_bucket{queue="foo",le="1"} 2',
+      'duration_seconds_bucket{queue="foo",le="+Inf"} 3',
+      'duration_seconds_sum{queue="foo"} 0.55',
+      'duration_seconds_count{queue="foo"} 3',
+      'duration_seconds_bucket{le="0.1"} 0',
+      'duration_seconds_bucket{le="1"} 0',
+      'duration_seconds_bucket{le="+Inf"} 1',
+      'duration_seconds_sum 5',
+      'duration_seconds_count 1',
+      ''
+    ].join('\n'))
+    done()
+  })
+
+  it('should export the content type', function (done) {
+    expect(formatPrometheus.contentType).to.equal('text/plain; version=0.0.4; charset=utf-8')
+    done()
+  })
+})
@@ -0,0 +1,247 @@
+'use strict'
+
+const Code = require('code')
+const Lab = require('lab')
+const sinon = require('sinon')
+require('sinon-as-promised')
+
+const Application = require('../../lib/application.js')
+const Context = require('../../lib/context.js')
+const handleError = require('../../lib/rabbit-utils/app-handle-error.js')
+const HandlerTimeoutError = require('../../lib/handler-timeout-error.js')
+const NoAckError = require('../../lib/no-ack-error.js')
+const ValidationError = require('../../lib/validation-error.js')
+
+const lab = exports.lab = Lab.script()
+const describe = lab.describe
+const expect = Code.expect
+const it = lab.it
+const beforeEach = lab.beforeEach
+
+describe('RabbitUtils - appHandleError', function () {
+  let ctx
+
+  beforeEach(function (done) {
+    ctx = {}
+    ctx.app = new Application()
+    ctx.queueName = 'queue-name'
+    ctx.consumeOpts = {}
+    ctx.message = {
+      fields: {
+        deliveryTag: 1
+      }
+    }
+    ctx.app.queue(ctx.queueName, {}, ctx.consumeOpts, function * () {})
+    ctx.context = new Context(ctx.app, ctx.queueName, ctx.message)
+    ctx.context.consumerChannel = {
+      nack: sinon.stub(),
+      reject: sinon.stub()
+    }
+    ctx.err = new Error('boom')
+    sinon.stub(ctx.app, 'emit')
+    done()
+  })
+
+  it('should emit app error if there are no handlers', function (done) {
+    handleError(ctx.context, ctx.err).then(function () {
+      sinon.assert.calledOnce(ctx.app.emit)
+      sinon.assert.calledWith(ctx.app.emit, 'error', ctx.err, ctx.context)
+      // ack shortcuts are disabled
+      expect(function () {
+        ctx.context.ack = true
+      }).to.throw(/not available/)
+      done()
+    }).catch(done)
+  })
+
+  describe('onErrorAction', function () {
+    it('should nack w/out requeue', function (done) {
+      ctx.app.onErrorAction = 'nack'
+      handleError(ctx.context, ctx.err).then(function () {
+        sinon.assert.calledOnce(ctx.app.emit)
+        sinon.assert.calledOnce(ctx.context.consumerChannel.nack)
+        sinon.assert.calledWith(ctx.context.consumerChannel.nack, ctx.message, false, false)
+        sinon.assert.callOrder(ctx.app.emit, ctx.context.consumerChannel.nack)
+        done()
+      }).catch(done)
+    })
+
+    it('should requeue', function (done) {
+      ctx.app.onErrorAction = 'requeue'
+      handleError(ctx.context, ctx.err).then(function () {
+        sinon.assert.calledOnce(ctx.context.consumerChannel.nack)
+        sinon.assert.calledWith(ctx.context.consumerChannel.nack, ctx.message, false, true)
+        done()
+      }).catch(done)
+    })
+
+    it('should reject, queue action overrides app action', function (done) {
+      ctx.app.onErrorAction = 'requeue'
+      ctx.context.consumeOpts.onErrorAction = 'reject'
+      handleError(ctx.context, ctx.err).then(function () {
+        sinon.assert.notCalled(ctx.context.consumerChannel.nack)
+        sinon.assert.calledOnce(ctx.context.consumerChannel.reject)
+        sinon.assert.calledWith(ctx.context.consumerChannel.reject, ctx.message, false)
+        done()
+      }).catch(done)
+    })
+
+    it('should not settle the message if the error listener acked it', function (done) {
+      ctx.app.onErrorAction = 'nack'
+      ctx.app.emit.restore()
+      ctx.app.on('error', function (err, context) {
+        expect(err).to.equal(ctx.err)
+        context.messageAcked = true
+      })
+      handleError(ctx.context, ctx.err).then(function () {
+        sinon.assert.notCalled(ctx.context.consumerChannel.nack)
+        done()
+      }).catch(done)
+    })
+
+    it('should not settle noAck messages', function (done) {
+      ctx.app.onErrorAction = 'nack'
+      ctx.context.consumeOpts.noAck = true
+      handleError(ctx.context, ctx.err).then(function () {
+        sinon.assert.notCalled(ctx.context.consumerChannel.nack)
+        done()
+      }).catch(done)
+    })
+
+    it('should not settle the message if there is no consumer channel', function (done) {
+      ctx.app.onErrorAction = 'nack'
+      const channel = ctx.context.consumerChannel
+      delete ctx.context.consumerChannel
+      handleError(ctx.context, ctx.err).then(function () {
+        sinon.assert.notCalled(channel.nack)
+        done()
+      }).catch(done)
+    })
+
+    it('should ignore channel errors', function (done) {
+      ctx.app.onErrorAction = 'nack'
+      ctx.context.consumerChannel.nack.throws(new Error('channel closed'))
+      handleError(ctx.context, ctx.err).then(function () {
+        sinon.assert.calledOnce(ctx.context.consumerChannel.nack)
+        sinon.assert.calledOnce(ctx.app.emit)
+        done()
+      }).catch(done)
+    })
+
+    it('should reject messages that failed validation', function (done) {
+      ctx.err = new ValidationError('invalid', ['foo'], [])
+      handleError(ctx.context, ctx.err).then(function () {
+        sinon.assert.calledWith(ctx.app.emit, 'error', ctx.err, ctx.context)
+        sinon.assert.calledOnce(ctx.context.consumerChannel.reject)
+        sinon.assert.calledWith(ctx.context.consumerChannel.reject, ctx.message, false)
+        done()
+      }).catch(done)
+    })
+
+    it('should nack timed out messages if the action is "none"', function (done) {
+      ctx.err = new HandlerTimeoutError('timed out', ctx.queueName, 5)
+      handleError.fallback(ctx.context, ctx.err)
+      sinon.assert.calledWith(ctx.app.emit, 'error', ctx.err, ctx.context)
+      sinon.assert.calledOnce(ctx.context.consumerChannel.nack)
+      sinon.assert.calledWith(ctx.context.consumerChannel.nack, ctx.message, false, false)
+      done()
+    })
+
+    it('should apply the action to timed out messages', function (done) {
+      ctx.app.onErrorAction = 'requeue'
+      ctx.err = new HandlerTimeoutError('timed out', ctx.queueName, 5)
+      handleError.fallback(ctx.context, ctx.err)
+      sinon.assert.calledOnce(ctx.context.consumerChannel.nack)
+      sinon.assert.calledWith(ctx.context.consumerChannel.nack, ctx.message, false, true)
+      done()
+    })
+
+    it('should apply the action if no handler settles the message', function (done) {
+      ctx.app.onErrorAction = 'reject'
+      ctx.app.onError(function () {})
+      handleError(ctx.context, ctx.err).then(function () {
+        sinon.assert.calledOnce(ctx.app.emit)
+        sinon.assert.calledOnce(ctx.context.consumerChannel.reject)
+        done()
+      }).catch(done)
+    })
+  })
+
+  describe('w/ handlers', function () {
+    beforeEach(function (done) {
+      ctx.queueHandler = sinon.stub()
+      ctx.appHandler = sinon.stub()
+      ctx.context.consumeOpts.onError = ctx.queueHandler
+      ctx.app.onError(ctx.appHandler)
+      done()
+    })
+
+    it('should respond if the queue handler settles the message', function (done) {
+      ctx.context.consumeOpts.onError = function nackHandler (err, context) {
+        expect(err).to.equal(ctx.err)
+        expect(context).to.equal(ctx.context)
+        expect(this).to.equal(ctx.context)
+        this.nack = { requeue: false }
+      }
+      handleError(ctx.context, ctx.err).then(function () {
+        sinon.assert.calledOnce(ctx.context.consumerChannel.nack)
+        sinon.assert.calledWith(ctx.context.consumerChannel.nack, ctx.message, undefined, false)
+        sinon.assert.notCalled(ctx.appHandler)
+        sinon.assert.notCalled(ctx.app.emit)
+        done()
+      }).catch(done)
+    })
+
+    it('should invoke app handlers if the queue handler does not settle the message', function (done) {
+      ctx.appHandler.returns(Promise.resolve())
+      ctx.app.onError(function * () {
+        yield Promise.resolve()
+        this.reject = true
+      })
+      handleError(ctx.context, ctx.err).then(function () {
+        sinon.assert.calledOnce(ctx.queueHandler)
+        sinon.assert.calledOnce(ctx.appHandler)
+        sinon.assert.calledWith(ctx.appHandler, ctx.err, ctx.context)
+        sinon.assert.callOrder(ctx.queueHandler, ctx.appHandler)
+        sinon.assert.calledOnce(ctx.context.consumerChannel.reject)
+        sinon.assert.calledWith(ctx.context.consumerChannel.reject, ctx.message, false)
+        sinon.assert.notCalled(ctx.app.emit)
+        done()
+      }).catch(done)
+    })
+
+    it('should ignore ack shortcuts set before the error', function (done) {
+      ctx.context.ack = true
+      handleError(ctx.context, ctx.err).then(function () {
+        sinon.assert.calledOnce(ctx.app.emit)
+        sinon.assert.calledWith(ctx.app.emit, 'error', ctx.err, ctx.context)
+        done()
+      }).catch(done)
+    })
+
+    it('should emit app error if a handler errors', function (done) {
+      ctx.handlerErr = new Error('handler error')
+      ctx.queueHandler.throws(ctx.handlerErr)
+      handleError(ctx.context, ctx.err).then(function () {
+        sinon.assert.notCalled(ctx.appHandler)
+        sinon.assert.calledOnce(ctx.app.emit)
+        sinon.assert.calledWith(ctx.app.emit, 'error', ctx.handlerErr, ctx.context)
+        done()
+      }).catch(done)
+    })
+
+    it('should emit app error if respond errors', function (done) {
+      ctx.channelErr = new Error('channel closed')
+      ctx.context.consumerChannel.nack.throws(ctx.channelErr)
+      ctx.appHandler = function () {
+        this.nack = true
+      }
+      ctx.app.errorHandlers = [ctx.appHandler]
+      handleError(ctx.context, new NoAckError('no ack')).then(function () {
+        sinon.assert.calledOnce(ctx.app.emit)
+        sinon.assert.calledWith(ctx.app.emit, 'error', ctx.channelErr, ctx.context)
+        done()
+      }).catch(done)
+    })
+  })
+})
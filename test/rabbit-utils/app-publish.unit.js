@@ -0,0 +1,155 @@
+'use strict'
+const EventEmitter = require('events').EventEmitter
+
+const Code = require('code')
+const Lab = require('lab')
+const sinon = require('sinon')
+
+const appPublish = require('../../lib/rabbit-utils/app-publish.js')
+
+const lab = exports.lab = Lab.script()
+const describe = lab.describe
+const expect = Code.expect
+const it = lab.it
+const beforeEach = lab.beforeEach
+
+describe('RabbitUtils - appPublish', function () {
+  let ctx
+
+  beforeEach(function (done) {
+    ctx = {}
+    ctx.app = {}
+    ctx.content = new Buffer('content')
+    ctx.options = {}
+    ctx.channel = {
+      sendToQueue: sinon.stub().returns(true)
+    }
+    done()
+  })
+
+  it('should call the channel method', function (done) {
+    const ret = appPublish(ctx.app, ctx.channel, 'sendToQueue', ['queue-name', ctx.content, ctx.options])
+    expect(ret).to.be.true()
+    sinon.assert.calledOnce(ctx.channel.sendToQueue)
+    sinon.assert.calledWith(ctx.channel.sendToQueue, 'queue-name', ctx.content, ctx.options)
+    done()
+  })
+
+  describe('publisherConfirms', function () {
+    beforeEach(function (done) {
+      ctx.app.publisherConfirms = true
+      done()
+    })
+
+    it('should resolve when the broker acks the message', function (done) {
+      ctx.channel.sendToQueue.yieldsAsync(null)
+      appPublish(ctx.app, ctx.channel, 'sendToQueue', ['queue-name', ctx.content, ctx.options])
+        .then(function () {
+          sinon.assert.calledOnce(ctx.channel.sendToQueue)
+          sinon.assert.calledWith(ctx.channel.sendToQueue,
+            'queue-name', ctx.content, ctx.options, sinon.match.func)
+          done()
+        }).catch(done)
+    })
+
+    it('should reject when the broker nacks the message', function (done) {
+      ctx.err = new Error('message nacked')
+      ctx.channel.sendToQueue.yieldsAsync(ctx.err)
+      appPublish(ctx.app, ctx.channel, 'sendToQueue', ['queue-name', ctx.content, ctx.options])
+        .then(function () {
+          done(new Error('expected an error'))
+        }).catch(function (err) {
+          expect(err).to.equal(ctx.err)
+          done()
+        }).catch(done)
+    })
+  })
+
+  describe('publishHighWaterMark', function () {
+    beforeEach(function (done) {
+      ctx.app = new EventEmitter()
+      ctx.app.publishHighWaterMark = 1
+      sinon.spy(ctx.app, 'emit')
+      ctx.channel = new EventEmitter()
+      ctx.channel.sendToQueue = sinon.stub().returns(true)
+      ctx.args = ['queue-name', ctx.content, ctx.options]
+      done()
+    })
+
+    it('should resolve when the message is written', function (done) {
+      appPublish(ctx.app, ctx.channel, 'sendToQueue', ctx.args).then(function () {
+        sinon.assert.calledOnce(ctx.channel.sendToQueue)
+        sinon.assert.notCalled(ctx.app.emit)
+        done()
+      }).catch(done)
+    })
+
+    describe('channel buffer is full', function () {
+      beforeEach(function (done) {
+        ctx.channel.sendToQueue.onFirstCall().returns(false)
+        done()
+      })
+
+      it('should wait for drain', function (done) {
+        let drained = false
+        const promise1 = appPublish(ctx.app, ctx.channel, 'sendToQueue', ctx.args)
+        const promise2 = appPublish(ctx.app, ctx.channel, 'sendToQueue', ctx.args)
+        const promise3 = appPublish(ctx.app, ctx.channel, 'sendToQueue', ctx.args)
+        setTimeout(function () {
+          sinon.assert.calledWith(ctx.app.emit, 'publisher:backpressure', ctx.channel)
+          // second publish is written (under high water mark), third waits
+          sinon.assert.calledTwice(ctx.channel.sendToQueue)
+          drained = true
+          ctx.channel.emit('drain')
+        }, 10)
+        Promise.all([promise1, promise2, promise3]).then(function () {
+          expect(drained).to.be.true()
+          sinon.assert.calledWith(ctx.app.emit, 'publisher:drain', ctx.channel)
+          sinon.assert.calledThrice(ctx.channel.sendToQueue)
+          done()
+        }).catch(done)
+      })
+
+      it('should reject if the channel closes before drain', function (done) {
+        const promise = appPublish(ctx.app, ctx.channel, 'sendToQueue', ctx.args)
+        setTimeout(function () {
+          ctx.channel.emit('close')
+        }, 10)
+        promise.then(function () {
+          done(new Error('expected an error'))
+        }).catch(function (err) {
+          expect(err.message).to.match(/closed before drain/)
+          done()
+        }).catch(done)
+      })
+
+      it('should reject if the channel errors before drain', function (done) {
+        ctx.err = new Error('boom')
+        const promise = appPublish(ctx.app, ctx.channel, 'sendToQueue', ctx.args)
+        setTimeout(function () {
+          ctx.channel.emit('error', ctx.err)
+        }, 10)
+        promise.then(function () {
+          done(new Error('expected an error'))
+        }).catch(function (err) {
+          expect(err).to.equal(ctx.err)
+          done()
+        }).catch(done)
+      })
+
+      it('should wait for drain and confirm if publisherConfirms', function (done) {
+        ctx.app.publisherConfirms = true
+        ctx.channel.sendToQueue.onFirstCall().yieldsAsync(null).returns(false)
+        const promise = appPublish(ctx.app, ctx.channel, 'sendToQueue', ctx.args)
+        setTimeout(function () {
+          ctx.channel.emit('drain')
+        }, 10)
+        promise.then(function () {
+          sinon.assert.calledWith(ctx.channel.sendToQueue,
+            'queue-name', ctx.content, ctx.options, sinon.match.func)
+          done()
+        }).catch(done)
+      })
+    })
+  })
+})
@@ -2,7 +2,9 @@
 
 const Code = require('code')
 const Lab = require('lab')
+const proxyquire = require('proxyquire')
 const sinon = require('sinon')
+require('sinon-as-promised')
 
 const Application = require('../../lib/application.js')
 const Context = require('../../lib/context.js')
@@ -21,7 +23,7 @@ describe('RabbitUtils - appRespond', function () {
   beforeEach(function (done) {
     ctx = {}
     // create app
-    ctx.app = new Application()
+    ctx.app = new Application({ metrics: true })
     ctx.queueName = 'queue-name'
     ctx.message = {
       fields: {
@@ -35,13 +37,10 @@ describe('RabbitUtils - appRespond', function () {
     done()
   })
 
-  it('should emit app error if there is no ack', function (done) {
-    const matchNoAckErr = sinon.match(function (err) {
-      expect(err).to.be.an.instanceOf(NoAckError)
-      return true
-    })
-    respond.call(ctx.context)
-    sinon.assert.calledWith(ctx.app.emit, 'error', matchNoAckErr, ctx.context)
+  it('should throw a NoAckError if there is no ack', function (done) {
+    expect(function () {
+      respond.call(ctx.context)
+    }).to.throw(NoAckError, /w\/out any acknowledgement/)
     done()
   })
 
@@ -69,6 +68,45 @@ describe('RabbitUtils - appRespond', function () {
     })
   })
 
+  describe('nack', function () {
+    beforeEach(function (done) {
+      ctx.nack = sinon.stub()
+      ctx.context.consumerChannel = { nack: ctx.nack }
+      done()
+    })
+
+    it('should call consumerChannel.nack w/ args in order', function (done) {
+      ctx.context.nack = { requeue: false }
+      respond.call(ctx.context)
+      sinon.assert.calledOnce(ctx.nack)
+      sinon.assert.calledWith(ctx.nack, ctx.message, undefined, false)
+      done()
+    })
+  })
+
+  describe('reject', function () {
+    beforeEach(function (done) {
+      ctx.reject = sinon.stub()
+      ctx.context.consumerChannel = { reject: ctx.reject }
+      done()
+    })
+
+    it('should call consumerChannel.reject w/ requeue false by default', function (done) {
+      ctx.context.reject = true
+      respond.call(ctx.context)
+      sinon.assert.calledOnce(ctx.reject)
+      sinon.assert.calledWith(ctx.reject, ctx.message, false)
+      done()
+    })
+
+    it('should call consumerChannel.reject w/ requeue', function (done) {
+      ctx.context.reject = { requeue: true }
+      respond.call(ctx.context)
+      sinon.assert.calledWith(ctx.reject, ctx.message, true)
+      done()
+    })
+  })
+
   describe('nackAll', function () {
     beforeEach(function (done) {
       ctx.nackAll = sinon.stub()
@@ -84,4 +122,26 @@ describe('RabbitUtils - appRespond', function () {
       done()
     })
   })
+
+  describe('retry', function () {
+    beforeEach(function (done) {
+      ctx.retry = sinon.stub().resolves()
+      ctx.respond = proxyquire('../../lib/rabbit-utils/app-respond.js', {
+        './app-retry.js': ctx.retry
+      })
+      ctx.context.retry = { delay: 100, foo: 1 }
+      done()
+    })
+
+    it('should retry the message', function (done) {
+      ctx.respond.call(ctx.context).then(function () {
+        sinon.assert.calledOnce(ctx.retry)
+        sinon.assert.calledWith(ctx.retry, ctx.context, { delay: 100 })
+        expect(ctx.app.metrics.get('coworkers_messages_retried_total').values).to.deep.equal({
+          'queue="queue-name"': 1
+        })
+        done()
+      }).catch(done)
+    })
+  })
 })
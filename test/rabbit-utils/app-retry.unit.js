@@ -0,0 +1,200 @@
+'use strict'
+
+const Code = require('code')
+const Lab = require('lab')
+const sinon = require('sinon')
+require('sinon-as-promised')
+
+const Application = require('../../lib/application.js')
+const Context = require('../../lib/context.js')
+const retry = require('../../lib/rabbit-utils/app-retry.js')
+
+const lab = exports.lab = Lab.script()
+const describe = lab.describe
+const expect = Code.expect
+const it = lab.it
+const beforeEach = lab.beforeEach
+
+describe('RabbitUtils - appRetry', function () {
+  let ctx
+
+  beforeEach(function (done) {
+    ctx = {}
+    ctx.app = new Application()
+    ctx.queueName = 'queue-name'
+    ctx.message = {
+      content: new Buffer('content'),
+      fields: {
+        deliveryTag: 1,
+        exchange: 'exchange',
+        routingKey: 'routing.key'
+      },
+      properties: {
+        contentType: 'text/plain'
+      }
+    }
+    ctx.app.queue(ctx.queueName, function * () {})
+    ctx.context = new Context(ctx.app, ctx.queueName, ctx.message)
+    ctx.context.consumerChannel = {
+      ack: sinon.stub(),
+      reject: sinon.stub()
+    }
+    ctx.context.publisherChannel = {
+      assertQueue: sinon.stub().resolves(),
+      sendToQueue: sinon.stub()
+    }
+    done()
+  })
+
+  it('should republish the message to a delay queue and ack it', function (done) {
+    retry(ctx.context, { delay: 500 }).then(function () {
+      const publisherChannel = ctx.context.publisherChannel
+      sinon.assert.calledOnce(publisherChannel.assertQueue)
+      sinon.assert.calledWith(publisherChannel.assertQueue, 'queue-name.retry.500', {
+        messageTtl: 500,
+        deadLetterExchange: '',
+        deadLetterRoutingKey: ctx.queueName
+      })
+      sinon.assert.calledOnce(publisherChannel.sendToQueue)
+      sinon.assert.calledWith(publisherChannel.sendToQueue,
+        'queue-name.retry.500', ctx.message.content, {
+          contentType: 'text/plain',
+          headers: {
+            'x-retry-count': 1,
+            'x-original-exchange': 'exchange',
+            'x-original-routing-key': 'routing.key'
+          }
+        })
+      sinon.assert.calledOnce(ctx.context.consumerChannel.ack)
+      sinon.assert.calledWith(ctx.context.consumerChannel.ack, ctx.message)
+      sinon.assert.callOrder(publisherChannel.sendToQueue, ctx.context.consumerChannel.ack)
+      done()
+    }).catch(done)
+  })
+
+  it('should increment x-retry-count', function (done) {
+    ctx.message.properties.headers = { 'x-retry-count': 2, foo: 'bar' }
+    retry(ctx.context).then(function () {
+      const publisherChannel = ctx.context.publisherChannel
+      sinon.assert.calledWith(publisherChannel.assertQueue, 'queue-name.retry.1000')
+      sinon.assert.calledWith(publisherChannel.sendToQueue,
+        'queue-name.retry.1000', ctx.message.content, sinon.match({
+          headers: { 'x-retry-count': 3, foo: 'bar' }
+        }))
+      done()
+    }).catch(done)
+  })
+
+  it('should keep the original exchange and routing key of retried messages', function (done) {
+    ctx.message.fields.exchange = ''
+    ctx.message.fields.routingKey = ctx.queueName
+    ctx.message.properties.headers = {
+      'x-retry-count': 1,
+      'x-original-exchange': 'exchange',
+      'x-original-routing-key': 'routing.key'
+    }
+    retry(ctx.context).then(function () {
+      sinon.assert.calledWith(ctx.context.publisherChannel.sendToQueue,
+        'queue-name.retry.1000', ctx.message.content, sinon.match({
+          headers: {
+            'x-retry-count': 2,
+            'x-original-exchange': 'exchange',
+            'x-original-routing-key': 'routing.key'
+          }
+        }))
+      done()
+    }).catch(done)
+  })
+
+  it('should use consumeOpts.retry as defaults', function (done) {
+    ctx.context.consumeOpts.retry = { delay: 2000, maxAttempts: 1 }
+    retry(ctx.context, { delay: 3000 }).then(function () {
+      sinon.assert.calledWith(ctx.context.publisherChannel.assertQueue, 'queue-name.retry.3000')
+      done()
+    }).catch(done)
+  })
+
+  describe('retries exhausted', function () {
+    beforeEach(function (done) {
+      ctx.message.properties.headers = { 'x-retry-count': 5 }
+      done()
+    })
+
+    it('should reject the message', function (done) {
+      retry(ctx.context).then(function () {
+        sinon.assert.notCalled(ctx.context.publisherChannel.sendToQueue)
+        sinon.assert.notCalled(ctx.context.consumerChannel.ack)
+        sinon.assert.calledOnce(ctx.context.consumerChannel.reject)
+        sinon.assert.calledWith(ctx.context.consumerChannel.reject, ctx.message, false)
+        done()
+      }).catch(done)
+    })
+
+    it('should send the message to the dead letter queue', function (done) {
+      retry(ctx.context, { deadLetterQueue: 'dead-queue' }).then(function () {
+        const publisherChannel = ctx.context.publisherChannel
+        sinon.assert.calledOnce(publisherChannel.assertQueue)
+        sinon.assert.calledWith(publisherChannel.assertQueue, 'dead-queue')
+        sinon.assert.calledOnce(publisherChannel.sendToQueue)
+        sinon.assert.calledWith(publisherChannel.sendToQueue,
+          'dead-queue', ctx.message.content, ctx.message.properties)
+        sinon.assert.calledOnce(ctx.context.consumerChannel.ack)
+        sinon.assert.notCalled(ctx.context.consumerChannel.reject)
+        done()
+      }).catch(done)
+    })
+  })
+
+  describe('assert queue error', function () {
+    it('should not ack the message', function (done) {
+      ctx.err = new Error('boom')
+      ctx.context.publisherChannel.assertQueue.rejects(ctx.err)
+      retry(ctx.context).then(function () {
+        done(new Error('expected an error'))
+      }).catch(function (err) {
+        expect(err).to.equal(ctx.err)
+        sinon.assert.notCalled(ctx.context.consumerChannel.ack)
+        done()
+      }).catch(done)
+    })
+  })
+  describe('publisherConfirms', function () {
+    beforeEach(function (done) {
+      ctx.app.publisherConfirms = true
+      done()
+    })
+
+    it('should ack the message after the broker confirms the republished message', function (done) {
+      ctx.context.publisherChannel.sendToQueue = sinon.spy(function (queue, content, opts, cb) {
+        setImmediate(function () {
+          sinon.assert.notCalled(ctx.context.consumerChannel.ack)
+          cb(null)
+        })
+        return true
+      })
+      retry(ctx.context).then(function () {
+        sinon.assert.calledOnce(ctx.context.consumerChannel.ack)
+        done()
+      }).catch(done)
+    })
+
+    it('should not ack the message if the broker nacks the dead-lettered message', function (done) {
+      ctx.message.properties.headers = { 'x-retry-count': 5 }
+      ctx.err = new Error('nacked')
+      ctx.context.publisherChannel.sendToQueue = sinon.spy(function (queue, content, opts, cb) {
+        setImmediate(function () {
+          cb(ctx.err)
+        })
+        return true
+      })
+      retry(ctx.context, { deadLetterQueue: 'dead-queue' }).then(function () {
+        done(new Error('expected an error'))
+      }).catch(function (err) {
+        expect(err).to.equal(ctx.err)
+        sinon.assert.calledWith(ctx.context.publisherChannel.sendToQueue, 'dead-queue')
+        sinon.assert.notCalled(ctx.context.consumerChannel.ack)
+        done()
+      }).catch(done)
+    })
+  })
+})
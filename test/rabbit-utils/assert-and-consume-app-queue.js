@@ -1,4 +1,5 @@
 'use strict'
+const Code = require('code')
 const Lab = require('lab')
 const sinon = require('sinon')
 require('sinon-as-promised')
@@ -10,6 +11,7 @@ const lab = exports.lab = Lab.script()
 const describe = lab.describe
 const it = lab.it
 const beforeEach = lab.beforeEach
+const expect = Code.expect
 
 describe('RabbitUtils - assertAndConsumeAppQueue', function () {
   let ctx
@@ -25,18 +27,48 @@ describe('RabbitUtils - assertAndConsumeAppQueue', function () {
     sinon.stub(ctx.app, 'messageHandler').returns(ctx.handler)
     ctx.app.consumerChannel = {
       assertQueue: sinon.stub().resolves(),
-      consume: sinon.stub().resolves()
+      prefetch: sinon.stub().resolves(),
+      consume: sinon.stub().resolves({ consumerTag: 'consumer-tag' })
     }
     done()
   })
 
   it('should assert and assume the queue', function (done) {
-    assertAndConsumeAppQueue(ctx.app, ctx.queueName).then(function () {
+    assertAndConsumeAppQueue(ctx.app, ctx.queueName).then(function (consumerTag) {
+      expect(consumerTag).to.equal('consumer-tag')
       sinon.assert.calledOnce(ctx.app.consumerChannel.assertQueue)
       sinon.assert.calledWith(ctx.app.consumerChannel.assertQueue, ctx.queueName, ctx.queueOpts)
       sinon.assert.calledOnce(ctx.app.consumerChannel.consume)
       sinon.assert.calledWith(ctx.app.consumerChannel.consume, ctx.queueName, ctx.handler, ctx.consumeOpts)
+      sinon.assert.notCalled(ctx.app.consumerChannel.prefetch)
       done()
     }).catch(done)
   })
+
+  describe('prefetch', function () {
+    it('should prefetch w/ app prefetch before consuming', function (done) {
+      ctx.app.prefetch = 10
+      assertAndConsumeAppQueue(ctx.app, ctx.queueName).then(function () {
+        sinon.assert.calledOnce(ctx.app.consumerChannel.prefetch)
+        sinon.assert.calledWith(ctx.app.consumerChannel.prefetch, 10, false)
+        sinon.assert.callOrder(
+          ctx.app.consumerChannel.prefetch,
+          ctx.app.consumerChannel.consume)
+        done()
+      }).catch(done)
+    })
+
+    it('should prefetch w/ queue prefetch over app prefetch', function (done) {
+      ctx.app.prefetch = 10
+      ctx.consumeOpts.prefetch = 5
+      ctx.consumeOpts.prefetchGlobal = true
+      assertAndConsumeAppQueue(ctx.app, ctx.queueName).then(function () {
+        sinon.assert.calledOnce(ctx.app.consumerChannel.prefetch)
+        sinon.assert.calledWith(ctx.app.consumerChannel.prefetch, 5, true)
+        // prefetch options are not passed to consume
+        sinon.assert.calledWith(ctx.app.consumerChannel.consume, ctx.queueName, ctx.handler, {})
+        done()
+      }).catch(done)
+    })
+  })
 })
@@ -0,0 +1,107 @@
+'use strict'
+const Lab = require('lab')
+const Code = require('code')
+const proxyquire = require('proxyquire')
+const sinon = require('sinon')
+require('sinon-as-promised')
+
+const Application = require('../../lib/application.js')
+
+const lab = exports.lab = Lab.script()
+const describe = lab.describe
+const it = lab.it
+const beforeEach = lab.beforeEach
+const expect = Code.expect
+
+describe('RabbitUtils - assertAppTopology', function () {
+  let ctx
+
+  beforeEach(function (done) {
+    ctx = {}
+    ctx.queueOpts = { durable: true }
+    ctx.app = new Application()
+    ctx.app.queue('queue-name', ctx.queueOpts, function * () {})
+    ctx.app.exchange('exchange-name', 'topic', { durable: true })
+    ctx.app.bind('queue-name', 'exchange-name', 'foo.*')
+    ctx.channel = {
+      assertExchange: sinon.stub().resolves(),
+      assertQueue: sinon.stub().resolves(),
+      bindQueue: sinon.stub().resolves()
+    }
+    ctx.conn = {
+      createChannel: sinon.stub().resolves(ctx.channel),
+      close: sinon.stub().resolves()
+    }
+    ctx.amqplib = {
+      connect: sinon.stub().resolves(ctx.conn)
+    }
+    ctx.assertAppTopology = proxyquire('../../lib/rabbit-utils/assert-app-topology.js', {
+      amqplib: ctx.amqplib
+    })
+    done()
+  })
+
+  it('should assert exchanges, bound queues, and bindings in order', function (done) {
+    ctx.assertAppTopology(ctx.app, ctx.channel).then(function () {
+      sinon.assert.calledOnce(ctx.channel.assertExchange)
+      sinon.assert.calledWith(ctx.channel.assertExchange, 'exchange-name', 'topic', { durable: true })
+      sinon.assert.calledOnce(ctx.channel.assertQueue)
+      sinon.assert.calledWith(ctx.channel.assertQueue, 'queue-name', ctx.queueOpts)
+      sinon.assert.calledOnce(ctx.channel.bindQueue)
+      sinon.assert.calledWith(ctx.channel.bindQueue, 'queue-name', 'exchange-name', 'foo.*', {})
+      sinon.assert.callOrder(
+        ctx.channel.assertExchange,
+        ctx.channel.assertQueue,
+        ctx.channel.bindQueue)
+      done()
+    }).catch(done)
+  })
+
+  it('should assert a queue bound multiple times once', function (done) {
+    ctx.app.bind('queue-name', 'exchange-name', 'bar.*', { foo: 1 })
+    ctx.assertAppTopology(ctx.app, ctx.channel).then(function () {
+      sinon.assert.calledOnce(ctx.channel.assertQueue)
+      sinon.assert.calledTwice(ctx.channel.bindQueue)
+      sinon.assert.calledWith(ctx.channel.bindQueue, 'queue-name', 'exchange-name', 'bar.*', { foo: 1 })
+      done()
+    }).catch(done)
+  })
+
+  it('should error if a bound queue was not declared', function (done) {
+    ctx.app.bind('other-queue', 'exchange-name', 'foo.*')
+    ctx.assertAppTopology(ctx.app, ctx.channel).then(function () {
+      done(new Error('expected an error'))
+    }).catch(function (err) {
+      expect(err.message).to.match(/other-queue.*app.queue/)
+      sinon.assert.notCalled(ctx.channel.assertExchange)
+      done()
+    }).catch(done)
+  })
+
+  describe('withConnection', function () {
+    it('should assert topology using a temporary connection', function (done) {
+      ctx.url = 'amqp://localhost:5672'
+      ctx.socketOpts = {}
+      ctx.assertAppTopology.withConnection(ctx.app, ctx.url, ctx.socketOpts).then(function () {
+        sinon.assert.calledOnce(ctx.amqplib.connect)
+        sinon.assert.calledWith(ctx.amqplib.connect, ctx.url, ctx.socketOpts)
+        sinon.assert.calledOnce(ctx.channel.assertExchange)
+        sinon.assert.calledOnce(ctx.channel.bindQueue)
+        sinon.assert.calledOnce(ctx.conn.close)
+        done()
+      }).catch(done)
+    })
+
+    it('should close the temporary connection if assert fails', function (done) {
+      ctx.err = new Error('boom')
+      ctx.channel.assertExchange.rejects(ctx.err)
+      ctx.assertAppTopology.withConnection(ctx.app).then(function () {
+        done(new Error('expected an error'))
+      }).catch(function (err) {
+        expect(err).to.equal(ctx.err)
+        sinon.assert.calledOnce(ctx.conn.close)
+        done()
+      }).catch(done)
+    })
+  })
+})
@@ -31,9 +31,13 @@ describe('RabbitUtils - createAppChannel', function () {
     sinon.spy(ctx.publisherChannel, 'once')
     ctx.consumerChannel.ack = function () {}
     ctx.consumerChannel.nack = function () {}
+    ctx.consumerChannel.reject = function () {}
+    ctx.consumerChannel.ackAll = function () {}
+    ctx.consumerChannel.nackAll = function () {}
     // mock connection
     ctx.app.connection = {
-      createChannel: sinon.stub()
+      createChannel: sinon.stub(),
+      createConfirmChannel: sinon.stub()
     }
     done()
   })
@@ -49,7 +53,7 @@ describe('RabbitUtils - createAppChannel', function () {
         expect(ctx.app.consumerChannel).to.equal(ctx.consumerChannel)
         // assert attached error, close channel handlers
         const consumerOnce = ctx.app.consumerChannel.once
-        sinon.assert.calledTwice(consumerOnce)
+        sinon.assert.calledThrice(consumerOnce)
         sinon.assert.calledWith(consumerOnce, 'close', sinon.match.func)
         sinon.assert.calledWith(consumerOnce, 'error', sinon.match.func)
         // assert app emit channel:create
@@ -65,10 +69,119 @@ describe('RabbitUtils - createAppChannel', function () {
         expect(function () {
           ctx.consumerChannel.nack(message)
         }).to.throw(/cannot be acked/)
+        // reject is tracked too
+        const rejected = { context: {} }
+        ctx.consumerChannel.reject(rejected)
+        expect(rejected.context.messageAcked).to.be.true()
+        expect(function () {
+          ctx.consumerChannel.reject(rejected)
+        }).to.throw(/cannot be acked/)
         done()
       }).catch(done)
   })
 
+  describe('consumerChannel delivery tracking', function () {
+    beforeEach(function (done) {
+      ctx.app.connection.createChannel.resolves(ctx.consumerChannel)
+      ctx.createMessages = function () {
+        return [1, 2, 3].map(function (deliveryTag) {
+          const context = { deliveryTag: deliveryTag }
+          const message = context.message = { context: context, fields: { deliveryTag: deliveryTag } }
+          ctx.consumerChannel.deliveryTracker.track(context)
+          return message
+        })
+      }
+      createAppChannel(ctx.app, 'consumerChannel').then(function () {
+        done()
+      }).catch(done)
+    })
+
+    it('should settle all messages up to a message w/ allUpTo', function (done) {
+      const messages = ctx.createMessages()
+      ctx.consumerChannel.nack(messages[1], true, false)
+      expect(messages[0].context.messageAcked).to.be.true()
+      expect(messages[1].context.messageAcked).to.be.true()
+      expect(messages[2].context.messageAcked).to.not.exist()
+      expect(ctx.app.inFlight).to.deep.equal([messages[2].context])
+      expect(function () {
+        ctx.consumerChannel.ack(messages[0])
+      }).to.throw(/cannot be acked/)
+      // reject's second argument is requeue
+      ctx.consumerChannel.reject(messages[2], true)
+      expect(ctx.app.inFlight).to.have.length(0)
+      done()
+    })
+
+    it('should settle all messages w/ ackAll and nackAll', function (done) {
+      let messages = ctx.createMessages()
+      ctx.consumerChannel.ackAll()
+      messages.forEach(function (message) {
+        expect(message.context.messageAcked).to.be.true()
+      })
+      messages = ctx.createMessages()
+      ctx.consumerChannel.nackAll()
+      messages.forEach(function (message) {
+        expect(message.context.messageAcked).to.be.true()
+      })
+      expect(ctx.app.inFlight).to.have.length(0)
+      done()
+    })
+
+    it('should ignore late acks of aborted messages', function (done) {
+      const message = ctx.createMessages()[0]
+      message.context.aborted = true
+      ctx.consumerChannel.nack(message, false, false)
+      expect(ctx.consumerChannel.ack(message)).to.not.exist()
+      expect(ctx.app.inFlight).to.have.length(2)
+      done()
+    })
+
+    it('should count settled messages by queue', function (done) {
+      ctx.app.metrics = new Application.Metrics()
+      ctx.values = function (name) {
+        return ctx.app.metrics.get(name).values
+      }
+      let messages = ctx.createMessages()
+      messages.forEach(function (message) {
+        message.context.queueName = 'queue-name'
+      })
+      // allUpTo counts each message
+      ctx.consumerChannel.ack(messages[1], true)
+      ctx.consumerChannel.reject(messages[2], false)
+      expect(ctx.values('coworkers_messages_acked_total')).to.deep.equal({ 'queue="queue-name"': 2 })
+      expect(ctx.values('coworkers_messages_rejected_total')).to.deep.equal({ 'queue="queue-name"': 1 })
+      messages = ctx.createMessages()
+      messages.forEach(function (message) {
+        message.context.queueName = 'other-queue'
+      })
+      ctx.consumerChannel.nack(messages[0], false, false)
+      ctx.consumerChannel.nackAll()
+      expect(ctx.values('coworkers_messages_nacked_total')).to.deep.equal({ 'queue="other-queue"': 3 })
+      messages = ctx.createMessages()
+      messages.forEach(function (message) {
+        message.context.queueName = 'queue-name'
+      })
+      ctx.consumerChannel.ackAll()
+      expect(ctx.values('coworkers_messages_acked_total')).to.deep.equal({ 'queue="queue-name"': 5 })
+      // late acks of aborted messages are not counted
+      messages = ctx.createMessages()
+      messages[0].context.aborted = true
+      messages[0].context.messageAcked = true
+      ctx.consumerChannel.ack(messages[0])
+      expect(ctx.values('coworkers_messages_acked_total')).to.deep.equal({ 'queue="queue-name"': 5 })
+      done()
+    })
+
+    it('should stop tracking messages when the channel closes', function (done) {
+      const tracker = ctx.consumerChannel.deliveryTracker
+      ctx.createMessages()
+      ctx.consumerChannel.emit('close')
+      expect(tracker.size).to.equal(0)
+      expect(ctx.app.inFlight).to.have.length(0)
+      done()
+    })
+  })
+
   it('should create a publisherChannel for app', function (done) {
     ctx.app.connection.createChannel.resolves(ctx.publisherChannel)
     createAppChannel(ctx.app, 'publisherChannel')
@@ -90,6 +203,29 @@ describe('RabbitUtils - createAppChannel', function () {
       }).catch(done)
   })
 
+  it('should create a confirm publisherChannel if app.publisherConfirms', function (done) {
+    ctx.app.publisherConfirms = true
+    ctx.app.connection.createConfirmChannel.resolves(ctx.publisherChannel)
+    createAppChannel(ctx.app, 'publisherChannel')
+      .then(function () {
+        sinon.assert.notCalled(ctx.app.connection.createChannel)
+        sinon.assert.calledOnce(ctx.app.connection.createConfirmChannel)
+        expect(ctx.app.publisherChannel).to.equal(ctx.publisherChannel)
+        done()
+      }).catch(done)
+  })
+
+  it('should not create a confirm consumerChannel if app.publisherConfirms', function (done) {
+    ctx.app.publisherConfirms = true
+    ctx.app.connection.createChannel.resolves(ctx.consumerChannel)
+    createAppChannel(ctx.app, 'consumerChannel')
+      .then(function () {
+        sinon.assert.calledOnce(ctx.app.connection.createChannel)
+        sinon.assert.notCalled(ctx.app.connection.createConfirmChannel)
+        done()
+      }).catch(done)
+  })
+
   describe('closeHandler', function () {
     beforeEach(function (done) {
       ctx.app.connection.createChannel.resolves(ctx.consumerChannel)
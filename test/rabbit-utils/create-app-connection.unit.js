@@ -31,9 +31,12 @@ describe('RabbitUtils - createAppConnection', function () {
     ctx.mockAmqplib = {
       connect: sinon.stub().resolves(ctx.mockConnection)
     }
+    // mock reconnectApp
+    ctx.reconnectApp = sinon.stub()
     // create app connection w/ amqplib stubbed
     ctx.createAppConnection = proxyquire('../../lib/rabbit-utils/create-app-connection.js', {
-      amqplib: ctx.mockAmqplib
+      amqplib: ctx.mockAmqplib,
+      './reconnect-app.js': ctx.reconnectApp
     })
     // create app
     ctx.app = new Application()
@@ -63,6 +66,20 @@ describe('RabbitUtils - createAppConnection', function () {
       }).catch(done)
   })
 
+  it('should create a connection using app.amqplib if it is set', function (done) {
+    ctx.app.amqplib = {
+      connect: sinon.stub().resolves(ctx.mockConnection)
+    }
+    ctx.createAppConnection(ctx.app, ctx.url, ctx.socketOptions)
+      .then(function () {
+        sinon.assert.notCalled(ctx.mockAmqplib.connect)
+        sinon.assert.calledOnce(ctx.app.amqplib.connect)
+        sinon.assert.calledWith(ctx.app.amqplib.connect, ctx.url, ctx.socketOptions)
+        expect(ctx.app.connection).to.equal(ctx.mockConnection)
+        done()
+      }).catch(done)
+  })
+
   describe('closeHandler', function () {
     beforeEach(function (done) {
       sinon.spy(ctx.createAppConnection, 'closeHandler')
@@ -88,9 +105,38 @@ describe('RabbitUtils - createAppConnection', function () {
           // assert app emits connection:close
           sinon.assert.calledOnce(ctx.app.emit)
           sinon.assert.calledWith(ctx.app.emit, 'connection:close')
+          // assert no reconnect
+          sinon.assert.notCalled(ctx.reconnectApp)
           done()
         }).catch(done)
     })
+
+    describe('reconnect enabled', function () {
+      beforeEach(function (done) {
+        ctx.app.reconnectOpts = {}
+        done()
+      })
+
+      it('should reconnect the app', function (done) {
+        ctx.createAppConnection(ctx.app, ctx.url, ctx.socketOptions)
+          .then(function () {
+            ctx.mockConnection.emit('close', ctx.mockConnection)
+            sinon.assert.calledOnce(ctx.reconnectApp)
+            sinon.assert.calledWith(ctx.reconnectApp, ctx.app)
+            done()
+          }).catch(done)
+      })
+
+      it('should not reconnect the app if the app is closing', function (done) {
+        ctx.createAppConnection(ctx.app, ctx.url, ctx.socketOptions)
+          .then(function () {
+            ctx.app.closingPromise = Promise.resolve()
+            ctx.mockConnection.emit('close', ctx.mockConnection)
+            sinon.assert.notCalled(ctx.reconnectApp)
+            done()
+          }).catch(done)
+      })
+    })
   })
 
   describe('errorHandler', function () {
@@ -121,5 +167,22 @@ describe('RabbitUtils - createAppConnection', function () {
           done()
         }).catch(done)
     })
+
+    describe('reconnect enabled', function () {
+      beforeEach(function (done) {
+        ctx.app.reconnectOpts = {}
+        done()
+      })
+
+      it('should reconnect the app', function (done) {
+        ctx.createAppConnection(ctx.app, ctx.url, ctx.socketOptions)
+          .then(function () {
+            ctx.mockConnection.emit('error', new Error('boom'), ctx.mockConnection)
+            sinon.assert.calledOnce(ctx.reconnectApp)
+            sinon.assert.calledWith(ctx.reconnectApp, ctx.app)
+            done()
+          }).catch(done)
+      })
+    })
   })
 })
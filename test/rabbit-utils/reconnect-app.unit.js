@@ -0,0 +1,204 @@
+'use strict'
+const Lab = require('lab')
+const Code = require('code')
+const proxyquire = require('proxyquire')
+const sinon = require('sinon')
+require('sinon-as-promised')
+
+const Application = require('../../lib/application.js')
+const reconnectApp = require('../../lib/rabbit-utils/reconnect-app.js')
+
+const lab = exports.lab = Lab.script()
+const describe = lab.describe
+const it = lab.it
+const beforeEach = lab.beforeEach
+const expect = Code.expect
+
+describe('RabbitUtils - reconnectApp', function () {
+  let ctx
+
+  beforeEach(function (done) {
+    ctx = {}
+    ctx.app = new Application({
+      cluster: false,
+      queueName: 'queue-name',
+      reconnect: { maxAttempts: 3, minTimeout: 0, jitter: 0 }
+    })
+    ctx.app.url = 'amqp://localhost:5672'
+    ctx.app.socketOpts = {}
+    ctx.app.consumerTag = 'consumer-tag'
+    sinon.stub(ctx.app, 'connect')
+    sinon.spy(ctx.app, 'emit')
+    done()
+  })
+
+  it('should set default reconnect options', function (done) {
+    const app = new Application({ cluster: false, queueName: 'queue-name', reconnect: true })
+    expect(app.reconnectOpts).to.deep.equal({
+      maxAttempts: 10,
+      minTimeout: 1000,
+      maxTimeout: 30000,
+      factor: 2,
+      jitter: 0.5
+    })
+    done()
+  })
+
+  it('should error if passed an invalid jitter', function (done) {
+    expect(function () {
+      Application({ cluster: false, queueName: 'queue-name', reconnect: { jitter: 2 } })
+    }).to.throw(/jitter.*between/)
+    expect(function () {
+      Application({ cluster: false, queueName: 'queue-name', reconnect: { jitter: -1 } })
+    }).to.throw(/jitter.*between/)
+    done()
+  })
+
+  it('should error if passed an invalid maxAttempts', function (done) {
+    expect(function () {
+      Application({ cluster: false, queueName: 'queue-name', reconnect: { maxAttempts: 'foo' } })
+    }).to.throw(/maxAttempts.*number/)
+    done()
+  })
+
+  it('should reconnect the app', function (done) {
+    ctx.app.connect.resolves()
+    reconnectApp(ctx.app).then(function () {
+      expect(ctx.app.reconnecting).to.not.exist()
+      expect(ctx.app.consumerTag).to.not.exist()
+      sinon.assert.calledOnce(ctx.app.connect)
+      sinon.assert.calledWith(ctx.app.connect, ctx.app.url, ctx.app.socketOpts)
+      sinon.assert.calledWith(ctx.app.emit, 'reconnect:attempt', 1, 0)
+      sinon.assert.calledWith(ctx.app.emit, 'reconnect:success', 1)
+      done()
+    }).catch(done)
+  })
+
+  it('should return the pending reconnect promise if already reconnecting', function (done) {
+    ctx.app.connect.resolves()
+    const promise = reconnectApp(ctx.app)
+    expect(reconnectApp(ctx.app)).to.equal(promise)
+    promise.then(function () {
+      sinon.assert.calledOnce(ctx.app.connect)
+      done()
+    }).catch(done)
+  })
+
+  it('should retry failed reconnect attempts', function (done) {
+    ctx.err = new Error('boom')
+    ctx.app.connect
+      .onFirstCall().rejects(ctx.err)
+      .onSecondCall().resolves()
+    reconnectApp(ctx.app).then(function () {
+      sinon.assert.calledTwice(ctx.app.connect)
+      sinon.assert.calledWith(ctx.app.emit, 'reconnect:attempt', 2, 0)
+      sinon.assert.calledWith(ctx.app.emit, 'reconnect:success', 2)
+      done()
+    }).catch(done)
+  })
+
+  it('should emit reconnect:failed if all attempts fail', function (done) {
+    ctx.err = new Error('boom')
+    ctx.app.connect.rejects(ctx.err)
+    reconnectApp(ctx.app).then(function () {
+      expect(ctx.app.reconnecting).to.not.exist()
+      sinon.assert.calledThrice(ctx.app.connect)
+      sinon.assert.neverCalledWith(ctx.app.emit, 'reconnect:success')
+      sinon.assert.calledWith(ctx.app.emit, 'reconnect:failed', ctx.err, 3)
+      done()
+    }).catch(done)
+  })
+
+  describe('cancel', function () {
+    it('should cancel a pending reconnect', function (done) {
+      ctx.app.reconnectOpts.minTimeout = 1000
+      const promise = reconnectApp(ctx.app)
+      reconnectApp.cancel(ctx.app)
+      promise.then(function () {
+        expect(ctx.app.reconnecting).to.not.exist()
+        sinon.assert.notCalled(ctx.app.connect)
+        sinon.assert.neverCalledWith(ctx.app.emit, 'reconnect:success')
+        sinon.assert.neverCalledWith(ctx.app.emit, 'reconnect:failed')
+        done()
+      }).catch(done)
+    })
+
+    it('should not cancel a reconnect attempt in progress', function (done) {
+      ctx.app.connect.restore()
+      sinon.stub(ctx.app, 'connect', function () {
+        reconnectApp.cancel(ctx.app)
+        return Promise.resolve()
+      })
+      reconnectApp(ctx.app).then(function () {
+        sinon.assert.calledWith(ctx.app.emit, 'reconnect:success', 1)
+        done()
+      }).catch(done)
+    })
+
+    it('should do nothing if not reconnecting', function (done) {
+      reconnectApp.cancel(ctx.app)
+      done()
+    })
+  })
+  describe('w/ failing connects', function () {
+    beforeEach(function (done) {
+      ctx.err = new Error('connect failed')
+      ctx.connect = function () {
+        return Promise.reject(ctx.err)
+      }
+      ctx.createAppConnection = sinon.spy(function () {
+        return ctx.connect()
+      })
+      const Application = proxyquire('../../lib/application.js', {
+        './rabbit-utils/create-app-connection.js': ctx.createAppConnection
+      })
+      ctx.app = new Application({
+        cluster: false,
+        queueName: 'queue-name',
+        reconnect: { maxAttempts: 3, minTimeout: 0, jitter: 0 }
+      })
+      ctx.app.queue('queue-name', function * () {})
+      ctx.app.on('error', function () {})
+      ctx.app.url = 'amqp://localhost:5672'
+      ctx.app.socketOpts = {}
+      sinon.spy(ctx.app, 'emit')
+      done()
+    })
+
+    it('should make every attempt, although connect cleans up w/ close', function (done) {
+      reconnectApp(ctx.app).then(function () {
+        sinon.assert.calledThrice(ctx.createAppConnection)
+        sinon.assert.calledWith(ctx.app.emit, 'reconnect:attempt', 3, 0)
+        sinon.assert.calledWith(ctx.app.emit, 'reconnect:failed', ctx.err, 3)
+        expect(ctx.app.reconnecting).to.not.exist()
+        done()
+      }).catch(done)
+    })
+
+    it('should keep serving health probes while reconnecting', function (done) {
+      ctx.healthServer = { close: sinon.stub().yieldsAsync() }
+      ctx.app.healthServer = ctx.healthServer
+      reconnectApp(ctx.app).then(function () {
+        sinon.assert.notCalled(ctx.healthServer.close)
+        expect(ctx.app.healthServer).to.equal(ctx.healthServer)
+        done()
+      }).catch(done)
+    })
+
+    it('should not make more attempts if the app is closed during an attempt', function (done) {
+      ctx.connect = function () {
+        // user closes the app during the attempt
+        return ctx.app.close().then(function () {
+          throw ctx.err
+        })
+      }
+      reconnectApp(ctx.app).then(function () {
+        sinon.assert.calledOnce(ctx.createAppConnection)
+        sinon.assert.neverCalledWith(ctx.app.emit, 'reconnect:attempt', 2)
+        sinon.assert.neverCalledWith(ctx.app.emit, 'reconnect:failed')
+        expect(ctx.app.reconnecting).to.not.exist()
+        done()
+      }).catch(done)
+    })
+  })
+})
@@ -0,0 +1,237 @@
+'use strict'
+
+const Code = require('code')
+const Lab = require('lab')
+const sinon = require('sinon')
+require('sinon-as-promised')
+
+const lab = exports.lab = Lab.script()
+const describe = lab.describe
+const it = lab.it
+const beforeEach = lab.beforeEach
+const expect = Code.expect
+
+const Application = require('../lib/application.js')
+const createTestHarness = require('../test.js')
+const Router = require('../lib/router.js')
+
+describe('Router', function () {
+  let ctx
+
+  beforeEach(function (done) {
+    ctx = {}
+    ctx.router = new Router()
+    ctx.context = {
+      deliveryTag: 1,
+      message: {
+        fields: { routingKey: 'user.1.created' },
+        properties: { headers: { type: 'created', version: 2 } }
+      }
+    }
+    ctx.next = sinon.stub().resolves()
+    done()
+  })
+
+  it('should be exported by the application', function (done) {
+    expect(Application.Router).to.equal(Router)
+    done()
+  })
+
+  describe('constructor', function () {
+    it('should default defaultAction to next', function (done) {
+      expect(ctx.router.defaultAction).to.equal('next')
+      expect(ctx.router.routes).to.deep.equal([])
+      done()
+    })
+
+    it('should error if defaultAction is invalid', function (done) {
+      expect(function () {
+        return new Router({ defaultAction: 'foo' })
+      }).to.throw(/defaultAction.*next.*ack.*nack.*reject.*requeue/)
+      done()
+    })
+  })
+
+  describe('route', function () {
+    it('should error if pattern is invalid', function (done) {
+      const mw = function * () {}
+      expect(function () {
+        ctx.router.route(1, mw)
+      }).to.throw(/pattern/)
+      expect(function () {
+        ctx.router.route({}, mw)
+      }).to.throw(/routingKey.*headers/)
+      expect(function () {
+        ctx.router.route({ routingKey: 1 }, mw)
+      }).to.throw(/routingKey.*string/)
+      expect(function () {
+        ctx.router.route({ headers: 'foo' }, mw)
+      }).to.throw(/headers.*object/)
+      expect(function () {
+        ctx.router.route('foo')
+      }).to.throw(/middlewares.*required/)
+      done()
+    })
+
+    it('should match topic patterns', function (done) {
+      ctx.router.route('user.*.deleted', function * () {})
+      ctx.router.route('user.#', function * () {})
+      ctx.router.route('#', function * () {})
+      expect(ctx.router.match(ctx.context.message)).to.equal(ctx.router.routes[1])
+      done()
+    })
+
+    it('should match headers', function (done) {
+      ctx.router.route({ headers: { type: 'deleted' } }, function * () {})
+      ctx.router.route({ headers: { type: 'created', version: 1 } }, function * () {})
+      ctx.router.route({ headers: { type: 'created', version: 1, 'x-match': 'any' } }, function * () {})
+      expect(ctx.router.match(ctx.context.message)).to.equal(ctx.router.routes[2])
+      done()
+    })
+
+    it('should match routingKey and headers', function (done) {
+      ctx.router.route({ routingKey: 'user.*.created', headers: { type: 'deleted' } }, function * () {})
+      ctx.router.route({ routingKey: 'user.*.created', headers: { type: 'created' } }, function * () {})
+      expect(ctx.router.match(ctx.context.message)).to.equal(ctx.router.routes[1])
+      ctx.context.message.properties = {}
+      expect(ctx.router.match(ctx.context.message)).to.not.exist()
+      done()
+    })
+
+    it('should match retried messages by their original routing key', function (done) {
+      ctx.router.route('user.*.created', function * () {})
+      ctx.context.message.fields = { exchange: '', routingKey: 'queue-name' }
+      ctx.context.message.properties.headers['x-original-routing-key'] = 'user.1.created'
+      expect(ctx.router.match(ctx.context.message)).to.equal(ctx.router.routes[0])
+      done()
+    })
+  })
+
+  describe('middleware', function () {
+    it('should invoke the matched route\'s middlewares', function (done) {
+      const order = []
+      ctx.router.route('user.*.deleted', function * () {
+        order.push('deleted')
+      })
+      ctx.router.route('user.*.created', function * (next) {
+        order.push(1)
+        yield next
+        order.push(10)
+      }, function (context, next) {
+        expect(context).to.equal(ctx.context)
+        order.push(2)
+        return next()
+      })
+      ctx.router.middleware()(ctx.context, ctx.next).then(function () {
+        expect(order).to.deep.equal([1, 2, 10])
+        // last route middleware continues downstream
+        sinon.assert.calledOnce(ctx.next)
+        done()
+      }).catch(done)
+    })
+
+    it('should continue downstream if no route matches', function (done) {
+      ctx.router.route('user.*.deleted', function * () {})
+      ctx.router.middleware()(ctx.context, ctx.next).then(function () {
+        sinon.assert.calledOnce(ctx.next)
+        done()
+      }).catch(done)
+    })
+
+    describe('defaultAction', function () {
+      it('should ack unmatched messages', function (done) {
+        ctx.router = new Router({ defaultAction: 'ack' })
+        ctx.router.middleware()(ctx.context, ctx.next)
+        sinon.assert.notCalled(ctx.next)
+        expect(ctx.context.ack).to.be.true()
+        done()
+      })
+
+      it('should reject unmatched messages', function (done) {
+        ctx.router = new Router({ defaultAction: 'reject' })
+        ctx.router.middleware()(ctx.context, ctx.next)
+        expect(ctx.context.reject).to.be.true()
+        done()
+      })
+
+      it('should nack unmatched messages', function (done) {
+        ctx.router = new Router({ defaultAction: 'nack' })
+        ctx.router.middleware()(ctx.context, ctx.next)
+        expect(ctx.context.nack).to.deep.equal({ requeue: false })
+        done()
+      })
+
+      it('should requeue unmatched messages', function (done) {
+        ctx.router = new Router({ defaultAction: 'requeue' })
+        ctx.router.middleware()(ctx.context, ctx.next)
+        expect(ctx.context.nack).to.deep.equal({ requeue: true })
+        done()
+      })
+    })
+
+    it('should dispatch messages in an app', function (done) {
+      const app = new Application({ cluster: false, queueName: 'queue-name' })
+      const router = new Router({ defaultAction: 'reject' })
+      router.route('user.*.created', function * () {
+        this.ack = true
+      })
+      app.queue('queue-name', router.middleware())
+      app.on('error', done)
+      const harness = createTestHarness(app)
+      harness.connect().then(function () {
+        harness.broker.bindQueue('queue-name', 'amq.topic', '#')
+        const envelopes = ['user.1.created', 'user.1.deleted'].map(function (routingKey) {
+          return harness.broker.route('amq.topic', routingKey, new Buffer('{}'), {})[0]
+        })
+        return Promise.all(envelopes.map(function (envelope) {
+          return envelope.handled.then(function () {
+            return envelope.settlement.action
+          })
+        }))
+      }).then(function (actions) {
+        expect(actions).to.deep.equal(['ack', 'reject'])
+      }).then(function () {
+        return harness.close()
+      }).then(function () {
+        done()
+      }).catch(done)
+    })
+
+    it('should dispatch retried messages to the same route', function (done) {
+      const app = new Application({ cluster: false, queueName: 'queue-name' })
+      const router = new Router({ defaultAction: 'reject' })
+      let retried
+      const redelivered = new Promise(function (resolve) {
+        retried = resolve
+      })
+      router.route('retry.me', function * () {
+        if (this.message.properties.headers['x-retry-count']) {
+          this.ack = true
+          retried(this.message)
+          return
+        }
+        this.retry = { delay: 0 }
+      })
+      app.queue('queue-name', router.middleware())
+      app.on('error', done)
+      const harness = createTestHarness(app)
+      harness.connect().then(function () {
+        harness.broker.bindQueue('queue-name', 'amq.topic', '#')
+        harness.broker.route('amq.topic', 'retry.me', new Buffer('{}'), { headers: {} })
+        return redelivered
+      }).then(function (message) {
+        expect(message.fields.exchange).to.equal('')
+        expect(message.fields.routingKey).to.equal('queue-name')
+        expect(message.properties.headers).to.contain({
+          'x-retry-count': 1,
+          'x-original-exchange': 'amq.topic',
+          'x-original-routing-key': 'retry.me'
+        })
+      }).then(function () {
+        return harness.close()
+      }).then(function () {
+        done()
+      }).catch(done)
+    })
+  })
+})
@@ -0,0 +1,294 @@
+'use strict'
+
+const EventEmitter = require('events').EventEmitter
+
+const assign = require('101/assign')
+const Code = require('code')
+const Lab = require('lab')
+const sinon = require('sinon')
+require('sinon-as-promised')
+
+const lab = exports.lab = Lab.script()
+const describe = lab.describe
+const it = lab.it
+const beforeEach = lab.beforeEach
+const expect = Code.expect
+
+const RpcClient = require('../lib/rpc-client.js')
+const RpcTimeoutError = require('../lib/rpc-timeout-error.js')
+
+describe('RpcClient', function () {
+  let ctx
+
+  beforeEach(function (done) {
+    ctx = {}
+    ctx.queueName = 'rpc-queue'
+    ctx.content = new Buffer('content')
+    ctx.channel = assign(new EventEmitter(), {
+      consume: sinon.spy(function (queue, handler) {
+        ctx.replyHandler = handler
+        return Promise.resolve({ consumerTag: 'consumer-tag' })
+      }),
+      sendToQueue: sinon.stub(),
+      close: sinon.spy(function () {
+        ctx.channel.emit('close')
+        return Promise.resolve()
+      })
+    })
+    ctx.app = new EventEmitter()
+    ctx.app.connection = {
+      createChannel: sinon.stub().resolves(ctx.channel)
+    }
+    ctx.client = new RpcClient(ctx.app)
+    // reply to the last request
+    ctx.reply = function (content) {
+      const sendOpts = ctx.channel.sendToQueue.lastCall.args[2]
+      ctx.replyHandler({
+        content: content,
+        properties: { correlationId: sendOpts.correlationId }
+      })
+    }
+    done()
+  })
+
+  // wait for a request to be sent
+  function tick () {
+    return new Promise(function (resolve) {
+      setImmediate(resolve)
+    })
+  }
+
+  describe('request', function () {
+    it('should send a request and resolve its reply', function (done) {
+      const channelCreatedHandler = sinon.stub()
+      ctx.app.on('channel:create', channelCreatedHandler)
+      const promise = ctx.client.request(ctx.queueName, ctx.content, { persistent: true })
+      tick().then(function () {
+        sinon.assert.calledOnce(channelCreatedHandler)
+        sinon.assert.calledWith(channelCreatedHandler, ctx.channel, 'rpc')
+        sinon.assert.calledOnce(ctx.channel.consume)
+        sinon.assert.calledWith(ctx.channel.consume,
+          'amq.rabbitmq.reply-to', sinon.match.func, { noAck: true })
+        sinon.assert.calledOnce(ctx.channel.sendToQueue)
+        sinon.assert.calledWith(ctx.channel.sendToQueue,
+          ctx.queueName, ctx.content, sinon.match({
+            persistent: true,
+            correlationId: sinon.match.string,
+            replyTo: 'amq.rabbitmq.reply-to'
+          }))
+        // ignore null messages and unknown correlationIds
+        ctx.replyHandler(null)
+        ctx.replyHandler({ content: 'noise', properties: { correlationId: 'unknown' } })
+        ctx.reply('reply')
+        return promise
+      }).then(function (message) {
+        expect(message.content).to.equal('reply')
+        expect(ctx.client.pending.size).to.equal(0)
+        done()
+      }).catch(done)
+    })
+
+    it('should share the rpc channel between requests', function (done) {
+      const promises = [
+        ctx.client.request(ctx.queueName, ctx.content),
+        ctx.client.request(ctx.queueName, ctx.content)
+      ]
+      tick().then(function () {
+        sinon.assert.calledOnce(ctx.app.connection.createChannel)
+        sinon.assert.calledOnce(ctx.channel.consume)
+        sinon.assert.calledTwice(ctx.channel.sendToQueue)
+        expect(ctx.client.pending.size).to.equal(2)
+        // reply out of order
+        ctx.reply('second')
+        const firstCorrelationId = ctx.channel.sendToQueue.firstCall.args[2].correlationId
+        ctx.replyHandler({ content: 'first', properties: { correlationId: firstCorrelationId } })
+        return Promise.all(promises)
+      }).then(function (messages) {
+        expect(messages[0].content).to.equal('first')
+        expect(messages[1].content).to.equal('second')
+        done()
+      }).catch(done)
+    })
+
+    it('should reject w/ a RpcTimeoutError if no reply is recieved', function (done) {
+      ctx.client.request(ctx.queueName, ctx.content, {}, 10).then(function () {
+        done(new Error('expected an error'))
+      }).catch(function (err) {
+        expect(err).to.be.an.instanceOf(RpcTimeoutError)
+        expect(err.message).to.match(/timed out after 10ms/)
+        expect(err.queue).to.equal(ctx.queueName)
+        expect(err.timeout).to.equal(10)
+        expect(ctx.client.pending.size).to.equal(0)
+        // late replies are ignored
+        ctx.reply('late')
+        done()
+      }).catch(done)
+    })
+
+    it('should reject if the request cannot be sent', function (done) {
+      ctx.err = new Error('Channel closed')
+      ctx.channel.sendToQueue.throws(ctx.err)
+      ctx.client.request(ctx.queueName, ctx.content, {}, 1000).then(function () {
+        done(new Error('expected an error'))
+      }).catch(function (err) {
+        expect(err).to.equal(ctx.err)
+        expect(ctx.client.pending.size).to.equal(0)
+        done()
+      }).catch(done)
+    })
+
+    it('should reject if the channel cannot be created', function (done) {
+      ctx.err = new Error('create channel error')
+      ctx.app.connection.createChannel.rejects(ctx.err)
+      ctx.client.request(ctx.queueName, ctx.content).then(function () {
+        done(new Error('expected an error'))
+      }).catch(function (err) {
+        expect(err).to.equal(ctx.err)
+        expect(ctx.client.channelPromise).to.not.exist()
+        done()
+      }).catch(done)
+    })
+  })
+
+  describe('channel errors', function () {
+    it('should reject pending requests and recreate the channel', function (done) {
+      const channelErroredHandler = sinon.stub()
+      const channelClosedHandler = sinon.stub()
+      ctx.app.on('channel:error', channelErroredHandler)
+      ctx.app.on('channel:close', channelClosedHandler)
+      ctx.err = new Error('channel error')
+      const promise = ctx.client.request(ctx.queueName, ctx.content)
+      tick().then(function () {
+        ctx.channel.emit('error', ctx.err)
+        ctx.channel.emit('close')
+        return promise
+      }).then(function () {
+        done(new Error('expected an error'))
+      }).catch(function (err) {
+        expect(err).to.equal(ctx.err)
+        sinon.assert.calledOnce(channelErroredHandler)
+        sinon.assert.calledWith(channelErroredHandler, ctx.err, ctx.channel, 'rpc')
+        sinon.assert.calledOnce(channelClosedHandler)
+        sinon.assert.calledWith(channelClosedHandler, ctx.channel, 'rpc')
+        expect(ctx.client.channel).to.not.exist()
+        // next request creates a new channel
+        ctx.client.request(ctx.queueName, ctx.content)
+        return tick()
+      }).then(function () {
+        sinon.assert.calledTwice(ctx.app.connection.createChannel)
+        done()
+      }).catch(done)
+    })
+
+    it('should not reject requests sent on a new channel', function (done) {
+      ctx.newChannel = assign(new EventEmitter(), {
+        consume: sinon.stub().resolves({ consumerTag: 'consumer-tag' }),
+        sendToQueue: sinon.stub()
+      })
+      const promise = ctx.client.request(ctx.queueName, ctx.content)
+      tick().then(function () {
+        ctx.channel.emit('error', new Error('channel error'))
+        return promise.catch(function () {})
+      }).then(function () {
+        ctx.app.connection.createChannel.resolves(ctx.newChannel)
+        ctx.client.request(ctx.queueName, ctx.content)
+        return tick()
+      }).then(function () {
+        sinon.assert.calledOnce(ctx.newChannel.sendToQueue)
+        // old channel closes late
+        ctx.channel.emit('close')
+        expect(ctx.client.pending.size).to.equal(1)
+        expect(ctx.client.channel).to.equal(ctx.newChannel)
+        done()
+      }).catch(done)
+    })
+
+    it('should reject if the reply consumer cannot be created', function (done) {
+      ctx.err = new Error('consume error')
+      ctx.channel.consume = function () {
+        // channel errors are emitted before the consume rejects
+        ctx.channel.emit('error', ctx.err)
+        ctx.channel.emit('close')
+        return Promise.reject(ctx.err)
+      }
+      ctx.client.request(ctx.queueName, ctx.content).then(function () {
+        done(new Error('expected an error'))
+      }).catch(function (err) {
+        expect(err).to.equal(ctx.err)
+        expect(ctx.client.channel).to.not.exist()
+        expect(ctx.client.channelPromise).to.not.exist()
+        done()
+      }).catch(done)
+    })
+
+    it('should reject pending requests if the channel closes', function (done) {
+      const promise = ctx.client.request(ctx.queueName, ctx.content)
+      tick().then(function () {
+        ctx.channel.emit('close')
+        return promise
+      }).then(function () {
+        done(new Error('expected an error'))
+      }).catch(function (err) {
+        expect(err.message).to.match(/rpc channel closed/)
+        done()
+      }).catch(done)
+    })
+  })
+
+  describe('close', function () {
+    it('should resolve if the channel was not created', function (done) {
+      ctx.client.close().then(function () {
+        sinon.assert.notCalled(ctx.app.connection.createChannel)
+        done()
+      }).catch(done)
+    })
+
+    it('should resolve if the channel could not be created', function (done) {
+      ctx.app.connection.createChannel.rejects(new Error('create channel error'))
+      const channelPromise = ctx.client.getChannel()
+      ctx.client.close().then(function () {
+        return channelPromise
+      }).then(function () {
+        done(new Error('expected an error'))
+      }).catch(function (err) {
+        expect(err.message).to.equal('create channel error')
+        done()
+      }).catch(done)
+    })
+
+    it('should reject pending requests and close the channel', function (done) {
+      const channelClosedHandler = sinon.stub()
+      ctx.app.on('channel:close', channelClosedHandler)
+      const promise = ctx.client.request(ctx.queueName, ctx.content)
+      tick().then(function () {
+        return ctx.client.close()
+      }).then(function () {
+        sinon.assert.calledOnce(ctx.channel.close)
+        sinon.assert.calledOnce(channelClosedHandler)
+        sinon.assert.calledWith(channelClosedHandler, ctx.channel, 'rpc')
+        expect(ctx.client.channel).to.not.exist()
+        expect(ctx.client.channelPromise).to.not.exist()
+        return promise
+      }).then(function () {
+        done(new Error('expected an error'))
+      }).catch(function (err) {
+        expect(err.message).to.match(/rpc client closed/)
+        done()
+      }).catch(done)
+    })
+
+    it('should emit "channel:close:error" if the channel fails to close', function (done) {
+      const channelCloseErroredHandler = sinon.stub()
+      ctx.app.on('channel:close:error', channelCloseErroredHandler)
+      ctx.err = new Error('close error')
+      ctx.channel.close = sinon.stub().rejects(ctx.err)
+      ctx.client.getChannel().then(function () {
+        return ctx.client.close()
+      }).then(function () {
+        sinon.assert.calledOnce(channelCloseErroredHandler)
+        sinon.assert.calledWith(channelCloseErroredHandler, ctx.err, ctx.channel, 'rpc')
+        done()
+      }).catch(done)
+    })
+  })
+})
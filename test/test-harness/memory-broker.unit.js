@@ -0,0 +1,416 @@
+'use strict'
+const Lab = require('lab')
+const Code = require('code')
+const sinon = require('sinon')
+
+const MemoryBroker = require('../../lib/test-harness/memory-broker.js')
+const MemoryConnection = require('../../lib/test-harness/memory-connection.js')
+
+const lab = exports.lab = Lab.script()
+const describe = lab.describe
+const it = lab.it
+const beforeEach = lab.beforeEach
+const afterEach = lab.afterEach
+const expect = Code.expect
+
+describe('TestHarness - MemoryBroker', function () {
+  let ctx
+
+  beforeEach(function (done) {
+    ctx = {}
+    ctx.broker = new MemoryBroker()
+    ctx.content = new Buffer('content')
+    done()
+  })
+
+  it('should connect', function (done) {
+    ctx.broker.connect('amqp://localhost:5672').then(function (conn) {
+      expect(conn).to.be.an.instanceOf(MemoryConnection)
+      expect(conn.broker).to.equal(ctx.broker)
+      done()
+    }).catch(done)
+  })
+
+  describe('assertExchange', function () {
+    it('should assert default exchanges', function (done) {
+      expect(Object.keys(ctx.broker.exchanges)).to.only.include([
+        '', 'amq.direct', 'amq.fanout', 'amq.headers', 'amq.topic'
+      ])
+      done()
+    })
+
+    it('should create an exchange once', function (done) {
+      expect(ctx.broker.assertExchange('foo', 'topic', { durable: true })).to.deep.equal({ exchange: 'foo' })
+      ctx.broker.assertExchange('foo', 'topic')
+      expect(ctx.broker.exchanges.foo).to.deep.equal({ name: 'foo', type: 'topic', opts: { durable: true } })
+      done()
+    })
+
+    it('should throw if the exchange exists w/ a different type', function (done) {
+      ctx.broker.assertExchange('foo', 'topic')
+      expect(function () {
+        ctx.broker.assertExchange('foo', 'direct')
+      }).to.throw(/406.*inequivalent/)
+      done()
+    })
+
+    it('should throw if the exchange type is unknown', function (done) {
+      expect(function () {
+        ctx.broker.assertExchange('foo', 'bar')
+      }).to.throw(/unknown exchange type/)
+      done()
+    })
+  })
+
+  describe('assertQueue', function () {
+    it('should create a queue', function (done) {
+      expect(ctx.broker.assertQueue('foo', { durable: true })).to.deep.equal({
+        queue: 'foo',
+        messageCount: 0,
+        consumerCount: 0
+      })
+      expect(ctx.broker.queues.foo.opts).to.deep.equal({ durable: true })
+      done()
+    })
+
+    it('should create a queue w/ a random name', function (done) {
+      const q = ctx.broker.assertQueue('')
+      expect(q.queue).to.match(/^amq\.gen-/)
+      expect(ctx.broker.queues[q.queue]).to.exist()
+      done()
+    })
+
+    it('should not allow other connections to use an exclusive queue', function (done) {
+      ctx.conn = {}
+      ctx.broker.assertQueue('foo', { exclusive: true }, ctx.conn)
+      ctx.broker.assertQueue('foo', { exclusive: true }, ctx.conn)
+      expect(function () {
+        ctx.broker.assertQueue('foo', {}, {})
+      }).to.throw(/RESOURCE_LOCKED/)
+      done()
+    })
+
+    it('should throw if checked queue does not exist', function (done) {
+      expect(function () {
+        ctx.broker.checkQueue('foo')
+      }).to.throw(/404.*no queue 'foo'/)
+      done()
+    })
+  })
+
+  describe('deleteQueue', function () {
+    it('should delete a queue and its bindings', function (done) {
+      ctx.broker.assertQueue('foo', {})
+      ctx.broker.assertQueue('bar', {})
+      ctx.broker.bindQueue('foo', 'amq.topic', '#')
+      ctx.broker.bindQueue('bar', 'amq.topic', '#')
+      ctx.channel = { consumers: new Map([['tag', {}]]) }
+      ctx.broker.queues.foo.consumers.push({ consumerTag: 'tag', channel: ctx.channel })
+      ctx.broker.publish('', 'foo', ctx.content)
+      expect(ctx.broker.deleteQueue('foo')).to.deep.equal({ messageCount: 1 })
+      expect(ctx.broker.queues.foo).to.not.exist()
+      expect(ctx.broker.bindings).to.have.length(1)
+      expect(ctx.channel.consumers.size).to.equal(0)
+      done()
+    })
+
+    it('should do nothing if the queue does not exist', function (done) {
+      expect(ctx.broker.deleteQueue('foo')).to.deep.equal({ messageCount: 0 })
+      done()
+    })
+  })
+
+  describe('bindQueue', function () {
+    beforeEach(function (done) {
+      ctx.broker.assertQueue('foo', {})
+      done()
+    })
+
+    it('should bind a queue once', function (done) {
+      ctx.broker.bindQueue('foo', 'amq.topic', 'foo.*')
+      ctx.broker.bindQueue('foo', 'amq.topic', 'foo.*')
+      ctx.broker.bindQueue('foo', 'amq.headers', '', { bar: 1 })
+      expect(ctx.broker.bindings).to.deep.equal([
+        { queue: 'foo', exchange: 'amq.topic', pattern: 'foo.*', args: {} },
+        { queue: 'foo', exchange: 'amq.headers', pattern: '', args: { bar: 1 } }
+      ])
+      done()
+    })
+
+    it('should throw if the queue or exchange does not exist', function (done) {
+      expect(function () {
+        ctx.broker.bindQueue('bar', 'amq.topic', '#')
+      }).to.throw(/no queue 'bar'/)
+      expect(function () {
+        ctx.broker.bindQueue('foo', 'bar', '#')
+      }).to.throw(/no exchange 'bar'/)
+      done()
+    })
+  })
+
+  describe('publish', function () {
+    beforeEach(function (done) {
+      ctx.broker.assertQueue('foo', {})
+      ctx.broker.assertQueue('bar', {})
+      done()
+    })
+
+    function queued (name) {
+      return ctx.broker.queues[name].messages.map(function (envelope) {
+        return envelope.routingKey
+      })
+    }
+
+    it('should record published messages', function (done) {
+      sinon.spy(ctx.broker, 'emit')
+      ctx.broker.publish('amq.topic', 'foo.bar', ctx.content, { persistent: true, headers: { a: 1 } })
+      expect(ctx.broker.published).to.have.length(1)
+      expect(ctx.broker.published[0]).to.deep.include({
+        exchange: 'amq.topic',
+        routingKey: 'foo.bar',
+        content: ctx.content
+      })
+      expect(ctx.broker.published[0].properties).to.deep.include({
+        deliveryMode: 2,
+        headers: { a: 1 },
+        contentType: undefined
+      })
+      sinon.assert.calledWith(ctx.broker.emit, 'publish', ctx.broker.published[0])
+      done()
+    })
+
+    it('should throw if the exchange does not exist', function (done) {
+      expect(function () {
+        ctx.broker.publish('baz', 'foo', ctx.content)
+      }).to.throw(/no exchange 'baz'/)
+      expect(ctx.broker.published).to.have.length(0)
+      done()
+    })
+
+    it('should route by queue name w/ the default exchange', function (done) {
+      const envelopes = ctx.broker.publish('', 'foo', ctx.content)
+      ctx.broker.publish('', 'baz', ctx.content)
+      expect(envelopes).to.have.length(1)
+      expect(envelopes[0].queue).to.equal('foo')
+      expect(queued('foo')).to.deep.equal(['foo'])
+      expect(queued('bar')).to.deep.equal([])
+      done()
+    })
+
+    it('should route w/ a direct exchange', function (done) {
+      ctx.broker.bindQueue('foo', 'amq.direct', 'a')
+      ctx.broker.bindQueue('bar', 'amq.direct', 'b')
+      ctx.broker.bindQueue('bar', 'amq.fanout', '')
+      ctx.broker.publish('amq.direct', 'a', ctx.content)
+      expect(queued('foo')).to.deep.equal(['a'])
+      expect(queued('bar')).to.deep.equal([])
+      done()
+    })
+
+    it('should route w/ a fanout exchange', function (done) {
+      ctx.broker.bindQueue('foo', 'amq.fanout', '')
+      ctx.broker.bindQueue('bar', 'amq.fanout', '')
+      ctx.broker.publish('amq.fanout', 'a', ctx.content)
+      expect(queued('foo')).to.deep.equal(['a'])
+      expect(queued('bar')).to.deep.equal(['a'])
+      done()
+    })
+
+    it('should route w/ a topic exchange, once per queue', function (done) {
+      ctx.broker.bindQueue('foo', 'amq.topic', 'a.*')
+      ctx.broker.bindQueue('foo', 'amq.topic', '#')
+      ctx.broker.bindQueue('bar', 'amq.topic', 'b.#')
+      ctx.broker.publish('amq.topic', 'a.b', ctx.content)
+      expect(queued('foo')).to.deep.equal(['a.b'])
+      expect(queued('bar')).to.deep.equal([])
+      done()
+    })
+
+    it('should route w/ a headers exchange', function (done) {
+      ctx.broker.bindQueue('foo', 'amq.headers', '', { 'x-match': 'all', a: 1, b: 2 })
+      ctx.broker.bindQueue('bar', 'amq.headers', '', { 'x-match': 'any', a: 1, b: 2 })
+      ctx.broker.publish('amq.headers', 'all', ctx.content, { headers: { a: 1, b: 2 } })
+      ctx.broker.publish('amq.headers', 'any', ctx.content, { headers: { a: 1 } })
+      ctx.broker.publish('amq.headers', 'none', ctx.content, { headers: { c: 1 } })
+      expect(queued('foo')).to.deep.equal(['all'])
+      expect(queued('bar')).to.deep.equal(['all', 'any'])
+      done()
+    })
+  })
+
+  describe('ttl and dead-lettering', function () {
+    beforeEach(function (done) {
+      ctx.clock = sinon.useFakeTimers()
+      ctx.broker.assertExchange('dlx', 'direct')
+      ctx.broker.assertQueue('dead', {})
+      ctx.broker.bindQueue('dead', 'dlx', 'foo')
+      done()
+    })
+    afterEach(function (done) {
+      ctx.clock.restore()
+      done()
+    })
+
+    it('should dead-letter expired messages', function (done) {
+      ctx.broker.assertQueue('foo', { messageTtl: 100, deadLetterExchange: 'dlx' })
+      ctx.broker.publish('', 'foo', ctx.content, { headers: { a: 1 } })
+      ctx.clock.tick(99)
+      expect(ctx.broker.queues.foo.messages).to.have.length(1)
+      ctx.clock.tick(1)
+      expect(ctx.broker.queues.foo.messages).to.have.length(0)
+      const dead = ctx.broker.queues.dead.messages
+      expect(dead).to.have.length(1)
+      expect(dead[0].content).to.equal(ctx.content)
+      expect(dead[0].exchange).to.equal('dlx')
+      expect(dead[0].routingKey).to.equal('foo')
+      expect(dead[0].properties.headers).to.deep.equal({
+        a: 1,
+        'x-death': [{
+          count: 1,
+          reason: 'expired',
+          queue: 'foo',
+          exchange: '',
+          'routing-keys': ['foo']
+        }]
+      })
+      done()
+    })
+
+    it('should dead-letter w/ message expiration and queue arguments', function (done) {
+      ctx.broker.assertQueue('foo', {
+        arguments: {
+          'x-dead-letter-exchange': 'dlx',
+          'x-dead-letter-routing-key': 'foo'
+        }
+      })
+      ctx.broker.publish('', 'foo', ctx.content, {
+        expiration: '50',
+        headers: { 'x-death': [{ reason: 'rejected' }] }
+      })
+      ctx.clock.tick(50)
+      const dead = ctx.broker.queues.dead.messages
+      expect(dead).to.have.length(1)
+      expect(dead[0].properties.expiration).to.not.exist()
+      expect(dead[0].properties.headers['x-death']).to.have.length(2)
+      done()
+    })
+
+    it('should drop dead-lettered messages if the queue has no dead letter exchange', function (done) {
+      ctx.broker.assertQueue('foo', { messageTtl: 100 })
+      ctx.broker.assertQueue('bar', { messageTtl: 100, deadLetterExchange: 'baz' })
+      ctx.broker.publish('', 'foo', ctx.content)
+      ctx.broker.publish('', 'bar', ctx.content)
+      ctx.clock.tick(100)
+      expect(ctx.broker.queues.foo.messages).to.have.length(0)
+      expect(ctx.broker.queues.bar.messages).to.have.length(0)
+      expect(ctx.broker.queues.dead.messages).to.have.length(0)
+      done()
+    })
+
+    it('should not expire messages once they are delivered', function (done) {
+      ctx.broker.assertQueue('foo', { messageTtl: 100, deadLetterExchange: 'dlx' })
+      ctx.broker.publish('', 'foo', ctx.content)
+      ctx.channel = {
+        hasCapacity: sinon.stub().returns(true),
+        deliver: sinon.stub()
+      }
+      ctx.broker.queues.foo.consumers.push({ channel: ctx.channel })
+      ctx.broker.dispatch(ctx.broker.queues.foo)
+      sinon.assert.calledOnce(ctx.channel.deliver)
+      ctx.clock.tick(100)
+      expect(ctx.broker.queues.dead.messages).to.have.length(0)
+      done()
+    })
+  })
+
+  describe('consumers', function () {
+    beforeEach(function (done) {
+      ctx.conn = {}
+      ctx.broker.assertQueue('foo', {})
+      ctx.consumer = {
+        consumerTag: 'tag',
+        queue: 'foo',
+        channel: {
+          connection: ctx.conn,
+          hasCapacity: sinon.stub().returns(true),
+          deliver: sinon.stub()
+        }
+      }
+      done()
+    })
+
+    it('should deliver messages to consumers round-robin', function (done) {
+      ctx.consumer2 = {
+        consumerTag: 'tag2',
+        queue: 'foo',
+        channel: {
+          connection: ctx.conn,
+          hasCapacity: sinon.stub().returns(true),
+          deliver: sinon.stub()
+        }
+      }
+      ctx.broker.addConsumer(ctx.consumer)
+      ctx.broker.addConsumer(ctx.consumer2)
+      ctx.broker.publish('', 'foo', ctx.content)
+      ctx.broker.publish('', 'foo', ctx.content)
+      ctx.broker.publish('', 'foo', ctx.content)
+      setImmediate(function () {
+        sinon.assert.calledTwice(ctx.consumer.channel.deliver)
+        sinon.assert.calledOnce(ctx.consumer2.channel.deliver)
+        sinon.assert.calledWith(ctx.consumer.channel.deliver,
+          ctx.consumer, ctx.broker.queues.foo, sinon.match({ routingKey: 'foo' }))
+        done()
+      })
+    })
+
+    it('should not deliver messages to consumers w/out capacity', function (done) {
+      ctx.consumer.channel.hasCapacity.returns(false)
+      ctx.broker.addConsumer(ctx.consumer)
+      ctx.broker.publish('', 'foo', ctx.content)
+      setImmediate(function () {
+        sinon.assert.notCalled(ctx.consumer.channel.deliver)
+        expect(ctx.broker.queues.foo.messages).to.have.length(1)
+        done()
+      })
+    })
+
+    it('should not allow a second consumer on an exclusively consumed queue', function (done) {
+      ctx.broker.addConsumer(ctx.consumer)
+      expect(function () {
+        ctx.broker.addConsumer({ queue: 'foo', exclusive: true, channel: ctx.consumer.channel })
+      }).to.throw(/ACCESS_REFUSED/)
+      done()
+    })
+
+    it('should remove a consumer', function (done) {
+      ctx.broker.addConsumer(ctx.consumer)
+      ctx.broker.removeConsumer(ctx.consumer)
+      expect(ctx.broker.queues.foo.consumers).to.have.length(0)
+      // queue already deleted
+      ctx.broker.deleteQueue('foo')
+      ctx.broker.removeConsumer(ctx.consumer)
+      done()
+    })
+
+    it('should delete an autoDelete queue when its last consumer is removed', function (done) {
+      ctx.broker.assertQueue('bar', { autoDelete: true })
+      ctx.consumer.queue = 'bar'
+      ctx.broker.addConsumer(ctx.consumer)
+      ctx.broker.removeConsumer(ctx.consumer)
+      expect(ctx.broker.queues.bar).to.not.exist()
+      done()
+    })
+  })
+
+  describe('removeConnection', function () {
+    it("should delete the connection's exclusive queues", function (done) {
+      ctx.conn = {}
+      ctx.broker.assertQueue('foo', { exclusive: true }, ctx.conn)
+      ctx.broker.assertQueue('bar', { exclusive: true }, {})
+      ctx.broker.assertQueue('baz', {})
+      ctx.broker.removeConnection(ctx.conn)
+      expect(Object.keys(ctx.broker.queues)).to.deep.equal(['bar', 'baz'])
+      done()
+    })
+  })
+})
@@ -0,0 +1,367 @@
+'use strict'
+const Lab = require('lab')
+const Code = require('code')
+const sinon = require('sinon')
+
+const MemoryBroker = require('../../lib/test-harness/memory-broker.js')
+
+const lab = exports.lab = Lab.script()
+const describe = lab.describe
+const it = lab.it
+const beforeEach = lab.beforeEach
+const expect = Code.expect
+
+describe('TestHarness - MemoryChannel', function () {
+  let ctx
+
+  beforeEach(function (done) {
+    ctx = {}
+    ctx.broker = new MemoryBroker()
+    ctx.content = new Buffer('content')
+    ctx.messages = []
+    ctx.handler = function (message) {
+      ctx.messages.push(message)
+    }
+    ctx.broker.connect().then(function (conn) {
+      ctx.conn = conn
+      return conn.createChannel()
+    }).then(function (channel) {
+      ctx.channel = channel
+      return channel.assertQueue('foo')
+    }).then(function () {
+      done()
+    }).catch(done)
+  })
+
+  // wait for queued messages to be delivered
+  function tick () {
+    return new Promise(function (resolve) {
+      setImmediate(resolve)
+    })
+  }
+
+  it('should proxy topology methods to the broker', function (done) {
+    const channel = ctx.channel
+    channel.assertExchange('bar', 'topic', {}).then(function (reply) {
+      expect(reply).to.deep.equal({ exchange: 'bar' })
+      return channel.bindQueue('foo', 'bar', '#')
+    }).then(function () {
+      expect(ctx.broker.bindings).to.have.length(1)
+      return channel.checkQueue('foo')
+    }).then(function (reply) {
+      expect(reply).to.deep.equal({ queue: 'foo', messageCount: 0, consumerCount: 0 })
+      return channel.deleteQueue('foo')
+    }).then(function () {
+      expect(ctx.broker.queues.foo).to.not.exist()
+      done()
+    }).catch(done)
+  })
+
+  describe('broker errors', function () {
+    it('should reject and close the channel', function (done) {
+      ctx.onError = sinon.stub()
+      ctx.channel.on('error', ctx.onError)
+      ctx.channel.on('close', function () {
+        sinon.assert.calledOnce(ctx.onError)
+        expect(ctx.onError.firstCall.args[0].code).to.equal(404)
+        expect(ctx.conn.channels.has(ctx.channel)).to.be.false()
+        done()
+      })
+      ctx.channel.checkQueue('bar').then(function () {
+        done(new Error('expected an error'))
+      }).catch(function (err) {
+        expect(err.message).to.match(/no queue 'bar'/)
+        expect(ctx.channel.closed).to.be.true()
+      }).catch(done)
+    })
+
+    it('should reject operations on a closed channel', function (done) {
+      ctx.channel.close().then(function () {
+        return ctx.channel.assertQueue('foo')
+      }).then(function () {
+        done(new Error('expected an error'))
+      }).catch(function (err) {
+        expect(err.message).to.equal('Channel closed')
+        expect(function () {
+          ctx.channel.sendToQueue('foo', ctx.content)
+        }).to.throw(/Channel closed/)
+        return ctx.channel.close()
+      }).then(function () {
+        done(new Error('expected an error'))
+      }).catch(function (err) {
+        expect(err.message).to.equal('Channel closed')
+        // fail is ignored for closed channels
+        ctx.channel.fail(new Error('boom'))
+        done()
+      }).catch(done)
+    })
+  })
+
+  describe('consume', function () {
+    it('should deliver messages to the consumer', function (done) {
+      ctx.channel.consume('foo', ctx.handler, { consumerTag: 'tag' }).then(function (reply) {
+        expect(reply).to.deep.equal({ consumerTag: 'tag' })
+        ctx.channel.sendToQueue('foo', ctx.content, { correlationId: 'id' })
+        return tick()
+      }).then(function () {
+        expect(ctx.messages).to.have.length(1)
+        expect(ctx.messages[0].content).to.equal(ctx.content)
+        expect(ctx.messages[0].fields).to.deep.equal({
+          consumerTag: 'tag',
+          deliveryTag: 1,
+          redelivered: false,
+          exchange: '',
+          routingKey: 'foo'
+        })
+        expect(ctx.messages[0].properties.correlationId).to.equal('id')
+        expect(ctx.channel.unacked.size).to.equal(1)
+        done()
+      }).catch(done)
+    })
+
+    it('should generate a consumer tag', function (done) {
+      ctx.channel.consume('foo', ctx.handler).then(function (reply) {
+        expect(reply.consumerTag).to.match(/^amq\.ctag-/)
+        done()
+      }).catch(done)
+    })
+
+    it('should not track noAck messages', function (done) {
+      ctx.channel.prefetch(1).then(function () {
+        return ctx.channel.consume('foo', ctx.handler, { noAck: true })
+      }).then(function () {
+        ctx.channel.sendToQueue('foo', ctx.content)
+        ctx.channel.sendToQueue('foo', ctx.content)
+        return tick()
+      }).then(function () {
+        expect(ctx.messages).to.have.length(2)
+        expect(ctx.channel.unacked.size).to.equal(0)
+        done()
+      }).catch(done)
+    })
+
+    it('should limit unacked messages w/ prefetch', function (done) {
+      ctx.channel.prefetch(1, false).then(function () {
+        return ctx.channel.consume('foo', ctx.handler)
+      }).then(function () {
+        ctx.channel.sendToQueue('foo', ctx.content)
+        ctx.channel.sendToQueue('foo', ctx.content)
+        return tick()
+      }).then(function () {
+        expect(ctx.messages).to.have.length(1)
+        ctx.channel.ack(ctx.messages[0])
+        return tick()
+      }).then(function () {
+        expect(ctx.messages).to.have.length(2)
+        done()
+      }).catch(done)
+    })
+
+    it('should stop delivering messages after cancel', function (done) {
+      ctx.channel.consume('foo', ctx.handler, { consumerTag: 'tag' }).then(function () {
+        return ctx.channel.cancel('tag')
+      }).then(function (reply) {
+        expect(reply).to.deep.equal({ consumerTag: 'tag' })
+        // unknown consumer tag
+        return ctx.channel.cancel('tag')
+      }).then(function () {
+        ctx.channel.sendToQueue('foo', ctx.content)
+        return tick()
+      }).then(function () {
+        expect(ctx.messages).to.have.length(0)
+        expect(ctx.broker.queues.foo.messages).to.have.length(1)
+        done()
+      }).catch(done)
+    })
+
+    it('should resolve the message envelope when the consumer has handled it', function (done) {
+      ctx.channel.consume('foo', function () {
+        return Promise.reject(new Error('boom'))
+      }).then(function () {
+        const envelope = ctx.broker.publish('', 'foo', ctx.content)[0]
+        return envelope.handled
+      }).then(function () {
+        done()
+      }).catch(done)
+    })
+  })
+
+  describe('direct reply-to', function () {
+    it('should deliver replies to the requesting channel', function (done) {
+      ctx.channel.consume('amq.rabbitmq.reply-to', ctx.handler, { noAck: true }).then(function () {
+        ctx.channel.sendToQueue('foo', ctx.content, { replyTo: 'amq.rabbitmq.reply-to' })
+        const request = ctx.broker.queues.foo.messages[0]
+        expect(request.properties.replyTo).to.equal(ctx.channel.replyToQueue)
+        expect(request.properties.replyTo).to.match(/^amq\.rabbitmq\.reply-to\./)
+        ctx.broker.publish('', request.properties.replyTo, new Buffer('reply'))
+        return tick()
+      }).then(function () {
+        expect(ctx.messages).to.have.length(1)
+        expect(ctx.messages[0].content.toString()).to.equal('reply')
+        return ctx.channel.close()
+      }).then(function () {
+        // reply-to queue is deleted w/ its consumer
+        expect(ctx.broker.queues[ctx.channel.replyToQueue]).to.not.exist()
+        done()
+      }).catch(done)
+    })
+
+    it('should require a noAck reply consumer', function (done) {
+      ctx.channel.on('error', function () {})
+      ctx.channel.consume('amq.rabbitmq.reply-to', ctx.handler).then(function () {
+        done(new Error('expected an error'))
+      }).catch(function (err) {
+        expect(err.code).to.equal(406)
+        expect(err.message).to.match(/reply consumer cannot acknowledge/)
+        done()
+      }).catch(done)
+    })
+
+    it('should close the channel if a request is published w/out a reply consumer', function (done) {
+      ctx.channel.on('error', function (err) {
+        expect(err.code).to.equal(406)
+        expect(err.message).to.match(/fast reply consumer does not exist/)
+        done()
+      })
+      ctx.channel.sendToQueue('foo', ctx.content, { replyTo: 'amq.rabbitmq.reply-to' })
+    })
+  })
+
+  describe('publish', function () {
+    it('should publish to the broker', function (done) {
+      expect(ctx.channel.publish('amq.topic', 'foo', ctx.content, {}, sinon.stub())).to.be.true()
+      expect(ctx.broker.published).to.have.length(1)
+      done()
+    })
+
+    it('should close the channel if the exchange does not exist', function (done) {
+      ctx.channel.on('error', function (err) {
+        expect(err.message).to.match(/no exchange 'bar'/)
+        done()
+      })
+      ctx.channel.publish('bar', 'foo', ctx.content)
+      expect(ctx.channel.closed).to.be.true()
+    })
+
+    describe('confirm channel', function () {
+      beforeEach(function (done) {
+        ctx.conn.createConfirmChannel().then(function (channel) {
+          ctx.channel = channel
+          ctx.channel.on('error', function () {})
+          done()
+        }).catch(done)
+      })
+
+      it('should invoke the callback on next tick', function (done) {
+        ctx.channel.sendToQueue('foo', ctx.content, {}, function (err) {
+          expect(err).to.be.null()
+          done()
+        })
+      })
+
+      it('should invoke the callback w/ publish errors', function (done) {
+        ctx.channel.publish('bar', 'foo', ctx.content, {}, function (err) {
+          expect(err.message).to.match(/no exchange 'bar'/)
+          done()
+        })
+      })
+    })
+  })
+
+  describe('acks', function () {
+    beforeEach(function (done) {
+      ctx.broker.assertExchange('dlx', 'fanout')
+      ctx.broker.assertQueue('foo', {})
+      ctx.broker.queues.foo.opts.deadLetterExchange = 'dlx'
+      ctx.broker.assertQueue('dead', {})
+      ctx.broker.bindQueue('dead', 'dlx', '')
+      ctx.envelopes = [1, 2, 3].map(function () {
+        return ctx.broker.publish('', 'foo', ctx.content)[0]
+      })
+      ctx.channel.consume('foo', ctx.handler).then(tick).then(function () {
+        expect(ctx.messages).to.have.length(3)
+        done()
+      }).catch(done)
+    })
+
+    it('should ack a message', function (done) {
+      ctx.channel.ack(ctx.messages[1])
+      expect(Array.from(ctx.channel.unacked.keys())).to.deep.equal([1, 3])
+      expect(ctx.envelopes[1].settlement).to.deep.equal({ action: 'ack', allUpTo: false, requeue: false })
+      done()
+    })
+
+    it('should ack messages up to a message', function (done) {
+      ctx.channel.ack(ctx.messages[1], true)
+      expect(Array.from(ctx.channel.unacked.keys())).to.deep.equal([3])
+      expect(ctx.envelopes[0].settlement).to.deep.equal({ action: 'ack', allUpTo: true, requeue: false })
+      done()
+    })
+
+    it('should nack and requeue messages', function (done) {
+      ctx.channel.nack(ctx.messages[1], true)
+      expect(ctx.envelopes[1].settlement).to.deep.equal({ action: 'nack', allUpTo: true, requeue: true })
+      tick().then(function () {
+        // redelivered in order
+        expect(ctx.messages).to.have.length(5)
+        expect(ctx.messages[3].fields.redelivered).to.be.true()
+        expect(ctx.messages[3].fields.deliveryTag).to.equal(4)
+        expect(ctx.envelopes[0].redelivered).to.be.true()
+        // first settlement is kept
+        ctx.channel.ack(ctx.messages[3])
+        expect(ctx.envelopes[0].settlement.action).to.equal('nack')
+        done()
+      }).catch(done)
+    })
+
+    it('should nack and dead-letter a message', function (done) {
+      ctx.channel.nack(ctx.messages[0], false, false)
+      expect(ctx.broker.queues.dead.messages).to.have.length(1)
+      expect(ctx.broker.queues.dead.messages[0].properties.headers['x-death'][0].reason).to.equal('rejected')
+      done()
+    })
+
+    it('should reject a message', function (done) {
+      ctx.channel.reject(ctx.messages[0], false)
+      ctx.channel.reject(ctx.messages[1])
+      expect(ctx.envelopes[0].settlement).to.deep.equal({ action: 'reject', allUpTo: false, requeue: false })
+      expect(ctx.envelopes[1].settlement).to.deep.equal({ action: 'reject', allUpTo: false, requeue: true })
+      expect(ctx.broker.queues.dead.messages).to.have.length(1)
+      done()
+    })
+
+    it('should ack all messages', function (done) {
+      ctx.channel.ackAll()
+      expect(ctx.channel.unacked.size).to.equal(0)
+      expect(ctx.envelopes[2].settlement).to.deep.equal({ action: 'ackAll', allUpTo: false, requeue: false })
+      done()
+    })
+
+    it('should nack all messages', function (done) {
+      ctx.channel.nackAll(false)
+      expect(ctx.channel.unacked.size).to.equal(0)
+      expect(ctx.broker.queues.dead.messages).to.have.length(3)
+      ctx.channel.nackAll()
+      done()
+    })
+
+    it('should close the channel if the delivery tag is unknown', function (done) {
+      ctx.channel.on('error', function (err) {
+        expect(err.code).to.equal(406)
+        expect(err.message).to.match(/unknown delivery tag 1/)
+        done()
+      })
+      ctx.channel.ack(ctx.messages[0])
+      ctx.channel.ack(ctx.messages[0])
+    })
+
+    it('should requeue unacked messages when the channel is closed', function (done) {
+      ctx.channel.ack(ctx.messages[1])
+      ctx.channel.close().then(function () {
+        expect(ctx.broker.queues.foo.messages).to.deep.equal([ctx.envelopes[0], ctx.envelopes[2]])
+        expect(ctx.broker.queues.foo.consumers).to.have.length(0)
+        done()
+      }).catch(done)
+    })
+  })
+})
@@ -0,0 +1,73 @@
+'use strict'
+const Lab = require('lab')
+const Code = require('code')
+const sinon = require('sinon')
+
+const MemoryBroker = require('../../lib/test-harness/memory-broker.js')
+
+const lab = exports.lab = Lab.script()
+const describe = lab.describe
+const it = lab.it
+const beforeEach = lab.beforeEach
+const expect = Code.expect
+
+describe('TestHarness - MemoryConnection', function () {
+  let ctx
+
+  beforeEach(function (done) {
+    ctx = {}
+    ctx.broker = new MemoryBroker()
+    ctx.broker.connect().then(function (conn) {
+      ctx.conn = conn
+      done()
+    }).catch(done)
+  })
+
+  it('should create channels', function (done) {
+    Promise.all([
+      ctx.conn.createChannel(),
+      ctx.conn.createConfirmChannel()
+    ]).then(function (channels) {
+      expect(channels[0].confirm).to.be.false()
+      expect(channels[1].confirm).to.be.true()
+      expect(ctx.conn.channels.size).to.equal(2)
+      done()
+    }).catch(done)
+  })
+
+  it('should close its channels and delete its exclusive queues', function (done) {
+    ctx.onClose = sinon.stub()
+    ctx.conn.on('close', ctx.onClose)
+    ctx.conn.createChannel().then(function (channel) {
+      ctx.channel = channel
+      ctx.channel.on('close', ctx.onClose)
+      return channel.assertQueue('', { exclusive: true })
+    }).then(function () {
+      return ctx.conn.close()
+    }).then(function () {
+      sinon.assert.calledTwice(ctx.onClose)
+      expect(ctx.channel.closed).to.be.true()
+      expect(ctx.broker.queues).to.deep.equal({})
+      // destroy is idempotent
+      ctx.channel.destroy()
+      sinon.assert.calledTwice(ctx.onClose)
+      done()
+    }).catch(done)
+  })
+
+  it('should reject if the connection is closed', function (done) {
+    ctx.conn.close().then(function () {
+      return ctx.conn.createChannel()
+    }).then(function () {
+      done(new Error('expected an error'))
+    }).catch(function (err) {
+      expect(err.message).to.equal('Connection closed')
+      return ctx.conn.close()
+    }).then(function () {
+      done(new Error('expected an error'))
+    }).catch(function (err) {
+      expect(err.message).to.equal('Connection closed')
+      done()
+    }).catch(done)
+  })
+})
@@ -0,0 +1,141 @@
+'use strict'
+const Lab = require('lab')
+const Code = require('code')
+
+const Application = require('../../lib/application.js')
+const createTestHarness = require('../../test.js')
+
+const lab = exports.lab = Lab.script()
+const describe = lab.describe
+const it = lab.it
+const beforeEach = lab.beforeEach
+const afterEach = lab.afterEach
+const expect = Code.expect
+
+describe('TestHarness', function () {
+  let ctx
+
+  beforeEach(function (done) {
+    ctx = {}
+    ctx.app = new Application({ cluster: false, queueName: 'queue-name' })
+    ctx.app.on('error', function (err) {
+      ctx.err = err
+    })
+    ctx.app.queue('queue-name', function * () {
+      const body = JSON.parse(this.message.content)
+      if (body.error) {
+        throw new Error(body.error)
+      }
+      if (body.rpc) {
+        const reply = yield this.request('rpc-queue', body)
+        this.publish('amq.topic', 'rpc.reply', reply.content)
+      }
+      this.sendToQueue('other-queue', { foo: body.foo })
+      this[body.action || 'ack'] = body.args || true
+    })
+    ctx.harness = createTestHarness(ctx.app)
+    ctx.harness.connect().then(function () {
+      done()
+    }).catch(done)
+  })
+  afterEach(function (done) {
+    ctx.harness.close().then(function () {
+      done()
+    }).catch(done)
+  })
+
+  it('should export TestHarness and MemoryBroker', function (done) {
+    expect(ctx.harness).to.be.an.instanceOf(createTestHarness.TestHarness)
+    expect(ctx.harness.broker).to.be.an.instanceOf(createTestHarness.MemoryBroker)
+    expect(ctx.app.amqplib).to.equal(ctx.harness.broker)
+    done()
+  })
+
+  it('should require an app w/ clustering disabled', function (done) {
+    expect(function () {
+      createTestHarness()
+    }).to.throw(/requires a coworkers app/)
+    expect(function () {
+      createTestHarness({})
+    }).to.throw(/requires a coworkers app/)
+    expect(function () {
+      createTestHarness(new Application())
+    }).to.throw(/clustering disabled/)
+    done()
+  })
+
+  describe('deliver', function () {
+    it('should resolve w/ the ack and published messages', function (done) {
+      ctx.harness.deliver('queue-name', { foo: 1 }, { headers: { bar: 1 } }).then(function (result) {
+        expect(result.action).to.equal('ack')
+        expect(result.allUpTo).to.be.false()
+        expect(result.requeue).to.be.false()
+        expect(result.published).to.have.length(1)
+        expect(result.published[0].exchange).to.equal('')
+        expect(result.published[0].routingKey).to.equal('other-queue')
+        expect(JSON.parse(result.published[0].content)).to.deep.equal({ foo: 1 })
+        expect(result.published[0].properties.contentType).to.equal('application/json')
+        done()
+      }).catch(done)
+    })
+
+    it('should resolve w/ the nack', function (done) {
+      ctx.harness.deliver('queue-name', { action: 'nack', args: { requeue: false } }).then(function (result) {
+        expect(result.action).to.equal('nack')
+        expect(result.requeue).to.be.false()
+        done()
+      }).catch(done)
+    })
+
+    it('should resolve w/ the reject', function (done) {
+      ctx.harness.deliver('queue-name', { action: 'reject' }).then(function (result) {
+        expect(result.action).to.equal('reject')
+        expect(result.requeue).to.be.false()
+        done()
+      }).catch(done)
+    })
+
+    it('should resolve w/ a null action if the message was not settled', function (done) {
+      ctx.harness.deliver('queue-name', { error: 'boom' }).then(function (result) {
+        expect(ctx.err.message).to.equal('boom')
+        expect(result).to.deep.equal({
+          action: null,
+          allUpTo: false,
+          requeue: false,
+          published: []
+        })
+        done()
+      }).catch(done)
+    })
+
+    it('should throw if the queue does not exist', function (done) {
+      expect(function () {
+        ctx.harness.deliver('foo', 'content')
+      }).to.throw(/Queue "foo" does not exist/)
+      done()
+    })
+  })
+
+  describe('reply', function () {
+    it('should reply to rpc requests', function (done) {
+      ctx.harness.reply('rpc-queue', function (message) {
+        expect(message.properties.replyTo).to.match(/^amq\.rabbitmq\.reply-to\./)
+        const body = JSON.parse(message.content)
+        return Promise.resolve({ reply: body.foo })
+      }).then(function () {
+        return ctx.harness.deliver('queue-name', { rpc: true, foo: 1 })
+      }).then(function (result) {
+        expect(result.action).to.equal('ack')
+        expect(result.published.map(function (published) {
+          return published.routingKey
+        })).to.deep.equal(['rpc-queue', 'rpc.reply', 'other-queue'])
+        expect(JSON.parse(result.published[1].content)).to.deep.equal({ reply: 1 })
+        expect(ctx.harness.responders).to.have.length(1)
+        return ctx.harness.close()
+      }).then(function () {
+        expect(ctx.harness.responders).to.have.length(0)
+        done()
+      }).catch(done)
+    })
+  })
+})
@@ -0,0 +1,31 @@
+'use strict'
+
+const Code = require('code')
+const Lab = require('lab')
+const sinon = require('sinon')
+
+const lab = exports.lab = Lab.script()
+const describe = lab.describe
+const it = lab.it
+const expect = Code.expect
+
+const InMemoryExporter = require('../../lib/tracing/memory-exporter.js')
+
+describe('InMemoryExporter', function () {
+  it('should collect exported spans', function (done) {
+    const exporter = new InMemoryExporter()
+    const cb = sinon.stub()
+    exporter.export([1, 2], cb)
+    exporter.export([3])
+    sinon.assert.calledOnce(cb)
+    sinon.assert.calledWith(cb, { code: 0 })
+    const spans = exporter.getFinishedSpans()
+    expect(spans).to.deep.equal([1, 2, 3])
+    // returns a copy
+    spans.push(4)
+    expect(exporter.getFinishedSpans()).to.deep.equal([1, 2, 3])
+    exporter.reset()
+    expect(exporter.getFinishedSpans()).to.deep.equal([])
+    done()
+  })
+})
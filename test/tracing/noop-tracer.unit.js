@@ -0,0 +1,42 @@
+'use strict'
+
+const Code = require('code')
+const Lab = require('lab')
+
+const lab = exports.lab = Lab.script()
+const describe = lab.describe
+const it = lab.it
+const expect = Code.expect
+
+const NoopTracer = require('../../lib/tracing/noop-tracer.js')
+
+describe('NoopTracer', function () {
+  it('should start spans w/ an invalid span context', function (done) {
+    const span = new NoopTracer().startSpan('name')
+    expect(span.spanContext()).to.deep.equal({
+      traceId: '00000000000000000000000000000000',
+      spanId: '0000000000000000',
+      traceFlags: 0
+    })
+    done()
+  })
+
+  it('should start spans w/ their parent\'s span context', function (done) {
+    const parent = { traceId: 'trace-id', spanId: 'span-id', traceFlags: 1 }
+    const span = new NoopTracer().startSpan('name', { parent: parent })
+    expect(span.spanContext()).to.equal(parent)
+    done()
+  })
+
+  it('should not record', function (done) {
+    const span = new NoopTracer().startSpan('name', {})
+    expect(span.setAttribute('foo', 1)).to.equal(span)
+    expect(span.setAttributes({ foo: 1 })).to.equal(span)
+    expect(span.addEvent('event')).to.equal(span)
+    expect(span.setStatus({ code: 2 })).to.equal(span)
+    span.recordException(new Error('boom'))
+    span.end()
+    expect(span.isRecording()).to.be.false()
+    done()
+  })
+})
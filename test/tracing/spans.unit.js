@@ -0,0 +1,212 @@
+'use strict'
+
+const Code = require('code')
+const Lab = require('lab')
+const sinon = require('sinon')
+require('sinon-as-promised')
+
+const lab = exports.lab = Lab.script()
+const describe = lab.describe
+const it = lab.it
+const beforeEach = lab.beforeEach
+const expect = Code.expect
+
+const InMemoryExporter = require('../../lib/tracing/memory-exporter.js')
+const NoopTracer = require('../../lib/tracing/noop-tracer.js')
+const spans = require('../../lib/tracing/spans.js')
+const Tracer = require('../../lib/tracing/tracer.js')
+
+const traceId = '4bf92f3577b34da6a3ce929d0e0e4736'
+const spanId = '00f067aa0ba902b7'
+
+describe('spans', function () {
+  let ctx
+
+  beforeEach(function (done) {
+    ctx = {}
+    ctx.exporter = new InMemoryExporter()
+    ctx.tracer = new Tracer({ exporter: ctx.exporter })
+    ctx.message = {
+      fields: {
+        deliveryTag: 1,
+        exchange: 'exchange',
+        routingKey: 'routing.key',
+        redelivered: false
+      },
+      properties: {
+        messageId: 'message-id',
+        headers: {
+          traceparent: `00-${traceId}-${spanId}-01`
+        }
+      }
+    }
+    done()
+  })
+
+  describe('startMessageSpan', function () {
+    it('should start a consumer span, child of the message\'s traceparent', function (done) {
+      const span = spans.startMessageSpan(ctx.tracer, 'queue-name', ctx.message)
+      expect(span.name).to.equal('queue-name process')
+      expect(span.kind).to.equal(Tracer.SpanKind.CONSUMER)
+      expect(span.parentSpanId).to.equal(spanId)
+      expect(span.spanContext().traceId).to.equal(traceId)
+      expect(span.attributes).to.deep.equal({
+        'messaging.system': 'rabbitmq',
+        'messaging.operation': 'process',
+        'messaging.destination': 'queue-name',
+        'messaging.message_id': 'message-id',
+        'messaging.rabbitmq.exchange': 'exchange',
+        'messaging.rabbitmq.routing_key': 'routing.key',
+        'messaging.rabbitmq.redelivered': false
+      })
+      done()
+    })
+
+    it('should start a new trace if the message has no headers', function (done) {
+      ctx.message = { fields: {}, properties: {} }
+      const span = spans.startMessageSpan(ctx.tracer, 'queue-name', ctx.message)
+      expect(span.parentSpanId).to.not.exist()
+      expect(span.attributes).to.deep.equal({
+        'messaging.system': 'rabbitmq',
+        'messaging.operation': 'process',
+        'messaging.destination': 'queue-name'
+      })
+      done()
+    })
+  })
+
+  describe('setOutcome', function () {
+    beforeEach(function (done) {
+      ctx.span = ctx.tracer.startSpan('name')
+      done()
+    })
+
+    it('should set the ack shortcut as the outcome', function (done) {
+      spans.setOutcome(ctx.span, { nack: { requeue: false } })
+      expect(ctx.span.attributes['coworkers.outcome']).to.equal('nack')
+      done()
+    })
+
+    it('should set "none" if the message was not acked', function (done) {
+      spans.setOutcome(ctx.span, {})
+      expect(ctx.span.attributes['coworkers.outcome']).to.equal('none')
+      done()
+    })
+  })
+
+  describe('setMessageError', function () {
+    it('should record the error and set outcome to "error"', function (done) {
+      const span = ctx.tracer.startSpan('name')
+      spans.setMessageError(span, new Error('boom'))
+      expect(span.attributes['coworkers.outcome']).to.equal('error')
+      expect(span.status).to.deep.equal({ code: Tracer.SpanStatusCode.ERROR, message: 'boom' })
+      expect(span.events[0].name).to.equal('exception')
+      done()
+    })
+  })
+
+  describe('tracePublish', function () {
+    beforeEach(function (done) {
+      ctx.context = {
+        app: { tracer: ctx.tracer },
+        span: spans.startMessageSpan(ctx.tracer, 'queue-name', ctx.message)
+      }
+      ctx.spanOpts = {
+        name: 'exchange send',
+        kind: Tracer.SpanKind.PRODUCER,
+        attributes: { 'messaging.destination': 'exchange' }
+      }
+      ctx.options = { messageId: 'id', headers: {} }
+      done()
+    })
+
+    it('should trace a publish in a child span', function (done) {
+      const publish = sinon.stub().returns(true)
+      const ret = spans.tracePublish(ctx.context, ctx.spanOpts, ctx.options, publish)
+      expect(ret).to.be.true()
+      sinon.assert.calledOnce(publish)
+      const span = ctx.exporter.getFinishedSpans()[0]
+      expect(span.name).to.equal('exchange send')
+      expect(span.kind).to.equal(Tracer.SpanKind.PRODUCER)
+      expect(span.attributes).to.deep.equal({
+        'messaging.system': 'rabbitmq',
+        'messaging.message_id': 'id',
+        'messaging.destination': 'exchange'
+      })
+      expect(span.parentSpanId).to.equal(ctx.context.span.spanContext().spanId)
+      expect(span.spanContext().traceId).to.equal(traceId)
+      expect(ctx.options.headers.traceparent)
+        .to.equal(`00-${traceId}-${span.spanContext().spanId}-01`)
+      done()
+    })
+
+    it('should not override a traceparent header', function (done) {
+      ctx.options.headers.traceparent = 'traceparent'
+      spans.tracePublish(ctx.context, ctx.spanOpts, ctx.options, sinon.stub())
+      expect(ctx.options.headers.traceparent).to.equal('traceparent')
+      expect(ctx.exporter.getFinishedSpans().length).to.equal(1)
+      done()
+    })
+
+    it('should start a new trace if the context has no span', function (done) {
+      delete ctx.context.span
+      spans.tracePublish(ctx.context, ctx.spanOpts, ctx.options, sinon.stub())
+      const span = ctx.exporter.getFinishedSpans()[0]
+      expect(span.parentSpanId).to.not.exist()
+      expect(span.spanContext().traceId).to.not.equal(traceId)
+      done()
+    })
+
+    it('should not set a traceparent header w/out a valid span context', function (done) {
+      ctx.context = { app: { tracer: new NoopTracer() } }
+      spans.tracePublish(ctx.context, ctx.spanOpts, ctx.options, sinon.stub())
+      expect(ctx.options.headers).to.deep.equal({})
+      done()
+    })
+
+    it('should propagate the message\'s traceparent w/ a no-op tracer', function (done) {
+      const tracer = new NoopTracer()
+      ctx.context = {
+        app: { tracer: tracer },
+        span: spans.startMessageSpan(tracer, 'queue-name', ctx.message)
+      }
+      spans.tracePublish(ctx.context, ctx.spanOpts, ctx.options, sinon.stub())
+      expect(ctx.options.headers.traceparent).to.equal(`00-${traceId}-${spanId}-01`)
+      done()
+    })
+
+    it('should end the span when the publish promise resolves', function (done) {
+      spans.tracePublish(ctx.context, ctx.spanOpts, ctx.options, sinon.stub().resolves('reply'))
+        .then(function (val) {
+          expect(val).to.equal('reply')
+          const span = ctx.exporter.getFinishedSpans()[0]
+          expect(span.status.code).to.equal(Tracer.SpanStatusCode.UNSET)
+          done()
+        }).catch(done)
+    })
+
+    it('should record the error if the publish promise rejects', function (done) {
+      const err = new Error('nacked')
+      spans.tracePublish(ctx.context, ctx.spanOpts, ctx.options, sinon.stub().rejects(err))
+        .then(function () {
+          done(new Error('expected an error'))
+        }).catch(function (publishErr) {
+          expect(publishErr).to.equal(err)
+          const span = ctx.exporter.getFinishedSpans()[0]
+          expect(span.status).to.deep.equal({ code: Tracer.SpanStatusCode.ERROR, message: 'nacked' })
+          expect(span.attributes['coworkers.outcome']).to.not.exist()
+          done()
+        }).catch(done)
+    })
+
+    it('should record the error if publish throws', function (done) {
+      const err = new Error('channel closed')
+      expect(function () {
+        spans.tracePublish(ctx.context, ctx.spanOpts, ctx.options, sinon.stub().throws(err))
+      }).to.throw(/channel closed/)
+      const span = ctx.exporter.getFinishedSpans()[0]
+      expect(span.status.code).to.equal(Tracer.SpanStatusCode.ERROR)
+      done()
+    })
+  })
+})
@@ -0,0 +1,60 @@
+'use strict'
+
+const Code = require('code')
+const Lab = require('lab')
+
+const lab = exports.lab = Lab.script()
+const describe = lab.describe
+const it = lab.it
+const expect = Code.expect
+
+const traceparent = require('../../lib/tracing/traceparent.js')
+
+const traceId = '4bf92f3577b34da6a3ce929d0e0e4736'
+const spanId = '00f067aa0ba902b7'
+
+describe('traceparent', function () {
+  describe('format', function () {
+    it('should format a span context', function (done) {
+      expect(traceparent.format({ traceId: traceId, spanId: spanId, traceFlags: 1 }))
+        .to.equal(`00-${traceId}-${spanId}-01`)
+      expect(traceparent.format({ traceId: traceId, spanId: spanId, traceFlags: 0 }))
+        .to.equal(`00-${traceId}-${spanId}-00`)
+      done()
+    })
+  })
+
+  describe('parse', function () {
+    it('should parse a traceparent header', function (done) {
+      expect(traceparent.parse(`00-${traceId}-${spanId}-01`)).to.deep.equal({
+        traceId: traceId,
+        spanId: spanId,
+        traceFlags: 1,
+        isRemote: true
+      })
+      // future versions may have extra fields
+      expect(traceparent.parse(`01-${traceId}-${spanId}-00-extra`).traceFlags).to.equal(0)
+      done()
+    })
+
+    it('should return null for invalid headers', function (done) {
+      expect(traceparent.parse()).to.be.null()
+      expect(traceparent.parse(1)).to.be.null()
+      expect(traceparent.parse('foo')).to.be.null()
+      expect(traceparent.parse(`ff-${traceId}-${spanId}-01`)).to.be.null()
+      expect(traceparent.parse(`00-${traceId}-${spanId}-01-extra`)).to.be.null()
+      expect(traceparent.parse(`00-${traceId.toUpperCase()}-${spanId}-01`)).to.be.null()
+      expect(traceparent.parse(`00-00000000000000000000000000000000-${spanId}-01`)).to.be.null()
+      expect(traceparent.parse(`00-${traceId}-0000000000000000-01`)).to.be.null()
+      done()
+    })
+  })
+
+  describe('isValid', function () {
+    it('should check span contexts', function (done) {
+      expect(traceparent.isValid({ traceId: traceId, spanId: spanId })).to.be.true()
+      expect(traceparent.isValid()).to.be.false()
+      done()
+    })
+  })
+})
@@ -0,0 +1,123 @@
+'use strict'
+
+const Code = require('code')
+const Lab = require('lab')
+const sinon = require('sinon')
+
+const lab = exports.lab = Lab.script()
+const describe = lab.describe
+const it = lab.it
+const beforeEach = lab.beforeEach
+const afterEach = lab.afterEach
+const expect = Code.expect
+
+const InMemoryExporter = require('../../lib/tracing/memory-exporter.js')
+const Tracer = require('../../lib/tracing/tracer.js')
+
+describe('Tracer', function () {
+  let ctx
+
+  beforeEach(function (done) {
+    ctx = {}
+    ctx.clock = sinon.useFakeTimers(1000)
+    ctx.exporter = new InMemoryExporter()
+    ctx.tracer = new Tracer({ exporter: ctx.exporter })
+    done()
+  })
+  afterEach(function (done) {
+    ctx.clock.restore()
+    done()
+  })
+
+  it('should start a span w/ a new trace', function (done) {
+    const span = ctx.tracer.startSpan('name')
+    expect(span.name).to.equal('name')
+    expect(span.kind).to.equal(Tracer.SpanKind.INTERNAL)
+    expect(span.attributes).to.deep.equal({})
+    expect(span.parentSpanId).to.not.exist()
+    expect(span.startTime).to.equal(1000)
+    expect(span.status).to.deep.equal({ code: Tracer.SpanStatusCode.UNSET })
+    expect(span.isRecording()).to.be.true()
+    const spanContext = span.spanContext()
+    expect(spanContext.traceId).to.match(/^[0-9a-f]{32}$/)
+    expect(spanContext.spanId).to.match(/^[0-9a-f]{16}$/)
+    expect(spanContext.traceFlags).to.equal(1)
+    done()
+  })
+
+  it('should start a child span', function (done) {
+    const parent = { traceId: 'trace-id', spanId: 'parent-span-id', traceFlags: 0 }
+    const span = ctx.tracer.startSpan('name', {
+      kind: Tracer.SpanKind.CONSUMER,
+      attributes: { foo: 1 },
+      parent: parent
+    })
+    expect(span.kind).to.equal(Tracer.SpanKind.CONSUMER)
+    expect(span.attributes).to.deep.equal({ foo: 1 })
+    expect(span.parentSpanId).to.equal('parent-span-id')
+    expect(span.spanContext().traceId).to.equal('trace-id')
+    expect(span.spanContext().spanId).to.not.equal('parent-span-id')
+    expect(span.spanContext().traceFlags).to.equal(0)
+    done()
+  })
+
+  describe('span', function () {
+    beforeEach(function (done) {
+      ctx.span = ctx.tracer.startSpan('name')
+      done()
+    })
+
+    it('should set attributes', function (done) {
+      expect(ctx.span.setAttribute('foo', 1)).to.equal(ctx.span)
+      expect(ctx.span.setAttributes({ bar: 2 })).to.equal(ctx.span)
+      expect(ctx.span.attributes).to.deep.equal({ foo: 1, bar: 2 })
+      done()
+    })
+
+    it('should set status', function (done) {
+      const status = { code: Tracer.SpanStatusCode.ERROR, message: 'boom' }
+      expect(ctx.span.setStatus(status)).to.equal(ctx.span)
+      expect(ctx.span.status).to.equal(status)
+      done()
+    })
+
+    it('should add events and record exceptions', function (done) {
+      const err = new Error('boom')
+      expect(ctx.span.addEvent('event')).to.equal(ctx.span)
+      ctx.span.recordException(err)
+      expect(ctx.span.events).to.deep.equal([
+        { name: 'event', attributes: {}, time: 1000 },
+        {
+          name: 'exception',
+          attributes: {
+            'exception.type': 'Error',
+            'exception.message': 'boom',
+            'exception.stacktrace': err.stack
+          },
+          time: 1000
+        }
+      ])
+      done()
+    })
+
+    it('should export the span when it ends, once', function (done) {
+      ctx.clock.tick(10)
+      ctx.span.end()
+      ctx.span.end()
+      expect(ctx.span.isRecording()).to.be.false()
+      expect(ctx.span.endTime).to.equal(1010)
+      expect(ctx.span.duration).to.equal(10)
+      const spans = ctx.exporter.getFinishedSpans()
+      expect(spans.length).to.equal(1)
+      expect(spans[0]).to.equal(ctx.span)
+      done()
+    })
+
+    it('should not export if the tracer has no exporter', function (done) {
+      const span = new Tracer().startSpan('name')
+      span.end()
+      expect(span.duration).to.equal(0)
+      done()
+    })
+  })
+})
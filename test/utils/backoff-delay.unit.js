@@ -0,0 +1,57 @@
+'use strict'
+const Lab = require('lab')
+const Code = require('code')
+const sinon = require('sinon')
+
+const backoffDelay = require('../../lib/utils/backoff-delay.js')
+
+const lab = exports.lab = Lab.script()
+const describe = lab.describe
+const it = lab.it
+const beforeEach = lab.beforeEach
+const afterEach = lab.afterEach
+const expect = Code.expect
+
+describe('backoffDelay', function () {
+  let ctx
+
+  beforeEach(function (done) {
+    ctx = {}
+    ctx.opts = {
+      minTimeout: 100,
+      maxTimeout: 1000,
+      factor: 2,
+      jitter: 0
+    }
+    done()
+  })
+
+  it('should exponentially increase the delay', function (done) {
+    expect(backoffDelay(1, ctx.opts)).to.equal(100)
+    expect(backoffDelay(2, ctx.opts)).to.equal(200)
+    expect(backoffDelay(3, ctx.opts)).to.equal(400)
+    done()
+  })
+
+  it('should not exceed maxTimeout', function (done) {
+    expect(backoffDelay(10, ctx.opts)).to.equal(1000)
+    done()
+  })
+
+  describe('w/ jitter', function () {
+    beforeEach(function (done) {
+      ctx.opts.jitter = 0.5
+      sinon.stub(Math, 'random').returns(1)
+      done()
+    })
+    afterEach(function (done) {
+      Math.random.restore()
+      done()
+    })
+
+    it('should randomly reduce the delay', function (done) {
+      expect(backoffDelay(2, ctx.opts)).to.equal(100)
+      done()
+    })
+  })
+})
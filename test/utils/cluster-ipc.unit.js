@@ -0,0 +1,125 @@
+'use strict'
+
+const EventEmitter = require('events').EventEmitter
+
+const Code = require('code')
+const Lab = require('lab')
+const sinon = require('sinon')
+
+const lab = exports.lab = Lab.script()
+const describe = lab.describe
+const it = lab.it
+const beforeEach = lab.beforeEach
+const expect = Code.expect
+
+const clusterIpc = require('../../lib/utils/cluster-ipc.js')
+
+describe('clusterIpc', function () {
+  let ctx
+
+  beforeEach(function (done) {
+    ctx = {}
+    done()
+  })
+
+  describe('request', function () {
+    beforeEach(function (done) {
+      ctx.createWorker = function (id, reply) {
+        const worker = new EventEmitter()
+        worker.id = id
+        worker.send = sinon.spy(function (message, cb) {
+          cb()
+          if (reply) {
+            // other messages are ignored
+            worker.emit('message', { type: 'other' })
+            worker.emit('message', Object.assign({ type: 'coworkers:reply', id: message.id }, reply))
+          }
+        })
+        return worker
+      }
+      done()
+    })
+
+    it('should request a value from workers', function (done) {
+      const worker1 = ctx.createWorker(1, { result: 'result1' })
+      const worker2 = ctx.createWorker(2, { result: 'result2' })
+      clusterIpc.request([worker1, worker2], 'metrics', 100).then(function (replies) {
+        expect(replies).to.deep.equal([
+          { worker: worker1, result: 'result1' },
+          { worker: worker2, result: 'result2' }
+        ])
+        sinon.assert.calledWith(worker1.send, {
+          type: 'coworkers:request',
+          id: sinon.match.number,
+          method: 'metrics'
+        })
+        expect(worker1.listenerCount('message')).to.equal(0)
+        done()
+      }).catch(done)
+    })
+
+    it('should omit workers that error or time out', function (done) {
+      const worker1 = ctx.createWorker(1, { error: 'boom' })
+      const worker2 = ctx.createWorker(2)
+      const worker3 = ctx.createWorker(3)
+      worker3.send = function (message, cb) {
+        cb(new Error('channel closed'))
+      }
+      clusterIpc.request([worker1, worker2, worker3], 'metrics', 10).then(function (replies) {
+        expect(replies).to.deep.equal([])
+        expect(worker2.listenerCount('message')).to.equal(0)
+        done()
+      }).catch(done)
+    })
+
+    it('should ignore replies to other requests', function (done) {
+      const worker = new EventEmitter()
+      worker.send = function (message, cb) {
+        cb()
+        worker.emit('message')
+        worker.emit('message', { type: 'coworkers:reply', id: message.id + 1, result: 'other' })
+        worker.emit('message', { type: 'coworkers:reply', id: message.id, result: 'result' })
+      }
+      clusterIpc.request([worker], 'metrics', 100).then(function (replies) {
+        expect(replies).to.deep.equal([{ worker: worker, result: 'result' }])
+        done()
+      }).catch(done)
+    })
+  })
+
+  describe('respond', function () {
+    beforeEach(function (done) {
+      ctx.send = sinon.stub()
+      ctx.methods = {
+        metrics: sinon.stub().returns({ foo: 1 })
+      }
+      done()
+    })
+
+    it('should reply w/ the method\'s result', function (done) {
+      ctx.send = function (message) {
+        expect(message).to.deep.equal({ type: 'coworkers:reply', id: 1, result: { foo: 1 } })
+        done()
+      }
+      clusterIpc.respond(ctx.methods, { type: 'coworkers:request', id: 1, method: 'metrics' }, ctx.send)
+    })
+
+    it('should reply w/ an error if the method is unknown', function (done) {
+      ctx.send = function (message) {
+        expect(message).to.deep.equal({ type: 'coworkers:reply', id: 2, error: 'unknown ipc method "foo"' })
+        done()
+      }
+      clusterIpc.respond(ctx.methods, { type: 'coworkers:request', id: 2, method: 'foo' }, ctx.send)
+    })
+
+    it('should ignore other messages', function (done) {
+      clusterIpc.respond(ctx.methods, undefined, ctx.send)
+      clusterIpc.respond(ctx.methods, 'shutdown', ctx.send)
+      setImmediate(function () {
+        sinon.assert.notCalled(ctx.send)
+        sinon.assert.notCalled(ctx.methods.metrics)
+        done()
+      })
+    })
+  })
+})
@@ -0,0 +1,128 @@
+'use strict'
+
+const Code = require('code')
+const Lab = require('lab')
+
+const lab = exports.lab = Lab.script()
+const describe = lab.describe
+const it = lab.it
+const expect = Code.expect
+
+const composeMiddlewares = require('../../lib/utils/compose-middlewares.js')
+
+describe('utils - composeMiddlewares', function () {
+  it('should compose generator and async middlewares in order', function (done) {
+    const context = { order: [] }
+    const handle = composeMiddlewares([
+      function * (next) {
+        this.order.push(1)
+        yield next
+        this.order.push(10)
+      },
+      async function (ctx, next) {
+        expect(this).to.equal(ctx)
+        ctx.order.push(2)
+        await next()
+        ctx.order.push(20)
+      },
+      function * (next) {
+        this.order.push(3)
+        yield * next
+        this.order.push(30)
+      },
+      function (ctx, next) {
+        ctx.order.push(4)
+        return next().then(function () {
+          ctx.order.push(40)
+        })
+      },
+      function (ctx) {
+        // sync middleware, does not call next
+        ctx.order.push(5)
+      }
+    ])
+    handle(context).then(function () {
+      expect(context.order).to.deep.equal([1, 2, 3, 4, 5, 40, 30, 20, 10])
+      done()
+    }).catch(done)
+  })
+
+  it('should resolve downstream values for generators', function (done) {
+    const handle = composeMiddlewares([
+      function * (next) {
+        this.value = yield next
+      },
+      function () {
+        return Promise.resolve('value')
+      }
+    ])
+    const context = {}
+    handle(context).then(function () {
+      expect(context.value).to.equal('value')
+      done()
+    }).catch(done)
+  })
+
+  it('should propagate downstream errors upstream', function (done) {
+    const err = new Error('boom')
+    const handle = composeMiddlewares([
+      function * (next) {
+        try {
+          yield next
+        } catch (downstreamErr) {
+          this.caught = downstreamErr
+          throw downstreamErr
+        }
+      },
+      function () {
+        throw err
+      }
+    ])
+    const context = {}
+    handle(context).then(function () {
+      done(new Error('expected an error'))
+    }).catch(function (handleErr) {
+      expect(handleErr).to.equal(err)
+      expect(context.caught).to.equal(err)
+      done()
+    }).catch(done)
+  })
+
+  it('should invoke downstream after the last middleware', function (done) {
+    const order = []
+    const handle = composeMiddlewares([
+      function * (next) {
+        order.push(1)
+        yield next
+      }
+    ])
+    handle({}, function () {
+      order.push('downstream')
+    }).then(function () {
+      expect(order).to.deep.equal([1, 'downstream'])
+      done()
+    }).catch(done)
+  })
+
+  it('should reject if next is called multiple times', function (done) {
+    const handle = composeMiddlewares([
+      function (ctx, next) {
+        return next().then(next)
+      }
+    ])
+    handle({}).then(function () {
+      done(new Error('expected an error'))
+    }).catch(function (err) {
+      expect(err.message).to.match(/next\(\) called multiple times/)
+      done()
+    }).catch(done)
+  })
+
+  describe('convert', function () {
+    it('should not convert async functions', function (done) {
+      const middleware = function (ctx, next) {}
+      expect(composeMiddlewares.convert(middleware)).to.equal(middleware)
+      done()
+    })
+  })
+})
@@ -0,0 +1,99 @@
+'use strict'
+const zlib = require('zlib')
+
+const Lab = require('lab')
+const Code = require('code')
+const sinon = require('sinon')
+
+const DecodeError = require('../../lib/decode-error.js')
+const decodeMessage = require('../../lib/utils/decode-message.js')
+
+const lab = exports.lab = Lab.script()
+const describe = lab.describe
+const it = lab.it
+const beforeEach = lab.beforeEach
+const expect = Code.expect
+
+describe('decodeMessage', function () {
+  let ctx
+
+  beforeEach(function (done) {
+    ctx = {}
+    ctx.decoders = Object.assign({}, decodeMessage.defaultDecoders)
+    ctx.message = {
+      content: new Buffer(JSON.stringify({ foo: 1 })),
+      properties: {
+        contentType: 'application/json'
+      }
+    }
+    done()
+  })
+
+  it('should decode json', function (done) {
+    expect(decodeMessage(ctx.decoders, ctx.message)).to.deep.equal({ foo: 1 })
+    ctx.message.properties.contentType = 'Application/JSON; charset=utf-8'
+    expect(decodeMessage(ctx.decoders, ctx.message)).to.deep.equal({ foo: 1 })
+    done()
+  })
+
+  it('should decode text w/ charset', function (done) {
+    ctx.message.content = new Buffer('héllo', 'latin1')
+    ctx.message.properties.contentType = 'text/plain; format=flowed; charset="latin1"'
+    expect(decodeMessage(ctx.decoders, ctx.message)).to.equal('héllo')
+    ctx.message.content = new Buffer('héllo')
+    ctx.message.properties.contentType = 'text/html; charset=unknown'
+    expect(decodeMessage(ctx.decoders, ctx.message)).to.equal('héllo')
+    done()
+  })
+
+  it('should return the raw content if there is no decoder', function (done) {
+    ctx.message.properties.contentType = 'application/octet-stream'
+    expect(decodeMessage(ctx.decoders, ctx.message)).to.equal(ctx.message.content)
+    delete ctx.message.properties.contentType
+    expect(decodeMessage(ctx.decoders, ctx.message)).to.equal(ctx.message.content)
+    done()
+  })
+
+  it('should use custom decoders', function (done) {
+    ctx.decoders['application/x-custom'] = sinon.stub().returns('decoded')
+    ctx.message.properties.contentType = 'application/x-custom'
+    expect(decodeMessage(ctx.decoders, ctx.message)).to.equal('decoded')
+    sinon.assert.calledWith(ctx.decoders['application/x-custom'], ctx.message.content, ctx.message)
+    done()
+  })
+
+  it('should decompress gzip and deflate content', function (done) {
+    ctx.message.properties.contentEncoding = 'gzip'
+    ctx.content = ctx.message.content
+    ctx.message.content = zlib.gzipSync(ctx.content)
+    expect(decodeMessage(ctx.decoders, ctx.message)).to.deep.equal({ foo: 1 })
+    ctx.message.properties.contentEncoding = 'deflate'
+    ctx.message.content = zlib.deflateSync(ctx.content)
+    expect(decodeMessage(ctx.decoders, ctx.message)).to.deep.equal({ foo: 1 })
+    done()
+  })
+
+  describe('errors', function () {
+    it('should throw a DecodeError if the content is invalid', function (done) {
+      ctx.message.content = new Buffer('{')
+      try {
+        decodeMessage(ctx.decoders, ctx.message)
+        done(new Error('expected an error'))
+      } catch (err) {
+        expect(err).to.be.an.instanceOf(DecodeError)
+        expect(err.message).to.match(/could not be decoded/)
+        expect(err.cause).to.be.an.instanceOf(SyntaxError)
+        expect(err.contentType).to.equal('application/json')
+        done()
+      }
+    })
+
+    it('should throw a DecodeError if the content encoding is unsupported', function (done) {
+      ctx.message.properties.contentEncoding = 'br'
+      expect(function () {
+        decodeMessage(ctx.decoders, ctx.message)
+      }).to.throw(DecodeError, /unsupported content encoding "br"/)
+      done()
+    })
+  })
+})
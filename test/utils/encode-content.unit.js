@@ -0,0 +1,89 @@
+'use strict'
+const zlib = require('zlib')
+
+const Lab = require('lab')
+const Code = require('code')
+const sinon = require('sinon')
+
+const encodeContent = require('../../lib/utils/encode-content.js')
+
+const lab = exports.lab = Lab.script()
+const describe = lab.describe
+const it = lab.it
+const beforeEach = lab.beforeEach
+const expect = Code.expect
+
+describe('encodeContent', function () {
+  let ctx
+
+  beforeEach(function (done) {
+    ctx = {}
+    ctx.encoders = Object.assign({}, encodeContent.defaultEncoders)
+    done()
+  })
+
+  it('should encode json and set contentType', function (done) {
+    ctx.options = { persistent: true }
+    const encoded = encodeContent(ctx.encoders, { foo: 1 }, ctx.options)
+    expect(encoded.content).to.deep.equal(new Buffer('{"foo":1}'))
+    expect(encoded.options).to.deep.equal({ persistent: true, contentType: 'application/json' })
+    // options are not modified
+    expect(ctx.options).to.deep.equal({ persistent: true })
+    done()
+  })
+
+  it('should encode text w/ charset', function (done) {
+    let encoded = encodeContent(ctx.encoders, 'héllo')
+    expect(encoded.content).to.deep.equal(new Buffer('héllo'))
+    expect(encoded.options).to.deep.equal({ contentType: 'text/plain' })
+    encoded = encodeContent(ctx.encoders, 'héllo', { contentType: 'text/html; charset=latin1' })
+    expect(encoded.content).to.deep.equal(new Buffer('héllo', 'latin1'))
+    encoded = encodeContent(ctx.encoders, { foo: 1 }, { contentType: 'text/plain' })
+    expect(encoded.content).to.deep.equal(new Buffer('{"foo":1}'))
+    done()
+  })
+
+  it('should publish buffers as is', function (done) {
+    ctx.content = new Buffer('content')
+    let encoded = encodeContent(ctx.encoders, ctx.content)
+    expect(encoded.content).to.equal(ctx.content)
+    expect(encoded.options).to.deep.equal({ contentType: 'application/octet-stream' })
+    encoded = encodeContent(ctx.encoders, ctx.content, { contentType: 'image/png' })
+    expect(encoded.content).to.equal(ctx.content)
+    done()
+  })
+
+  it('should use custom encoders', function (done) {
+    ctx.encoders['application/x-custom'] = sinon.stub().returns('encoded')
+    ctx.options = { contentType: 'application/x-custom' }
+    const encoded = encodeContent(ctx.encoders, { foo: 1 }, ctx.options)
+    expect(encoded.content).to.deep.equal(new Buffer('encoded'))
+    sinon.assert.calledWith(ctx.encoders['application/x-custom'], { foo: 1 }, ctx.options)
+    done()
+  })
+
+  it('should compress gzip and deflate content', function (done) {
+    let encoded = encodeContent(ctx.encoders, { foo: 1 }, { contentEncoding: 'gzip' })
+    expect(zlib.gunzipSync(encoded.content)).to.deep.equal(new Buffer('{"foo":1}'))
+    expect(encoded.options).to.deep.equal({ contentType: 'application/json', contentEncoding: 'gzip' })
+    encoded = encodeContent(ctx.encoders, { foo: 1 }, { contentEncoding: 'Deflate' })
+    expect(zlib.inflateSync(encoded.content)).to.deep.equal(new Buffer('{"foo":1}'))
+    done()
+  })
+
+  describe('errors', function () {
+    it('should throw if the content encoding is unsupported', function (done) {
+      expect(function () {
+        encodeContent(ctx.encoders, 'content', { contentEncoding: 'br' })
+      }).to.throw(/Unsupported content encoding "br"/)
+      done()
+    })
+
+    it('should throw if there is no encoder for the content type', function (done) {
+      expect(function () {
+        encodeContent(ctx.encoders, { foo: 1 }, { contentType: 'application/msgpack' })
+      }).to.throw(/No encoder for content type "application\/msgpack"/)
+      done()
+    })
+  })
+})
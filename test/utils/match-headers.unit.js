@@ -0,0 +1,33 @@
+'use strict'
+const Lab = require('lab')
+const Code = require('code')
+
+const matchHeaders = require('../../lib/utils/match-headers.js')
+
+const lab = exports.lab = Lab.script()
+const describe = lab.describe
+const it = lab.it
+const expect = Code.expect
+
+describe('matchHeaders', function () {
+  it('should match all headers by default', function (done) {
+    const headers = { foo: 1, bar: 'bar' }
+    expect(matchHeaders({ foo: 1, bar: 'bar' }, headers)).to.be.true()
+    expect(matchHeaders({ foo: 1, 'x-match': 'all' }, headers)).to.be.true()
+    expect(matchHeaders({ foo: 1, bar: 'baz' }, headers)).to.be.false()
+    expect(matchHeaders({ foo: '1' }, headers)).to.be.false()
+    done()
+  })
+
+  it('should match any header w/ "x-match" any', function (done) {
+    const headers = { foo: 1 }
+    expect(matchHeaders({ foo: 1, bar: 'bar', 'x-match': 'any' }, headers)).to.be.true()
+    expect(matchHeaders({ foo: 2, bar: 'bar', 'x-match': 'any' }, headers)).to.be.false()
+    done()
+  })
+
+  it('should not match if the message has no headers', function (done) {
+    expect(matchHeaders({ foo: 1 })).to.be.false()
+    done()
+  })
+})
@@ -0,0 +1,43 @@
+'use strict'
+const Lab = require('lab')
+const Code = require('code')
+
+const matchTopic = require('../../lib/utils/match-topic.js')
+
+const lab = exports.lab = Lab.script()
+const describe = lab.describe
+const it = lab.it
+const expect = Code.expect
+
+describe('matchTopic', function () {
+  it('should match exact routing keys', function (done) {
+    expect(matchTopic('foo.bar', 'foo.bar')).to.be.true()
+    expect(matchTopic('foo.bar', 'foo.baz')).to.be.false()
+    expect(matchTopic('foo.bar', 'foo.bar.baz')).to.be.false()
+    expect(matchTopic('foo.bar.baz', 'foo.bar')).to.be.false()
+    done()
+  })
+
+  it('should match one word w/ "*"', function (done) {
+    expect(matchTopic('foo.*', 'foo.bar')).to.be.true()
+    expect(matchTopic('*.bar', 'foo.bar')).to.be.true()
+    expect(matchTopic('foo.*', 'foo')).to.be.false()
+    expect(matchTopic('foo.*', 'foo.bar.baz')).to.be.false()
+    done()
+  })
+
+  it('should match zero or more words w/ "#"', function (done) {
+    expect(matchTopic('#', 'foo.bar')).to.be.true()
+    expect(matchTopic('#', '')).to.be.true()
+    expect(matchTopic('foo.#', 'foo')).to.be.true()
+    expect(matchTopic('foo.#', 'foo.bar.baz')).to.be.true()
+    expect(matchTopic('#.baz', 'foo.bar.baz')).to.be.true()
+    expect(matchTopic('#.baz', 'foobaz')).to.be.false()
+    expect(matchTopic('foo.#.baz', 'foo.baz')).to.be.true()
+    expect(matchTopic('foo.#.baz', 'foo.bar.qux.baz')).to.be.true()
+    expect(matchTopic('foo.#.baz', 'foo.bar.qux')).to.be.false()
+    expect(matchTopic('#.*', 'foo')).to.be.true()
+    expect(matchTopic('#.*', '')).to.be.true()
+    done()
+  })
+})
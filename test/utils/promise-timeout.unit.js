@@ -0,0 +1,33 @@
+'use strict'
+const Lab = require('lab')
+const Code = require('code')
+
+const promiseTimeout = require('../../lib/utils/promise-timeout.js')
+
+const lab = exports.lab = Lab.script()
+const describe = lab.describe
+const it = lab.it
+const expect = Code.expect
+
+describe('promiseTimeout', function () {
+  it('should yield true if the promise resolves', function (done) {
+    promiseTimeout(Promise.resolve(), 10).then(function (settled) {
+      expect(settled).to.be.true()
+      done()
+    }).catch(done)
+  })
+
+  it('should yield true if the promise rejects', function (done) {
+    promiseTimeout(Promise.reject(new Error('boom'))).then(function (settled) {
+      expect(settled).to.be.true()
+      done()
+    }).catch(done)
+  })
+
+  it('should yield false if the promise times out', function (done) {
+    promiseTimeout(new Promise(function () {}), 10).then(function (settled) {
+      expect(settled).to.be.false()
+      done()
+    }).catch(done)
+  })
+})
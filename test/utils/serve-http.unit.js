@@ -0,0 +1,106 @@
+'use strict'
+
+const http = require('http')
+
+const Code = require('code')
+const Lab = require('lab')
+const sinon = require('sinon')
+require('sinon-as-promised')
+
+const lab = exports.lab = Lab.script()
+const describe = lab.describe
+const it = lab.it
+const beforeEach = lab.beforeEach
+const afterEach = lab.afterEach
+const expect = Code.expect
+
+const serveHttp = require('../../lib/utils/serve-http.js')
+
+describe('serveHttp', function () {
+  let ctx
+
+  beforeEach(function (done) {
+    ctx = {}
+    ctx.handler = sinon.stub().resolves({ contentType: 'text/plain', body: 'metrics' })
+    ctx.request = function (method, path) {
+      return new Promise(function (resolve, reject) {
+        const port = ctx.server.address().port
+        http.request({ method: method, port: port, path: path }, function (res) {
+          let body = ''
+          res.on('data', function (chunk) {
+            body += chunk
+          })
+          res.on('end', function () {
+            resolve({ statusCode: res.statusCode, headers: res.headers, body: body })
+          })
+        }).on('error', reject).end()
+      })
+    }
+    serveHttp(0, { '/metrics': ctx.handler }).then(function (server) {
+      ctx.server = server
+      done()
+    }).catch(done)
+  })
+  afterEach(function (done) {
+    serveHttp.close(ctx.server).then(function () {
+      done()
+    }).catch(done)
+  })
+
+  it('should respond w/ the handler\'s response', function (done) {
+    ctx.request('GET', '/metrics?foo=1').then(function (res) {
+      expect(res.statusCode).to.equal(200)
+      expect(res.headers['content-type']).to.equal('text/plain')
+      expect(res.body).to.equal('metrics')
+      sinon.assert.calledOnce(ctx.handler)
+      ctx.handler.resolves({ statusCode: 503, contentType: 'application/json', body: '{}' })
+      return ctx.request('GET', '/metrics')
+    }).then(function (res) {
+      expect(res.statusCode).to.equal(503)
+      expect(res.body).to.equal('{}')
+      done()
+    }).catch(done)
+  })
+
+  it('should respond 404 for unknown paths', function (done) {
+    ctx.request('GET', '/foo').then(function (res) {
+      expect(res.statusCode).to.equal(404)
+      done()
+    }).catch(done)
+  })
+
+  it('should respond 405 for other methods', function (done) {
+    ctx.request('POST', '/metrics').then(function (res) {
+      expect(res.statusCode).to.equal(405)
+      sinon.assert.notCalled(ctx.handler)
+      done()
+    }).catch(done)
+  })
+
+  it('should respond 500 if the handler errors', function (done) {
+    ctx.handler.rejects(new Error('boom'))
+    ctx.request('GET', '/metrics').then(function (res) {
+      expect(res.statusCode).to.equal(500)
+      done()
+    }).catch(done)
+  })
+
+  it('should reject if the server cannot listen', function (done) {
+    serveHttp(ctx.server.address().port, {}).then(function () {
+      done(new Error('expected an error'))
+    }).catch(function (err) {
+      expect(err.code).to.equal('EADDRINUSE')
+      done()
+    })
+  })
+
+  it('should reject if close errors', function (done) {
+    const server = { close: sinon.stub().yields(new Error('not running')) }
+    serveHttp.close(server).then(function () {
+      done(new Error('expected an error'))
+    }).catch(function (err) {
+      expect(err.message).to.equal('not running')
+      done()
+    })
+  })
+})
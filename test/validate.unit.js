@@ -0,0 +1,113 @@
+'use strict'
+
+const Code = require('code')
+const Lab = require('lab')
+const sinon = require('sinon')
+require('sinon-as-promised')
+
+const lab = exports.lab = Lab.script()
+const describe = lab.describe
+const it = lab.it
+const beforeEach = lab.beforeEach
+const afterEach = lab.afterEach
+const expect = Code.expect
+
+const Application = require('../lib/application.js')
+const createTestHarness = require('../test.js')
+const validate = require('../lib/validate.js')
+const ValidationError = require('../lib/validation-error.js')
+
+describe('validate', function () {
+  let ctx
+
+  beforeEach(function (done) {
+    ctx = {}
+    ctx.schema = {
+      type: 'object',
+      properties: {
+        name: { type: 'string' },
+        tags: { type: 'array', items: { type: 'string' } }
+      },
+      required: ['id']
+    }
+    ctx.next = sinon.stub().resolves()
+    done()
+  })
+
+  it('should be exported by the application', function (done) {
+    expect(Application.validate).to.equal(validate)
+    expect(Application.ValidationError).to.equal(ValidationError)
+    done()
+  })
+
+  it('should error if the schema is invalid', function (done) {
+    expect(function () {
+      validate({ type: 'foo' })
+    }).to.throw()
+    done()
+  })
+
+  it('should call next if the body is valid', function (done) {
+    const context = { body: { id: 1, name: 'foo' } }
+    validate(ctx.schema)(context, ctx.next).then(function () {
+      sinon.assert.calledOnce(ctx.next)
+      done()
+    }).catch(done)
+  })
+
+  it('should throw a ValidationError w/ the failing paths if the body is invalid', function (done) {
+    const context = { body: { name: 1, tags: ['foo', 2, 3] } }
+    expect(function () {
+      validate(ctx.schema)(context, ctx.next)
+    }).to.throw(ValidationError, /failed schema validation: body should have required property 'id'/)
+    try {
+      validate(ctx.schema)(context, ctx.next)
+    } catch (err) {
+      expect(err.paths).to.deep.equal(['id', 'name', 'tags[1]', 'tags[2]'])
+      expect(err.errors).to.have.length(4)
+    }
+    expect(function () {
+      validate(ctx.schema)({ body: 'foo' }, ctx.next)
+    }).to.throw(ValidationError)
+    sinon.assert.notCalled(ctx.next)
+    done()
+  })
+
+  describe('app', function () {
+    beforeEach(function (done) {
+      ctx.app = new Application({ cluster: false, queueName: 'queue-name' })
+      ctx.errorHandler = sinon.stub()
+      ctx.app.on('error', ctx.errorHandler)
+      ctx.handler = sinon.spy(function (context) {
+        context.ack = true
+      })
+      ctx.app.queue('queue-name', {}, { messageSchema: ctx.schema }, ctx.handler)
+      ctx.harness = createTestHarness(ctx.app)
+      ctx.harness.connect().then(function () {
+        done()
+      }).catch(done)
+    })
+    afterEach(function (done) {
+      ctx.harness.close().then(function () {
+        done()
+      }).catch(done)
+    })
+
+    it('should reject invalid messages before the queue middlewares', function (done) {
+      ctx.harness.deliver('queue-name', { name: 1 }).then(function (result) {
+        expect(result.action).to.equal('reject')
+        expect(result.requeue).to.be.false()
+        sinon.assert.notCalled(ctx.handler)
+        sinon.assert.calledOnce(ctx.errorHandler)
+        const err = ctx.errorHandler.firstCall.args[0]
+        expect(err).to.be.an.instanceOf(ValidationError)
+        expect(err.paths).to.deep.equal(['id', 'name'])
+        return ctx.harness.deliver('queue-name', { id: 1 })
+      }).then(function (result) {
+        expect(result.action).to.equal('ack')
+        sinon.assert.calledOnce(ctx.handler)
+        done()
+      }).catch(done)
+    })
+  })
+})